@@ -1,39 +1,149 @@
 
-import React, { useState, useCallback, useEffect, useRef } from "react";
+import React, { useState, useCallback, useEffect, useRef, useMemo } from "react";
 import * as _ from 'lodash';
 import Papa from 'papaparse';
+import { repairJson, summarizeFixes } from './lib/jsonRepair';
+import { DEFAULT_WINDOW_CHARS, repairJsonInWindows } from './lib/chunkedRepair';
+import { buildSchemaRepairPrompt, repairToSchema } from './lib/schemaRepair';
+import { createLlmClient, normalizeLlmSettings } from './lib/llm';
+import { loadSettings, saveSettings } from './lib/settingsStorage';
+import { checkSchema } from './lib/schemaValidation';
+import { runPipelineTask } from './lib/pipeline';
+import { profileRecords, profileTypeLabel, toJsonSchema } from './lib/schemaInference';
+import { createWorkerPool } from './lib/workerPool';
+import { isJsonlFileName } from './lib/jsonl';
+import { isCsvFileName, DELIMITER_LABELS } from './lib/csv';
+import { describeWorkbook, isSpreadsheetFileName, readWorkbook, sheetToRecords } from './lib/spreadsheet';
+import {
+  clearAllData,
+  getStorageUsage,
+  isPersistent,
+  loadDatasets,
+  loadDatasetVersions,
+  saveDatasetVersion,
+  loadEntries,
+  loadQueue,
+  loadEntryPayloads,
+  migrateFromLocalStorage,
+  saveEntryPayload,
+  splitEntry,
+  syncRecords
+} from './lib/storage';
+import LlmSettingsPanel from './components/LlmSettingsPanel';
+import RepairDiffViewer from './components/RepairDiffViewer';
+import SpreadsheetImportDialog from './components/SpreadsheetImportDialog';
+import ValidationSchemaPanel from './components/ValidationSchemaPanel';
+import FieldMappingEditor from './components/FieldMappingEditor';
+import { describeMapping, mapFieldNames } from './lib/fieldMapping';
+import MergeOptionsPanel from './components/MergeOptionsPanel';
+import DedupeReport from './components/DedupeReport';
+import { parseKeyFields, resolveConflict } from './lib/dedupe';
+import MergeConflictLog from './components/MergeConflictLog';
+import { parseMergeRules } from './lib/deepMerge';
+import { mergeJsonWithAI } from './lib/aiMerge';
+import { analyzeBoqStructure, prepareBoqForRag } from './lib/boq';
+import { PROVENANCE_FIELD, entryTransforms, stripProvenance } from './lib/provenance';
+import DatasetHistory from './components/DatasetHistory';
+import RecordGrid from './components/RecordGrid';
+import QueryBar from './components/QueryBar';
+import RagChunkPanel from './components/RagChunkPanel';
+import RagProfileEditor from './components/RagProfileEditor';
+import { DEFAULT_CHUNK_OPTIONS, datasetRagProfile } from './lib/ragChunker';
+import EmbeddingPanel from './components/EmbeddingPanel';
+import { DEFAULT_EMBEDDING_OPTIONS, indexModelFiles, runEmbeddingTask } from './lib/embeddings';
+import { exportEmbeddings } from './lib/vectorExport';
+import RetrievalPanel from './components/RetrievalPanel';
+import VectorStorePanel from './components/VectorStorePanel';
+import { getVectorStore, normalizeVectorStoreSettings, storeTarget } from './lib/vectorStores';
+import { assignRowIds, createVersion } from './lib/datasetVersions';
 import './App.css';
 
 // Types for our application
 // interface JsonEntry {
 //   id: string;
 //   fileName: string;
-//   originalJson: string;
-//   correctedJson: string;
-//   formattedJson: string;
+//   originalJson: string;   // payload, stored separately and loaded on demand
+//   correctedJson: string;  // payload
+//   formattedJson: string;  // payload
+//   size: number;
 //   error?: string;
+//   repairs?: { code: string; message: string; line: number; column: number; lossy: boolean }[];
 //   fields: string[];
-//   status: 'processed' | 'error' | 'warning';
+//   format?: 'json' | 'jsonl' | 'csv';
+//   quarantine?: { line: number; text: string; error: string }[];  // JSONL lines left out
+//   lineCount?: number;
+//   rowErrors?: { row: number; code: string; message: string }[];  // CSV rows that did not fit
+//   trimmed?: string[];     // JSON Pointers of long values cut by formatting
+//   dialect?: { delimiter: string; quoteChar: string; header: boolean; encoding: string };
+//   rowCount?: number;
+//   source?: { type: 'spreadsheet'; sheet: string; range: string; headerRow: number | null;
+//              columns: { key: string; type: string; currency?: string }[] };
+//   violations?: { path: string; keyword: string; message: string }[];  // against the attached schema
+//   boq?: { analysis: string; structureType: string; enhancedData: any; ragChunks?: any[] };  // payload, see lib/boq
+//   status: 'processed' | 'error' | 'warning' | 'invalid';
 //   timestamp: string;
 // }
 
 // interface MergedDataset {
 //   id: string;
 //   name: string;
-//   records: any[];
+//   records: any[];                    // may carry _provenance, see lib/provenance
 //   fields: string[];
-//   schema: {[key: string]: string};
+//   schema: {[key: string]: string};   // field type: 'integer' | 'number' | 'string' | ... | 'mixed'
+//   fieldProfiles?: {[key: string]: FieldProfile};  // see lib/schemaInference
+//   dedupe?: DedupeReport;             // see lib/dedupe
+//   mergeConflicts?: MergeConflict[];  // structural merges (and AI merges that fell back), see lib/deepMerge
+//   version?: number;                  // current version, see lib/datasetVersions; records carry _rowId
+//   parent?: { datasetId: string; version: number; query: string };  // datasets derived by a query
+//   ragProfile?: { fields: {[key: string]: 'content' | 'metadata' | 'exclude'}; template: string };  // see lib/ragChunker
+//   retrievalEval?: { id: string; query: string; expected: string[] }[];  // chunk ids, see lib/retrieval
 //   timestamp: string;
 // }
 
 // interface QueueItem {
 //   id: string;
 //   content: string;
+//   file?: File;            // JSONL and CSV files are read from the file instead of `content`
+//   format: 'json' | 'jsonl' | 'csv';
 //   fileName: string;
-//   status: 'queued' | 'processing' | 'completed' | 'error';
+//   status: 'queued' | 'processing' | 'completed' | 'error' | 'cancelled';
+//   position: number;       // queue order, kept in storage
 //   errorMessage?: string;
+//   rowErrors?: { row: number; code: string; message: string }[];
+//   violationCount?: number;
 // }
 
+// Human-readable byte count for the storage indicator
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+};
+
+// Download generated files ([{ filename, content, mimeType }])
+const downloadFiles = (files) => {
+  files.forEach(({ filename, content, mimeType }) => {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  });
+};
+
+// Query results shown in the live preview
+const QUERY_PREVIEW_ROWS = 50;
+// Chunks shown in the RAG chunking preview
+const CHUNK_PREVIEW_COUNT = 10;
+
 // Main App Component
 const App = () => {
   // State management
@@ -42,26 +152,165 @@ const App = () => {
   const [mergedDatasets, setMergedDatasets] = useState([]);
   const [activeDataset, setActiveDataset] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
-  const [isProcessing, setIsProcessing] = useState(false);
+  const [activeJobs, setActiveJobs] = useState(0);
   const [error, setError] = useState(null);
   const [selectedEntries, setSelectedEntries] = useState(new Set());
   const [expandedEntry, setExpandedEntry] = useState(null);
+  const [expandedPayload, setExpandedPayload] = useState(null);
+  const [storageUsage, setStorageUsage] = useState(null);
   const [activeTab, setActiveTab] = useState('input');
   const [processingQueue, setProcessingQueue] = useState([]);
+  const [pendingSpreadsheets, setPendingSpreadsheets] = useState([]);
   const [isProcessingQueue, setIsProcessingQueue] = useState(false);
+  const [isQueuePaused, setIsQueuePaused] = useState(false);
+  // { [queueItemId]: { stage, percent } }, kept apart from the queue items so
+  // progress updates are not written to storage
+  const [queueProgress, setQueueProgress] = useState({});
+  const [draggedQueueItem, setDraggedQueueItem] = useState(null);
   const [processingOptions, setProcessingOptions] = useState({
     autoFormat: true,
     detectSchemas: true,
+    trackProvenance: true,
     flattenNested: true,
     maxDepth: 3,
     trimLongValues: true,
     maxValueLength: 1000,
     preserveArrays: true,
+    aiRepair: false,
+    conformToSchema: true,
+    schemaRepairAttempts: 2,
+    concurrency: 2,
+  });
+  const [llmSettings, setLlmSettings] = useState(() => {
+    try {
+      return normalizeLlmSettings(loadSettings("jsonProcessorLlmSettings"));
+    } catch (e) {
+      console.error("Failed to parse saved AI provider settings:", e);
+      return normalizeLlmSettings();
+    }
+  });
+  
+  // JSON Schema entries are validated against: { name, schema, appliesTo }
+  const [validationSchema, setValidationSchema] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem("jsonProcessorValidationSchema") || "null");
+      // Schemas saved before a check was added may no longer be usable
+      if (saved) checkSchema(saved.schema);
+      return saved;
+    } catch (e) {
+      console.error("Failed to parse saved validation schema:", e);
+      return null;
+    }
+  });
+  
+  // Export option and record grid cell ({ record, field, row }) whose field
+  // provenance is shown
+  const [includeProvenance, setIncludeProvenance] = useState(false);
+  const [inspectedCell, setInspectedCell] = useState(null);
+  const inspectedProvenance = inspectedCell?.record[PROVENANCE_FIELD]?.[inspectedCell.field] || null;
+  
+  useEffect(() => {
+    setInspectedCell(null);
+  }, [activeDataset?.id, activeDataset?.version]);
+  
+  // How selected entries are merged (see components/MergeOptionsPanel)
+  const [mergeOptions, setMergeOptions] = useState({
+    dedupe: false,
+    keyFields: '',
+    strategy: 'latest',
+    targetDatasetId: '',
+    arrays: 'concat',
+    arrayKey: '',
+    scalars: 'last',
+    rules: ''
+  });
+  
+  // Saved column mappings for merged datasets (see lib/fieldMapping)
+  const [mappingProfiles, setMappingProfiles] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem("jsonProcessorMappingProfiles") || "[]");
+    } catch (e) {
+      console.error("Failed to parse saved mapping profiles:", e);
+      return [];
+    }
+  });
+  
+  // How the RAG export chunks records (see lib/ragChunker)
+  const [chunkOptions, setChunkOptions] = useState(() => {
+    try {
+      return { ...DEFAULT_CHUNK_OPTIONS, ...JSON.parse(localStorage.getItem("jsonProcessorChunkOptions") || "{}") };
+    } catch (e) {
+      console.error("Failed to parse saved chunk options:", e);
+      return DEFAULT_CHUNK_OPTIONS;
+    }
   });
   
+  // Local embedding model (see lib/embeddings); its files are not kept
+  // across sessions
+  const [embeddingModel, setEmbeddingModel] = useState(null);
+  const [embeddingOptions, setEmbeddingOptions] = useState(() => {
+    try {
+      return { ...DEFAULT_EMBEDDING_OPTIONS, ...JSON.parse(localStorage.getItem("jsonProcessorEmbeddingOptions") || "{}") };
+    } catch (e) {
+      console.error("Failed to parse saved embedding options:", e);
+      return DEFAULT_EMBEDDING_OPTIONS;
+    }
+  });
+  // Last embedded chunks (see lib/vectorExport) with the settings they were
+  // computed from, and the progress of a running embedding job
+  const [embeddingSet, setEmbeddingSet] = useState(null);
+  const [embeddingProgress, setEmbeddingProgress] = useState(null);
+  const embeddingControllerRef = useRef(null);
+  
+  // Vector database to export the embeddings to (see lib/vectorStores)
+  const [vectorStoreSettings, setVectorStoreSettings] = useState(() => {
+    try {
+      return normalizeVectorStoreSettings(loadSettings("jsonProcessorVectorStoreSettings"));
+    } catch (e) {
+      console.error("Failed to parse saved vector store settings:", e);
+      return normalizeVectorStoreSettings();
+    }
+  });
+  const [vectorPushProgress, setVectorPushProgress] = useState(null);
+  
+  // Client used by every AI step; rebuilt when the provider settings change
+  const llm = useMemo(() => createLlmClient(llmSettings), [llmSettings]);
+  
+  const isProcessing = activeJobs > 0;
+  
   // References to maintain state across renders
   const processingQueueRef = useRef([]);
   const isProcessingQueueRef = useRef(false);
+  const startedQueueItemsRef = useRef(new Set());
+  const queueControllersRef = useRef(new Map());
+  
+  // Parsing, formatting and flattening run in a pool of workers
+  const pipelinePoolRef = useRef(null);
+  if (!pipelinePoolRef.current) {
+    pipelinePoolRef.current = createWorkerPool({
+      size: processingOptions.concurrency,
+      createWorker: () => new Worker(new URL('./workers/pipeline.worker.js', import.meta.url), { type: 'module' }),
+      fallback: runPipelineTask
+    });
+  }
+  
+  useEffect(() => {
+    pipelinePoolRef.current.setSize(processingOptions.concurrency);
+  }, [processingOptions.concurrency]);
+  
+  useEffect(() => () => pipelinePoolRef.current.terminate(), []);
+  
+  // Embeddings run in a worker of their own that keeps the model loaded
+  const embeddingPoolRef = useRef(null);
+  if (!embeddingPoolRef.current) {
+    embeddingPoolRef.current = createWorkerPool({
+      size: 1,
+      createWorker: () => new Worker(new URL('./workers/embedding.worker.js', import.meta.url), { type: 'module' }),
+      fallback: runEmbeddingTask
+    });
+  }
+  
+  useEffect(() => () => embeddingPoolRef.current.terminate(), []);
   
   // Keep refs in sync with state
   useEffect(() => {
@@ -69,164 +318,438 @@ const App = () => {
     isProcessingQueueRef.current = isProcessingQueue;
   }, [processingQueue, isProcessingQueue]);
   
-  // Load saved data on initial render
+  // Lists as last written to storage; null until the saved data is loaded
+  const persistedEntriesRef = useRef(null);
+  const persistedDatasetsRef = useRef(null);
+  const persistedQueueRef = useRef(null);
+  
+  const refreshStorageUsage = useCallback(() => {
+    getStorageUsage()
+      .then(setStorageUsage)
+      .catch(e => console.error("Failed to read storage usage:", e));
+  }, []);
+  
+  // Load saved data on initial render, moving data saved by earlier versions
+  // out of localStorage first
   useEffect(() => {
-    const savedProcessedEntries = localStorage.getItem("jsonProcessorEntries");
-    const savedMergedDatasets = localStorage.getItem("jsonProcessorDatasets");
+    let cancelled = false;
     
-    if (savedProcessedEntries) {
+    const loadSavedData = async () => {
       try {
-        setProcessedEntries(JSON.parse(savedProcessedEntries));
+        await migrateFromLocalStorage();
+        const [savedEntries, savedDatasets, savedQueue] = await Promise.all([loadEntries(), loadDatasets(), loadQueue()]);
+        
+        // Datasets saved before versioning start their history here
+        const versionedDatasets = await Promise.all(savedDatasets.map(async dataset => {
+          if (dataset.version) return dataset;
+          const migrated = { ...dataset, records: assignRowIds(dataset.records), version: 1 };
+          await saveDatasetVersion(createVersion(migrated, { version: 1, kind: 'import' }));
+          return migrated;
+        }));
+        if (cancelled) return;
+        
+        persistedEntriesRef.current = savedEntries;
+        persistedDatasetsRef.current = savedDatasets;
+        persistedQueueRef.current = savedQueue;
+        setProcessedEntries(prev => [...prev, ...savedEntries]);
+        setMergedDatasets(prev => [...prev, ...versionedDatasets]);
+        
+        // Items that were running when the page closed start over. The
+        // restored queue waits paused until it is resumed.
+        const restoredQueue = savedQueue.map(item => item.status === 'processing' ? { ...item, status: 'queued' } : item);
+        if (restoredQueue.some(item => item.status === 'queued')) {
+          setIsQueuePaused(true);
+          setIsProcessingQueue(true);
+        }
+        setProcessingQueue(prev => [...restoredQueue, ...prev.map((item, i) => ({ ...item, position: savedQueue.length + i }))]);
+        
+        if (!isPersistent()) {
+          setError("Browser storage is unavailable: entries and datasets will be lost when the page is closed");
+        }
       } catch (e) {
-        console.error("Failed to parse saved entries:", e);
+        console.error("Failed to load saved data:", e);
+        setError(`Failed to load saved data: ${e instanceof Error ? e.message : String(e)}`);
+        persistedEntriesRef.current = [];
+        persistedDatasetsRef.current = [];
+        persistedQueueRef.current = [];
       }
-    }
+      refreshStorageUsage();
+    };
     
-    if (savedMergedDatasets) {
-      try {
-        setMergedDatasets(JSON.parse(savedMergedDatasets));
-      } catch (e) {
-        console.error("Failed to parse saved datasets:", e);
+    loadSavedData();
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshStorageUsage]);
+  
+  // Save changed records when the lists change
+  useEffect(() => {
+    const previous = persistedEntriesRef.current;
+    if (!previous) return;
+    persistedEntriesRef.current = processedEntries;
+    
+    syncRecords('entries', previous, processedEntries)
+      .then(refreshStorageUsage)
+      .catch(e => {
+        console.error("Failed to save entries:", e);
+        setError(`Failed to save entries: ${e instanceof Error ? e.message : String(e)}`);
+      });
+  }, [processedEntries, refreshStorageUsage]);
+  
+  useEffect(() => {
+    const previous = persistedDatasetsRef.current;
+    if (!previous) return;
+    persistedDatasetsRef.current = mergedDatasets;
+    
+    syncRecords('datasets', previous, mergedDatasets)
+      .then(refreshStorageUsage)
+      .catch(e => {
+        console.error("Failed to save datasets:", e);
+        setError(`Failed to save datasets: ${e instanceof Error ? e.message : String(e)}`);
+      });
+  }, [mergedDatasets, refreshStorageUsage]);
+  
+  useEffect(() => {
+    const previous = persistedQueueRef.current;
+    if (!previous) return;
+    persistedQueueRef.current = processingQueue;
+    
+    syncRecords('queue', previous, processingQueue)
+      .then(refreshStorageUsage)
+      .catch(e => {
+        console.error("Failed to save the processing queue:", e);
+        setError(`Failed to save the processing queue: ${e instanceof Error ? e.message : String(e)}`);
+      });
+  }, [processingQueue, refreshStorageUsage]);
+  
+  // Load the payload of the expanded entry, again whenever it is re-processed
+  const expandedEntryRecord = processedEntries.find(entry => entry.id === expandedEntry);
+  
+  useEffect(() => {
+    setExpandedPayload(prev => prev?.id === expandedEntry ? prev : null);
+    if (!expandedEntry) return;
+    
+    let cancelled = false;
+    loadEntryPayloads([expandedEntry])
+      .then(([payload]) => {
+        if (!cancelled) setExpandedPayload(payload || { id: expandedEntry });
+      })
+      .catch(e => {
+        setError(`Failed to load entry: ${e instanceof Error ? e.message : String(e)}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [expandedEntry, expandedEntryRecord]);
+  
+  // Entries whose text could not be stored still carry it themselves
+  const expandedEntryWithPayload = expandedEntryRecord && expandedPayload?.id === expandedEntry
+    ? { originalJson: '', correctedJson: '', formattedJson: '', ...expandedEntryRecord, ...expandedPayload }
+    : null;
+  
+  useEffect(() => {
+    try {
+      saveSettings("jsonProcessorLlmSettings", llmSettings);
+    } catch (e) {
+      console.error("Failed to save AI provider settings to localStorage:", e);
+    }
+  }, [llmSettings]);
+  
+  useEffect(() => {
+    try {
+      if (validationSchema) {
+        localStorage.setItem("jsonProcessorValidationSchema", JSON.stringify(validationSchema));
+      } else {
+        localStorage.removeItem("jsonProcessorValidationSchema");
       }
+    } catch (e) {
+      console.error("Failed to save validation schema to localStorage:", e);
     }
-  }, []);
+  }, [validationSchema]);
   
-  // Save data when it changes
   useEffect(() => {
     try {
-      localStorage.setItem("jsonProcessorEntries", JSON.stringify(processedEntries));
-      localStorage.setItem("jsonProcessorDatasets", JSON.stringify(mergedDatasets));
+      localStorage.setItem("jsonProcessorMappingProfiles", JSON.stringify(mappingProfiles));
     } catch (e) {
-      console.error("Failed to save datasets to localStorage:", e);
+      console.error("Failed to save mapping profiles to localStorage:", e);
     }
-  }, [mergedDatasets]);
+  }, [mappingProfiles]);
   
-  // Core function for AI-powered JSON repair
-  const repairJsonWithAI = async (jsonStr: string): Promise<{ corrected: string, error?: string }> => {
-    // First, try standard parsing as a quick check
+  useEffect(() => {
     try {
-      JSON.parse(jsonStr);
-      return { corrected: jsonStr };
-    } catch (parseError) {
-      // Proceed with AI-based repair if standard parsing fails
-      try {
-        const response = await fetch(
-          `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro-002:generateContent?key=${GOOGLE_API_KEY}`,
-          {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-              contents: [{
-                parts: [{
-                  text: `You are a JSON repair expert. The following text is a JSON document with syntax errors. 
-                  Fix all errors and return ONLY the corrected JSON with no explanations or markdown formatting.
-                  Look for missing quotes, incorrect commas, unescaped characters, and malformed structures.
-                  
-                  ${jsonStr.substring(0, 12000)}`
-                }]
-              }],
-              generationConfig: {
-                temperature: 0.1,
-                maxOutputTokens: 12000
-              }
-            })
-          }
-        );
+      localStorage.setItem("jsonProcessorChunkOptions", JSON.stringify(chunkOptions));
+    } catch (e) {
+      console.error("Failed to save chunk options to localStorage:", e);
+    }
+  }, [chunkOptions]);
   
-        const result = await response.json();
-        
-        // Extract text from response and clean up any markdown formatting
-        let correctedJson = result.candidates[0].content.parts[0].text.trim();
-        correctedJson = correctedJson.replace(/```json\s+/g, '').replace(/```/g, '');
-        
-        // Validate the corrected JSON
-        JSON.parse(correctedJson); // This will throw if still invalid
-        
-        return { corrected: correctedJson };
-      } catch (aiError) {
-        return { 
-          corrected: jsonStr, 
-          error: `AI repair failed: ${aiError instanceof Error ? aiError.message : String(aiError)}` 
+  useEffect(() => {
+    try {
+      localStorage.setItem("jsonProcessorEmbeddingOptions", JSON.stringify(embeddingOptions));
+    } catch (e) {
+      console.error("Failed to save embedding options to localStorage:", e);
+    }
+  }, [embeddingOptions]);
+  
+  useEffect(() => {
+    try {
+      saveSettings("jsonProcessorVectorStoreSettings", vectorStoreSettings);
+    } catch (e) {
+      console.error("Failed to save vector store settings to localStorage:", e);
+    }
+  }, [vectorStoreSettings]);
+  
+  // Core function for AI-powered JSON repair
+  // `deterministic` is the repair engine's result when it already ran (in the
+  // pipeline worker). With a target schema (`validation`) the model is also
+  // asked to normalize the document to it.
+  const repairJsonWithAI = async (jsonStr, { signal, deterministic, validation } = {}) => {
+    if (!deterministic) {
+      // First, try standard parsing as a quick check
+      try {
+        JSON.parse(jsonStr);
+        return { corrected: jsonStr, fixes: [] };
+      } catch (parseError) {
+        deterministic = repairJson(jsonStr);
+      }
+    }
+    
+    // Deterministic repair handles most syntax errors without a model call
+    if (!deterministic.error && !deterministic.lossy) {
+      return {
+        corrected: deterministic.corrected,
+        fixes: deterministic.fixes,
+        error: summarizeFixes(deterministic.fixes)
+      };
+    }
+    
+    // Proceed with AI-based repair if the repair engine had to guess at content
+    try {
+      let correctedJson;
+      let regions;
+      
+      if (jsonStr.length <= DEFAULT_WINDOW_CHARS && validation) {
+        correctedJson = await llm.complete('repair', buildSchemaRepairPrompt(jsonStr, validation), { signal });
+        regions = [{ startLine: 1, endLine: (jsonStr.match(/\n/g) || []).length + 1 }];
+      } else if (jsonStr.length <= DEFAULT_WINDOW_CHARS) {
+        correctedJson = await llm.complete('repair', `You are a JSON repair expert. The following text is a JSON document with syntax errors. 
+                Fix all errors and return ONLY the corrected JSON with no explanations or markdown formatting.
+                Look for missing quotes, incorrect commas, unescaped characters, and malformed structures.
+                
+${jsonStr}`, { signal });
+        regions = [{ startLine: 1, endLine: (jsonStr.match(/\n/g) || []).length + 1 }];
+      } else {
+        // Large documents: only the broken regions go to the model
+        ({ corrected: correctedJson, regions } = await repairJsonInWindows(
+          jsonStr,
+          (prompt, options) => llm.complete('repair', prompt, options),
+          { signal }
+        ));
+      }
+      
+      // Validate the corrected JSON
+      JSON.parse(correctedJson); // This will throw if still invalid
+      
+      return {
+        corrected: correctedJson,
+        fixes: regions.map(region => ({
+          code: 'ai-repair',
+          message: `Repaired with AI (lines ${region.startLine}-${region.endLine})`,
+          line: region.startLine,
+          column: 1,
+          lossy: true
+        })),
+        error: `Repaired ${regions.length} region${regions.length === 1 ? '' : 's'} with AI. Verify the result.`
+      };
+    } catch (aiError) {
+      if (aiError?.name === 'AbortError') throw aiError;
+      
+      const aiMessage = `AI repair failed: ${aiError instanceof Error ? aiError.message : String(aiError)}`;
+      
+      // Fall back to the deterministic result rather than the broken input
+      if (!deterministic.error) {
+        return {
+          corrected: deterministic.corrected,
+          fixes: deterministic.fixes,
+          error: `${summarizeFixes(deterministic.fixes)} ${aiMessage}`
         };
       }
+      return { corrected: jsonStr, fixes: deterministic.fixes, error: aiMessage };
     }
   };
   
-  // Integrate with your existing processJsonText function
-  const processJsonText = useCallback(async (text: string, fileName = "unnamed.json", queueItemId?: string) => {
-    if (!text.trim()) {
+  // Store an entry's JSON text in the payload store and its metadata in the
+  // entry list. `replaceEntryId` replaces an existing entry in place.
+  const storeEntry = useCallback(async (entry, replaceEntryId) => {
+    let listed = entry;
+    try {
+      const { meta, payload } = splitEntry(entry);
+      await saveEntryPayload(payload);
+      listed = meta;
+    } catch (e) {
+      // Keep the text in memory so the entry stays usable for this session
+      console.error("Failed to save entry payload:", e);
+      setError(`Failed to save ${entry.fileName}: ${e instanceof Error ? e.message : String(e)}`);
+    }
+    
+    setProcessedEntries(prev => replaceEntryId
+      ? prev.map(existing => existing.id === replaceEntryId ? listed : existing)
+      : [listed, ...prev.filter(existing => existing.id !== listed.id)]);
+  }, []);
+  
+  // Set or (with null) clear the progress shown for a queue item
+  const setQueueItemProgress = useCallback((queueItemId, progress) => {
+    setQueueProgress(prev => progress
+      ? { ...prev, [queueItemId]: progress }
+      : _.omit(prev, queueItemId));
+  }, []);
+  
+  // Process a single JSON text input. `replaceEntryId` re-processes an
+  // existing entry in place, keeping its `originalJson`. The work runs in the
+  // pipeline worker pool; `signal` cancels it. JSON Lines and CSV input
+  // (`format: 'jsonl' | 'csv'`) is read from `file` when given, otherwise from
+  // `text`; `dialect` overrides CSV detection. `source` describes where the
+  // text came from (e.g. a spreadsheet range).
+  const processJsonText = useCallback(async (text, fileName = "unnamed.json", queueItemId, { replaceEntryId, originalJson, signal, format = 'json', file, source, dialect } = {}) => {
+    if (!file && !text.trim()) {
       setError("Please enter JSON text to process");
       return;
     }
     
-    setIsProcessing(true);
+    setActiveJobs(count => count + 1);
     setError(null);
     
-    // Update queue item status if it exists
-    if (queueItemId) {
+    const updateQueueItem = (changes) => {
       setProcessingQueue(prevQueue => {
         return prevQueue.map(item => 
           item.id === queueItemId 
-            ? { ...item, status: 'processing' } 
+            ? { ...item, ...changes } 
             : item
         );
       });
+    };
+    
+    // Update queue item status if it exists
+    if (queueItemId) {
+      updateQueueItem({ status: 'processing' });
+      setQueueItemProgress(queueItemId, { stage: 'queued', percent: 0 });
     }
     
+    const onProgress = queueItemId
+      ? (stage, percent) => setQueueItemProgress(queueItemId, { stage, percent })
+      : undefined;
+    
+    const options = {
+      autoFormat: processingOptions.autoFormat,
+      trimLongValues: processingOptions.trimLongValues,
+      maxValueLength: processingOptions.maxValueLength,
+      preserveArrays: processingOptions.preserveArrays,
+      conformToSchema: processingOptions.conformToSchema
+    };
+    const validation = validationSchema || undefined;
+    
     try {
-      // Use AI to repair JSON syntax
-      const { corrected, error: correctionError } = await repairJsonWithAI(text);
+      // Correct syntax errors, parse, format and extract fields
+      let result;
+      if (format === 'jsonl') {
+        result = await pipelinePoolRef.current.run('processJsonl', { file, text, options, validation }, { signal, onProgress });
+      } else if (format === 'csv') {
+        result = await pipelinePoolRef.current.run('processCsv', { file, text, options, dialect, validation }, { signal, onProgress });
+      } else {
+        try {
+          result = await pipelinePoolRef.current.run('process', { text, options, validation }, { signal, onProgress });
+        } catch (e) {
+          if (!processingOptions.aiRepair || e?.name === 'AbortError') throw e;
+        }
+      }
       
-      // Parse the corrected JSON
-      let parsedJson;
-      try {
-        parsedJson = JSON.parse(corrected);
-      } catch (parseError) {
-        throw new Error(`Failed to parse JSON after AI repair: ${parseError instanceof Error ? parseError.message : String(parseError)}`);
+      // The AI only sees what the repair engine could not fix with confidence
+      if (format === 'json' && processingOptions.aiRepair && (!result || result.lossy)) {
+        onProgress?.('ai-repair', 0);
+        const repaired = await repairJsonWithAI(text, { signal, deterministic: result, validation });
+        result = await pipelinePoolRef.current.run('process', { text, options, repaired, validation }, { signal, onProgress });
       }
       
-      // Format the JSON structure
-      const formattedJson = processingOptions.autoFormat 
-        ? formatJsonStructure(parsedJson) 
-        : parsedJson;
+      // Re-prompt with the schema violations that are left, a few times
+      if (format === 'json' && processingOptions.aiRepair && validation && result.violations?.length > 0 &&
+          processingOptions.schemaRepairAttempts > 0 && result.corrected.length <= DEFAULT_WINDOW_CHARS) {
+        onProgress?.('ai-schema-repair', 0);
+        try {
+          const normalized = await repairToSchema(
+            result.corrected,
+            validation,
+            (prompt, completeOptions) => llm.complete('repair', prompt, completeOptions),
+            { attempts: processingOptions.schemaRepairAttempts, violations: result.violations, signal }
+          );
+          const fix = {
+            code: 'ai-schema-repair',
+            message: `Normalized to the schema with AI (${normalized.attempts} attempt${normalized.attempts === 1 ? '' : 's'}, ${normalized.violations.length} violation${normalized.violations.length === 1 ? '' : 's'} left)`,
+            line: 1,
+            column: 1,
+            lossy: true
+          };
+          result = await pipelinePoolRef.current.run('process', {
+            text,
+            options,
+            validation,
+            repaired: {
+              corrected: normalized.corrected,
+              fixes: [...result.fixes, fix],
+              error: [result.error, `${fix.message}. Verify the result.`].filter(Boolean).join(' ')
+            }
+          }, { signal, onProgress });
+        } catch (aiError) {
+          if (aiError?.name === 'AbortError') throw aiError;
+          const aiMessage = `AI schema repair failed: ${aiError instanceof Error ? aiError.message : String(aiError)}`;
+          result = { ...result, error: [result.error, aiMessage].filter(Boolean).join(' ') };
+        }
+      }
       
-      // Extract fields from the JSON
-      const fields = extractFieldsFromJson(formattedJson);
+      const { corrected, fixes, error: correctionError, formattedJson, fields, violations } = result;
       
       // Create entry
-      const entry: JsonEntry = {
-        id: queueItemId || `json-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+      const entry = {
+        id: replaceEntryId || queueItemId || `json-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
         fileName,
-        originalJson: text,
+        originalJson: originalJson ?? result.original ?? text,
         correctedJson: corrected,
-        formattedJson: JSON.stringify(formattedJson, null, 2),
+        formattedJson,
         error: correctionError,
+        repairs: fixes,
         fields,
-        status: correctionError ? 'warning' : 'processed',
+        format,
+        status: violations?.length > 0 ? 'invalid' : correctionError ? 'warning' : 'processed',
         timestamp: new Date().toISOString()
       };
+      if (violations) {
+        entry.violations = violations;
+      }
+      if (result.trimmed?.length > 0) {
+        entry.trimmed = result.trimmed;
+      }
+      if (format === 'jsonl') {
+        entry.quarantine = result.quarantine;
+        entry.lineCount = result.lineCount;
+      }
+      if (format === 'csv') {
+        entry.rowErrors = result.rowErrors;
+        entry.dialect = result.dialect;
+        entry.rowCount = result.rowCount;
+      }
+      if (source) {
+        entry.source = source;
+      }
       
       // Add to processed entries
-      setProcessedEntries(prev => [entry, ...prev]);
+      await storeEntry(entry, replaceEntryId);
       
       // Update the queue if this was a queued item
       if (queueItemId) {
-        setProcessingQueue(prevQueue => {
-          return prevQueue.map(item => 
-            item.id === queueItemId 
-              ? { ...item, status: 'completed' } 
-              : item
-          );
-        });
-      }
-      
-      // Continue processing the queue if there are more items
-      if (queueItemId && isProcessingQueueRef.current) {
-        setIsProcessingQueue(true);
+        updateQueueItem({ status: 'completed', rowErrors: result.rowErrors, violationCount: violations?.length });
       }
       
-      // Clear input if this was a direct entry (not queued)
-      if (!queueItemId) {
+      // Clear input if this was a direct entry (not queued or re-processed)
+      if (!queueItemId && !replaceEntryId) {
         setJsonInputText("");
       }
       
@@ -234,409 +757,239 @@ const App = () => {
       
       return entry;
     } catch (e) {
+      // Cancelled work leaves no entry behind
+      if (e?.name === 'AbortError') {
+        if (queueItemId) {
+          updateQueueItem({ status: 'cancelled', errorMessage: 'Cancelled' });
+        }
+        return null;
+      }
+      
       const errorMessage = e instanceof Error ? e.message : String(e);
       setError(`Error processing JSON: ${errorMessage}`);
       
       // Update the queue item if it exists
       if (queueItemId) {
-        setProcessingQueue(prevQueue => {
-          return prevQueue.map(item => 
-            item.id === queueItemId 
-              ? { ...item, status: 'error', errorMessage } 
-              : item
-          );
-        });
-        
-        // Continue processing the queue even if there was an error
-        if (isProcessingQueueRef.current) {
-          setIsProcessingQueue(true);
-        }
+        updateQueueItem({ status: 'error', errorMessage });
       }
       
-      // Create error entry
-      const errorEntry: JsonEntry = {
-        id: queueItemId || `json-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+      // Create error entry; streamed files are read in full only here so the
+      // text can be reviewed and re-processed
+      const sourceText = file ? await file.text().catch(() => '') : text;
+      const errorEntry = {
+        id: replaceEntryId || queueItemId || `json-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
         fileName,
-        originalJson: text,
-        correctedJson: text,
-        formattedJson: text,
+        originalJson: originalJson ?? sourceText,
+        correctedJson: sourceText,
+        formattedJson: sourceText,
         error: errorMessage,
         fields: [],
+        format,
         status: 'error',
         timestamp: new Date().toISOString()
       };
       
-      setProcessedEntries(prev => [errorEntry, ...prev]);
+      await storeEntry(errorEntry, replaceEntryId);
       return null;
     } finally {
-      setIsProcessing(false);
+      setActiveJobs(count => count - 1);
+      if (queueItemId) {
+        setQueueItemProgress(queueItemId, null);
+      }
     }
   }, [
-    extractFieldsFromJson, 
-    formatJsonStructure, 
-    processingOptions.autoFormat
+    processingOptions.autoFormat,
+    processingOptions.trimLongValues,
+    processingOptions.maxValueLength,
+    processingOptions.preserveArrays,
+    processingOptions.aiRepair,
+    processingOptions.conformToSchema,
+    processingOptions.schemaRepairAttempts,
+    validationSchema,
+    llm,
+    storeEntry,
+    setQueueItemProgress
   ]);
-    } catch (e) {
-      console.error("Failed to save entries to localStorage:", e);
-    }
-  }, [processedEntries]);
   
+  // Start queued items while fewer than `concurrency` are running. Pausing
+  // stops new items from starting; running items finish.
   useEffect(() => {
-    try {
-      localStorage.setItem("jsonProcessorDatasets", JSON.stringify(mergedDatasets));
-    } catch (e) {
-      console.error("Failed to save datasets to localStorage:", e);
+    if (!isProcessingQueue || isQueuePaused) return;
+    
+    const started = startedQueueItemsRef.current;
+    const running = processingQueue.filter(item => 
+      started.has(item.id) && (item.status === 'queued' || item.status === 'processing')
+    ).length;
+    const waiting = processingQueue.filter(item => 
+      item.status === 'queued' && !started.has(item.id)
+    );
+    
+    if (running === 0 && waiting.length === 0) {
+      setIsProcessingQueue(false);
+      return;
     }
-  }, [mergedDatasets]);
+    
+    waiting.slice(0, Math.max(0, processingOptions.concurrency - running)).forEach(item => {
+      const controller = new AbortController();
+      started.add(item.id);
+      queueControllersRef.current.set(item.id, controller);
+      
+      processJsonText(item.content, item.fileName, item.id, {
+        signal: controller.signal,
+        format: item.format,
+        file: item.file,
+        source: item.source
+      })
+        .finally(() => queueControllersRef.current.delete(item.id));
+    });
+  }, [isProcessingQueue, isQueuePaused, processingQueue, processingOptions.concurrency, processJsonText]);
   
-  // Process the next item in the queue
-  useEffect(() => {
-    if (isProcessingQueue && !isProcessing && processingQueue.length > 0) {
-      const nextQueuedItem = processingQueue.find(item => item.status === 'queued');
-      if (nextQueuedItem) {
-        processJsonText(nextQueuedItem.content, nextQueuedItem.fileName, nextQueuedItem.id);
-      } else {
-        setIsProcessingQueue(false);
-      }
+  // Cancel a queued or running item
+  const cancelQueueItem = useCallback((queueItemId) => {
+    const controller = queueControllersRef.current.get(queueItemId);
+    if (controller) {
+      controller.abort();
+      return;
     }
-  }, [isProcessingQueue, isProcessing, processingQueue]);
+    
+    startedQueueItemsRef.current.add(queueItemId);
+    setProcessingQueue(prevQueue => prevQueue.map(item => 
+      item.id === queueItemId && item.status === 'queued'
+        ? { ...item, status: 'cancelled', errorMessage: 'Cancelled' }
+        : item
+    ));
+  }, []);
+  
+  // Queue failed or cancelled items again
+  const retryQueueItems = useCallback((queueItemIds) => {
+    const retried = new Set(queueItemIds);
+    retried.forEach(id => startedQueueItemsRef.current.delete(id));
+    setProcessingQueue(prevQueue => prevQueue.map(item => 
+      retried.has(item.id) && (item.status === 'error' || item.status === 'cancelled')
+        ? { ...item, status: 'queued', errorMessage: undefined, rowErrors: undefined, violationCount: undefined }
+        : item
+    ));
+    setIsProcessingQueue(true);
+  }, []);
+  
+  // Move a queue item to the position of another; only waiting items are
+  // affected in practice, since the queue starts items in list order
+  const moveQueueItem = useCallback((queueItemId, targetId) => {
+    setProcessingQueue(prevQueue => {
+      const from = prevQueue.findIndex(item => item.id === queueItemId);
+      const to = prevQueue.findIndex(item => item.id === targetId);
+      if (from === -1 || to === -1 || from === to) return prevQueue;
+      
+      const reordered = [...prevQueue];
+      reordered.splice(to, 0, reordered.splice(from, 1)[0]);
+      return reordered.map((item, position) => item.position === position ? item : { ...item, position });
+    });
+  }, []);
   
-  // Function to correct JSON syntax errors
-  const correctJsonSyntax = useCallback((jsonStr) => {
+  // Re-process an entry from a reviewed version of its text
+  const reprocessEntry = useCallback((entry, text) => {
+    return processJsonText(text, entry.fileName, undefined, {
+      replaceEntryId: entry.id,
+      originalJson: entry.originalJson,
+      format: entry.format,
+      source: entry.source,
+      dialect: entry.dialect
+    });
+  }, [processJsonText]);
+  
+  // Analyze an entry as a BOQ with the AI provider or (`chunk`) split it into
+  // RAG chunks, reusing an earlier analysis; the result is stored with the
+  // entry's text as `boq`
+  const analyzeEntryBoq = useCallback(async (entry, { chunk = false } = {}) => {
+    setActiveJobs(count => count + 1);
     try {
-      // First, try to parse it directly - it might be valid
-      JSON.parse(jsonStr);
-      return { corrected: jsonStr };
+      const data = JSON.parse(entry.formattedJson);
+      const analyzed = chunk && entry.boq ? entry.boq : await analyzeBoqStructure(data, llm);
+      const boq = {
+        analysis: analyzed.analysis,
+        structureType: analyzed.structureType,
+        enhancedData: analyzed.enhancedData,
+        ragChunks: chunk ? await prepareBoqForRag(data, llm, analyzed) : undefined
+      };
+      await storeEntry({ ...entry, boq }, entry.id);
     } catch (e) {
       const errorMessage = e instanceof Error ? e.message : String(e);
-      
-      // Common syntax errors to fix
-      let corrected = jsonStr;
-      
-      // Fix 1: Missing quotes around property names
-      corrected = corrected.replace(/([{,]\s*)(\w+)(\s*:)/g, '$1"$2"$3');
-      
-      // Fix 2: Replace single quotes with double quotes
-      corrected = corrected.replace(/'/g, '"');
-      
-      // Fix 3: Add missing commas between objects in arrays
-      corrected = corrected.replace(/}\s*{/g, '}, {');
-      
-      // Fix 4: Remove trailing commas in objects and arrays
-      corrected = corrected.replace(/,\s*}/g, '}');
-      corrected = corrected.replace(/,\s*\]/g, ']');
-      
-      // Fix 5: Fix unescaped backslashes in strings
-      corrected = corrected.replace(/([^\\])\\([^"\\/bfnrtu])/g, '$1\\\\$2');
-      
-      // Try to parse the corrected JSON
-      try {
-        JSON.parse(corrected);
-        return { corrected };
-      } catch (e2) {
-        // If our automatic fixes didn't work, try a more aggressive approach
-        try {
-          // Try to evaluate as JavaScript object (not secure for production!)
-          // This is just for the demo - in a real app, use a proper JSON repair library
-          // eslint-disable-next-line no-eval
-          const obj = eval(`(${jsonStr})`);
-          return { corrected: JSON.stringify(obj), error: "Used aggressive correction. Verify the result!" };
-        } catch (e3) {
-          return { 
-            corrected: jsonStr, 
-            error: `Could not fix JSON. Original error: ${errorMessage}` 
-          };
-        }
-      }
+      setError(`Error analyzing ${entry.fileName}: ${errorMessage}`);
+    } finally {
+      setActiveJobs(count => count - 1);
     }
-  }, []);
+  }, [llm, storeEntry]);
   
-  // Inspect and extract fields from JSON
-  const extractFieldsFromJson = useCallback((json, prefix = '', depth = 0, maxDepth = 3) => {
-    if (depth > maxDepth) return [prefix.endsWith('.') ? prefix.slice(0, -1) : prefix];
-    if (json === null || json === undefined) return [];
+  // Add JSON to queue
+  const addToQueue = useCallback((content, fileName, { format = 'json', file, source } = {}) => {
+    if (!file && !content.trim()) return;
+    
+    const queueItem = {
+      id: `queue-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+      content,
+      file,
+      format,
+      source,
+      fileName,
+      status: 'queued'
+    };
+    
+    setProcessingQueue(prev => [...prev, {
+      ...queueItem,
+      position: prev.length > 0 ? prev[prev.length - 1].position + 1 : 0
+    }]);
+    
+    // Start processing the queue if not already doing so
+    if (!isProcessingQueueRef.current) {
+      setIsProcessingQueue(true);
+    }
     
-    const fields = [];
+    return queueItem.id;
+  }, []);
+  
+  // Handle immediate JSON processing
+  const handleProcessJson = useCallback(() => {
+    if (!jsonInputText.trim() || isProcessing) return;
+    processJsonText(jsonInputText);
+  }, [jsonInputText, isProcessing, processJsonText]);
+  
+  // Handle file upload
+  const handleFileUpload = useCallback((event) => {
+    const files = event.target.files;
+    if (!files || files.length === 0) return;
     
-    if (Array.isArray(json)) {
-      if (processingOptions.preserveArrays || json.length === 0) {
-        return [prefix.endsWith('.') ? prefix.slice(0, -1) : prefix];
+    Array.from(files).forEach(file => {
+      // JSON Lines files are streamed line by line in the pipeline worker
+      if (isJsonlFileName(file.name)) {
+        addToQueue('', file.name, { format: 'jsonl', file });
+        return;
       }
       
-      // Sample the first few elements if it's a large array
-      const sampleSize = Math.min(json.length, 3);
-      const samples = json.slice(0, sampleSize);
+      // CSV/TSV files are decoded and parsed in the pipeline worker
+      if (isCsvFileName(file.name)) {
+        addToQueue('', file.name, { format: 'csv', file });
+        return;
+      }
       
-      // Extract fields from each sample and merge
-      const arrayFields = new Set();
-      samples.forEach(item => {
-        if (typeof item === 'object' && item !== null) {
-          extractFieldsFromJson(item, prefix, depth + 1, maxDepth).forEach(field => {
-            arrayFields.add(field);
+      // Spreadsheets open the import dialog to choose sheets and ranges
+      if (isSpreadsheetFileName(file.name)) {
+        file.arrayBuffer()
+          .then(buffer => {
+            const workbook = readWorkbook(new Uint8Array(buffer));
+            setPendingSpreadsheets(prev => [...prev, {
+              id: `sheet-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+              fileName: file.name,
+              workbook,
+              sheets: describeWorkbook(workbook)
+            }]);
+          })
+          .catch(e => {
+            console.error(`Error reading spreadsheet ${file.name}:`, e);
+            setError(`Error reading spreadsheet ${file.name}: ${e instanceof Error ? e.message : String(e)}`);
           });
-        } else {
-          arrayFields.add(prefix.endsWith('.') ? prefix.slice(0, -1) : prefix);
-        }
-      });
-      
-      return Array.from(arrayFields);
-    } else if (typeof json === 'object') {
-      Object.keys(json).forEach(key => {
-        const fullPath = prefix + key;
-        
-        if (typeof json[key] === 'object' && json[key] !== null) {
-          fields.push(...extractFieldsFromJson(json[key], fullPath + '.', depth + 1, maxDepth));
-        } else {
-          fields.push(fullPath);
-        }
-      });
-    } else {
-      fields.push(prefix.endsWith('.') ? prefix.slice(0, -1) : prefix);
-    }
-    
-    return fields;
-  }, [processingOptions.preserveArrays]);
-  
-  // Function to format JSON with consistent structure
-  const formatJsonStructure = useCallback((jsonObj) => {
-    if (typeof jsonObj !== 'object' || jsonObj === null) return jsonObj;
-    
-    // Handle arrays
-    if (Array.isArray(jsonObj)) {
-      return jsonObj.map(item => formatJsonStructure(item));
-    }
-    
-    // Order keys alphabetically and process values
-    const orderedObj = {};
-    Object.keys(jsonObj).sort().forEach(key => {
-      let value = jsonObj[key];
-      
-      // Trim long string values if option is enabled
-      if (processingOptions.trimLongValues && 
-          typeof value === 'string' && 
-          value.length > processingOptions.maxValueLength) {
-        value = value.substring(0, processingOptions.maxValueLength) + '...';
-      }
-      
-      // Recursively format nested objects
-      if (typeof value === 'object' && value !== null) {
-        orderedObj[key] = formatJsonStructure(value);
-      } else {
-        orderedObj[key] = value;
-      }
-    });
-    
-    return orderedObj;
-  }, [processingOptions.trimLongValues, processingOptions.maxValueLength]);
-  
-  // Function to flatten nested objects for easier merging
-  const flattenObject = useCallback((obj, prefix = '', result = {}, depth = 0) => {
-    if (depth > processingOptions.maxDepth) {
-      result[prefix.slice(0, -1)] = JSON.stringify(obj);
-      return result;
-    }
-    
-    if (typeof obj !== 'object' || obj === null) {
-      result[prefix.slice(0, -1)] = obj;
-      return result;
-    }
-    
-    if (Array.isArray(obj)) {
-      if (processingOptions.preserveArrays) {
-        result[prefix.slice(0, -1)] = obj;
-        return result;
-      }
-      
-      if (obj.length === 0) {
-        result[prefix.slice(0, -1)] = [];
-        return result;
-      }
-      
-      // Only flatten array if it contains objects
-      if (typeof obj[0] === 'object' && obj[0] !== null) {
-        obj.forEach((item, index) => {
-          flattenObject(item, `${prefix}${index}.`, result, depth + 1);
-        });
-      } else {
-        result[prefix.slice(0, -1)] = obj;
-      }
-      
-      return result;
-    }
-    
-    // Process regular objects
-    Object.keys(obj).forEach(key => {
-      const newKey = prefix + key;
-      
-      if (typeof obj[key] === 'object' && obj[key] !== null && processingOptions.flattenNested) {
-        flattenObject(obj[key], newKey + '.', result, depth + 1);
-      } else {
-        result[newKey] = obj[key];
-      }
-    });
-    
-    return result;
-  }, [processingOptions.maxDepth, processingOptions.preserveArrays, processingOptions.flattenNested]);
-  
-  // Process a single JSON text input
-  const processJsonText = useCallback(async (text, fileName = "unnamed.json", queueItemId) => {
-    if (!text.trim()) {
-      setError("Please enter JSON text to process");
-      return;
-    }
-    
-    setIsProcessing(true);
-    setError(null);
-    
-    // Update queue item status if it exists
-    if (queueItemId) {
-      setProcessingQueue(prevQueue => {
-        return prevQueue.map(item => 
-          item.id === queueItemId 
-            ? { ...item, status: 'processing' } 
-            : item
-        );
-      });
-    }
-    
-    try {
-      // First, try to correct any syntax errors
-      const { corrected, error: correctionError } = correctJsonSyntax(text);
-      
-      // Parse the corrected JSON
-      let parsedJson;
-      try {
-        parsedJson = JSON.parse(corrected);
-      } catch (parseError) {
-        throw new Error(`Failed to parse JSON: ${parseError instanceof Error ? parseError.message : String(parseError)}`);
-      }
-      
-      // Format the JSON structure
-      const formattedJson = processingOptions.autoFormat 
-        ? formatJsonStructure(parsedJson) 
-        : parsedJson;
-      
-      // Extract fields from the JSON
-      const fields = extractFieldsFromJson(formattedJson);
-      
-      // Create entry
-      const entry = {
-        id: queueItemId || `json-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
-        fileName,
-        originalJson: text,
-        correctedJson: corrected,
-        formattedJson: JSON.stringify(formattedJson, null, 2),
-        error: correctionError,
-        fields,
-        status: correctionError ? 'warning' : 'processed',
-        timestamp: new Date().toISOString()
-      };
-      
-      // Add to processed entries
-      setProcessedEntries(prev => [entry, ...prev]);
-      
-      // Update the queue if this was a queued item
-      if (queueItemId) {
-        setProcessingQueue(prevQueue => {
-          return prevQueue.map(item => 
-            item.id === queueItemId 
-              ? { ...item, status: 'completed' } 
-              : item
-          );
-        });
-      }
-      
-      // Continue processing the queue if there are more items
-      if (queueItemId && isProcessingQueueRef.current) {
-        setIsProcessingQueue(true);
-      }
-      
-      // Clear input if this was a direct entry (not queued)
-      if (!queueItemId) {
-        setJsonInputText("");
-      }
-      
-      setActiveTab('processed');
-      
-      return entry;
-    } catch (e) {
-      const errorMessage = e instanceof Error ? e.message : String(e);
-      setError(`Error processing JSON: ${errorMessage}`);
-      
-      // Update the queue item if it exists
-      if (queueItemId) {
-        setProcessingQueue(prevQueue => {
-          return prevQueue.map(item => 
-            item.id === queueItemId 
-              ? { ...item, status: 'error', errorMessage } 
-              : item
-          );
-        });
-        
-        // Continue processing the queue even if there was an error
-        if (isProcessingQueueRef.current) {
-          setIsProcessingQueue(true);
-        }
+        return;
       }
       
-      // Create error entry
-      const errorEntry = {
-        id: queueItemId || `json-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
-        fileName,
-        originalJson: text,
-        correctedJson: text,
-        formattedJson: text,
-        error: errorMessage,
-        fields: [],
-        status: 'error',
-        timestamp: new Date().toISOString()
-      };
-      
-      setProcessedEntries(prev => [errorEntry, ...prev]);
-      return null;
-    } finally {
-      setIsProcessing(false);
-    }
-  }, [
-    correctJsonSyntax, 
-    extractFieldsFromJson, 
-    formatJsonStructure, 
-    processingOptions.autoFormat
-  ]);
-  
-  // Add JSON to queue
-  const addToQueue = useCallback((content, fileName) => {
-    if (!content.trim()) return;
-    
-    const queueItem = {
-      id: `queue-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
-      content,
-      fileName,
-      status: 'queued'
-    };
-    
-    setProcessingQueue(prev => [...prev, queueItem]);
-    
-    // Start processing the queue if not already doing so
-    if (!isProcessingQueueRef.current && !isProcessing) {
-      setIsProcessingQueue(true);
-    }
-    
-    return queueItem.id;
-  }, [isProcessing]);
-  
-  // Handle immediate JSON processing
-  const handleProcessJson = useCallback(() => {
-    if (!jsonInputText.trim() || isProcessing) return;
-    processJsonText(jsonInputText);
-  }, [jsonInputText, isProcessing, processJsonText]);
-  
-  // Handle file upload
-  const handleFileUpload = useCallback((event) => {
-    const files = event.target.files;
-    if (!files || files.length === 0) return;
-    
-    Array.from(files).forEach(file => {
       const reader = new FileReader();
       
       reader.onload = (e) => {
@@ -657,21 +1010,97 @@ const App = () => {
     event.target.value = '';
   }, [addToQueue]);
   
+  // Queue the chosen sheets of the first pending spreadsheet, optionally
+  // restructured by the AI first
+  const importSpreadsheet = useCallback(async (selections, { aiRestructure }) => {
+    const [spreadsheet] = pendingSpreadsheets;
+    if (!spreadsheet) return;
+    setPendingSpreadsheets(prev => prev.slice(1));
+    
+    for (const { sheetName, range, headerRow, mergedCells } of selections) {
+      const fileName = `${spreadsheet.fileName}#${sheetName}`;
+      try {
+        const { records, columns, range: importedRange } = sheetToRecords(
+          spreadsheet.workbook.Sheets[sheetName],
+          { range, headerRow, mergedCells }
+        );
+        if (records.length === 0) {
+          setError(`No data rows found in ${fileName} (${importedRange})`);
+          continue;
+        }
+        
+        let content = JSON.stringify(records, null, 2);
+        
+        if (aiRestructure) {
+          if (content.length > DEFAULT_WINDOW_CHARS) {
+            setError(`${fileName} is too large to restructure with AI in one prompt; it was imported as is`);
+          } else {
+            try {
+              content = await llm.complete('restructureSheet', `Analyze this data extracted from spreadsheet sheet "${sheetName}" and determine:
+                  1. What type of construction document is this (BOQ, payment certificate, schedule, etc.)?
+                  2. Is the structure consistent and complete?
+                  3. Are there any issues that need to be fixed in the data structure?
+                  
+                  Please restructure the data if needed to create a well-formed JSON that represents the content effectively.
+                  Return ONLY the restructured JSON data without explanations or markdown.
+                  
+${content}`);
+            } catch (aiError) {
+              setError(`AI restructuring of ${fileName} failed, imported as is: ${aiError instanceof Error ? aiError.message : String(aiError)}`);
+            }
+          }
+        }
+        
+        addToQueue(content, fileName, {
+          source: { type: 'spreadsheet', sheet: sheetName, range: importedRange, headerRow, columns }
+        });
+      } catch (e) {
+        setError(`Error importing ${fileName}: ${e instanceof Error ? e.message : String(e)}`);
+      }
+    }
+  }, [pendingSpreadsheets, addToQueue, llm]);
+  
+  // Commit the new state of a dataset as its next version, with the changes
+  // against `previous` (its current state) in the changelog. Resolves to the
+  // dataset with row ids and its version number.
+  const commitDatasetVersion = useCallback(async (dataset, { kind, message, previous = null }) => {
+    const committed = { ...dataset, records: assignRowIds(dataset.records) };
+    const changes = previous
+      ? (await pipelinePoolRef.current.run('diffVersions', { from: previous, to: committed })).counts
+      : null;
+    committed.version = (previous?.version || 0) + 1;
+    await saveDatasetVersion(createVersion(committed, { version: committed.version, kind, message, changes }));
+    return committed;
+  }, []);
+  
+  const replaceDataset = useCallback((dataset) => {
+    setMergedDatasets(prev => prev.map(ds => (ds.id === dataset.id ? dataset : ds)));
+    setActiveDataset(current => (current?.id === dataset.id ? dataset : current));
+  }, []);
+  
+  // Save the RAG profile of a dataset; it only shapes exports, so it is not a
+  // new version
+  const updateRagProfile = useCallback((dataset, ragProfile) => {
+    replaceDataset({ ...dataset, ragProfile });
+  }, [replaceDataset]);
+  
   // Merge selected JSON entries into a dataset
-  const mergeSelectedEntries = useCallback(() => {
+  const mergeSelectedEntries = useCallback(async () => {
     if (selectedEntries.size === 0) {
       setError("Please select entries to merge");
       return;
     }
     
+    setActiveJobs(count => count + 1);
+    
     try {
       // Get selected entries
       const entriesToMerge = processedEntries.filter(entry => 
-        selectedEntries.has(entry.id) && entry.status !== 'error'
+        selectedEntries.has(entry.id) && entry.status !== 'error' && entry.status !== 'invalid'
       );
       
       if (entriesToMerge.length === 0) {
-        setError("No valid entries selected for merging");
+        setError("No valid entries selected for merging (entries with errors or schema violations are skipped)");
         return;
       }
       
@@ -681,94 +1110,73 @@ const App = () => {
         entry.fields.forEach(field => allFields.add(field));
       });
       
-      // Convert each entry to a flattened record
-      const records = [];
+      // Records are upserted into the target dataset when one is chosen
+      const target = mergedDatasets.find(dataset => dataset.id === mergeOptions.targetDatasetId);
       
-      entriesToMerge.forEach(entry => {
-        try {
-          const parsedJson = JSON.parse(entry.formattedJson);
-          
-          // Handle different types of JSON structures
-          if (Array.isArray(parsedJson)) {
-            // If it's an array, each element becomes a record
-            parsedJson.forEach(item => {
-              const record = processingOptions.flattenNested
-                ? flattenObject(item)
-                : item;
-                
-              // Add source metadata
-              record._source = entry.fileName;
-              record._timestamp = entry.timestamp;
-              records.push(record);
-            });
-          } else {
-            // If it's an object, it becomes a single record
-            const record = processingOptions.flattenNested
-              ? flattenObject(parsedJson)
-              : parsedJson;
-              
-            // Add source metadata
-            record._source = entry.fileName;
-            record._timestamp = entry.timestamp;
-            records.push(record);
-          }
-        } catch (e) {
-          console.error(`Error processing entry ${entry.id}:`, e);
-        }
+      // Convert each entry to flattened records in a worker. Entries whose
+      // text could not be stored still carry it in memory.
+      const payloads = await loadEntryPayloads(entriesToMerge.map(entry => entry.id));
+      const { records, failures, fieldProfiles, mapping, dedupe } = await pipelinePoolRef.current.run('flattenEntries', {
+        entries: entriesToMerge.map((entry, i) => ({
+          id: entry.id,
+          fileName: entry.fileName,
+          timestamp: entry.timestamp,
+          formattedJson: payloads[i]?.formattedJson ?? entry.formattedJson,
+          transforms: entryTransforms(entry)
+        })),
+        options: {
+          flattenNested: processingOptions.flattenNested,
+          maxDepth: processingOptions.maxDepth,
+          preserveArrays: processingOptions.preserveArrays,
+          detectSchemas: processingOptions.detectSchemas,
+          trackProvenance: processingOptions.trackProvenance,
+          dedupe: mergeOptions.dedupe
+            ? { keyFields: parseKeyFields(mergeOptions.keyFields), strategy: mergeOptions.strategy }
+            : undefined
+        },
+        mappingProfiles: mappingProfiles.filter(profile => profile.autoApply),
+        baseRecords: target?.records
+      });
+      failures.forEach(failure => {
+        console.error(`Error processing entry ${failure.entryId}:`, failure.error);
       });
       
-      // Infer schema from data
-      const schema = {};
-      if (processingOptions.detectSchemas && records.length > 0) {
-        // Get all unique keys
-        const allKeys = new Set();
-        records.forEach(record => {
-          Object.keys(record).forEach(key => allKeys.add(key));
-        });
-        
-        // Determine type for each key
-        allKeys.forEach(key => {
-          const types = new Set();
-          
-          records.forEach(record => {
-            if (key in record) {
-              const value = record[key];
-              if (value === null) {
-                types.add('null');
-              } else if (Array.isArray(value)) {
-                types.add('array');
-              } else {
-                types.add(typeof value);
-              }
-            }
-          });
-          
-          // Assign the most specific type
-          if (types.size === 0) {
-            schema[key] = 'unknown';
-          } else if (types.size === 1) {
-            schema[key] = Array.from(types)[0];
-          } else if (types.has('string')) {
-            schema[key] = 'string';
-          } else if (types.has('number')) {
-            schema[key] = 'number';
-          } else {
-            schema[key] = 'mixed';
-          }
-        });
-      }
+      // Field types come from the profiles inferred in the worker
+      const schema = fieldProfiles ? _.mapValues(fieldProfiles, profile => profile.type) : {};
       
-      // Create the dataset
-      const dataset = {
-        id: `dataset-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
-        name: `Dataset from ${entriesToMerge.length} files`,
-        records,
-        fields: Array.from(allFields),
-        schema,
-        timestamp: new Date().toISOString()
-      };
+      const fields = mapFieldNames(Array.from(allFields), mapping);
       
-      setMergedDatasets(prev => [dataset, ...prev]);
+      // Create the dataset, or update the one merged into
+      const merged = target
+        ? {
+          ...target,
+          records,
+          fields: _.union(target.fields, fields),
+          schema,
+          fieldProfiles,
+          dedupe
+        }
+        : {
+          id: `dataset-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+          name: `Dataset from ${entriesToMerge.length} files`,
+          records,
+          fields,
+          schema,
+          fieldProfiles,
+          dedupe,
+          timestamp: new Date().toISOString()
+        };
+      const dataset = await commitDatasetVersion(merged, {
+        kind: 'merge',
+        message: target
+          ? `Merged ${entriesToMerge.length} files into the dataset`
+          : `Created from ${entriesToMerge.length} files`,
+        previous: target
+      });
+      
+      setMergedDatasets(prev => (target
+        ? prev.map(ds => (ds.id === target.id ? dataset : ds))
+        : [dataset, ...prev]));
       setActiveDataset(dataset);
       setActiveTab('datasets');
       setSelectedEntries(new Set());
@@ -778,75 +1186,422 @@ const App = () => {
       const errorMessage = e instanceof Error ? e.message : String(e);
       setError(`Error merging entries: ${errorMessage}`);
       return null;
+    } finally {
+      setActiveJobs(count => count - 1);
     }
   }, [
     selectedEntries, 
     processedEntries, 
     processingOptions.flattenNested, 
+    processingOptions.maxDepth,
+    processingOptions.preserveArrays,
     processingOptions.detectSchemas,
-    flattenObject
+    processingOptions.trackProvenance,
+    mappingProfiles,
+    mergeOptions,
+    mergedDatasets,
+    commitDatasetVersion
   ]);
   
-  // Remove selected entries
-  const removeSelectedEntries = useCallback(() => {
-    if (selectedEntries.size === 0) return;
+  // Deep-merge the selected entries into one document instead of appending
+  // their records
+  const structuralMergeSelectedEntries = useCallback(async () => {
+    const entriesToMerge = processedEntries.filter(entry => 
+      selectedEntries.has(entry.id) && entry.status !== 'error' && entry.status !== 'invalid'
+    );
+    if (entriesToMerge.length === 0) {
+      setError("No valid entries selected for merging (entries with errors or schema violations are skipped)");
+      return null;
+    }
     
-    if (window.confirm(`Are you sure you want to delete ${selectedEntries.size} entries?`)) {
-      setProcessedEntries(prev => 
-        prev.filter(entry => !selectedEntries.has(entry.id))
-      );
+    setActiveJobs(count => count + 1);
+    try {
+      const rules = parseMergeRules(mergeOptions.rules);
+      const payloads = await loadEntryPayloads(entriesToMerge.map(entry => entry.id));
+      const { conflicts, records, fieldProfiles } = await pipelinePoolRef.current.run('structuralMerge', {
+        entries: entriesToMerge.map((entry, i) => ({
+          id: entry.id,
+          fileName: entry.fileName,
+          formattedJson: payloads[i]?.formattedJson ?? entry.formattedJson,
+          transforms: entryTransforms(entry)
+        })),
+        options: {
+          flattenNested: processingOptions.flattenNested,
+          maxDepth: processingOptions.maxDepth,
+          preserveArrays: processingOptions.preserveArrays,
+          detectSchemas: processingOptions.detectSchemas,
+          trackProvenance: processingOptions.trackProvenance
+        },
+        mergeOptions: {
+          arrays: mergeOptions.arrays,
+          arrayKey: mergeOptions.arrayKey.trim(),
+          scalars: mergeOptions.scalars,
+          rules
+        }
+      });
+      
+      const merged = {
+        id: `dataset-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+        name: `Structural merge of ${entriesToMerge.length} files`,
+        records,
+        fields: _.without(_.union(...records.map(record => Object.keys(record))), PROVENANCE_FIELD),
+        schema: fieldProfiles ? _.mapValues(fieldProfiles, profile => profile.type) : {},
+        fieldProfiles,
+        mergeConflicts: conflicts,
+        timestamp: new Date().toISOString()
+      };
+      const dataset = await commitDatasetVersion(merged, {
+        kind: 'merge',
+        message: `Structural merge of ${entriesToMerge.length} files`
+      });
+      
+      setMergedDatasets(prev => [dataset, ...prev]);
+      setActiveDataset(dataset);
+      setActiveTab('datasets');
       setSelectedEntries(new Set());
+      return dataset;
+    } catch (e) {
+      const errorMessage = e instanceof Error ? e.message : String(e);
+      setError(`Error merging entries: ${errorMessage}`);
+      return null;
+    } finally {
+      setActiveJobs(count => count - 1);
     }
-  }, [selectedEntries]);
+  }, [
+    selectedEntries,
+    processedEntries,
+    mergeOptions,
+    processingOptions.flattenNested,
+    processingOptions.maxDepth,
+    processingOptions.preserveArrays,
+    processingOptions.detectSchemas,
+    processingOptions.trackProvenance,
+    commitDatasetVersion
+  ]);
   
-  // Clear processing queue
-  const clearProcessingQueue = useCallback(() => {
-    if (processingQueue.some(item => item.status === 'processing')) {
-      if (!window.confirm("Processing is in progress. Stop and clear the queue?")) {
-        return;
-      }
+  // Merge the selected entries into one document with the AI provider. When
+  // the model fails, they are merged structurally with the merge options.
+  const aiMergeSelectedEntries = useCallback(async () => {
+    const entriesToMerge = processedEntries.filter(entry => 
+      selectedEntries.has(entry.id) && entry.status !== 'error' && entry.status !== 'invalid'
+    );
+    if (entriesToMerge.length === 0) {
+      setError("No valid entries selected for merging (entries with errors or schema violations are skipped)");
+      return null;
     }
-    setProcessingQueue([]);
-    setIsProcessingQueue(false);
-  }, [processingQueue]);
-  
-  // Export dataset to various formats
-  const exportDataset = useCallback((dataset, format) => {
-    if (!dataset) return;
     
+    setActiveJobs(count => count + 1);
     try {
-      let content;
-      let filename;
-      let mimeType;
+      const rules = parseMergeRules(mergeOptions.rules);
+      const payloads = await loadEntryPayloads(entriesToMerge.map(entry => entry.id));
+      const entries = entriesToMerge.map((entry, i) => ({
+        id: entry.id,
+        fileName: entry.fileName,
+        formattedJson: payloads[i]?.formattedJson ?? entry.formattedJson,
+        transforms: entryTransforms(entry)
+      }));
+      const origins = processingOptions.trackProvenance ? new Map() : null;
+      const { value, conflicts, error } = await mergeJsonWithAI(entries, llm, {
+        arrays: mergeOptions.arrays,
+        arrayKey: mergeOptions.arrayKey.trim(),
+        scalars: mergeOptions.scalars,
+        rules
+      }, { origins });
+      const source = error ? 'Structural merge' : 'AI-merged dataset';
+      const { records, fieldProfiles } = await pipelinePoolRef.current.run('documentRecords', {
+        document: value,
+        entries,
+        options: {
+          flattenNested: processingOptions.flattenNested,
+          maxDepth: processingOptions.maxDepth,
+          preserveArrays: processingOptions.preserveArrays,
+          detectSchemas: processingOptions.detectSchemas,
+          trackProvenance: processingOptions.trackProvenance
+        },
+        source,
+        origins: error ? origins : null,
+        aiMerged: !error
+      });
       
-      switch (format) {
+      const name = error
+        ? `Structural merge of ${entriesToMerge.length} files (AI merge failed)`
+        : `AI merge of ${entriesToMerge.length} files`;
+      const merged = {
+        id: `dataset-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+        name,
+        records,
+        fields: _.without(_.union(...records.map(record => Object.keys(record))), PROVENANCE_FIELD),
+        schema: fieldProfiles ? _.mapValues(fieldProfiles, profile => profile.type) : {},
+        fieldProfiles,
+        mergeConflicts: error ? conflicts : undefined,
+        timestamp: new Date().toISOString()
+      };
+      const dataset = await commitDatasetVersion(merged, {
+        kind: 'merge',
+        message: error ? `${name}: ${error}` : name
+      });
+      
+      setMergedDatasets(prev => [dataset, ...prev]);
+      setActiveDataset(dataset);
+      setActiveTab('datasets');
+      setSelectedEntries(new Set());
+      if (error) {
+        setError(`AI merge failed, the entries were merged structurally instead: ${error}`);
+      }
+      return dataset;
+    } catch (e) {
+      const errorMessage = e instanceof Error ? e.message : String(e);
+      setError(`Error merging entries: ${errorMessage}`);
+      return null;
+    } finally {
+      setActiveJobs(count => count - 1);
+    }
+  }, [
+    selectedEntries,
+    processedEntries,
+    mergeOptions,
+    llm,
+    processingOptions.flattenNested,
+    processingOptions.maxDepth,
+    processingOptions.preserveArrays,
+    processingOptions.detectSchemas,
+    processingOptions.trackProvenance,
+    commitDatasetVersion
+  ]);
+  
+  // Keep one candidate of a conflict queued for manual review
+  const resolveDatasetConflict = useCallback(async (dataset, key, choice) => {
+    try {
+      const { records, report } = resolveConflict(dataset.records, dataset.dedupe, key, choice);
+      const updated = await commitDatasetVersion({ ...dataset, records, dedupe: report }, {
+        kind: 'dedupe',
+        message: `Kept record ${choice + 1} of ${report.conflicts.find(c => c.key === key).candidates.length} for key ${key}`,
+        previous: dataset
+      });
+      replaceDataset(updated);
+    } catch (e) {
+      const errorMessage = e instanceof Error ? e.message : String(e);
+      setError(`Error resolving duplicate: ${errorMessage}`);
+    }
+  }, [commitDatasetVersion, replaceDataset]);
+  
+  // Rewrite a dataset's records with a column mapping; resolves to whether
+  // the dataset was updated
+  const applyDatasetMapping = useCallback(async (dataset, mapping) => {
+    setActiveJobs(count => count + 1);
+    try {
+      const { records, fieldProfiles } = await pipelinePoolRef.current.run('mapDatasetRecords', {
+        records: dataset.records,
+        mapping
+      });
+      const updated = await commitDatasetVersion({
+        ...dataset,
+        records,
+        fields: mapFieldNames(dataset.fields, mapping),
+        schema: _.mapValues(fieldProfiles, profile => profile.type),
+        fieldProfiles
+      }, {
+        kind: 'mapping',
+        message: describeMapping(mapping),
+        previous: dataset
+      });
+      replaceDataset(updated);
+      return true;
+    } catch (e) {
+      const errorMessage = e instanceof Error ? e.message : String(e);
+      setError(`Error applying field mapping: ${errorMessage}`);
+      return false;
+    } finally {
+      setActiveJobs(count => count - 1);
+    }
+  }, [commitDatasetVersion, replaceDataset]);
+  
+  // Save records edited in the record grid as a new version
+  const saveDatasetEdits = useCallback(async (dataset, records, message) => {
+    setActiveJobs(count => count + 1);
+    try {
+      const { fieldProfiles } = await pipelinePoolRef.current.run('profileDataset', { records });
+      const updated = await commitDatasetVersion({
+        ...dataset,
+        records,
+        schema: _.mapValues(fieldProfiles, profile => profile.type),
+        fieldProfiles
+      }, {
+        kind: 'edit',
+        message,
+        previous: dataset
+      });
+      replaceDataset(updated);
+      return true;
+    } catch (e) {
+      const errorMessage = e instanceof Error ? e.message : String(e);
+      setError(`Error saving record edits: ${errorMessage}`);
+      return false;
+    } finally {
+      setActiveJobs(count => count - 1);
+    }
+  }, [commitDatasetVersion, replaceDataset]);
+  
+  // Preview a query over a dataset (see lib/datasetQuery)
+  const runDatasetQuery = useCallback((dataset, query) => (
+    pipelinePoolRef.current.run('queryDataset', { records: dataset.records, query, limit: QUERY_PREVIEW_ROWS })
+  ), []);
+  
+  // Save the results of a query as a new dataset linked to the version of
+  // the dataset it was run on
+  const saveQueryResult = useCallback(async (dataset, query, name) => {
+    setActiveJobs(count => count + 1);
+    try {
+      const { records, fieldProfiles } = await pipelinePoolRef.current.run('queryDataset', {
+        records: dataset.records,
+        query,
+        profile: true
+      });
+      const derived = await commitDatasetVersion({
+        id: `dataset-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+        name,
+        records,
+        fields: Object.keys(fieldProfiles),
+        schema: _.mapValues(fieldProfiles, profile => profile.type),
+        fieldProfiles,
+        parent: { datasetId: dataset.id, version: dataset.version, query },
+        timestamp: new Date().toISOString()
+      }, {
+        kind: 'derive',
+        message: `Query on ${dataset.name} v${dataset.version}: ${query}`
+      });
+      setMergedDatasets(prev => [derived, ...prev]);
+      setActiveDataset(derived);
+      return true;
+    } catch (e) {
+      const errorMessage = e instanceof Error ? e.message : String(e);
+      setError(`Error saving query results: ${errorMessage}`);
+      return false;
+    } finally {
+      setActiveJobs(count => count - 1);
+    }
+  }, [commitDatasetVersion]);
+  
+  // First chunks of a dataset for the chunking preview
+  const previewChunks = useCallback((dataset, options) => pipelinePoolRef.current.run('chunkDataset', {
+    records: dataset.records,
+    options,
+    dataset: { id: dataset.id, name: dataset.name, version: dataset.version },
+    profile: datasetRagProfile(dataset),
+    limit: CHUNK_PREVIEW_COUNT
+  }), []);
+  
+  // Differences between two versions of a dataset
+  const diffDatasetVersions = useCallback((from, to) => (
+    pipelinePoolRef.current.run('diffVersions', { from, to })
+  ), []);
+  
+  // Restore a dataset to an earlier version; the rollback is itself a new
+  // version, so it can be undone the same way
+  const rollbackDataset = useCallback(async (dataset, version) => {
+    setActiveJobs(count => count + 1);
+    try {
+      const updated = await commitDatasetVersion({
+        ...dataset,
+        records: version.records,
+        fields: version.fields,
+        schema: version.schema,
+        fieldProfiles: version.fieldProfiles
+      }, {
+        kind: 'rollback',
+        message: `Rolled back to version ${version.version}`,
+        previous: dataset
+      });
+      replaceDataset(updated);
+    } catch (e) {
+      const errorMessage = e instanceof Error ? e.message : String(e);
+      setError(`Error rolling back dataset: ${errorMessage}`);
+    } finally {
+      setActiveJobs(count => count - 1);
+    }
+  }, [commitDatasetVersion, replaceDataset]);
+  
+  // Remove selected entries
+  const removeSelectedEntries = useCallback(() => {
+    if (selectedEntries.size === 0) return;
+    
+    if (window.confirm(`Are you sure you want to delete ${selectedEntries.size} entries?`)) {
+      setProcessedEntries(prev => 
+        prev.filter(entry => !selectedEntries.has(entry.id))
+      );
+      setSelectedEntries(new Set());
+    }
+  }, [selectedEntries]);
+  
+  // Clear processing queue
+  const clearProcessingQueue = useCallback(() => {
+    if (processingQueue.some(item => item.status === 'processing')) {
+      if (!window.confirm("Processing is in progress. Stop and clear the queue?")) {
+        return;
+      }
+    }
+    queueControllersRef.current.forEach(controller => controller.abort());
+    queueControllersRef.current.clear();
+    startedQueueItemsRef.current.clear();
+    setProcessingQueue([]);
+    setQueueProgress({});
+    setIsProcessingQueue(false);
+    setIsQueuePaused(false);
+  }, [processingQueue]);
+  
+  // Export dataset to various formats
+  // `includeProvenance` keeps the records' provenance maps in JSON and JSONL
+  // exports; other formats never include them
+  const exportDataset = useCallback(async (dataset, format, { includeProvenance = false } = {}) => {
+    if (!dataset) return;
+    
+    try {
+      const records = includeProvenance && (format === 'json' || format === 'jsonl')
+        ? dataset.records
+        : dataset.records.map(stripProvenance);
+      let content;
+      let filename;
+      let mimeType;
+      
+      switch (format) {
         case 'json':
-          content = JSON.stringify(dataset.records, null, 2);
+          content = JSON.stringify(records, null, 2);
           filename = `${dataset.name.replace(/\s+/g, '-')}.json`;
           mimeType = 'application/json';
           break;
           
         case 'jsonl':
-          content = dataset.records.map(record => JSON.stringify(record)).join('\n');
+          content = records.map(record => JSON.stringify(record)).join('\n');
           filename = `${dataset.name.replace(/\s+/g, '-')}.jsonl`;
           mimeType = 'application/x-jsonlines';
           break;
           
         case 'csv':
-          content = Papa.unparse(dataset.records);
+          content = Papa.unparse(records);
           filename = `${dataset.name.replace(/\s+/g, '-')}.csv`;
           mimeType = 'text/csv';
           break;
           
+        case 'schema':
+          content = JSON.stringify(toJsonSchema(
+            dataset.fieldProfiles || profileRecords(records),
+            { title: dataset.name }
+          ), null, 2);
+          filename = `${dataset.name.replace(/\s+/g, '-')}.schema.json`;
+          mimeType = 'application/schema+json';
+          break;
+          
         case 'huggingface':
           // Format compatible with Hugging Face datasets
           const hfDataset = {
-            data: dataset.records,
+            data: records,
             schema: dataset.schema,
             metadata: {
               name: dataset.name,
               timestamp: dataset.timestamp,
-              record_count: dataset.records.length,
+              dataset_id: dataset.id,
+              version: dataset.version,
+              record_count: records.length,
               fields: dataset.fields
             }
           };
@@ -856,35 +1611,28 @@ const App = () => {
           break;
           
         case 'rag':
-          // Format optimized for RAG systems with text and metadata separation
-          const ragRecords = dataset.records.map(record => {
-            // Find content fields vs metadata fields (heuristic approach)
-            const contentFields = Object.keys(record).filter(key => 
-              !key.startsWith('_') && 
-              typeof record[key] === 'string' && 
-              record[key].length > 100
-            );
-            
-            const metadataFields = Object.keys(record).filter(key => 
-              !contentFields.includes(key)
-            );
-            
-            // Build a RAG-friendly structure
-            return {
-              text: contentFields.map(field => record[field]).join('\n\n'),
-              metadata: metadataFields.reduce((meta, key) => {
-                meta[key] = record[key];
-                return meta;
-              }, {})
-            };
+          // Token-budgeted chunks with their context and record metadata
+          const ragProfile = datasetRagProfile(dataset);
+          const { chunks, skipped, contextFields } = await pipelinePoolRef.current.run('chunkDataset', {
+            records,
+            options: chunkOptions,
+            dataset: { id: dataset.id, name: dataset.name, version: dataset.version },
+            profile: ragProfile
           });
           
           content = JSON.stringify({
             name: dataset.name,
             timestamp: dataset.timestamp,
-            documents: ragRecords,
+            chunking: { ...chunkOptions, contextFields },
+            rag_profile: ragProfile,
+            documents: chunks,
             metadata: {
-              record_count: dataset.records.length,
+              // Dataset version the index is built from, to rebuild it exactly
+              dataset_id: dataset.id,
+              version: dataset.version,
+              record_count: records.length,
+              chunk_count: chunks.length,
+              skipped_records: skipped,
               fields: dataset.fields,
               schema: dataset.schema
             }
@@ -898,21 +1646,161 @@ const App = () => {
           throw new Error(`Unsupported export format: ${format}`);
       }
       
-      // Create download
-      const blob = new Blob([content], { type: mimeType });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      a.click();
-      URL.revokeObjectURL(url);
-      
+      downloadFiles([{ filename, content, mimeType }]);
     } catch (e) {
       const errorMessage = e instanceof Error ? e.message : String(e);
       setError(`Error exporting dataset: ${errorMessage}`);
     }
+  }, [chunkOptions]);
+  
+  // Everything the chunks and the embeddings of a dataset depend on, to tell
+  // when they are out of date
+  const chunkSource = useCallback((dataset) => JSON.stringify([
+    dataset.id,
+    dataset.version,
+    chunkOptions,
+    datasetRagProfile(dataset)
+  ]), [chunkOptions]);
+  const embeddingSource = useCallback((dataset) => JSON.stringify([
+    chunkSource(dataset),
+    embeddingOptions,
+    embeddingModel && [embeddingModel.name, embeddingModel.dtype, embeddingModel.size]
+  ]), [chunkSource, embeddingOptions, embeddingModel]);
+  
+  const pickEmbeddingModel = useCallback((files) => {
+    try {
+      setEmbeddingModel(indexModelFiles(files));
+    } catch (e) {
+      const errorMessage = e instanceof Error ? e.message : String(e);
+      setError(`Error loading embedding model: ${errorMessage}`);
+    }
   }, []);
   
+  // Chunk a dataset as the RAG export does and embed the chunks
+  const generateEmbeddings = useCallback(async (dataset) => {
+    if (!embeddingModel) return;
+    const controller = new AbortController();
+    embeddingControllerRef.current = controller;
+    setActiveJobs(count => count + 1);
+    setEmbeddingProgress({ stage: 'chunking', percent: 0 });
+    
+    try {
+      const ragProfile = datasetRagProfile(dataset);
+      const { chunks, contextFields } = await pipelinePoolRef.current.run('chunkDataset', {
+        records: dataset.records.map(stripProvenance),
+        options: chunkOptions,
+        dataset: { id: dataset.id, name: dataset.name, version: dataset.version },
+        profile: ragProfile
+      }, { signal: controller.signal });
+      
+      const { vectors, dimensions } = await embeddingPoolRef.current.run('embedTexts', {
+        model: embeddingModel,
+        texts: chunks.map(chunk => chunk.text),
+        options: embeddingOptions
+      }, {
+        signal: controller.signal,
+        onProgress: (stage, percent) => setEmbeddingProgress({ stage, percent })
+      });
+      
+      setEmbeddingSet({
+        source: embeddingSource(dataset),
+        chunkSource: chunkSource(dataset),
+        name: dataset.name,
+        dataset: { id: dataset.id, version: dataset.version },
+        model: { name: embeddingModel.name, dtype: embeddingModel.dtype },
+        options: embeddingOptions,
+        chunking: { ...chunkOptions, contextFields },
+        ragProfile,
+        schema: dataset.schema,
+        chunks,
+        vectors,
+        dimensions
+      });
+    } catch (e) {
+      if (e.name !== 'AbortError') {
+        const errorMessage = e instanceof Error ? e.message : String(e);
+        setError(`Error generating embeddings: ${errorMessage}`);
+      }
+    } finally {
+      embeddingControllerRef.current = null;
+      setEmbeddingProgress(null);
+      setActiveJobs(count => count - 1);
+    }
+  }, [embeddingModel, embeddingOptions, chunkOptions, chunkSource, embeddingSource]);
+  
+  // All chunks of a dataset, as exported, for the retrieval playground
+  const loadRetrievalChunks = useCallback((dataset) => pipelinePoolRef.current.run('chunkDataset', {
+    records: dataset.records.map(stripProvenance),
+    options: chunkOptions,
+    dataset: { id: dataset.id, name: dataset.name, version: dataset.version },
+    profile: datasetRagProfile(dataset)
+  }), [chunkOptions]);
+  
+  // Vector of a search query, with the model and settings of the embeddings
+  const embedQuery = useCallback(async (text) => {
+    if (!embeddingModel || !embeddingSet) {
+      throw new Error("Load the embedding model to search by embeddings");
+    }
+    const { vectors } = await embeddingPoolRef.current.run('embedTexts', {
+      model: embeddingModel,
+      texts: [text],
+      options: embeddingSet.options
+    });
+    return vectors;
+  }, [embeddingModel, embeddingSet]);
+  
+  // Save the retrieval evaluation set of a dataset; like the RAG profile it
+  // is not a new version
+  const updateRetrievalEval = useCallback((dataset, retrievalEval) => {
+    replaceDataset({ ...dataset, retrievalEval });
+  }, [replaceDataset]);
+  
+  // Download the embedded chunks in one of the vector formats
+  const exportEmbeddingSet = useCallback((format) => {
+    if (!embeddingSet) return;
+    
+    try {
+      downloadFiles(exportEmbeddings(embeddingSet, format));
+    } catch (e) {
+      const errorMessage = e instanceof Error ? e.message : String(e);
+      setError(`Error exporting embeddings: ${errorMessage}`);
+    }
+  }, [embeddingSet]);
+  
+  // Download the embedded chunks in the chosen vector database's format
+  const downloadVectorStoreExport = useCallback(() => {
+    if (!embeddingSet) return;
+    
+    try {
+      downloadFiles(getVectorStore(vectorStoreSettings.store).files(embeddingSet, storeTarget(vectorStoreSettings)));
+    } catch (e) {
+      const errorMessage = e instanceof Error ? e.message : String(e);
+      setError(`Error exporting to vector database: ${errorMessage}`);
+    }
+  }, [embeddingSet, vectorStoreSettings]);
+  
+  // Upsert the embedded chunks into a running vector database; resolves to
+  // the number of chunks sent, or null on failure
+  const pushToVectorStore = useCallback(async () => {
+    if (!embeddingSet) return null;
+    const store = getVectorStore(vectorStoreSettings.store);
+    setActiveJobs(count => count + 1);
+    setVectorPushProgress({ done: 0, total: embeddingSet.chunks.length });
+    
+    try {
+      return await store.push(embeddingSet, storeTarget(vectorStoreSettings), {
+        onProgress: (done, total) => setVectorPushProgress({ done, total })
+      });
+    } catch (e) {
+      const errorMessage = e instanceof Error ? e.message : String(e);
+      setError(`Error pushing to ${store.label}: ${errorMessage}`);
+      return null;
+    } finally {
+      setVectorPushProgress(null);
+      setActiveJobs(count => count - 1);
+    }
+  }, [embeddingSet, vectorStoreSettings]);
+  
   // Delete dataset
   const deleteDataset = useCallback((datasetId) => {
     if (window.confirm("Are you sure you want to delete this dataset?")) {
@@ -925,15 +1813,23 @@ const App = () => {
   
   // Reset all data
   const resetAllData = useCallback(() => {
-    if (window.confirm("Are you sure you want to delete ALL entries and datasets? This cannot be undone.")) {
+    if (window.confirm("Are you sure you want to delete ALL entries, datasets and queued files? This cannot be undone.")) {
+      queueControllersRef.current.forEach(controller => controller.abort());
+      queueControllersRef.current.clear();
+      startedQueueItemsRef.current.clear();
+      setProcessingQueue([]);
+      setQueueProgress({});
+      setIsProcessingQueue(false);
+      setIsQueuePaused(false);
       setProcessedEntries([]);
       setMergedDatasets([]);
       setActiveDataset(null);
       setSelectedEntries(new Set());
-      localStorage.removeItem("jsonProcessorEntries");
-      localStorage.removeItem("jsonProcessorDatasets");
+      clearAllData()
+        .then(refreshStorageUsage)
+        .catch(e => setError(`Failed to clear saved data: ${e instanceof Error ? e.message : String(e)}`));
     }
-  }, []);
+  }, [refreshStorageUsage]);
   
   // Toggle entry selection
   const toggleEntrySelection = useCallback((entryId) => {
@@ -1084,6 +1980,19 @@ const App = () => {
                         <span className="ml-2 text-sm text-gray-700">Detect schemas</span>
                       </label>
                       
+                      <label className="flex items-center">
+                        <input
+                          type="checkbox"
+                          checked={processingOptions.trackProvenance}
+                          onChange={(e) => setProcessingOptions(prev => ({
+                            ...prev,
+                            trackProvenance: e.target.checked
+                          }))}
+                          className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                        />
+                        <span className="ml-2 text-sm text-gray-700">Track field provenance when merging</span>
+                      </label>
+                      
                       <label className="flex items-center">
                         <input
                           type="checkbox"
@@ -1123,6 +2032,32 @@ const App = () => {
                         <span className="ml-2 text-sm text-gray-700">Preserve arrays</span>
                       </label>
                       
+                      <label className="flex items-center">
+                        <input
+                          type="checkbox"
+                          checked={processingOptions.aiRepair}
+                          onChange={(e) => setProcessingOptions(prev => ({
+                            ...prev,
+                            aiRepair: e.target.checked
+                          }))}
+                          className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                        />
+                        <span className="ml-2 text-sm text-gray-700">AI repair for uncertain fixes</span>
+                      </label>
+                      
+                      <label className="flex items-center">
+                        <input
+                          type="checkbox"
+                          checked={processingOptions.conformToSchema}
+                          onChange={(e) => setProcessingOptions(prev => ({
+                            ...prev,
+                            conformToSchema: e.target.checked
+                          }))}
+                          className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                        />
+                        <span className="ml-2 text-sm text-gray-700">Conform to validation schema</span>
+                      </label>
+                      
                       <div>
                         <label htmlFor="max-depth" className="block text-xs font-medium text-gray-700">
                           Max nesting depth
@@ -1158,15 +2093,51 @@ const App = () => {
                           className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
                         />
                       </div>
+                      
+                      <div>
+                        <label htmlFor="schema-repair-attempts" className="block text-xs font-medium text-gray-700">
+                          AI schema repair attempts
+                        </label>
+                        <input
+                          id="schema-repair-attempts"
+                          type="number"
+                          min="0"
+                          max="5"
+                          value={processingOptions.schemaRepairAttempts}
+                          onChange={(e) => setProcessingOptions(prev => ({
+                            ...prev,
+                            schemaRepairAttempts: Math.min(5, Math.max(0, parseInt(e.target.value) || 0))
+                          }))}
+                          className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                        />
+                      </div>
+                      
+                      <div>
+                        <label htmlFor="concurrency" className="block text-xs font-medium text-gray-700">
+                          Files processed in parallel
+                        </label>
+                        <input
+                          id="concurrency"
+                          type="number"
+                          min="1"
+                          max="8"
+                          value={processingOptions.concurrency}
+                          onChange={(e) => setProcessingOptions(prev => ({
+                            ...prev,
+                            concurrency: Math.min(8, Math.max(1, parseInt(e.target.value) || 1))
+                          }))}
+                          className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                        />
+                      </div>
                     </div>
                     
                     <div className="mt-4">
                       <label className="block text-sm font-medium text-gray-700 mb-1">
-                        Upload JSON Files
+                        Upload JSON, JSONL, CSV or Spreadsheet Files
                       </label>
                       <input
                         type="file"
-                        accept=".json,.jsonl"
+                        accept=".json,.jsonl,.ndjson,.csv,.tsv,.tab,.xlsx,.xlsm,.xls,.ods"
                         multiple
                         onChange={handleFileUpload}
                         className="block w-full text-sm text-gray-500
@@ -1181,17 +2152,59 @@ const App = () => {
                 </div>
               </div>
               
+              <LlmSettingsPanel settings={llmSettings} onChange={setLlmSettings} />
+              
+              <ValidationSchemaPanel
+                validation={validationSchema}
+                datasets={mergedDatasets}
+                onChange={setValidationSchema}
+              />
+              
               {/* Processing Queue */}
               {processingQueue.length > 0 && (
                 <div className="mt-6 bg-gray-50 rounded-lg border border-gray-200 p-4">
                   <div className="flex justify-between items-center mb-2">
-                    <h2 className="text-sm font-medium text-gray-700">Processing Queue ({processingQueue.length})</h2>
-                    <button
-                      onClick={clearProcessingQueue}
-                      className="text-xs text-red-600 hover:text-red-900"
-                    >
-                      Clear Queue
-                    </button>
+                    <h2 className="text-sm font-medium text-gray-700">
+                      Processing Queue ({processingQueue.length})
+                      {isQueuePaused && <span className="ml-2 text-xs font-normal text-yellow-700">Paused</span>}
+                    </h2>
+                    <div className="flex items-center space-x-4">
+                      {isQueuePaused ? (
+                        <button
+                          onClick={() => {
+                            setIsQueuePaused(false);
+                            setIsProcessingQueue(true);
+                          }}
+                          className="text-xs text-blue-600 hover:text-blue-900"
+                        >
+                          Resume
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => setIsQueuePaused(true)}
+                          disabled={!processingQueue.some(item => item.status === 'queued')}
+                          className="text-xs text-blue-600 hover:text-blue-900 disabled:text-gray-400 disabled:cursor-not-allowed"
+                        >
+                          Pause
+                        </button>
+                      )}
+                      {processingQueue.some(item => item.status === 'error' || item.status === 'cancelled') && (
+                        <button
+                          onClick={() => retryQueueItems(processingQueue
+                            .filter(item => item.status === 'error' || item.status === 'cancelled')
+                            .map(item => item.id))}
+                          className="text-xs text-blue-600 hover:text-blue-900"
+                        >
+                          Retry Failed
+                        </button>
+                      )}
+                      <button
+                        onClick={clearProcessingQueue}
+                        className="text-xs text-red-600 hover:text-red-900"
+                      >
+                        Clear Queue
+                      </button>
+                    </div>
                   </div>
                   
                   <div className="overflow-x-auto">
@@ -1201,27 +2214,92 @@ const App = () => {
                           <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">File</th>
                           <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
                           <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Message</th>
+                          <th className="px-4 py-2"></th>
                         </tr>
                       </thead>
                       <tbody className="bg-white divide-y divide-gray-200">
                         {processingQueue.map(item => (
-                          <tr key={item.id}>
-                            <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{item.fileName}</td>
+                          <tr
+                            key={item.id}
+                            draggable
+                            onDragStart={(e) => {
+                              e.dataTransfer.effectAllowed = 'move';
+                              setDraggedQueueItem(item.id);
+                            }}
+                            onDragOver={(e) => {
+                              if (draggedQueueItem && draggedQueueItem !== item.id) e.preventDefault();
+                            }}
+                            onDrop={(e) => {
+                              e.preventDefault();
+                              moveQueueItem(draggedQueueItem, item.id);
+                              setDraggedQueueItem(null);
+                            }}
+                            onDragEnd={() => setDraggedQueueItem(null)}
+                            className={`cursor-move ${draggedQueueItem === item.id ? 'opacity-50' : ''}`}
+                          >
+                            <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
+                              <span className="mr-2 text-gray-400" aria-hidden="true">⋮⋮</span>
+                              {item.fileName}
+                            </td>
                             <td className="px-4 py-2 whitespace-nowrap">
                               <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium
                                 ${item.status === 'queued' ? 'bg-yellow-100 text-yellow-800' : 
                                   item.status === 'processing' ? 'bg-blue-100 text-blue-800' :
                                   item.status === 'completed' ? 'bg-green-100 text-green-800' :
+                                  item.status === 'cancelled' ? 'bg-gray-100 text-gray-800' :
                                   'bg-red-100 text-red-800'}`}>
                                 {item.status}
                               </span>
                             </td>
                             <td className="px-4 py-2 text-sm text-gray-500">
                               {item.errorMessage || 
-                                (item.status === 'completed' ? 'Successfully processed' : 
-                                 item.status === 'processing' ? 'Processing...' : 
+                                (item.status === 'completed' ? (
+                                  item.rowErrors?.length > 0 ? (
+                                    <details>
+                                      <summary className="cursor-pointer text-yellow-700">
+                                        Processed with {item.rowErrors.length} row error{item.rowErrors.length === 1 ? '' : 's'}
+                                      </summary>
+                                      <ul className="mt-1 text-xs space-y-1 max-h-32 overflow-auto">
+                                        {item.rowErrors.map((rowError, i) => (
+                                          <li key={i}>Row {rowError.row}: {rowError.message}</li>
+                                        ))}
+                                      </ul>
+                                    </details>
+                                  ) : item.violationCount > 0
+                                    ? <span className="text-orange-700">Processed with {item.violationCount} schema violation{item.violationCount === 1 ? '' : 's'}</span>
+                                    : 'Successfully processed'
+                                ) : 
+                                 item.status === 'processing' ? (
+                                   <div className="flex items-center space-x-2">
+                                     <span>{queueProgress[item.id] ? `${queueProgress[item.id].stage} (${queueProgress[item.id].percent}%)` : 'Processing...'}</span>
+                                     <div className="w-24 bg-gray-200 rounded-full h-1.5">
+                                       <div
+                                         className="bg-blue-600 h-1.5 rounded-full"
+                                         style={{ width: `${queueProgress[item.id]?.percent || 0}%` }}
+                                       />
+                                     </div>
+                                   </div>
+                                 ) : 
                                  'Waiting to be processed')}
                             </td>
+                            <td className="px-4 py-2 whitespace-nowrap text-right">
+                              {(item.status === 'queued' || item.status === 'processing') && (
+                                <button
+                                  onClick={() => cancelQueueItem(item.id)}
+                                  className="text-xs text-red-600 hover:text-red-900"
+                                >
+                                  Cancel
+                                </button>
+                              )}
+                              {(item.status === 'error' || item.status === 'cancelled') && (
+                                <button
+                                  onClick={() => retryQueueItems([item.id])}
+                                  className="text-xs text-blue-600 hover:text-blue-900"
+                                >
+                                  Retry
+                                </button>
+                              )}
+                            </td>
                           </tr>
                         ))}
                       </tbody>
@@ -1277,6 +2355,22 @@ const App = () => {
                   >
                     Merge Selected
                   </button>
+                  <button
+                    onClick={structuralMergeSelectedEntries}
+                    disabled={selectedEntries.size < 2}
+                    title="Deep-merge the selected documents into one"
+                    className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed"
+                  >
+                    Structural Merge
+                  </button>
+                  <button
+                    onClick={aiMergeSelectedEntries}
+                    disabled={selectedEntries.size < 2}
+                    title={`Merge the selected documents with ${llm.label}; falls back to the structural merge`}
+                    className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed"
+                  >
+                    AI Merge
+                  </button>
                   <button
                     onClick={removeSelectedEntries}
                     disabled={selectedEntries.size === 0}
@@ -1293,6 +2387,12 @@ const App = () => {
                 </div>
               ) : (
                 <>
+                  <MergeOptionsPanel
+                    options={mergeOptions}
+                    datasets={mergedDatasets}
+                    onChange={setMergeOptions}
+                  />
+                  
                   <div className="overflow-x-auto rounded-lg border border-gray-200">
                     <table className="min-w-full divide-y divide-gray-200">
                       <thead className="bg-gray-50">
@@ -1342,9 +2442,11 @@ const App = () => {
                                 <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium
                                   ${entry.status === 'processed' ? 'bg-green-100 text-green-800' : 
                                     entry.status === 'warning' ? 'bg-yellow-100 text-yellow-800' :
+                                    entry.status === 'invalid' ? 'bg-orange-100 text-orange-800' :
                                     'bg-red-100 text-red-800'}`}>
                                   {entry.status === 'processed' ? 'Processed' : 
                                    entry.status === 'warning' ? 'Fixed with warnings' :
+                                   entry.status === 'invalid' ? 'Schema violations' :
                                    'Error'}
                                 </span>
                               </td>
@@ -1370,17 +2472,91 @@ const App = () => {
                                     {/* Error/warning display */}
                                     {entry.error && (
                                       <div className={`p-3 rounded-md ${
-                                        entry.status === 'warning' ? 'bg-yellow-50 border border-yellow-200' : 
+                                        entry.status !== 'error' ? 'bg-yellow-50 border border-yellow-200' : 
                                         'bg-red-50 border border-red-200'
                                       }`}>
                                         <p className={`text-sm ${
-                                          entry.status === 'warning' ? 'text-yellow-700' : 'text-red-700'
+                                          entry.status !== 'error' ? 'text-yellow-700' : 'text-red-700'
                                         }`}>
                                           {entry.error}
                                         </p>
                                       </div>
                                     )}
                                     
+                                    {/* Where the entry breaks the attached schema */}
+                                    {entry.violations?.length > 0 && (
+                                      <div className="bg-white p-3 rounded-md border border-orange-200 overflow-auto max-h-48">
+                                        <h4 className="text-xs font-medium text-orange-700 uppercase mb-2">
+                                          Schema Violations ({entry.violations.length})
+                                        </h4>
+                                        <ul className="text-xs space-y-1">
+                                          {entry.violations.map((violation, i) => (
+                                            <li key={i} className="text-gray-700">
+                                              <span className="font-mono">{violation.path || '/'}</span>: {violation.message}
+                                            </li>
+                                          ))}
+                                        </ul>
+                                      </div>
+                                    )}
+                                    
+                                    {/* Repairs applied by the JSON repair engine */}
+                                    {entry.repairs?.length > 0 && (
+                                      <div className="bg-white p-3 rounded-md border border-gray-200 overflow-auto max-h-48">
+                                        <h4 className="text-xs font-medium text-gray-500 uppercase mb-2">
+                                          Repairs Applied ({entry.repairs.length})
+                                        </h4>
+                                        <ul className="text-xs space-y-1">
+                                          {entry.repairs.map((fix, i) => (
+                                            <li key={i} className={`font-mono ${fix.lossy ? 'text-yellow-700' : 'text-gray-700'}`}>
+                                              {fix.path !== undefined ? (fix.path || '/') : `${fix.line}:${fix.column}`} {fix.message}
+                                              {fix.detail && ` (${fix.detail})`}
+                                            </li>
+                                          ))}
+                                        </ul>
+                                      </div>
+                                    )}
+                                    
+                                    {/* JSON Lines records that were left out of the entry */}
+                                    {entry.quarantine?.length > 0 && (
+                                      <div className="bg-white p-3 rounded-md border border-yellow-200 overflow-auto max-h-48">
+                                        <h4 className="text-xs font-medium text-yellow-700 uppercase mb-2">
+                                          Quarantined Lines ({entry.quarantine.length} of {entry.lineCount})
+                                        </h4>
+                                        <ul className="text-xs space-y-2">
+                                          {entry.quarantine.map(item => (
+                                            <li key={item.line}>
+                                              <p className="text-gray-700">Line {item.line}: {item.error}</p>
+                                              <pre className="font-mono text-gray-500 truncate">{item.text}</pre>
+                                            </li>
+                                          ))}
+                                        </ul>
+                                      </div>
+                                    )}
+                                    
+                                    {/* CSV dialect and the rows that did not fit the table */}
+                                    {entry.format === 'csv' && entry.dialect && (
+                                      <div className={`bg-white p-3 rounded-md border overflow-auto max-h-48 ${entry.rowErrors?.length > 0 ? 'border-yellow-200' : 'border-gray-200'}`}>
+                                        <p className="text-xs text-gray-500">
+                                          {DELIMITER_LABELS[entry.dialect.delimiter] || entry.dialect.delimiter}-separated,
+                                          {entry.dialect.header ? ' header row,' : ' no header row,'} {entry.dialect.encoding}, {entry.rowCount} rows
+                                        </p>
+                                        {entry.rowErrors?.length > 0 && (
+                                          <>
+                                            <h4 className="text-xs font-medium text-yellow-700 uppercase mt-2 mb-2">
+                                              Row Errors ({entry.rowErrors.length})
+                                            </h4>
+                                            <ul className="text-xs space-y-1">
+                                              {entry.rowErrors.map((rowError, i) => (
+                                                <li key={i} className="text-gray-700">
+                                                  Row {rowError.row}: {rowError.message}
+                                                </li>
+                                              ))}
+                                            </ul>
+                                          </>
+                                        )}
+                                      </div>
+                                    )}
+                                    
                                     {/* Tabs for different views */}
                                     <div className="border-b border-gray-200">
                                       <nav className="-mb-px flex space-x-4" aria-label="Tabs">
@@ -1406,26 +2582,45 @@ const App = () => {
                                           Formatted
                                         </button>
                                         <button
-                                          id={`tab-fields-${entry.id}`}
-                                          onClick={() => document.getElementById(`content-fields-${entry.id}`)?.scrollIntoView()}
+                                          id={`tab-diff-${entry.id}`}
+                                          onClick={() => document.getElementById(`content-diff-${entry.id}`)?.scrollIntoView()}
                                           className="border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300 py-2 px-1 border-b-2 font-medium text-sm"
                                         >
-                                          Fields ({entry.fields.length})
+                                          Repair Diff
+                                        </button>
+                                        <button
+                                          id={`tab-fields-${entry.id}`}
+                                          onClick={() => document.getElementById(`content-fields-${entry.id}`)?.scrollIntoView()}
+                                          className="border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300 py-2 px-1 border-b-2 font-medium text-sm"
+                                        >
+                                          Fields ({entry.fields.length})
                                         </button>
                                       </nav>
                                     </div>
                                     
                                     {/* Content panels */}
                                     <div className="space-y-4">
-                                      <div id={`content-formatted-${entry.id}`} className="bg-white p-3 rounded-md border border-gray-200 overflow-auto max-h-96">
-                                        <pre className="text-xs text-gray-800">{entry.formattedJson}</pre>
-                                      </div>
-                                      <div id={`content-original-${entry.id}`} className="bg-white p-3 rounded-md border border-gray-200 overflow-auto max-h-96">
-                                        <pre className="text-xs text-gray-500">{entry.originalJson}</pre>
-                                      </div>
-                                      <div id={`content-corrected-${entry.id}`} className="bg-white p-3 rounded-md border border-gray-200 overflow-auto max-h-96">
-                                        <pre className="text-xs text-gray-600">{entry.correctedJson}</pre>
-                                      </div>
+                                      {expandedEntryWithPayload ? (
+                                        <>
+                                          <div id={`content-formatted-${entry.id}`} className="bg-white p-3 rounded-md border border-gray-200 overflow-auto max-h-96">
+                                            <pre className="text-xs text-gray-800">{expandedEntryWithPayload.formattedJson}</pre>
+                                          </div>
+                                          <div id={`content-original-${entry.id}`} className="bg-white p-3 rounded-md border border-gray-200 overflow-auto max-h-96">
+                                            <pre className="text-xs text-gray-500">{expandedEntryWithPayload.originalJson}</pre>
+                                          </div>
+                                          <div id={`content-corrected-${entry.id}`} className="bg-white p-3 rounded-md border border-gray-200 overflow-auto max-h-96">
+                                            <pre className="text-xs text-gray-600">{expandedEntryWithPayload.correctedJson}</pre>
+                                          </div>
+                                          <div id={`content-diff-${entry.id}`}>
+                                            <RepairDiffViewer
+                                              entry={expandedEntryWithPayload}
+                                              onReprocess={(text) => reprocessEntry(expandedEntryWithPayload, text)}
+                                            />
+                                          </div>
+                                        </>
+                                      ) : (
+                                        <p className="text-sm text-gray-500">Loading {entry.fileName}...</p>
+                                      )}
                                       <div id={`content-fields-${entry.id}`} className="bg-white p-3 rounded-md border border-gray-200 overflow-auto max-h-96">
                                         <ul className="text-xs text-gray-700 space-y-1">
                                           {entry.fields.map((field, i) => (
@@ -1433,6 +2628,52 @@ const App = () => {
                                           ))}
                                         </ul>
                                       </div>
+                                      
+                                      {/* BOQ analysis by the AI provider */}
+                                      {expandedEntryWithPayload && (
+                                        <div className="bg-white p-3 rounded-md border border-gray-200">
+                                          <div className="flex items-center space-x-2">
+                                            <button
+                                              onClick={() => analyzeEntryBoq(expandedEntryWithPayload)}
+                                              disabled={isProcessing}
+                                              className="px-3 py-1 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                                            >
+                                              {expandedEntryWithPayload.boq ? 'Re-analyze BOQ Structure' : 'Analyze BOQ Structure'}
+                                            </button>
+                                            <button
+                                              onClick={() => analyzeEntryBoq(expandedEntryWithPayload, { chunk: true })}
+                                              disabled={isProcessing}
+                                              className="px-3 py-1 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                                            >
+                                              Prepare BOQ for RAG
+                                            </button>
+                                          </div>
+                                          {expandedEntryWithPayload.boq && (
+                                            <div className="mt-3 space-y-2 text-xs">
+                                              <p className="text-gray-700">
+                                                <span className="font-medium">Structure:</span> {expandedEntryWithPayload.boq.structureType}
+                                              </p>
+                                              <p className="text-gray-700 whitespace-pre-wrap">{expandedEntryWithPayload.boq.analysis}</p>
+                                              <details>
+                                                <summary className="text-gray-500 cursor-pointer">Enhanced data</summary>
+                                                <pre className="mt-1 font-mono text-gray-600 overflow-auto max-h-64">
+                                                  {JSON.stringify(expandedEntryWithPayload.boq.enhancedData, null, 2)}
+                                                </pre>
+                                              </details>
+                                              {expandedEntryWithPayload.boq.ragChunks && (
+                                                <details>
+                                                  <summary className="text-gray-500 cursor-pointer">
+                                                    RAG chunks ({expandedEntryWithPayload.boq.ragChunks.length})
+                                                  </summary>
+                                                  <pre className="mt-1 font-mono text-gray-600 overflow-auto max-h-64">
+                                                    {JSON.stringify(expandedEntryWithPayload.boq.ragChunks, null, 2)}
+                                                  </pre>
+                                                </details>
+                                              )}
+                                            </div>
+                                          )}
+                                        </div>
+                                      )}
                                     </div>
                                   </div>
                                 </td>
@@ -1516,6 +2757,11 @@ const App = () => {
                               <p className="text-xs text-gray-500 mt-1">
                                 {dataset.records.length} records • {dataset.fields.length} fields
                               </p>
+                              {dataset.parent && (
+                                <p className="text-xs text-gray-400 mt-0.5">
+                                  Derived from {mergedDatasets.find(ds => ds.id === dataset.parent.datasetId)?.name || 'a deleted dataset'}
+                                </p>
+                              )}
                             </div>
                             <button 
                               onClick={() => deleteDataset(dataset.id)}
@@ -1590,18 +2836,39 @@ const App = () => {
                         <div className="flex justify-between items-center">
                           <h3 className="text-sm font-medium text-gray-900">{activeDataset.name} Details</h3>
                           <div className="flex space-x-2">
+                            <label className="inline-flex items-center text-xs text-gray-700">
+                              <input
+                                type="checkbox"
+                                checked={includeProvenance}
+                                onChange={(e) => setIncludeProvenance(e.target.checked)}
+                                className="h-4 w-4 mr-1 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                              />
+                              Include provenance
+                            </label>
                             <button
-                              onClick={() => exportDataset(activeDataset, 'json')}
+                              onClick={() => exportDataset(activeDataset, 'json', { includeProvenance })}
                               className="inline-flex items-center px-2 py-1 border border-gray-300 text-xs font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
                             >
                               Export JSON
                             </button>
+                            <button
+                              onClick={() => exportDataset(activeDataset, 'jsonl', { includeProvenance })}
+                              className="inline-flex items-center px-2 py-1 border border-gray-300 text-xs font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                            >
+                              Export JSONL
+                            </button>
                             <button
                               onClick={() => exportDataset(activeDataset, 'csv')}
                               className="inline-flex items-center px-2 py-1 border border-gray-300 text-xs font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
                             >
                               Export CSV
                             </button>
+                            <button
+                              onClick={() => exportDataset(activeDataset, 'schema')}
+                              className="inline-flex items-center px-2 py-1 border border-gray-300 text-xs font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                            >
+                              Export JSON Schema
+                            </button>
                             <button
                               onClick={() => setActiveTab('rag')}
                               className="inline-flex items-center px-2 py-1 border border-transparent text-xs font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
@@ -1620,11 +2887,35 @@ const App = () => {
                           <span className="inline-flex items-center px-2.5 py-0.5 rounded-md text-xs font-medium bg-blue-100 text-blue-800">
                             {activeDataset.fields.length} Fields
                           </span>
+                          {activeDataset.version && (
+                            <span className="inline-flex items-center px-2.5 py-0.5 rounded-md text-xs font-medium bg-indigo-100 text-indigo-800">
+                              Version {activeDataset.version}
+                            </span>
+                          )}
+                          {activeDataset.parent && (
+                            <button
+                              onClick={() => {
+                                const parent = mergedDatasets.find(ds => ds.id === activeDataset.parent.datasetId);
+                                if (parent) setActiveDataset(parent);
+                              }}
+                              title={activeDataset.parent.query}
+                              className="inline-flex items-center px-2.5 py-0.5 rounded-md text-xs font-medium bg-purple-100 text-purple-800 hover:bg-purple-200"
+                            >
+                              Derived from {mergedDatasets.find(ds => ds.id === activeDataset.parent.datasetId)?.name || 'a deleted dataset'} v{activeDataset.parent.version}
+                            </button>
+                          )}
                           <span className="inline-flex items-center px-2.5 py-0.5 rounded-md text-xs font-medium bg-gray-100 text-gray-800">
                             Created {new Date(activeDataset.timestamp).toLocaleString()}
                           </span>
                         </div>
                         
+                        <QueryBar
+                          key={activeDataset.id}
+                          dataset={activeDataset}
+                          onRun={(query) => runDatasetQuery(activeDataset, query)}
+                          onSave={(query, name) => saveQueryResult(activeDataset, query, name)}
+                        />
+                        
                         {/* Schema information */}
                         <div className="mb-4">
                           <h4 className="text-xs font-medium text-gray-500 uppercase mb-2">Schema</h4>
@@ -1634,6 +2925,7 @@ const App = () => {
                                 <tr>
                                   <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Field</th>
                                   <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Type</th>
+                                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Profile</th>
                                   <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Sample</th>
                                 </tr>
                               </thead>
@@ -1645,6 +2937,7 @@ const App = () => {
                                   const displayValue = typeof sampleValue === 'object'
                                     ? JSON.stringify(sampleValue).substring(0, 50) + (JSON.stringify(sampleValue).length > 50 ? '...' : '')
                                     : String(sampleValue).substring(0, 50) + (String(sampleValue).length > 50 ? '...' : '');
+                                  const profile = activeDataset.fieldProfiles?.[field];
                                   
                                   return (
                                     <tr key={field}>
@@ -1652,14 +2945,28 @@ const App = () => {
                                       <td className="px-3 py-2 text-xs text-gray-500">
                                         <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium
                                           ${activeDataset.schema[field] === 'string' ? 'bg-green-100 text-green-800' : 
-                                            activeDataset.schema[field] === 'number' ? 'bg-blue-100 text-blue-800' :
+                                            activeDataset.schema[field] === 'number' || activeDataset.schema[field] === 'integer' ? 'bg-blue-100 text-blue-800' :
                                             activeDataset.schema[field] === 'boolean' ? 'bg-purple-100 text-purple-800' :
                                             activeDataset.schema[field] === 'object' ? 'bg-yellow-100 text-yellow-800' :
                                             activeDataset.schema[field] === 'array' ? 'bg-pink-100 text-pink-800' :
                                             'bg-gray-100 text-gray-800'}`}>
-                                          {activeDataset.schema[field]}
+                                          {profile ? profileTypeLabel(profile) : activeDataset.schema[field]}
                                         </span>
                                       </td>
+                                      <td className="px-3 py-2 text-xs text-gray-500">
+                                        {profile && (
+                                          <>
+                                            {Math.round(profile.presence * 100)}% present
+                                            {profile.nullable && `, ${profile.nullCount} null`}
+                                            {profile.minimum !== undefined && `, ${profile.minimum} – ${profile.maximum}`}
+                                            {profile.enum && (
+                                              <span className="block font-mono truncate max-w-xs" title={profile.enum.join(', ')}>
+                                                {profile.enum.join(' | ')}
+                                              </span>
+                                            )}
+                                          </>
+                                        )}
+                                      </td>
                                       <td className="px-3 py-2 text-xs text-gray-500 font-mono">{displayValue}</td>
                                     </tr>
                                   );
@@ -1669,49 +2976,87 @@ const App = () => {
                           </div>
                         </div>
                         
-                        {/* Data preview */}
+                        {activeDataset.mergeConflicts && (
+                          <MergeConflictLog conflicts={activeDataset.mergeConflicts} />
+                        )}
+                        
+                        {activeDataset.dedupe && (
+                          <DedupeReport
+                            report={activeDataset.dedupe}
+                            onResolve={(key, choice) => resolveDatasetConflict(activeDataset, key, choice)}
+                          />
+                        )}
+                        
+                        <FieldMappingEditor
+                          key={activeDataset.id}
+                          dataset={activeDataset}
+                          profiles={mappingProfiles}
+                          onApply={(mapping) => applyDatasetMapping(activeDataset, mapping)}
+                          onProfilesChange={setMappingProfiles}
+                        />
+                        
+                        <DatasetHistory
+                          dataset={activeDataset}
+                          loadVersions={loadDatasetVersions}
+                          onDiff={diffDatasetVersions}
+                          onRollback={(version) => rollbackDataset(activeDataset, version)}
+                          onExport={(version, format) => exportDataset({
+                            ...activeDataset,
+                            name: `${activeDataset.name} v${version.version}`,
+                            version: version.version,
+                            records: version.records,
+                            fields: version.fields,
+                            schema: version.schema,
+                            fieldProfiles: version.fieldProfiles
+                          }, format)}
+                        />
+                        
+                        {/* Records */}
                         <div>
-                          <h4 className="text-xs font-medium text-gray-500 uppercase mb-2">Data Preview (First 5 Records)</h4>
-                          <div className="overflow-x-auto border rounded-md">
-                            <table className="min-w-full divide-y divide-gray-200">
-                              <thead className="bg-gray-50">
-                                <tr>
-                                  {activeDataset.records.length > 0 && Object.keys(activeDataset.records[0]).slice(0, 8).map(key => (
-                                    <th key={key} className="px-3 py-2 text-left text-xs font-medium text-gray-500">
-                                      {key}
-                                    </th>
-                                  ))}
-                                  {activeDataset.records.length > 0 && Object.keys(activeDataset.records[0]).length > 8 && (
-                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">
-                                      +{Object.keys(activeDataset.records[0]).length - 8} more
-                                    </th>
-                                  )}
-                                </tr>
-                              </thead>
-                              <tbody className="bg-white divide-y divide-gray-200">
-                                {activeDataset.records.slice(0, 5).map((record, i) => (
-                                  <tr key={i}>
-                                    {Object.entries(record).slice(0, 8).map(([key, value]) => {
-                                      const displayValue = typeof value === 'object'
-                                        ? JSON.stringify(value).substring(0, 30) + (JSON.stringify(value).length > 30 ? '...' : '')
-                                        : String(value).substring(0, 30) + (String(value).length > 30 ? '...' : '');
-                                      
-                                      return (
-                                        <td key={key} className="px-3 py-2 text-xs text-gray-500 font-mono whitespace-nowrap overflow-hidden text-ellipsis" style={{maxWidth: '200px'}}>
-                                          {displayValue}
-                                        </td>
-                                      );
-                                    })}
-                                    {Object.keys(record).length > 8 && (
-                                      <td className="px-3 py-2 text-xs text-gray-400">
-                                        ...
-                                      </td>
-                                    )}
-                                  </tr>
-                                ))}
-                              </tbody>
-                            </table>
-                          </div>
+                          <RecordGrid
+                            key={`${activeDataset.id}-v${activeDataset.version}`}
+                            dataset={activeDataset}
+                            onSave={(records, message) => saveDatasetEdits(activeDataset, records, message)}
+                            onInspect={(record, field, row) => setInspectedCell({ record, field, row })}
+                            inspectedCell={inspectedCell}
+                          />
+                          
+                          {/* Provenance inspector */}
+                          {inspectedProvenance && (
+                            <div className="mt-3 p-3 rounded-md border border-blue-200 bg-blue-50">
+                              <div className="flex justify-between items-start">
+                                <h5 className="text-xs font-medium text-blue-900">
+                                  Provenance of <span className="font-mono">{inspectedCell.field}</span> in record {inspectedCell.row}
+                                </h5>
+                                <button
+                                  onClick={() => setInspectedCell(null)}
+                                  className="text-xs text-blue-700 hover:text-blue-900"
+                                >
+                                  Close
+                                </button>
+                              </div>
+                              <dl className="mt-2 grid grid-cols-1 md:grid-cols-4 gap-2 text-xs">
+                                <div>
+                                  <dt className="text-gray-500">Source</dt>
+                                  <dd className="text-gray-900">{inspectedProvenance.source || '-'}</dd>
+                                </div>
+                                <div>
+                                  <dt className="text-gray-500">Entry</dt>
+                                  <dd className="text-gray-900 font-mono break-all">{inspectedProvenance.entryId || inspectedProvenance.entryIds?.join(', ') || '-'}</dd>
+                                </div>
+                                <div>
+                                  <dt className="text-gray-500">JSON Pointer</dt>
+                                  <dd className="text-gray-900 font-mono break-all">{inspectedProvenance.pointer || '/'}</dd>
+                                </div>
+                                <div>
+                                  <dt className="text-gray-500">Transforms</dt>
+                                  <dd className="text-gray-900">
+                                    {inspectedProvenance.transforms.length > 0 ? inspectedProvenance.transforms.join(' → ') : 'none'}
+                                  </dd>
+                                </div>
+                              </dl>
+                            </div>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -1772,6 +3117,10 @@ const App = () => {
                               <span className="text-gray-500">Fields:</span>
                               <span className="text-gray-900 font-medium">{activeDataset.fields.length}</span>
                             </li>
+                            <li className="text-sm flex justify-between">
+                              <span className="text-gray-500">Version:</span>
+                              <span className="text-gray-900 font-medium">{activeDataset.version || '–'}</span>
+                            </li>
                             <li className="text-sm flex justify-between">
                               <span className="text-gray-500">Created:</span>
                               <span className="text-gray-900 font-medium">{new Date(activeDataset.timestamp).toLocaleString()}</span>
@@ -1797,7 +3146,7 @@ const App = () => {
                               Export Hugging Face Format
                             </button>
                             <div className="text-xs text-gray-500 mt-1">
-                              The RAG-ready format separates content from metadata and formats the data in a structure optimized for retrieval systems.
+                              The RAG-ready format renders the records by the RAG profile below and splits them into chunks of the chosen size, each with its context, a stable id and the metadata of its records.
                             </div>
                           </div>
                         </div>
@@ -1805,59 +3154,53 @@ const App = () => {
                     </div>
                   </div>
                   
-                  <div className="bg-white p-4 rounded-lg border border-gray-200">
-                    <h3 className="text-sm font-medium text-gray-900 mb-2">RAG Structure Preview</h3>
-                    
-                    {/* Show sample of the RAG structure */}
-                    <div className="bg-gray-50 p-3 rounded-md overflow-x-auto">
-                      <pre className="text-xs text-gray-800 whitespace-pre">
-{`{
-  "name": "${activeDataset.name}",
-  "timestamp": "${activeDataset.timestamp}",
-  "documents": [
-    {
-      "text": "${((): string => {
-        // Find a text content field in the first record for the preview
-        const record = activeDataset.records[0] || {};
-        const textField = Object.entries(record)
-          .find(([key, value]) => 
-            typeof value === 'string' && 
-            value.length > 100 &&
-            !key.startsWith('_')
-          );
-        
-        if (textField) {
-          return textField[1].toString().substring(0, 100) + '...';
-        } else {
-          return "Sample text content would appear here";
-        }
-      })()}",
-      "metadata": {
-        "source": "${activeDataset.records[0]?._source || 'document.json'}",
-        "timestamp": "${activeDataset.records[0]?._timestamp || new Date().toISOString()}"${
-          Object.entries(activeDataset.records[0] || {})
-            .filter(([key]) => key !== '_source' && key !== '_timestamp' && !key.includes('content'))
-            .slice(0, 3)
-            .map(([key, value]) => `,\n        "${key}": ${JSON.stringify(value)}`)
-            .join('')
-        }
-      }
-    },
-    // Additional documents would appear here
-  ],
-  "metadata": {
-    "record_count": ${activeDataset.records.length},
-    "fields": ${JSON.stringify(activeDataset.fields.slice(0, 3).concat(activeDataset.fields.length > 3 ? ['...'] : []))},
-    "schema": ${JSON.stringify(
-      Object.fromEntries(
-        Object.entries(activeDataset.schema).slice(0, 3)
-          .concat(Object.keys(activeDataset.schema).length > 3 ? [['...', '...']] : [])
-      ), null, 2)}
-  }
-}`}
-                      </pre>
-                    </div>
-                  </div>
+                  <RagProfileEditor
+                    key={activeDataset.id}
+                    dataset={activeDataset}
+                    profile={datasetRagProfile(activeDataset)}
+                    saved={Boolean(activeDataset.ragProfile)}
+                    onSave={(profile) => updateRagProfile(activeDataset, profile)}
+                  />
+                  
+                  <RagChunkPanel
+                    dataset={activeDataset}
+                    options={chunkOptions}
+                    onChange={setChunkOptions}
+                    onPreview={(options) => previewChunks(activeDataset, options)}
+                  />
+                  
+                  <EmbeddingPanel
+                    model={embeddingModel}
+                    onPickModel={pickEmbeddingModel}
+                    options={embeddingOptions}
+                    onOptionsChange={setEmbeddingOptions}
+                    embeddings={embeddingSet?.dataset.id === activeDataset.id ? embeddingSet : null}
+                    stale={embeddingSet?.source !== embeddingSource(activeDataset)}
+                    progress={embeddingProgress}
+                    onGenerate={() => generateEmbeddings(activeDataset)}
+                    onCancel={() => embeddingControllerRef.current?.abort()}
+                    onExport={exportEmbeddingSet}
+                  />
+                  
+                  <RetrievalPanel
+                    key={activeDataset.id}
+                    chunkSource={chunkSource(activeDataset)}
+                    loadChunks={() => loadRetrievalChunks(activeDataset)}
+                    embeddings={embeddingSet?.chunkSource === chunkSource(activeDataset) ? embeddingSet : null}
+                    embedQuery={embedQuery}
+                    evalSet={activeDataset.retrievalEval || []}
+                    onEvalSetChange={(items) => updateRetrievalEval(activeDataset, items)}
+                  />
+                  
+                  <VectorStorePanel
+                    settings={vectorStoreSettings}
+                    onChange={setVectorStoreSettings}
+                    embeddings={embeddingSet?.dataset.id === activeDataset.id ? embeddingSet : null}
+                    stale={embeddingSet?.source !== embeddingSource(activeDataset)}
+                    onDownload={downloadVectorStoreExport}
+                    onPush={pushToVectorStore}
+                    pushProgress={vectorPushProgress}
+                  />
                   
                   <div className="bg-white p-4 rounded-lg border border-gray-200">
                     <h3 className="text-sm font-medium text-gray-900 mb-3">RAG Implementation Guide</h3>
@@ -1866,16 +3209,16 @@ const App = () => {
                       <div>
                         <h4 className="text-xs uppercase font-medium text-gray-500 mb-2">1. Vector Database Setup</h4>
                         <p className="text-sm text-gray-700">
-                          After exporting your data, you'll need to process it with a vector database like Pinecone, Weaviate, or Qdrant. 
-                          Make sure to embed the text content using a model that matches your retrieval approach.
+                          Load the embedded chunks into Qdrant, Weaviate, Chroma or PostgreSQL with pgvector, either from the 
+                          downloaded bulk import or by pushing them to a running instance. Query it with the same embedding model.
                         </p>
                       </div>
                       
                       <div>
                         <h4 className="text-xs uppercase font-medium text-gray-500 mb-2">2. Embedding Generation</h4>
                         <p className="text-sm text-gray-700">
-                          Generate embeddings for each document's text field using models like OpenAI's text-embedding-ada-002 or 
-                          Hugging Face's sentence-transformers models. The metadata will be stored alongside for context enhancement.
+                          Generate embeddings for the chunks above with a local sentence-transformers model and export them with 
+                          their text and metadata as JSONL, columnar JSON or a NumPy array, ready to load into the vector database.
                         </p>
                       </div>
                       
@@ -1915,1507 +3258,28 @@ const App = () => {
         
         <footer className="px-6 py-4 bg-gray-50 border-t border-gray-200 text-center text-gray-500 text-sm">
           <p>JSON Processor for RAG Datasets • All data is stored locally in your browser</p>
+          {storageUsage && (
+            <p className="text-xs mt-1">
+              Storage used: {formatBytes(storageUsage.usage)}
+              {storageUsage.quota > 0 && ` of ${formatBytes(storageUsage.quota)} (${Math.round(storageUsage.usage / storageUsage.quota * 100)}%)`}
+            </p>
+          )}
           <p className="text-xs mt-1">Version 1.0.0</p>
         </footer>
       </div>
+      
+      {pendingSpreadsheets.length > 0 && (
+        <SpreadsheetImportDialog
+          key={pendingSpreadsheets[0].id}
+          fileName={pendingSpreadsheets[0].fileName}
+          workbook={pendingSpreadsheets[0].workbook}
+          sheets={pendingSpreadsheets[0].sheets}
+          onImport={importSpreadsheet}
+          onCancel={() => setPendingSpreadsheets(prev => prev.slice(1))}
+        />
+      )}
     </div>
   );
 };
 
 export default App;
-  // Enhanced processing for all file types including TXT with AI understanding
-  const handleFileUpload = useCallback((event: React.ChangeEvent<HTMLInputElement>) => {
-    const files = event.target.files;
-    if (!files || files.length === 0) return;
-  
-    Array.from(files).forEach(file => {
-      const reader = new FileReader();
-  
-      reader.onload = async (e) => {
-        const content = e.target?.result;
-        if (typeof content === 'string') {
-          try {
-            // For all text-based files, let the AI determine if it's JSON and repair if needed
-            if (file.name.endsWith('.json') || file.name.endsWith('.jsonl') || file.name.endsWith('.txt')) {
-              // Analyze the content to determine if it's JSON or another format
-              const contentAnalysisResponse = await fetch(
-                `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${GOOGLE_API_KEY}`,
-                {
-                  method: "POST",
-                  headers: { "Content-Type": "application/json" },
-                  body: JSON.stringify({
-                    contents: [{
-                      parts: [{
-                        text: `Determine if the following content is JSON or some other format. 
-                        If it's JSON with syntax errors, fix those errors and return the corrected JSON.
-                        If it's not JSON, convert it to a simple JSON object with appropriate fields.
-                        Return ONLY the resulting JSON without explanations or markdown.
-                        
-                        ${content.substring(0, 8000)}`
-                      }]
-                    }],
-                    generationConfig: {
-                      temperature: 0.1,
-                      maxOutputTokens: 8000
-                    }
-                  })
-                }
-              );
-  
-              const contentResult = await contentAnalysisResponse.json();
-              let processedContent = contentResult.candidates[0].content.parts[0].text.trim();
-              processedContent = processedContent.replace(/```json\s+/g, '').replace(/```/g, '');
-  
-              // Add to the processing queue
-              addToQueue(processedContent, file.name);
-            } else if (file.name.endsWith('.xlsx') || file.name.endsWith('.xls')) {
-              // For Excel files, we'll need to read as ArrayBuffer
-              handleExcelFile(file);
-            } else {
-              // For unsupported formats, just convert to a simple JSON object
-              const jsonData = {
-                content: content,
-                filename: file.name,
-                timestamp: new Date().toISOString(),
-                format: file.type || "unknown"
-              };
-              addToQueue(JSON.stringify(jsonData), file.name);
-            }
-          } catch (error) {
-            console.error(`Error processing file ${file.name}:`, error);
-            setError(`Error processing file ${file.name}: ${error instanceof Error ? error.message : String(error)}`);
-          }
-        }
-      };
-  
-      reader.onerror = () => {
-        console.error(`Error reading file ${file.name}`);
-        setError(`Error reading file ${file.name}`);
-      };
-  
-      // Read different file types appropriately
-      if (file.name.endsWith('.xlsx') || file.name.endsWith('.xls')) {
-        reader.readAsArrayBuffer(file);
-      } else {
-        reader.readAsText(file);
-      }
-    });
-  
-    // Reset input
-    event.target.value = '';
-  }, [addToQueue, handleExcelFile]);
-  
-  // Enhanced Excel file processing with Google model integration
-  const handleExcelFile = async (file: File) => {
-    try {
-      const buffer = await file.arrayBuffer();
-      const data = new Uint8Array(buffer);
-  
-      // Read the Excel file
-      const workbook = XLSX.read(data, { 
-        type: 'array',
-        cellDates: true,
-        cellNF: true
-      });
-  
-      // For each sheet, convert to JSON
-      for (const sheetName of workbook.SheetNames) {
-        const worksheet = workbook.Sheets[sheetName];
-        const jsonData = XLSX.utils.sheet_to_json(worksheet);
-  
-        // Skip empty sheets
-        if (jsonData.length === 0) continue;
-  
-        // Use Google API to understand the sheet's content
-        const sheetAnalysisResponse = await fetch(
-          `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro-002:generateContent?key=${GOOGLE_API_KEY}`,
-          {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-              contents: [{
-                parts: [{
-                  text: `Analyze this data extracted from Excel sheet "${sheetName}" and determine:
-                  1. What type of construction document is this (BOQ, payment certificate, schedule, etc.)?
-                  2. Is the structure consistent and complete?
-                  3. Are there any issues that need to be fixed in the data structure?
-                  
-                  Please restructure the data if needed to create a well-formed JSON that represents the content effectively.
-                  Return ONLY the restructured JSON data without explanations or markdown.
-                  
-                  ${JSON.stringify(jsonData).substring(0, 10000)}`
-                }]
-              }],
-              generationConfig: {
-                temperature: 0.2,
-                maxOutputTokens: 12000
-              }
-            })
-          }
-        );
-  
-        const sheetResult = await sheetAnalysisResponse.json();
-        let processedSheet = sheetResult.candidates[0].content.parts[0].text.trim();
-        processedSheet = processedSheet.replace(/```json\s+/g, '').replace(/```/g, '');
-  
-        // Add the processed sheet to the queue
-        addToQueue(
-          processedSheet, 
-          `${file.name}#${sheetName}`
-        );
-      }
-    } catch (error) {
-      console.error("Excel processing error:", error);
-      setError(`Error processing Excel file: ${error instanceof Error ? error.message : String(error)}`);
-    }
-  };
-                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                            File Name
-                          </th>
-                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                            Status
-                          </th>
-                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                            Fields
-                          </th>
-                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                            Actions
-                          </th>
-                        </tr>
-                      </thead>
-                      <tbody className="bg-white divide-y divide-gray-200">
-                        {visibleEntries.map(entry => (
-                          <tr key={entry.id}>
-                            <td className="px-4 py-2 whitespace-nowrap text-sm font-medium text-gray-900">
-                              <label className="flex items-center">
-                                <input
-                                  type="checkbox"
-                                  checked={selectedEntries.has(entry.id)}
-                                  onChange={() => toggleEntrySelection(entry.id)}
-                                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                                />
-                                <span className="ml-2">{entry.fileName}</span>
-                              </label>
-                            </td>
-                            <td className="px-4 py-2 whitespace-nowrap">
-                              <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium
-                                ${entry.status === 'processed' ? 'bg-green-100 text-green-800' : 
-                                  entry.status === 'warning' ? 'bg-yellow-100 text-yellow-800' :
-                                  'bg-red-100 text-red-800'}`}>
-                                {entry.status}
-                              </span>
-                            </td>
-                            <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">
-                              {entry.fields.length > 0 
-                                ? entry.fields.join(", ")
-                                : "N/A"
-                              }
-                            </td>
-                            <td className="px-4 py-2 whitespace-nowrap text-sm font-medium">
-                              <button
-                                onClick={() => toggleEntryExpansion(entry.id)}
-                                className="text-blue-600 hover:text-blue-900"
-                              >
-                                {expandedEntry === entry.id ? 'Collapse' : 'Expand'}
-                              </button>
-                              {/* <button
-                                onClick={() => deleteEntry(entry.id)}
-                                className="text-red-600 hover:text-red-900 ml-2"
-                              >
-                                Delete
-                              </button> */}
-                            </td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
-                  
-                  {/* Expanded Entry View */}
-                  {expandedEntry && (
-                    <div className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
-                      <div className="flex justify-between items-center mb-2">
-                        <h3 className="text-sm font-medium text-gray-700">
-                          {processedEntries.find(entry => entry.id === expandedEntry)?.fileName || "Entry"}
-                        </h3>
-                        <button
-                          onClick={() => toggleEntryExpansion(expandedEntry)}
-                          className="text-gray-500 hover:text-gray-700"
-                        >
-                          Close
-                        </button>
-                      </div>
-                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                        <div>
-                          <h4 className="text-sm font-medium text-gray-700 mb-2">Original JSON:</h4>
-                          <pre className="bg-gray-100 p-2 rounded-lg font-mono overflow-auto">
-                            {processedEntries.find(entry => entry.id === expandedEntry)?.originalJson || ""}
-                          </pre>
-                        </div>
-                        <div>
-                          <h4 className="text-sm font-medium text-gray-700 mb-2">Corrected JSON:</h4>
-                          <pre className="bg-gray-100 p-2 rounded-lg font-mono overflow-auto">
-                            {processedEntries.find(entry => entry.id === expandedEntry)?.correctedJson || ""}
-                          </pre>
-                        </div>
-                        <div>
-                          <h4 className="text-sm font-medium text-gray-700 mb-2">Formatted JSON:</h4>
-                          <pre className="bg-gray-100 p-2 rounded-lg font-mono overflow-auto">
-                            {processedEntries.find(entry => entry.id === expandedEntry)?.formattedJson || ""}
-                          </pre>
-                        </div>
-                        <div>
-                          <h4 className="text-sm font-medium text-gray-700 mb-2">Error Message:</h4>
-                          <pre className="bg-gray-100 p-2 rounded-lg font-mono overflow-auto">
-                            {processedEntries.find(entry => entry.id === expandedEntry)?.error || "No errors"}
-                          </pre>
-                        </div>
-                      </div>
-                      
-                      {/* Analyze BOQ Structure */}
-                      <div className="mt-4">
-                        <button
-                          onClick={async () => {
-                            const selectedEntry = processedEntries.find(entry => entry.id === expandedEntry);
-                            if (selectedEntry) {
-                              const result = await analyzeBoqStructure(selectedEntry.formattedJson);
-                              
-                              // Add the analysis and enhanced data to the entry
-                              setProcessedEntries(prevEntries => {
-                                return prevEntries.map(entry => {
-                                  if (entry.id === selectedEntry.id) {
-                                    return { ...entry, boqAnalysis: result.analysis, boqEnhancedData: result.enhancedData, boqStructureType: result.structureType };
-                                  }
-                                  return entry;
-                                });
-                              });
-                              
-                              // Toggle the expansion to show the updated information
-                              toggleEntryExpansion(expandedEntry);
-                            }
-                          }}
-                          className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                        >
-                          Analyze BOQ Structure
-                        </button>
-                      </div>
-                      
-                      {/* BOQ Analysis Results */}
-                      {processedEntries.find(entry => entry.id === expandedEntry)?.boqAnalysis && (
-                        <div className="mt-4 p-4 bg-gray-100 rounded-lg border border-gray-200">
-                          <h4 className="text-sm font-medium text-gray-700 mb-2">BOQ Analysis:</h4>
-                          <pre className="bg-gray-100 p-2 rounded-lg font-mono overflow-auto">
-                            {processedEntries.find(entry => entry.id === expandedEntry)?.boqAnalysis || ""}
-                          </pre>
-                          <h4 className="text-sm font-medium text-gray-700 mb-2">BOQ Structure Type:</h4>
-                          <pre className="bg-gray-100 p-2 rounded-lg font-mono overflow-auto">
-                            {processedEntries.find(entry => entry.id === expandedEntry)?.boqStructureType || ""}
-                          </pre>
-                          <h4 className="text-sm font-medium text-gray-700 mb-2">Enhanced BOQ Data:</h4>
-                          <pre className="bg-gray-100 p-2 rounded-lg font-mono overflow-auto">
-                            {JSON.stringify(processedEntries.find(entry => entry.id === expandedEntry)?.boqEnhancedData, null, 2) || ""}
-                          </pre>
-                        </div>
-                      )}
-                      
-                      {/* Prepare BOQ for RAG */}
-                      <div className="mt-4">
-                        <button
-                          onClick={async () => {
-                            const selectedEntry = processedEntries.find(entry => entry.id === expandedEntry);
-                            if (selectedEntry) {
-                              const result = await prepareBoqForRag(selectedEntry.boqEnhancedData || selectedEntry.formattedJson);
-                              
-                              // Add the RAG preparation result to the entry
-                              setProcessedEntries(prevEntries => {
-                                return prevEntries.map(entry => {
-                                  if (entry.id === selectedEntry.id) {
-                                    return { ...entry, boqRagChunks: result };
-                                  }
-                                  return entry;
-                                });
-                              });
-                              
-                              // Toggle the expansion to show the updated information
-                              toggleEntryExpansion(expandedEntry);
-                            }
-                          }}
-                          className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                        >
-                          Prepare BOQ for RAG
-                        </button>
-                      </div>
-                      
-                      {/* BOQ RAG Chunks */}
-                      {processedEntries.find(entry => entry.id === expandedEntry)?.boqRagChunks && (
-                        <div className="mt-4 p-4 bg-gray-100 rounded-lg border border-gray-200">
-                          <h4 className="text-sm font-medium text-gray-700 mb-2">BOQ RAG Chunks:</h4>
-                          <pre className="bg-gray-100 p-2 rounded-lg font-mono overflow-auto">
-                            {JSON.stringify(processedEntries.find(entry => entry.id === expandedEntry)?.boqRagChunks, null, 2) || ""}
-                          </pre>
-                        </div>
-                      )}
-                    </div>
-                  )}
-                </>
-              )}
-              
-              <div className="mt-4 flex justify-between">
-                <div className="flex items-center">
-                  <span className="text-gray-500">Showing {visibleEntries.length} of {processedEntries.length} entries</span>
-                  <div className="ml-4">
-                    {currentPage > 1 && (
-                      <button
-                        onClick={() => setCurrentPage(prev => prev - 1)}
-                        className="text-blue-600 hover:text-blue-900"
-                      >
-                        Previous
-                      </button>
-                    )}
-                    
-                    {currentPage < totalPages && (
-                      <button
-                        onClick={() => setCurrentPage(prev => prev + 1)}
-                        className="text-blue-600 hover:text-blue-900 ml-2"
-                      >
-                        Next
-                      </button>
-                    )}
-                  </div>
-                </div>
-                
-                {/* <button
-                  onClick={clearProcessedEntries}
-                  className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
-                >
-                  Clear All Entries
-                </button> */}
-              </div>
-            </div>
-          )}
-          
-          {/* Merged Datasets tab */}
-          {activeTab === 'datasets' && (
-            <div>
-              <h2 className="text-lg font-medium text-gray-900 mb-4">Merged Datasets</h2>
-              
-              {mergedDatasets.length === 0 ? (
-                <div className="text-center py-8 bg-gray-50 rounded-lg">
-                  <p className="text-gray-500">No datasets created yet. Merge some processed JSON entries to create datasets.</p>
-                </div>
-              ) : (
-                <div className="overflow-x-auto rounded-lg border border-gray-200">
-                  <table className="min-w-full divide-y divide-gray-200">
-                    <thead className="bg-gray-50">
-                      <tr>
-                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Dataset Name
-                        </th>
-                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Record Count
-                        </th>
-                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Fields
-                        </th>
-                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Actions
-                        </th>
-                      </tr>
-                    </thead>
-                    <tbody className="bg-white divide-y divide-gray-200">
-                      {mergedDatasets.map(dataset => (
-                        <tr key={dataset.id} className={activeDataset?.id === dataset.id ? 'bg-gray-100' : ''}>
-                          <td className="px-4 py-2 whitespace-nowrap text-sm font-medium text-gray-900">
-                            <a href="#" onClick={() => setActiveDataset(dataset)} className="hover:underline">
-                              {dataset.name}
-                            </a>
-                          </td>
-                          <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">
-                            {dataset.records.length}
-                          </td>
-                          <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">
-                            {dataset.fields.length > 0 
-                              ? dataset.fields.join(", ")
-                              : "N/A"
-                            }
-                          </td>
-                          <td className="px-4 py-2 whitespace-nowrap text-sm font-medium">
-                            {/* <button
-                              onClick={() => viewDataset(dataset.id)}
-                              className="text-blue-600 hover:text-blue-900"
-                            >
-                              View
-                            </button> */}
-                            <button
-                              onClick={() => exportDataset(dataset, 'json')}
-                              className="text-blue-600 hover:text-blue-900 ml-2"
-                            >
-                              Export JSON
-                            </button>
-                            <button
-                              onClick={() => exportDataset(dataset, 'jsonl')}
-                              className="text-blue-600 hover:text-blue-900 ml-2"
-                            >
-                              Export JSONL
-                            </button>
-                            <button
-                              onClick={() => exportDataset(dataset, 'csv')}
-                              className="text-blue-600 hover:text-blue-900 ml-2"
-                            >
-                              Export CSV
-                            </button>
-                            <button
-                              onClick={() => exportDataset(dataset, 'huggingface')}
-                              className="text-blue-600 hover:text-blue-900 ml-2"
-                            >
-                              Export Hugging Face
-                            </button>
-                            <button
-                              onClick={() => exportDataset(dataset, 'rag')}
-                              className="text-blue-600 hover:text-blue-900 ml-2"
-                            >
-                              Export RAG
-                            </button>
-                            <button
-                              onClick={() => deleteDataset(dataset.id)}
-                              className="text-red-600 hover:text-red-900 ml-2"
-                            >
-                              Delete
-                            </button>
-                          </td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
-              )}
-            </div>
-          )}
-          
-          {/* RAG Preparation tab */}
-          {activeTab === 'rag' && (
-            <div>
-              <h2 className="text-lg font-medium text-gray-900 mb-4">RAG Preparation</h2>
-              
-              {activeDataset ? (
-                <>
-                  {/* <div className="mb-4">
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                      Select dataset for RAG preparation:
-                    </label>
-                    <select
-                      value={activeDataset.id}
-                      onChange={(e) => setActiveDataset(mergedDatasets.find(ds => ds.id === e.target.value))}
-                      className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-                    >
-                      {mergedDatasets.map(dataset => (
-                        <option key={dataset.id} value={dataset.id}>
-                          {dataset.name}
-                        </option>
-                      ))}
-                    </select>
-                  </div> */}
-                  
-                  {activeDataset.records.length === 0 ? (
-                    <div className="text-center py-8 bg-gray-50 rounded-lg">
-                      <p className="text-gray-500">Please select a dataset with records to prepare for RAG.</p>
-                    </div>
-                  ) : (
-                    <div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
-                      <h3 className="text-sm font-medium text-gray-700 mb-2">Dataset Details</h3>
-                      <div className="flex flex-col md:flex-row md:space-x-4">
-                        <div className="flex-1">
-                          <p className="text-sm text-gray-700">
-                            <strong>Dataset Name:</strong> {activeDataset.name}
-                          </p>
-                          <p className="text-sm text-gray-700">
-                            <strong>Record Count:</strong> {activeDataset.records.length}
-                          </p>
-                          <p className="text-sm text-gray-700">
-                            <strong>Fields:</strong> {activeDataset.fields.join(", ")}
-                          </p>
-                        </div>
-                        <div className="w-full md:w-64">
-                          <p className="text-sm text-gray-700">
-                            <strong>Schema:</strong>
-                          </p>
-                          <pre className="bg-gray-100 p-2 rounded-lg font-mono overflow-auto">
-                            {JSON.stringify(activeDataset.schema, null, 2)}
-                          </pre>
-                        </div>
-                      </div>
-                    </div>
-                  )}
-                  
-                  {/* RAG Preparation */}
-                  {activeDataset.records.length > 0 && (
-                    <div className="mt-4">
-                      <button
-                        onClick={async () => {
-                          const chunks = await prepareBoqForRag(activeDataset.records);
-                          
-                          // Update the dataset with the generated RAG chunks
-                          setMergedDatasets(prevDatasets => {
-                            return prevDatasets.map(ds => {
-                              if (ds.id === activeDataset.id) {
-                                return { ...ds, ragChunks: chunks };
-                              }
-                              return ds;
-                            });
-                          });
-                        }}
-                        className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                      >
-                        Prepare for RAG
-                      </button>
-                    </div>
-                  )}
-                  
-                  {/* RAG Chunks Display */}
-                  {activeDataset?.ragChunks && (
-                    <div className="mt-4 p-4 bg-gray-100 rounded-lg border border-gray-200">
-                      <h4 className="text-sm font-medium text-gray-700 mb-2">RAG Chunks:</h4>
-                      <pre className="bg-gray-100 p-2 rounded-lg font-mono overflow-auto">
-                        {JSON.stringify(activeDataset.ragChunks, null, 2)}
-                      </pre>
-                    </div>
-                  )}
-                </>
-              ) : (
-                <div className="text-center py-8 bg-gray-50 rounded-lg">
-                  <p className="text-gray-500">Please select a dataset to prepare for RAG.</p>
-                </div>
-              )}
-            </div>
-          )}
-        </div>
-        
-        {/* Footer */}
-        <footer className="px-6 py-4 bg-gray-50 rounded-b-lg">
-          <div className="flex justify-between items-center">
-            <p className="text-sm text-gray-500">
-              © {new Date().getFullYear()} - Built with ❤️ by the JSON Processor Team
-            </p>
-            
-            {/* <button
-              onClick={resetAllData}
-              className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
-            >
-              Reset All Data
-            </button> */}
-          </div>
-        </footer>
-      </div>
-    </div>
-  );
-};
-
-// Function to analyze BOQ structure using Google models
-const analyzeBoqStructure = async (jsonData: any): Promise<{
-  analysis: string,
-  enhancedData: any,
-  structureType: string
-}> => {
-  try {
-    const jsonStr = typeof jsonData === 'string' ? jsonData : JSON.stringify(jsonData);
-    
-    // Call the Google API to analyze the BOQ structure
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro-002:generateContent?key=${GOOGLE_API_KEY}`,
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: `You are a construction BOQ (Bill of Quantities) expert. Analyze this JSON data that represents a BOQ document. 
-              
-              ${jsonStr.substring(0, 10000)}
-              
-              Please:
-              1. Determine if this follows a standard BOQ structure
-              2. Identify the main elements (sections, items, quantities, rates)
-              3. Detect any structural issues or inconsistencies
-              4. Return a structured JSON response with the following fields:
-                 - "analysis": your expert analysis of the structure (text)
-                 - "structureType": the type of BOQ structure detected (string)
-                 - "enhancedData": a cleaned version of the data with consistent field names
-                 
-              Return ONLY your JSON response with no explanations or markdown.`
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.2,
-            maxOutputTokens: 12000
-          }
-        })
-      }
-    );
-    
-    const result = await response.json();
-    let analysisStr = result.candidates[0].content.parts[0].text.trim();
-    analysisStr = analysisStr.replace(/```json\s+/g, '').replace(/```/g, '');
-    
-    // Parse the analysis
-    const analysis = JSON.parse(analysisStr);
-    
-    return {
-      analysis: analysis.analysis || "No analysis provided",
-      enhancedData: analysis.enhancedData || jsonData,
-      structureType: analysis.structureType || "unknown"
-    };
-  } catch (error) {
-    console.error("BOQ analysis failed:", error);
-    return {
-      analysis: `Analysis failed: ${error instanceof Error ? error.message : String(error)}`,
-      enhancedData: jsonData,
-      structureType: "unknown"
-    };
-  }
-};
-
-// Prepare BOQ data for RAG with semantic understanding
-const prepareBoqForRag = async (boqData: any): Promise<any[]> => {
-  try {
-    // Analyze the BOQ data first to understand its structure
-    const { enhancedData, structureType } = await analyzeBoqStructure(boqData);
-    
-    // Create a prompt for the Google API
-    const prompt = `You are an expert in construction Bills of Quantities (BOQ).
-    I need to prepare this BOQ data for a RAG (Retrieval Augmented Generation) system.
-    
-    The BOQ data follows a ${structureType} structure.
-    
-    ${JSON.stringify(enhancedData).substring(0, 10000)}
-    
-    Please create meaningful chunks from this BOQ that would be useful for a RAG system. Each chunk should:
-    1. Contain semantically related information
-    2. Include necessary context to be understood independently
-    3. Be sized appropriately (not too long or short)
-    
-    Return a JSON array of chunks, where each chunk has:
-    - "content": the text content of the chunk
-    - "type": the type of chunk (e.g., "section", "item_group", "metadata")
-    - "metadata": additional information about the chunk
-    
-    Return ONLY the JSON array of chunks without explanations or markdown.`;
-    
-    // Call the Google API
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro-002:generateContent?key=${GOOGLE_API_KEY}`,
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: prompt }] }],
-          generationConfig: {
-            temperature: 0.3,
-            maxOutputTokens: 12000
-          }
-        })
-      }
-    );
-    
-    const result = await response.json();
-    let chunksStr = result.candidates[0].content.parts[0].text.trim();
-    chunksStr = chunksStr.replace(/```json\s+/g, '').replace(/```/g, '');
-    
-    // Parse the chunks
-    const chunks = JSON.parse(chunksStr);
-    
-    return chunks;
-  } catch (error) {
-    console.error("BOQ chunking failed:", error);
-    
-    // Fallback to simple chunking
-    return simpleBoqChunking(boqData);
-  }
-};
-
-// Simple fallback chunking for BOQs
-const simpleBoqChunking = (boqData: any): any[] => {
-  const chunks = [];
-  
-  // Add metadata chunk
-  chunks.push({
-    content: `Bill of Quantities: ${boqData.title || 'Untitled BOQ'}`,
-    type: "metadata",
-    metadata: {
-      filename: boqData.fileName || 'unknown',
-      date: boqData.date || new Date().toISOString(),
-      chunkType: "metadata"
-    }
-  });
-  
-  // Add chunks for sections or main data
-  if (Array.isArray(boqData)) {
-    // Handle array format (common from Excel imports)
-    for (let i = 0; i < boqData.length; i += 10) {
-      const group = boqData.slice(i, i + 10);
-      chunks.push({
-        content: JSON.stringify(group),
-        type: "item_group",
-        metadata: {
-          startIndex: i,
-          endIndex: Math.min(i + 9, boqData.length - 1),
-          count: group.length,
-          chunkType: "item_group"
-        }
-      });
-    }
-  } else if (boqData.sections) {
-    // Handle structured format with sections
-    boqData.sections.forEach((section: any, index: number) => {
-      chunks.push({
-        content: `Section ${section.code || index}: ${section.title || 'Untitled Section'}`,
-        type: "section",
-        metadata: {
-          sectionCode: section.code || `S${index}`,
-          sectionIndex: index,
-          chunkType: "section"
-        }
-      });
-      
-      // Add items in this section
-      if (section.items && section.items.length > 0) {
-        for (let i = 0; i < section.items.length; i += 5) {
-          const group = section.items.slice(i, i + 5);
-          chunks.push({
-            content: JSON.stringify(group),
-            type: "item_group",
-            metadata: {
-              sectionCode: section.code || `S${index}`,
-              startIndex: i,
-              endIndex: Math.min(i + 4, section.items.length - 1),
-              count: group.length,
-              chunkType: "item_group"
-            }
-          });
-        }
-      }
-    });
-  }
-  
-  return chunks;
-};
-
-export default App;
-                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                            <label className="flex items-center">
-                              <input
-                                type="checkbox"
-                                checked={selectedEntries.size === processedEntries.length}
-                                onChange={toggleAllEntriesSelection}
-                                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                              />
-                              <span className="ml-2 text-xs font-medium text-gray-500">Select All</span>
-                            </label>
-                          </th>
-                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">File</th>
-                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
-                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Fields</th>
-                          <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
-                        </tr>
-                      </thead>
-                      <tbody className="bg-white divide-y divide-gray-200">
-                        {visibleEntries.map(entry => (
-                          <tr key={entry.id}>
-                            <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
-                              <label className="flex items-center">
-                                <input
-                                  type="checkbox"
-                                  checked={selectedEntries.has(entry.id)}
-                                  onChange={() => toggleEntrySelection(entry.id)}
-                                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                                />
-                              </label>
-                            </td>
-                            <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{entry.fileName}</td>
-                            <td className="px-4 py-2 whitespace-nowrap">
-                              <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium
-                                ${entry.status === 'processed' ? 'bg-green-100 text-green-800' : 
-                                  entry.status === 'warning' ? 'bg-yellow-100 text-yellow-800' :
-                                  'bg-red-100 text-red-800'}`}>
-                                {entry.status}
-                              </span>
-                            </td>
-                            <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">
-                              {entry.fields.map(field => (
-                                <span key={field} className="inline-block bg-gray-200 rounded-full px-2.5 py-0.5 text-xs font-medium text-gray-700 mr-1 mb-1">{field}</span>
-                              ))}
-                            </td>
-                            <td className="px-4 py-2 text-right text-sm">
-                              <button
-                                onClick={() => toggleEntryExpansion(entry.id)}
-                                className="inline-flex items-center px-3 py-1.5 border border-transparent rounded-md shadow-sm text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                              >
-                                {expandedEntry === entry.id ? 'Hide Details' : 'Show Details'}
-                              </button>
-                            </td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
-                  
-                  {visibleEntries.length > 0 && (
-                    <div className="mt-4 flex justify-center">
-                      <nav className="relative z-0 inline-flex rounded-md shadow-sm -space-x-px" aria-label="Pagination">
-                        <a
-                          href="#"
-                          onClick={() => setCurrentPage(prev => prev > 1 ? prev - 1 : 1)}
-                          disabled={currentPage === 1}
-                          className="relative inline-flex items-center px-2 py-2 rounded-l-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 focus:z-10 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-300 disabled:cursor-not-allowed"
-                        >
-                          <span className="sr-only">Previous</span>
-                          <svg className="h-5 w-5" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
-                            <path fillRule="evenodd" d="M12.707 5.293a1 1 0 010 1.414L9.414 10l3.293 3.293a1 1 0 01-1.414 1.414l-4-4a1 1 0 010-1.414l4-4a1 1 0 011.414 0z" clipRule="evenodd" />
-                          </svg>
-                        </a>
-                        {/* Pagination numbers */}
-                        {[...Array(totalPages).keys()].map(page => (
-                          <a
-                            href="#"
-                            onClick={() => setCurrentPage(page + 1)}
-                            key={page}
-                            aria-current={page + 1 === currentPage ? 'page' : null}
-                            className={`relative inline-flex items-center px-4 py-2 border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 focus:z-10 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 ${page + 1 === currentPage ? 'z-10 bg-blue-50 border-blue-500 text-blue-600' : ''}`}
-                          >
-                            {page + 1}
-                          </a>
-                        ))}
-                        <a
-                          href="#"
-                          onClick={() => setCurrentPage(prev => prev < totalPages ? prev + 1 : totalPages)}
-                          disabled={currentPage === totalPages}
-                          className="relative inline-flex items-center px-2 py-2 rounded-r-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 focus:z-10 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-300 disabled:cursor-not-allowed"
-                        >
-                          <span className="sr-only">Next</span>
-                          <svg className="h-5 w-5" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
-                            <path fillRule="evenodd" d="M7.293 14.707a1 1 0 010-1.414L10.586 10l-3.293-3.293a1 1 0 011.414-1.414l4 4a1 1 0 010 1.414l-4 4a1 1 0 01-1.414 0z" clipRule="evenodd" />
-                          </svg>
-                        </a>
-                      </nav>
-                    </div>
-                  )}
-                </>
-              )}
-            </div>
-          )}
-          
-          {/* Merged Datasets tab */}
-          {activeTab === 'datasets' && (
-            <div>
-              <h2 className="text-lg font-medium text-gray-900">Merged Datasets</h2>
-              
-              {mergedDatasets.length === 0 ? (
-                <div className="text-center py-8 bg-gray-50 rounded-lg">
-                  <p className="text-gray-500">No merged datasets yet. Merge some processed entries.</p>
-                </div>
-              ) : (
-                <div className="mt-4 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                  {mergedDatasets.map(dataset => (
-                    <div key={dataset.id} className="bg-white rounded-lg shadow-sm overflow-hidden">
-                      <div className="p-4">
-                        <h3 className="text-sm font-medium text-gray-900">{dataset.name}</h3>
-                        <p className="text-xs text-gray-500">
-                          {dataset.records.length} records | Created on {new Date(dataset.timestamp).toLocaleDateString()}
-                        </p>
-                      </div>
-                      <div className="p-4">
-                        <div className="flex items-center justify-between">
-                          <div className="flex items-center">
-                            <svg className="w-4 h-4 text-gray-400" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
-                              <path d="M10 20a10 10 0 1 1 0-20 10 10 0 0 1 0 20zm0 1a1 1 0 0 1-1-1H3a1 1 0 0 1-1-1V3a1 1 0 0 1 1-1h6a1 1 0 0 1 1 1v6a1 1 0 0 1 1 1h6a1 1 0 0 1 1 1v6a1 1 0 0 1-1 1h-6a1 1 0 0 1-1-1z" />
-                            </svg>
-                            <span className="ml-2 text-xs font-medium text-gray-500">{dataset.fields.length} fields</span>
-                          </div>
-                          <div className="flex space-x-2">
-                            <button
-                              onClick={() => exportDataset(dataset, 'json')}
-                              className="inline-flex items-center px-3 py-1.5 border border-transparent rounded-md shadow-sm text-xs font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
-                            >
-                              JSON
-                            </button>
-                            <button
-                              onClick={() => exportDataset(dataset, 'jsonl')}
-                              className="inline-flex items-center px-3 py-1.5 border border-transparent rounded-md shadow-sm text-xs font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
-                            >
-                              JSONL
-                            </button>
-                            <button
-                              onClick={() => exportDataset(dataset, 'csv')}
-                              className="inline-flex items-center px-3 py-1.5 border border-transparent rounded-md shadow-sm text-xs font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
-                            >
-                              CSV
-                            </button>
-                            <button
-                              onClick={() => exportDataset(dataset, 'huggingface')}
-                              className="inline-flex items-center px-3 py-1.5 border border-transparent rounded-md shadow-sm text-xs font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
-                            >
-                              Hugging Face
-                            </button>
-                            <button
-                              onClick={() => exportDataset(dataset, 'rag')}
-                              className="inline-flex items-center px-3 py-1.5 border border-transparent rounded-md shadow-sm text-xs font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
-                            >
-                              RAG
-                            </button>
-                            <button
-                              onClick={() => deleteDataset(dataset.id)}
-                              className="inline-flex items-center px-3 py-1.5 border border-transparent rounded-md shadow-sm text-xs font-medium text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
-                            >
-                              Delete
-                            </button>
-                          </div>
-                        </div>
-                      </div>
-                    </div>
-                  ))}
-                </div>
-              )}
-            </div>
-          )}
-          
-          {/* RAG Preparation tab */}
-          {activeTab === 'rag' && (
-            <div>
-              <h2 className="text-lg font-medium text-gray-900">RAG Dataset Preparation</h2>
-              <p className="mt-2 text-gray-500">
-                This section helps you prepare your merged datasets for use in Retrieval Augmented Generation (RAG) systems.
-              </p>
-              
-              {activeDataset ? (
-                <div className="mt-4">
-                  <h3 className="text-xl font-medium text-gray-900 mb-2">Active Dataset: {activeDataset.name}</h3>
-                  
-                  <div className="overflow-x-auto rounded-lg border border-gray-200">
-                    <table className="min-w-full divide-y divide-gray-200">
-                      <thead className="bg-gray-50">
-                        <tr>
-                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Field</th>
-                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
-                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Example Value</th>
-                        </tr>
-                      </thead>
-                      <tbody className="bg-white divide-y divide-gray-200">
-                        {activeDataset.fields.map(field => (
-                          <tr key={field}>
-                            <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{field}</td>
-                            <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{activeDataset.schema[field] || 'mixed'}</td>
-                            <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">
-                              {activeDataset.records.length > 0 && activeDataset.records[0][field]}
-                            </td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
-                  
-                  {/* Example RAG-formatted JSON */}
-                  <div className="mt-6 bg-gray-50 rounded-lg border border-gray-200 p-4">
-                    <h3 className="text-sm font-medium text-gray-700 mb-2">RAG-formatted JSON Example</h3>
-                    
-                    <pre className="overflow-x-auto rounded-lg shadow-sm text-sm font-mono bg-gray-100 p-2 text-gray-700">
-                      {JSON.stringify(
-                        {
-                          name: activeDataset.name,
-                          timestamp: activeDataset.timestamp,
-                          documents: activeDataset.records.map(record => {
-                            // Find content fields vs metadata fields (heuristic approach)
-                            const contentFields = Object.keys(record).filter(key => 
-                              !key.startsWith('_') && 
-                              typeof record[key] === 'string' && 
-                              record[key].length > 100
-                            );
-                            
-                            const metadataFields = Object.keys(record).filter(key => 
-                              !contentFields.includes(key)
-                            );
-                            
-                            // Build a RAG-friendly structure
-                            return {
-                              text: contentFields.map(field => record[field]).join('\n\n'),
-                              metadata: metadataFields.reduce((meta, key) => {
-                                meta[key] = record[key];
-                                return meta;
-                              }, {})
-                            };
-                          }),
-                          metadata: {
-                            record_count: activeDataset.records.length,
-                            fields: activeDataset.fields,
-                            schema: activeDataset.schema
-                          }
-                        },
-                        null,
-                        2
-                      )}
-                    </pre>
-                  </div>
-                </div>
-              ) : (
-                <div className="mt-4 text-center py-8 bg-gray-50 rounded-lg">
-                  <p className="text-gray-500">Please select a merged dataset to view its RAG preparation format.</p>
-                </div>
-              )}
-            </div>
-          )}
-        </div>
-
-        <footer className="px-6 py-4 bg-blue-700 rounded-b-lg">
-          <p className="text-center text-blue-100 mt-1">
-            &copy; 2023 - Built with ❤️ by [Your Name]
-          </p>
-        </footer>
-      </div>
-    </div>
-  );
-};
-
-// Semantically-aware JSON merging using Google models
-const mergeJsonWithAI = async (entries: JsonEntry[]): Promise<any> => {
-  if (entries.length === 0) {
-    throw new Error("No entries to merge");
-  }
-  
-  try {
-    // First, create a prompt that explains the merging task
-    let prompt = `You are a JSON merging expert. I have multiple JSON documents that I need to merge into a single cohesive dataset.
-    
-    The documents represent ${entries[0].fileName.includes('BOQ') ? 'construction Bills of Quantities (BOQ)' : 'JSON data'}.
-    I want you to intelligently merge these documents by understanding their content, not just their structure.
-    
-    Here are the JSON documents to merge:
-    `;
-    
-    // Add each document to the prompt
-    entries.forEach((entry, index) => {
-      prompt += `\nDocument ${index + 1} (${entry.fileName}):\n${entry.formattedJson.substring(0, 4000)}\n`;
-    });
-    
-    prompt += `\nPlease merge these documents into a single cohesive JSON structure.
-    Think about how to handle:
-    1. Overlapping fields with different values
-    2. Arrays that should be concatenated
-    3. Nested objects that should be merged
-    4. Consistent field naming and data types
-    
-    Return ONLY the merged JSON without explanations or markdown.`;
-    
-    // Call the Google API
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro-002:generateContent?key=${GOOGLE_API_KEY}`,
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: prompt }] }],
-          generationConfig: {
-            temperature: 0.2,
-            maxOutputTokens: 16000
-          }
-        })
-      }
-    );
-    
-    const result = await response.json();
-    let mergedJson = result.candidates[0].content.parts[0].text.trim();
-    
-    // Clean up any markdown formatting
-    mergedJson = mergedJson.replace(/```json\s+/g, '').replace(/```/g, '');
-    
-    // Validate and parse the merged JSON
-    const parsedMerged = JSON.parse(mergedJson);
-    
-    return parsedMerged;
-  } catch (error) {
-    console.error("AI-based merge failed:", error);
-    
-    // Fallback to standard merging if AI-based merging fails
-    return standardMergeJson(entries);
-  }
-};
-
-// Enhanced version of mergeSelectedEntries that uses AI
-const mergeSelectedEntries = useCallback(async () => {
-  if (selectedEntries.size === 0) {
-    setError("Please select entries to merge");
-    return;
-  }
-  
-  try {
-    // Get selected entries
-    const entriesToMerge = processedEntries.filter(entry => 
-      selectedEntries.has(entry.id) && entry.status !== 'error'
-    );
-    
-    if (entriesToMerge.length === 0) {
-      setError("No valid entries selected for merging");
-      return;
-    }
-    
-    setStatus({ 
-      isProcessing: true, 
-      stage: "Merging entries with AI",
-      progress: 0,
-      error: null,
-      modelProgress: { merge: 10 }
-    });
-    
-    // Use AI to merge the JSON entries
-    const mergedData = await mergeJsonWithAI(entriesToMerge);
-    
-    setStatus(prev => ({ 
-      ...prev, 
-      progress: 50,
-      modelProgress: { ...prev.modelProgress, merge: 80 }
-    }));
-    
-    // Process the merged data
-    let records = [];
-    
-    // Handle different structures that might result from the AI merge
-    if (Array.isArray(mergedData)) {
-      // If merged result is an array, each element becomes a record
-      records = mergedData.map(item => {
-        const record = processingOptions.flattenNested
-          ? flattenObject(item)
-          : item;
-          
-        // Add source metadata
-        record._source = "AI-merged dataset";
-        record._timestamp = new Date().toISOString();
-        record._sourceEntries = entriesToMerge.map(e => e.fileName).join(', ');
-        return record;
-      });
-    } else {
-      // If merged result is an object, it becomes a single record
-      const record = processingOptions.flattenNested
-        ? flattenObject(mergedData)
-        : mergedData;
-        
-      // Add source metadata
-      record._source = "AI-merged dataset";
-      record._timestamp = new Date().toISOString();
-      record._sourceEntries = entriesToMerge.map(e => e.fileName).join(', ');
-      records.push(record);
-    }
-    
-    // Create a set of all fields from the records
-    const allFields = new Set<string>();
-    records.forEach(record => {
-      Object.keys(record).forEach(key => allFields.add(key));
-    });
-    
-    // Infer schema from data
-    const schema: {[key: string]: string} = {};
-    if (processingOptions.detectSchemas && records.length > 0) {
-      // Get all unique keys
-      const allKeys = new Set<string>();
-      records.forEach(record => {
-        Object.keys(record).forEach(key => allKeys.add(key));
-      });
-      
-      // Determine type for each key
-      allKeys.forEach(key => {
-        const types = new Set<string>();
-        
-        records.forEach(record => {
-          if (key in record) {
-            const value = record[key];
-            if (value === null) {
-              types.add('null');
-            } else if (Array.isArray(value)) {
-              types.add('array');
-            } else {
-              types.add(typeof value);
-            }
-          }
-        });
-        
-        // Assign the most specific type
-        if (types.size === 0) {
-          schema[key] = 'unknown';
-        } else if (types.size === 1) {
-          schema[key] = Array.from(types)[0];
-        } else if (types.has('string')) {
-          schema[key] = 'string';
-        } else if (types.has('number')) {
-          schema[key] = 'number';
-        } else {
-          schema[key] = 'mixed';
-        }
-      });
-    }
-    
-    setStatus(prev => ({ 
-      ...prev, 
-      progress: 90,
-      modelProgress: { ...prev.modelProgress, merge: 95 }
-    }));
-    
-    // Create the dataset
-    const dataset: MergedDataset = {
-      id: `dataset-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
-      name: `AI-Merged Dataset (${entriesToMerge.length} files)`,
-      records,
-      fields: Array.from(allFields),
-      schema,
-      timestamp: new Date().toISOString()
-    };
-    
-    setMergedDatasets(prev => [dataset, ...prev]);
-    setActiveDataset(dataset);
-    setActiveTab('datasets');
-    setSelectedEntries(new Set());
-    
-    setStatus({ 
-      isProcessing: false, 
-      stage: "Merge completed",
-      progress: 100,
-      error: null,
-      modelProgress: { merge: 100 }
-    });
-    
-    return dataset;
-  } catch (e) {
-    const errorMessage = e instanceof Error ? e.message : String(e);
-    setError(`Error merging entries: ${errorMessage}`);
-    
-    setStatus({ 
-      isProcessing: false, 
-      stage: "Merge failed",
-      progress: 0,
-      error: errorMessage,
-      modelProgress: { merge: -1 }
-    });
-    
-    return null;
-  }
-}, [
-  selectedEntries, 
-  processedEntries, 
-  processingOptions.flattenNested, 
-  processingOptions.detectSchemas,
-  flattenObject
-]);
-
-export default App;
-                                <button
-                                  onClick={() => toggleEntryExpansion(entry.id)}
-                                  className="text-gray-500 hover:text-gray-700"
-                                >
-                                  {expandedEntry === entry.id ? 'Collapse' : 'Expand'}
-                                </button>
-                              </td>
-                            </tr>
-                            {expandedEntry === entry.id && (
-                              <tr className="bg-gray-100">
-                                <td colSpan={6} className="px-4 py-3 whitespace-nowrap">
-                                  <pre className="bg-gray-50 p-2 rounded-lg overflow-x-auto font-mono text-sm text-gray-900">
-                                    {entry.formattedJson}
-                                  </pre>
-                                </td>
-                              </tr>
-                            )}
-                          </React.Fragment>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
-                  
-                  <div className="mt-4 flex justify-between items-center">
-                    <div className="flex items-center space-x-2">
-                      <span className="text-gray-500">Page</span>
-                      <select
-                        value={currentPage}
-                        onChange={(e) => setCurrentPage(parseInt(e.target.value))}
-                        className="border border-gray-300 rounded-md px-2 py-1 text-sm focus:ring-blue-500 focus:border-blue-500"
-                      >
-                        {[...Array(totalPages).keys()].map(index => (
-                          <option key={index + 1} value={index + 1}>
-                            {index + 1}
-                          </option>
-                        ))}
-                      </select>
-                      <span className="text-gray-500">of {totalPages}</span>
-                    </div>
-                    
-                    <div className="flex items-center space-x-2">
-                      <button
-                        onClick={() => setCurrentPage(prev => Math.max(1, prev - 1))}
-                        disabled={currentPage === 1}
-                        className="inline-flex items-center px-2 py-1 border border-transparent rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed"
-                      >
-                        Previous
-                      </button>
-                      <button
-                        onClick={() => setCurrentPage(prev => Math.min(totalPages, prev + 1))}
-                        disabled={currentPage === totalPages}
-                        className="inline-flex items-center px-2 py-1 border border-transparent rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed"
-                      >
-                        Next
-                      </button>
-                    </div>
-                  </div>
-                </>
-              )}
-            </div>
-          )}
-          
-          {/* Merged Datasets tab */}
-          {activeTab === 'datasets' && (
-            <div>
-              <h2 className="text-lg font-medium text-gray-900 mb-4">Merged Datasets</h2>
-              
-              {mergedDatasets.length === 0 ? (
-                <div className="text-center py-8 bg-gray-50 rounded-lg">
-                  <p className="text-gray-500">No datasets yet. Merge some processed entries to create a dataset.</p>
-                </div>
-              ) : (
-                <div className="overflow-x-auto rounded-lg border border-gray-200">
-                  <table className="min-w-full divide-y divide-gray-200">
-                    <thead className="bg-gray-50">
-                      <tr>
-                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Dataset Name
-                        </th>
-                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Record Count
-                        </th>
-                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Field Count
-                        </th>
-                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Date Merged
-                        </th>
-                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Actions
-                        </th>
-                      </tr>
-                    </thead>
-                    <tbody className="bg-white divide-y divide-gray-200">
-                      {mergedDatasets.map(dataset => (
-                        <tr key={dataset.id} className={activeDataset?.id === dataset.id ? 'bg-blue-50' : 'hover:bg-gray-50'}>
-                          <td className="px-4 py-3 text-sm text-gray-900">{dataset.name}</td>
-                          <td className="px-4 py-3 text-sm text-gray-500">{dataset.records.length}</td>
-                          <td className="px-4 py-3 text-sm text-gray-500">{dataset.fields.length}</td>
-                          <td className="px-4 py-3 text-sm text-gray-500">
-                            {new Date(dataset.timestamp).toLocaleString()}
-                          </td>
-                          <td className="px-4 py-3 whitespace-nowrap text-right text-sm font-medium">
-                            <button
-                              onClick={() => setActiveDataset(dataset)}
-                              className="text-blue-600 hover:text-blue-900"
-                            >
-                              View
-                            </button>
-                            <button
-                              onClick={() => exportDataset(dataset, 'json')}
-                              className="text-green-600 hover:text-green-900 ml-2"
-                            >
-                              Export JSON
-                            </button>
-                            <button
-                              onClick={() => exportDataset(dataset, 'jsonl')}
-                              className="text-green-600 hover:text-green-900 ml-2"
-                            >
-                              Export JSONL
-                            </button>
-                            <button
-                              onClick={() => exportDataset(dataset, 'csv')}
-                              className="text-green-600 hover:text-green-900 ml-2"
-                            >
-                              Export CSV
-                            </button>
-                            <button
-                              onClick={() => exportDataset(dataset, 'huggingface')}
-                              className="text-green-600 hover:text-green-900 ml-2"
-                            >
-                              Export Hugging Face
-                            </button>
-                            <button
-                              onClick={() => exportDataset(dataset, 'rag')}
-                              className="text-green-600 hover:text-green-900 ml-2"
-                            >
-                              Export RAG
-                            </button>
-                            <button
-                              onClick={() => deleteDataset(dataset.id)}
-                              className="text-red-600 hover:text-red-900 ml-2"
-                            >
-                              Delete
-                            </button>
-                          </td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
-              )}
-            </div>
-          )}
-          
-          {/* RAG Preparation tab */}
-          {activeTab === 'rag' && (
-            <div>
-              <h2 className="text-lg font-medium text-gray-900 mb-4">RAG Dataset Preparation</h2>
-              
-              {activeDataset ? (
-                <div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
-                  <h3 className="text-sm font-medium text-gray-700 mb-2">Selected Dataset</h3>
-                  
-                  <div className="overflow-x-auto">
-                    <table className="min-w-full divide-y divide-gray-200">
-                      <thead>
-                        <tr>
-                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
-                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Record Count</th>
-                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Field Count</th>
-                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date Merged</th>
-                        </tr>
-                      </thead>
-                      <tbody className="bg-white divide-y divide-gray-200">
-                        <tr>
-                          <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{activeDataset.name}</td>
-                          <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{activeDataset.records.length}</td>
-                          <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{activeDataset.fields.length}</td>
-                          <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">
-                            {new Date(activeDataset.timestamp).toLocaleString()}
-                          </td>
-                        </tr>
-                      </tbody>
-                    </table>
-                  </div>
-                  
-                  <div className="mt-4">
-                    <button
-                      onClick={() => exportDataset(activeDataset, 'rag')}
-                      className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                    >
-                      Export RAG Dataset (Standard)
-                    </button>
-                    <button
-                      onClick={() => exportRagDataset(activeDataset)}
-                      disabled={isProcessing}
-                      className={`inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 ${isProcessing ? 'bg-blue-300 cursor-not-allowed' : ''}`}
-                    >
-                      Export RAG Dataset (AI-Enhanced)
-                    </button>
-                  </div>
-                </div>
-              ) : (
-                <div className="text-center py-8 bg-gray-50 rounded-lg">
-                  <p className="text-gray-500">Please select a dataset to prepare for RAG.</p>
-                </div>
-              )}
-            </div>
-          )}
-        </div>
-      </div>
-    </div>
-  );
-};
-
-export default App;
\ No newline at end of file
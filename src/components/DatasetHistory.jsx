@@ -0,0 +1,204 @@
+import React, { useEffect, useState } from "react";
+import { VERSION_KINDS, summarizeChanges } from "../lib/datasetVersions";
+
+const preview = (value) => {
+  const text = JSON.stringify(value) ?? 'undefined';
+  return text.length > 200 ? `${text.substring(0, 197)}...` : text;
+};
+
+const RecordList = ({ title, records, count, className }) => (
+  count > 0 && (
+    <div>
+      <h5 className={`text-xs font-medium mb-1 ${className}`}>{title} ({count})</h5>
+      <ul className="space-y-1 max-h-48 overflow-y-auto">
+        {records.map((record, i) => (
+          <li key={i} className="text-xs font-mono text-gray-600 break-all">{preview(record)}</li>
+        ))}
+      </ul>
+      {count > records.length && (
+        <p className="text-xs text-gray-500">{count - records.length} more not shown</p>
+      )}
+    </div>
+  )
+);
+
+// Version history of a dataset (see lib/datasetVersions): the changelog,
+// a diff between any two versions, rollback and export of a version.
+// Versions are loaded with `loadVersions(datasetId)` when the panel is open.
+const DatasetHistory = ({ dataset, loadVersions, onDiff, onRollback, onExport }) => {
+  const [open, setOpen] = useState(false);
+  const [versions, setVersions] = useState([]);
+  const [fromVersion, setFromVersion] = useState('');
+  const [toVersion, setToVersion] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    loadVersions(dataset.id)
+      .then(loaded => {
+        if (cancelled) return;
+        setVersions(loaded);
+        setDiff(null);
+        if (loaded.length > 0) {
+          setToVersion(String(loaded[loaded.length - 1].version));
+          setFromVersion(String(loaded[Math.max(0, loaded.length - 2)].version));
+        }
+      })
+      .catch(e => setError(`Could not load versions: ${e instanceof Error ? e.message : String(e)}`));
+    return () => {
+      cancelled = true;
+    };
+  }, [open, dataset.id, dataset.version, loadVersions]);
+
+  const findVersion = (number) => versions.find(version => String(version.version) === number);
+
+  const compare = async () => {
+    setError(null);
+    try {
+      setDiff(await onDiff(findVersion(fromVersion), findVersion(toVersion)));
+    } catch (e) {
+      setError(`Could not compare versions: ${e instanceof Error ? e.message : String(e)}`);
+    }
+  };
+
+  const rollback = (version) => {
+    if (window.confirm(`Roll "${dataset.name}" back to version ${version.version}? This is recorded as a new version.`)) {
+      onRollback(version);
+    }
+  };
+
+  const selectClassName = "border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-xs";
+  const schemaChanges = diff ? diff.schema.added.length + diff.schema.removed.length + diff.schema.changed.length : 0;
+
+  return (
+    <details
+      className="mb-4 bg-gray-50 rounded-lg border border-gray-200 p-4"
+      onToggle={(e) => setOpen(e.currentTarget.open)}
+    >
+      <summary className="text-sm font-medium text-gray-700 cursor-pointer">
+        History ({dataset.version ? `version ${dataset.version}` : 'not versioned'})
+      </summary>
+
+      {error && <p className="mt-3 text-xs text-red-600">{error}</p>}
+
+      <div className="mt-3 overflow-x-auto border rounded-md bg-white">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Version</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Change</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Records</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Date</th>
+              <th className="px-3 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {[...versions].reverse().map(version => (
+              <tr key={version.id}>
+                <td className="px-3 py-2 text-xs font-medium text-gray-900">
+                  v{version.version}
+                  {version.version === dataset.version && <span className="ml-1 text-indigo-600">(current)</span>}
+                </td>
+                <td className="px-3 py-2 text-xs text-gray-600">
+                  <span className="text-gray-400">{VERSION_KINDS[version.kind] || version.kind}: </span>
+                  {version.message}
+                </td>
+                <td className="px-3 py-2 text-xs font-mono text-gray-600 whitespace-nowrap">
+                  {version.records.length} ({summarizeChanges(version.changes)})
+                </td>
+                <td className="px-3 py-2 text-xs text-gray-500 whitespace-nowrap">
+                  {new Date(version.timestamp).toLocaleString()}
+                </td>
+                <td className="px-3 py-2 text-xs text-right whitespace-nowrap space-x-2">
+                  <button onClick={() => onExport(version, 'json')} className="text-blue-600 hover:text-blue-900">
+                    JSON
+                  </button>
+                  <button onClick={() => onExport(version, 'rag')} className="text-blue-600 hover:text-blue-900">
+                    RAG
+                  </button>
+                  {version.version !== dataset.version && (
+                    <button onClick={() => rollback(version)} className="text-orange-600 hover:text-orange-900">
+                      Roll back
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {versions.length === 0 && (
+          <p className="px-3 py-2 text-xs text-gray-500">No versions recorded yet.</p>
+        )}
+      </div>
+
+      {versions.length > 1 && (
+        <div className="mt-4">
+          <div className="flex items-center gap-2 text-xs text-gray-700">
+            Compare
+            <select value={fromVersion} onChange={(e) => { setFromVersion(e.target.value); setDiff(null); }} className={selectClassName}>
+              {versions.map(version => <option key={version.id} value={version.version}>v{version.version}</option>)}
+            </select>
+            with
+            <select value={toVersion} onChange={(e) => { setToVersion(e.target.value); setDiff(null); }} className={selectClassName}>
+              {versions.map(version => <option key={version.id} value={version.version}>v{version.version}</option>)}
+            </select>
+            <button
+              onClick={compare}
+              className="px-3 py-1 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Diff
+            </button>
+          </div>
+
+          {diff && (
+            <div className="mt-3 bg-white border border-gray-200 rounded-md p-3 space-y-3">
+              <p className="text-xs text-gray-700">
+                v{fromVersion} → v{toVersion}: {diff.counts.added} added, {diff.counts.removed} removed,
+                {' '}{diff.counts.changed} changed records; {schemaChanges} schema changes
+              </p>
+
+              {schemaChanges > 0 && (
+                <ul className="text-xs font-mono space-y-0.5">
+                  {diff.schema.added.map(field => <li key={`+${field}`} className="text-green-700">+ {field}</li>)}
+                  {diff.schema.removed.map(field => <li key={`-${field}`} className="text-red-700">- {field}</li>)}
+                  {diff.schema.changed.map(change => (
+                    <li key={`~${change.field}`} className="text-yellow-700">
+                      ~ {change.field}: {change.from} → {change.to}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <RecordList title="Added" records={diff.added} count={diff.counts.added} className="text-green-700" />
+              <RecordList title="Removed" records={diff.removed} count={diff.counts.removed} className="text-red-700" />
+              {diff.counts.changed > 0 && (
+                <div>
+                  <h5 className="text-xs font-medium mb-1 text-yellow-700">Changed ({diff.counts.changed})</h5>
+                  <ul className="space-y-1 max-h-48 overflow-y-auto">
+                    {diff.changed.map(change => (
+                      <li key={change.rowId} className="text-xs font-mono text-gray-600 break-all">
+                        {change.fields.map(field => (
+                          <div key={field}>
+                            <span className="text-gray-400">{field}: </span>
+                            {preview(change.before[field])} → {preview(change.after[field])}
+                          </div>
+                        ))}
+                      </li>
+                    ))}
+                  </ul>
+                  {diff.counts.changed > diff.changed.length && (
+                    <p className="text-xs text-gray-500">{diff.counts.changed - diff.changed.length} more not shown</p>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </details>
+  );
+};
+
+export default DatasetHistory;
@@ -0,0 +1,82 @@
+import React from "react";
+
+// Conflicts shown at once in the review list
+const MAX_SHOWN_CONFLICTS = 50;
+
+const preview = (record) => {
+  const text = JSON.stringify(record);
+  return text.length > 300 ? `${text.substring(0, 297)}...` : text;
+};
+
+// Dedupe report of a dataset (see lib/dedupe) with the review queue for
+// conflicts merged with the 'manual' strategy
+const DedupeReport = ({ report, onResolve }) => {
+  const pending = report.conflicts.filter(conflict => !conflict.resolved);
+  const shown = (report.strategy === 'manual' ? pending : report.conflicts).slice(0, MAX_SHOWN_CONFLICTS);
+
+  return (
+    <details className="mb-4 bg-gray-50 rounded-lg border border-gray-200 p-4" open={pending.length > 0}>
+      <summary className="text-sm font-medium text-gray-700 cursor-pointer">
+        Dedupe Report ({report.inputCount - report.outputCount} removed
+        {pending.length > 0 ? `, ${pending.length} conflicts to review` : ''})
+      </summary>
+
+      <div className="mt-4 space-y-3">
+        <div className="flex flex-wrap gap-2">
+          <span className="inline-flex items-center px-2.5 py-0.5 rounded-md text-xs font-medium bg-gray-100 text-gray-800">
+            {report.mode === 'key' ? `Key: ${report.keyFields.join(', ')}` : 'Key: record content'}
+          </span>
+          <span className="inline-flex items-center px-2.5 py-0.5 rounded-md text-xs font-medium bg-blue-100 text-blue-800">
+            {report.inputCount} in, {report.outputCount} out
+          </span>
+          <span className="inline-flex items-center px-2.5 py-0.5 rounded-md text-xs font-medium bg-green-100 text-green-800">
+            {report.duplicateCount} exact duplicates
+          </span>
+          <span className="inline-flex items-center px-2.5 py-0.5 rounded-md text-xs font-medium bg-yellow-100 text-yellow-800">
+            {report.conflictCount} conflicts ({report.strategy})
+          </span>
+          {report.missingKeyCount > 0 && (
+            <span className="inline-flex items-center px-2.5 py-0.5 rounded-md text-xs font-medium bg-orange-100 text-orange-800">
+              {report.missingKeyCount} records without a key kept
+            </span>
+          )}
+        </div>
+
+        {shown.map(conflict => (
+          <div key={conflict.key} className="bg-white border border-gray-200 rounded-md p-3">
+            <p className="text-xs font-medium text-gray-700 mb-2">
+              Key <span className="font-mono">{conflict.key}</span>
+            </p>
+            <ul className="space-y-1">
+              {conflict.candidates.map((record, i) => (
+                <li key={i} className={`flex items-start justify-between rounded px-2 py-1 ${i === conflict.chosen ? 'bg-blue-50' : ''}`}>
+                  <span className="text-xs font-mono text-gray-600 break-all mr-3">
+                    {record._source && <span className="text-gray-400">{record._source}: </span>}
+                    {preview(record)}
+                  </span>
+                  {conflict.resolved ? (
+                    i === conflict.chosen && <span className="text-xs text-blue-700 whitespace-nowrap">Kept</span>
+                  ) : (
+                    <button
+                      onClick={() => onResolve(conflict.key, i)}
+                      className="text-xs text-blue-600 hover:text-blue-900 whitespace-nowrap"
+                    >
+                      Keep this
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+        {(report.strategy === 'manual' ? pending.length : report.conflictCount) > shown.length && (
+          <p className="text-xs text-gray-500">
+            {(report.strategy === 'manual' ? pending.length : report.conflictCount) - shown.length} more conflicts not shown
+          </p>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default DedupeReport;
@@ -0,0 +1,160 @@
+import React from "react";
+import { POOLING_METHODS } from "../lib/embeddings";
+import { EMBEDDING_EXPORT_FORMATS } from "../lib/vectorExport";
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.ceil(bytes / 1024)} KB`);
+
+// Local embeddings of the RAG chunks (see lib/embeddings and
+// lib/vectorExport). `onPickModel(files)` takes the files of a picked model
+// folder; `embeddings` is the last embedding set of this dataset, `stale`
+// whether the dataset or any setting changed since, and `progress` the
+// { stage, percent } of a running job.
+const EmbeddingPanel = ({
+  model,
+  onPickModel,
+  options,
+  onOptionsChange,
+  embeddings,
+  stale,
+  progress,
+  onGenerate,
+  onCancel,
+  onExport
+}) => {
+  const update = (field, value) => onOptionsChange({ ...options, [field]: value });
+
+  return (
+    <div className="bg-white p-4 rounded-lg border border-gray-200">
+      <h3 className="text-sm font-medium text-gray-900 mb-1">Embeddings</h3>
+      <p className="text-xs text-gray-500 mb-3">
+        Computed in your browser with a transformers.js sentence-embedding model from a local folder (e.g.
+        all-MiniLM-L6-v2 with its config, tokenizer and onnx/ files). Nothing is downloaded or uploaded.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="md:col-span-2">
+          <label htmlFor="embedding-model" className="block text-xs font-medium text-gray-700">
+            Model folder
+          </label>
+          <input
+            id="embedding-model"
+            type="file"
+            webkitdirectory=""
+            directory=""
+            onChange={(e) => {
+              if (e.target.files.length > 0) onPickModel(e.target.files);
+              e.target.value = '';
+            }}
+            className="mt-1 block w-full text-xs text-gray-700"
+          />
+          {model && (
+            <p className="mt-1 text-xs text-gray-600">
+              <span className="font-mono">{model.name}</span> • {model.dtype} • {formatSize(model.size)}
+            </p>
+          )}
+        </div>
+        <div>
+          <label htmlFor="embedding-batch" className="block text-xs font-medium text-gray-700">
+            Batch size
+          </label>
+          <input
+            id="embedding-batch"
+            type="number"
+            min="1"
+            value={options.batchSize}
+            onChange={(e) => {
+              const value = parseInt(e.target.value, 10);
+              if (value > 0) update('batchSize', value);
+            }}
+            className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+          />
+        </div>
+        <div className="flex flex-col justify-end space-y-1">
+          <label className="inline-flex items-center text-sm text-gray-700">
+            Pooling
+            <select
+              value={options.pooling}
+              onChange={(e) => update('pooling', e.target.value)}
+              className="ml-2 border-gray-300 rounded-md text-xs focus:ring-blue-500 focus:border-blue-500"
+            >
+              {POOLING_METHODS.map(method => <option key={method} value={method}>{method}</option>)}
+            </select>
+          </label>
+          <label className="inline-flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={options.normalize}
+              onChange={(e) => update('normalize', e.target.checked)}
+              className="h-4 w-4 mr-2 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            />
+            Normalize vectors
+          </label>
+        </div>
+      </div>
+
+      <div className="mt-4 flex items-center space-x-3">
+        {progress ? (
+          <>
+            <div className="flex-1">
+              <div className="flex justify-between text-xs text-gray-600 mb-1">
+                <span className="capitalize">{progress.stage}...</span>
+                <span>{progress.percent}%</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-1.5">
+                <div className="bg-blue-600 h-1.5 rounded-full" style={{ width: `${progress.percent}%` }}></div>
+              </div>
+            </div>
+            <button
+              onClick={onCancel}
+              className="px-3 py-1 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </>
+        ) : (
+          <button
+            onClick={onGenerate}
+            disabled={!model}
+            title={model ? undefined : 'Pick a model folder first'}
+            className="px-3 py-1 border border-transparent rounded-md text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {embeddings ? 'Regenerate embeddings' : 'Generate embeddings'}
+          </button>
+        )}
+      </div>
+
+      {embeddings && (
+        <div className="mt-4 border-t border-gray-200 pt-3">
+          <div className="flex flex-wrap gap-2 mb-2">
+            <span className="inline-flex items-center px-2.5 py-0.5 rounded-md text-xs font-medium bg-blue-100 text-blue-800">
+              {embeddings.chunks.length} chunks × {embeddings.dimensions} dimensions
+            </span>
+            <span className="inline-flex items-center px-2.5 py-0.5 rounded-md text-xs font-medium bg-gray-100 text-gray-800">
+              {embeddings.model.name} • version {embeddings.dataset.version}
+            </span>
+            {stale && (
+              <span className="inline-flex items-center px-2.5 py-0.5 rounded-md text-xs font-medium bg-yellow-100 text-yellow-800">
+                Dataset or settings changed since; regenerate to update
+              </span>
+            )}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(EMBEDDING_EXPORT_FORMATS).map(([format, label]) => (
+              <button
+                key={format}
+                onClick={() => onExport(format)}
+                className="px-3 py-1 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Export {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EmbeddingPanel;
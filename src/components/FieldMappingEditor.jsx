@@ -0,0 +1,258 @@
+import React, { useMemo, useState } from "react";
+import { MAPPING_TYPES, combineProfiles, suggestColumnGroups } from '../lib/fieldMapping';
+
+// Merge, rename, drop and retype the columns of a dataset. Columns that look
+// like the same column under different names are suggested for merging. The
+// mapping can be saved as a profile; profiles marked auto-apply are applied
+// to every later merge whose columns they name.
+// `profiles` are [{ id, name, columns, autoApply, timestamp }].
+const FieldMappingEditor = ({ dataset, profiles, onApply, onProfilesChange }) => {
+  // Columns of the records; metadata columns (_source, _timestamp) are kept
+  // as they are
+  const columns = useMemo(() => {
+    const fields = dataset.fieldProfiles
+      ? Object.keys(dataset.fieldProfiles)
+      : Array.from(new Set(dataset.records.flatMap(record => Object.keys(record))));
+    return fields.filter(field => !field.startsWith('_'));
+  }, [dataset.records, dataset.fieldProfiles]);
+  const [rules, setRules] = useState({});
+  const [profileName, setProfileName] = useState('');
+  const [autoApply, setAutoApply] = useState(true);
+
+  const suggestions = useMemo(
+    () => suggestColumnGroups(dataset.records, dataset.fieldProfiles),
+    [dataset.records, dataset.fieldProfiles]
+  );
+
+  const updateRule = (field, changes) => {
+    setRules(prev => ({ ...prev, [field]: { ...prev[field], ...changes } }));
+  };
+
+  const mergeGroup = (group) => {
+    setRules(prev => {
+      const next = { ...prev };
+      group.fields.forEach(field => {
+        next[field] = { ...next[field], target: group.target };
+      });
+      return next;
+    });
+  };
+
+  // Only the rules that change something end up in the mapping
+  const mapping = useMemo(() => {
+    const result = {};
+    Object.entries(rules).forEach(([field, rule]) => {
+      const target = rule.target?.trim();
+      const changed = rule.drop || rule.type || (target && target !== field);
+      if (!changed) return;
+      result[field] = {
+        target: target || field,
+        ...(rule.drop ? { drop: true } : {}),
+        ...(rule.type ? { type: rule.type } : {})
+      };
+    });
+    return result;
+  }, [rules]);
+
+  const ruleCount = Object.keys(mapping).length;
+
+  // `onApply` resolves to true once the dataset has been rewritten
+  const applyChanges = async () => {
+    if (await onApply(mapping)) setRules({});
+  };
+
+  const saveProfile = () => {
+    const name = profileName.trim();
+    if (!name || ruleCount === 0) return;
+    onProfilesChange([
+      ...profiles,
+      {
+        id: `mapping-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+        name,
+        columns: mapping,
+        autoApply,
+        timestamp: new Date().toISOString()
+      }
+    ]);
+    setProfileName('');
+  };
+
+  const loadProfile = (profile) => {
+    const combined = combineProfiles([profile], columns);
+    setRules(prev => ({ ...prev, ...combined }));
+  };
+
+  const updateProfile = (id, changes) => {
+    onProfilesChange(profiles.map(profile => (profile.id === id ? { ...profile, ...changes } : profile)));
+  };
+
+  const inputClassName = "block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-xs";
+
+  return (
+    <details className="mb-4 bg-gray-50 rounded-lg border border-gray-200 p-4">
+      <summary className="text-sm font-medium text-gray-700 cursor-pointer">
+        Field Mapping ({suggestions.length} suggestion{suggestions.length === 1 ? '' : 's'})
+      </summary>
+
+      <div className="mt-4 space-y-4">
+        {suggestions.length > 0 && (
+          <div>
+            <h5 className="text-xs font-medium text-gray-500 uppercase mb-2">Suggested merges</h5>
+            <ul className="space-y-1">
+              {suggestions.map(group => (
+                <li key={group.fields.join('|')} className="flex items-center justify-between bg-white border border-gray-200 rounded-md px-3 py-2">
+                  <span className="text-xs text-gray-700">
+                    <span className="font-mono">{group.fields.join(', ')}</span>
+                    {' '}&rarr; <span className="font-mono font-medium">{group.target}</span>
+                    <span className="ml-2 text-gray-400">{Math.round(group.score * 100)}% match</span>
+                  </span>
+                  <button
+                    onClick={() => mergeGroup(group)}
+                    className="text-xs text-blue-600 hover:text-blue-900"
+                  >
+                    Merge
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="overflow-x-auto border rounded-md bg-white">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Column</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Rename / merge into</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Type</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Drop</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {columns.map(field => {
+                const rule = rules[field] || {};
+                return (
+                  <tr key={field} className={rule.drop ? 'opacity-50' : ''}>
+                    <td className="px-3 py-2 text-xs font-mono text-gray-900">{field}</td>
+                    <td className="px-3 py-2">
+                      <input
+                        type="text"
+                        value={rule.target ?? ''}
+                        placeholder={field}
+                        disabled={rule.drop}
+                        onChange={(e) => updateRule(field, { target: e.target.value })}
+                        className={`${inputClassName} font-mono`}
+                      />
+                    </td>
+                    <td className="px-3 py-2">
+                      <select
+                        value={rule.type || ''}
+                        disabled={rule.drop}
+                        onChange={(e) => updateRule(field, { type: e.target.value || undefined })}
+                        className={inputClassName}
+                      >
+                        <option value="">{dataset.schema[field] || 'keep'}</option>
+                        {MAPPING_TYPES.map(type => (
+                          <option key={type} value={type}>{type}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-3 py-2">
+                      <input
+                        type="checkbox"
+                        checked={!!rule.drop}
+                        onChange={(e) => updateRule(field, { drop: e.target.checked })}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                      />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            onClick={applyChanges}
+            disabled={ruleCount === 0}
+            className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 disabled:cursor-not-allowed"
+          >
+            Apply {ruleCount} Change{ruleCount === 1 ? '' : 's'}
+          </button>
+          <button
+            onClick={() => setRules({})}
+            disabled={Object.keys(rules).length === 0}
+            className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-xs font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            Reset
+          </button>
+          <input
+            type="text"
+            value={profileName}
+            onChange={(e) => setProfileName(e.target.value)}
+            placeholder="Profile name"
+            className={`${inputClassName} w-48`}
+          />
+          <label className="inline-flex items-center text-xs text-gray-700">
+            <input
+              type="checkbox"
+              checked={autoApply}
+              onChange={(e) => setAutoApply(e.target.checked)}
+              className="h-4 w-4 mr-1 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            />
+            Apply to future merges
+          </label>
+          <button
+            onClick={saveProfile}
+            disabled={!profileName.trim() || ruleCount === 0}
+            className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-xs font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            Save as Profile
+          </button>
+        </div>
+
+        {profiles.length > 0 && (
+          <div>
+            <h5 className="text-xs font-medium text-gray-500 uppercase mb-2">Mapping profiles</h5>
+            <ul className="space-y-1">
+              {profiles.map(profile => (
+                <li key={profile.id} className="flex items-center justify-between bg-white border border-gray-200 rounded-md px-3 py-2">
+                  <span className="text-xs text-gray-700">
+                    <span className="font-medium">{profile.name}</span>
+                    <span className="ml-2 text-gray-400">{Object.keys(profile.columns).length} rules</span>
+                  </span>
+                  <span className="flex items-center space-x-3">
+                    <label className="inline-flex items-center text-xs text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={!!profile.autoApply}
+                        onChange={(e) => updateProfile(profile.id, { autoApply: e.target.checked })}
+                        className="h-4 w-4 mr-1 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                      />
+                      Auto-apply
+                    </label>
+                    <button
+                      onClick={() => loadProfile(profile)}
+                      className="text-xs text-blue-600 hover:text-blue-900"
+                    >
+                      Load
+                    </button>
+                    <button
+                      onClick={() => onProfilesChange(profiles.filter(p => p.id !== profile.id))}
+                      className="text-xs text-red-600 hover:text-red-900"
+                    >
+                      Delete
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default FieldMappingEditor;
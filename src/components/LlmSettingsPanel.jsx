@@ -0,0 +1,184 @@
+import React from "react";
+import { LLM_PROVIDERS, LLM_TASKS } from '../lib/llm';
+
+// Settings for the AI provider and the per-task generation parameters
+const LlmSettingsPanel = ({ settings, onChange }) => {
+  const updateProvider = (provider, field, value) => {
+    onChange({
+      ...settings,
+      [provider]: { ...settings[provider], [field]: value }
+    });
+  };
+
+  const updateTask = (task, field, value) => {
+    onChange({
+      ...settings,
+      tasks: {
+        ...settings.tasks,
+        [task]: { ...settings.tasks[task], [field]: value }
+      }
+    });
+  };
+
+  const inputClassName = "mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm";
+  const active = settings[settings.provider];
+
+  return (
+    <details className="mt-6 bg-gray-50 rounded-lg border border-gray-200 p-4">
+      <summary className="text-sm font-medium text-gray-700 cursor-pointer">
+        AI Provider Settings ({LLM_PROVIDERS.find(p => p.id === settings.provider)?.label})
+      </summary>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-3">
+          <div>
+            <label htmlFor="llm-provider" className="block text-xs font-medium text-gray-700">
+              Provider
+            </label>
+            <select
+              id="llm-provider"
+              value={settings.provider}
+              onChange={(e) => onChange({ ...settings, provider: e.target.value })}
+              className={inputClassName}
+            >
+              {LLM_PROVIDERS.map(provider => (
+                <option key={provider.id} value={provider.id}>{provider.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {settings.provider === 'local' && (
+            <div>
+              <label htmlFor="llm-local-server" className="block text-xs font-medium text-gray-700">
+                Server type
+              </label>
+              <select
+                id="llm-local-server"
+                value={active.server}
+                onChange={(e) => updateProvider('local', 'server', e.target.value)}
+                className={inputClassName}
+              >
+                <option value="ollama">Ollama</option>
+                <option value="llamacpp">llama.cpp server</option>
+              </select>
+            </div>
+          )}
+
+          {settings.provider !== 'mock' && (
+            <>
+              <div>
+                <label htmlFor="llm-base-url" className="block text-xs font-medium text-gray-700">
+                  Base URL
+                </label>
+                <input
+                  id="llm-base-url"
+                  type="text"
+                  value={active.baseUrl}
+                  onChange={(e) => updateProvider(settings.provider, 'baseUrl', e.target.value)}
+                  className={inputClassName}
+                />
+              </div>
+
+              {settings.provider !== 'local' && (
+                <div>
+                  <label htmlFor="llm-api-key" className="block text-xs font-medium text-gray-700">
+                    API key
+                  </label>
+                  <input
+                    id="llm-api-key"
+                    type="password"
+                    autoComplete="off"
+                    value={active.apiKey}
+                    onChange={(e) => updateProvider(settings.provider, 'apiKey', e.target.value)}
+                    className={inputClassName}
+                  />
+                  <label className="mt-1 inline-flex items-center text-xs text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={settings.rememberKeys}
+                      onChange={(e) => onChange({ ...settings, rememberKeys: e.target.checked })}
+                      className="h-3 w-3 mr-1 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    />
+                    Remember API keys on this device (otherwise kept until the tab is closed)
+                  </label>
+                </div>
+              )}
+
+              <div>
+                <label htmlFor="llm-default-model" className="block text-xs font-medium text-gray-700">
+                  Default model
+                </label>
+                <input
+                  id="llm-default-model"
+                  type="text"
+                  value={active.model}
+                  onChange={(e) => updateProvider(settings.provider, 'model', e.target.value)}
+                  className={inputClassName}
+                />
+              </div>
+            </>
+          )}
+
+          {settings.provider === 'mock' && (
+            <p className="text-xs text-gray-500">
+              The mock provider makes no network requests. It answers every prompt with the
+              JSON document contained in it, repaired locally.
+            </p>
+          )}
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead>
+              <tr>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Task</th>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Model</th>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Temp.</th>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Max tokens</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {Object.entries(LLM_TASKS).map(([task, { label }]) => (
+                <tr key={task}>
+                  <td className="px-2 py-1 whitespace-nowrap text-xs text-gray-900">{label}</td>
+                  <td className="px-2 py-1">
+                    <input
+                      type="text"
+                      value={settings.tasks[task].model}
+                      placeholder={active?.model || 'default'}
+                      onChange={(e) => updateTask(task, 'model', e.target.value)}
+                      className="block w-full border-gray-300 rounded-md text-xs"
+                    />
+                  </td>
+                  <td className="px-2 py-1">
+                    <input
+                      type="number"
+                      min="0"
+                      max="2"
+                      step="0.1"
+                      value={settings.tasks[task].temperature}
+                      onChange={(e) => updateTask(task, 'temperature', parseFloat(e.target.value) || 0)}
+                      className="block w-16 border-gray-300 rounded-md text-xs"
+                    />
+                  </td>
+                  <td className="px-2 py-1">
+                    <input
+                      type="number"
+                      min="256"
+                      step="256"
+                      value={settings.tasks[task].maxTokens}
+                      onChange={(e) => updateTask(task, 'maxTokens', parseInt(e.target.value) || LLM_TASKS[task].maxTokens)}
+                      className="block w-24 border-gray-300 rounded-md text-xs"
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default LlmSettingsPanel;
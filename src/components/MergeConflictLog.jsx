@@ -0,0 +1,60 @@
+import React from "react";
+
+// Conflicts shown at once
+const MAX_SHOWN_CONFLICTS = 100;
+
+const preview = (value) => {
+  const text = JSON.stringify(value);
+  return text && text.length > 80 ? `${text.substring(0, 77)}...` : text;
+};
+
+// Paths where the documents of a structural merge disagreed (see
+// lib/deepMerge), with every source's value and the one that was kept
+const MergeConflictLog = ({ conflicts }) => (
+  <details className="mb-4 bg-gray-50 rounded-lg border border-gray-200 p-4">
+    <summary className="text-sm font-medium text-gray-700 cursor-pointer">
+      Merge Conflicts ({conflicts.length})
+    </summary>
+
+    {conflicts.length === 0 ? (
+      <p className="mt-3 text-xs text-gray-500">The merged documents did not disagree anywhere.</p>
+    ) : (
+      <div className="mt-3 overflow-x-auto border rounded-md bg-white">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Path</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Values</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Kept</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {conflicts.slice(0, MAX_SHOWN_CONFLICTS).map((conflict, i) => (
+              <tr key={i}>
+                <td className="px-3 py-2 text-xs font-mono text-gray-900 align-top">{conflict.path || '/'}</td>
+                <td className="px-3 py-2 text-xs font-mono text-gray-600">
+                  {conflict.values.map((entry, j) => (
+                    <div key={j}>
+                      <span className="text-gray-400">{entry.source}: </span>{preview(entry.value)}
+                    </div>
+                  ))}
+                </td>
+                <td className="px-3 py-2 text-xs font-mono text-gray-900 align-top">
+                  {preview(conflict.chosen)}
+                  <span className="ml-1 text-gray-400">({conflict.strategy})</span>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {conflicts.length > MAX_SHOWN_CONFLICTS && (
+          <p className="px-3 py-2 text-xs text-gray-500">
+            {conflicts.length - MAX_SHOWN_CONFLICTS} more conflicts not shown
+          </p>
+        )}
+      </div>
+    )}
+  </details>
+);
+
+export default MergeConflictLog;
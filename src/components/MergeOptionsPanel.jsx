@@ -0,0 +1,154 @@
+import React from "react";
+
+const STRATEGY_LABELS = {
+  latest: 'Latest _timestamp wins',
+  first: 'First record wins',
+  manual: 'Review conflicts manually'
+};
+
+// How selected entries are merged: appended to a new dataset or upserted into
+// an existing one, with optional deduplication by key fields or content, and
+// the strategies of the structural merge (see lib/deepMerge).
+// `options` is { dedupe, keyFields (comma-separated), strategy, targetDatasetId,
+// arrays, arrayKey, scalars, rules (one `path = strategy` per line) }.
+const MergeOptionsPanel = ({ options, datasets, onChange }) => {
+  const update = (field, value) => onChange({ ...options, [field]: value });
+  const inputClassName = "mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm";
+
+  return (
+    <details className="mb-4 bg-gray-50 rounded-lg border border-gray-200 p-4">
+      <summary className="text-sm font-medium text-gray-700 cursor-pointer">
+        Merge Options ({options.dedupe ? 'remove duplicates' : 'append all records'})
+      </summary>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label htmlFor="merge-target" className="block text-xs font-medium text-gray-700">
+            Merge into
+          </label>
+          <select
+            id="merge-target"
+            value={options.targetDatasetId}
+            onChange={(e) => update('targetDatasetId', e.target.value)}
+            className={inputClassName}
+          >
+            <option value="">A new dataset</option>
+            {datasets.map(dataset => (
+              <option key={dataset.id} value={dataset.id}>{dataset.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex items-end">
+          <label className="inline-flex items-center text-sm text-gray-700 mb-2">
+            <input
+              type="checkbox"
+              checked={options.dedupe}
+              onChange={(e) => update('dedupe', e.target.checked)}
+              className="h-4 w-4 mr-2 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            />
+            Remove duplicates
+          </label>
+        </div>
+
+        <div>
+          <label htmlFor="merge-key-fields" className="block text-xs font-medium text-gray-700">
+            Key fields (comma-separated, empty = whole record)
+          </label>
+          <input
+            id="merge-key-fields"
+            type="text"
+            value={options.keyFields}
+            disabled={!options.dedupe}
+            onChange={(e) => update('keyFields', e.target.value)}
+            placeholder="e.g. id or sku, warehouse"
+            className={`${inputClassName} font-mono`}
+          />
+        </div>
+
+        <div>
+          <label htmlFor="merge-strategy" className="block text-xs font-medium text-gray-700">
+            When keys match but records differ
+          </label>
+          <select
+            id="merge-strategy"
+            value={options.strategy}
+            disabled={!options.dedupe || !options.keyFields.trim()}
+            onChange={(e) => update('strategy', e.target.value)}
+            className={inputClassName}
+          >
+            {Object.entries(STRATEGY_LABELS).map(([strategy, label]) => (
+              <option key={strategy} value={strategy}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <h4 className="mt-6 text-xs font-medium text-gray-500 uppercase">Structural merge</h4>
+      <div className="mt-2 grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label htmlFor="merge-arrays" className="block text-xs font-medium text-gray-700">
+            Arrays
+          </label>
+          <select
+            id="merge-arrays"
+            value={options.arrays}
+            onChange={(e) => update('arrays', e.target.value)}
+            className={inputClassName}
+          >
+            <option value="concat">Concatenate</option>
+            <option value="union">Union (by key or content)</option>
+            <option value="last">Last document wins</option>
+            <option value="first">First document wins</option>
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="merge-array-key" className="block text-xs font-medium text-gray-700">
+            Array item key for union
+          </label>
+          <input
+            id="merge-array-key"
+            type="text"
+            value={options.arrayKey}
+            disabled={options.arrays !== 'union'}
+            onChange={(e) => update('arrayKey', e.target.value)}
+            placeholder="e.g. id (empty = whole item)"
+            className={`${inputClassName} font-mono`}
+          />
+        </div>
+
+        <div>
+          <label htmlFor="merge-scalars" className="block text-xs font-medium text-gray-700">
+            Differing values
+          </label>
+          <select
+            id="merge-scalars"
+            value={options.scalars}
+            onChange={(e) => update('scalars', e.target.value)}
+            className={inputClassName}
+          >
+            <option value="last">Last document wins</option>
+            <option value="first">First document wins</option>
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="merge-rules" className="block text-xs font-medium text-gray-700">
+            Per-path rules
+          </label>
+          <textarea
+            id="merge-rules"
+            rows={3}
+            value={options.rules}
+            onChange={(e) => update('rules', e.target.value)}
+            placeholder={'/items = union:id\n/items/*/tags = union\n/version = first'}
+            className={`${inputClassName} font-mono text-xs`}
+          />
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default MergeOptionsPanel;
@@ -0,0 +1,137 @@
+import React, { useEffect, useRef, useState } from "react";
+import { queryLanguage } from "../lib/datasetQuery";
+import { formatCell, gridColumns } from "../lib/recordGrid";
+
+// Wait this long after the last keystroke before running the preview
+const PREVIEW_DELAY_MS = 400;
+const PREVIEW_COLUMNS = 8;
+
+// Query bar of a dataset (see lib/datasetQuery) with a live preview of the
+// results. `onRun(query)` resolves to { records (first rows), count };
+// `onSave(query, name)` saves all results as a derived dataset and resolves
+// to whether it was created.
+const QueryBar = ({ dataset, onRun, onSave }) => {
+  const [query, setQuery] = useState('');
+  const [name, setName] = useState(`${dataset.name} (query)`);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const requestRef = useRef(0);
+  // The latest onRun, so a new callback alone does not rerun the preview
+  const runRef = useRef(onRun);
+  runRef.current = onRun;
+
+  useEffect(() => {
+    if (!query.trim()) {
+      setResult(null);
+      setError(null);
+      return;
+    }
+    const request = ++requestRef.current;
+    const timer = setTimeout(async () => {
+      setRunning(true);
+      try {
+        const next = await runRef.current(query);
+        if (request !== requestRef.current) return;
+        setResult(next);
+        setError(null);
+      } catch (e) {
+        if (request !== requestRef.current) return;
+        setError(e instanceof Error ? e.message : String(e));
+      } finally {
+        if (request === requestRef.current) setRunning(false);
+      }
+    }, PREVIEW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query, dataset.id, dataset.version]);
+
+  const save = async () => {
+    setSaving(true);
+    await onSave(query, name.trim() || `${dataset.name} (query)`);
+    setSaving(false);
+  };
+
+  const columns = result ? gridColumns(result.records).slice(0, PREVIEW_COLUMNS) : [];
+
+  return (
+    <div className="mb-4">
+      <label htmlFor="dataset-query" className="block text-xs font-medium text-gray-500 uppercase mb-2">
+        Query
+        {query.trim() && (
+          <span className="ml-2 normal-case font-normal text-gray-400">
+            {queryLanguage(query) === 'jsonpath' ? 'JSONPath' : 'SQL-like'}
+            {running && ' • running...'}
+          </span>
+        )}
+      </label>
+      <input
+        id="dataset-query"
+        type="text"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder={"e.g. section LIKE 'earth%' ORDER BY amount DESC   or   $[?(@.qty > 10)]"}
+        className={`block w-full rounded-md shadow-sm sm:text-sm font-mono focus:ring-blue-500 focus:border-blue-500
+          ${error ? 'border-red-300' : 'border-gray-300'}`}
+      />
+      <p className="mt-1 text-xs text-gray-500">
+        SELECT fields or COUNT/SUM/AVG/MIN/MAX(field) [AS name], WHERE, GROUP BY, ORDER BY, LIMIT, every clause
+        optional; or a JSONPath starting with $ over the array of records.
+      </p>
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+
+      {result && !error && (
+        <div className="mt-3">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+            <span className="text-xs text-gray-700">
+              {result.count} of {dataset.records.length} records
+              {result.count > result.records.length && ` (first ${result.records.length} shown)`}
+            </span>
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                aria-label="Derived dataset name"
+                className="border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-xs"
+              />
+              <button
+                onClick={save}
+                disabled={saving || result.count === 0}
+                className="px-3 py-1 border border-transparent rounded-md text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save as derived dataset'}
+              </button>
+            </div>
+          </div>
+          {result.records.length > 0 && (
+            <div className="overflow-x-auto max-h-64 overflow-y-auto border rounded-md">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {columns.map(field => (
+                      <th key={field} className="px-3 py-2 text-left text-xs font-medium text-gray-500">{field}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {result.records.map((record, i) => (
+                    <tr key={i}>
+                      {columns.map(field => (
+                        <td key={field} className="px-3 py-1 text-xs font-mono text-gray-600 whitespace-nowrap truncate" style={{ maxWidth: '200px' }}>
+                          {formatCell(record[field])}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QueryBar;
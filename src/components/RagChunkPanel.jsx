@@ -0,0 +1,147 @@
+import React, { useEffect, useRef, useState } from "react";
+import { parseKeyFields } from "../lib/dedupe";
+
+// Wait this long after the last option change before chunking the preview
+const PREVIEW_DELAY_MS = 400;
+
+// Chunking options of the RAG export (see lib/ragChunker) with a preview of
+// the first chunks of the dataset. `onPreview(options)` resolves to
+// { chunks, count, skipped, contextFields, totalTokens }.
+const RagChunkPanel = ({ dataset, options, onChange, onPreview }) => {
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [contextText, setContextText] = useState((options.contextFields || []).join(', '));
+  const requestRef = useRef(0);
+  const previewRef = useRef(onPreview);
+  previewRef.current = onPreview;
+
+  useEffect(() => {
+    const request = ++requestRef.current;
+    const timer = setTimeout(async () => {
+      try {
+        const next = await previewRef.current(options);
+        if (request !== requestRef.current) return;
+        setPreview(next);
+        setError(null);
+      } catch (e) {
+        if (request === requestRef.current) setError(e instanceof Error ? e.message : String(e));
+      }
+    }, PREVIEW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [options, dataset.id, dataset.version, dataset.ragProfile]);
+
+  const update = (field, value) => onChange({ ...options, [field]: value });
+  const updateNumber = (field, text) => {
+    const value = parseInt(text, 10);
+    if (!Number.isNaN(value) && value >= 0) update(field, value);
+  };
+  const inputClassName = "mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm";
+
+  return (
+    <div className="bg-white p-4 rounded-lg border border-gray-200">
+      <h3 className="text-sm font-medium text-gray-900 mb-2">Chunking</h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label htmlFor="chunk-target" className="block text-xs font-medium text-gray-700">
+            Target chunk size (tokens)
+          </label>
+          <input
+            id="chunk-target"
+            type="number"
+            min="16"
+            value={options.targetTokens}
+            onChange={(e) => updateNumber('targetTokens', e.target.value)}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label htmlFor="chunk-overlap" className="block text-xs font-medium text-gray-700">
+            Overlap (tokens)
+          </label>
+          <input
+            id="chunk-overlap"
+            type="number"
+            min="0"
+            value={options.overlapTokens}
+            onChange={(e) => updateNumber('overlapTokens', e.target.value)}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label htmlFor="chunk-context" className="block text-xs font-medium text-gray-700">
+            Context fields (comma-separated)
+          </label>
+          <input
+            id="chunk-context"
+            type="text"
+            value={contextText}
+            onChange={(e) => {
+              setContextText(e.target.value);
+              const fields = parseKeyFields(e.target.value);
+              update('contextFields', fields.length > 0 ? fields : null);
+            }}
+            placeholder={preview?.contextFields.length ? `detected: ${preview.contextFields.join(', ')}` : 'e.g. section'}
+            className={`${inputClassName} font-mono`}
+          />
+        </div>
+        <div className="flex flex-col justify-end space-y-1">
+          <label className="inline-flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={options.includeDatasetName}
+              onChange={(e) => update('includeDatasetName', e.target.checked)}
+              className="h-4 w-4 mr-2 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            />
+            Prepend dataset name
+          </label>
+          <label className="inline-flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={options.packRecords}
+              onChange={(e) => update('packRecords', e.target.checked)}
+              className="h-4 w-4 mr-2 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            />
+            Pack small records together
+          </label>
+        </div>
+      </div>
+
+      {error && <p className="mt-3 text-xs text-red-600">{error}</p>}
+
+      {preview && (
+        <div className="mt-4">
+          <div className="flex flex-wrap gap-2 mb-2">
+            <span className="inline-flex items-center px-2.5 py-0.5 rounded-md text-xs font-medium bg-blue-100 text-blue-800">
+              {preview.count} chunks
+            </span>
+            <span className="inline-flex items-center px-2.5 py-0.5 rounded-md text-xs font-medium bg-gray-100 text-gray-800">
+              ~{preview.count > 0 ? Math.round(preview.totalTokens / preview.count) : 0} tokens per chunk
+            </span>
+            {preview.skipped > 0 && (
+              <span className="inline-flex items-center px-2.5 py-0.5 rounded-md text-xs font-medium bg-yellow-100 text-yellow-800">
+                {preview.skipped} records without content text
+              </span>
+            )}
+          </div>
+          <div className="space-y-2 max-h-96 overflow-y-auto">
+            {preview.chunks.map(chunk => (
+              <div key={chunk.id} className="bg-gray-50 border border-gray-200 rounded-md p-2">
+                <div className="flex justify-between text-xs text-gray-500 mb-1">
+                  <span className="font-mono">{chunk.id}</span>
+                  <span>{chunk.tokens} tokens • {chunk.metadata.row_ids.length} records</span>
+                </div>
+                <pre className="text-xs text-gray-800 whitespace-pre-wrap">{chunk.text}</pre>
+              </div>
+            ))}
+          </div>
+          {preview.count > preview.chunks.length && (
+            <p className="mt-1 text-xs text-gray-500">{preview.count - preview.chunks.length} more chunks in the export</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RagChunkPanel;
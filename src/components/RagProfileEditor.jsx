@@ -0,0 +1,135 @@
+import React, { useMemo, useState } from "react";
+import {
+  RAG_FIELD_ROLES,
+  splitRecord,
+  suggestRagProfile,
+  templateFields
+} from "../lib/ragChunker";
+import { profileRecords } from "../lib/schemaInference";
+import { gridColumns } from "../lib/recordGrid";
+
+const PREVIEW_RECORDS = 3;
+
+const ROLE_LABELS = {
+  content: 'Content',
+  metadata: 'Metadata',
+  exclude: 'Excluded'
+};
+
+// RAG profile of a dataset (see lib/ragChunker): which fields are content,
+// metadata or left out, and an optional text template, previewed on the
+// dataset's first records. `profile` is the dataset's saved profile or the
+// suggested one; `onSave(profile)` stores it with the dataset.
+const RagProfileEditor = ({ dataset, profile, saved, onSave }) => {
+  const [draft, setDraft] = useState(profile);
+  const dirty = draft !== profile;
+
+  const fields = useMemo(() => {
+    const names = new Set(gridColumns(dataset.records, dataset.fieldProfiles || {}));
+    Object.keys(draft.fields).forEach(field => names.add(field));
+    return Array.from(names);
+  }, [dataset, draft.fields]);
+
+  const unknownFields = templateFields(draft.template).filter(field => !fields.includes(field));
+  const previews = dataset.records.slice(0, PREVIEW_RECORDS).map(record => splitRecord(record, draft));
+
+  const setRole = (field, role) => setDraft({ ...draft, fields: { ...draft.fields, [field]: role } });
+  const insertField = (field) => setDraft({ ...draft, template: `${draft.template}${draft.template ? ' ' : ''}{${field}}` });
+
+  return (
+    <div className="bg-white p-4 rounded-lg border border-gray-200">
+      <div className="flex justify-between items-start mb-2">
+        <div>
+          <h3 className="text-sm font-medium text-gray-900">RAG Profile</h3>
+          <p className="text-xs text-gray-500">
+            {saved ? 'Saved with this dataset.' : 'Suggested from the field types; save it to keep your changes.'}
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => setDraft(suggestRagProfile(dataset.fieldProfiles || profileRecords(dataset.records)))}
+            className="px-3 py-1 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Reset to suggested
+          </button>
+          <button
+            onClick={() => onSave(draft)}
+            disabled={!dirty && saved}
+            className="px-3 py-1 border border-transparent rounded-md text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            Save profile
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="overflow-x-auto border rounded-md max-h-80 overflow-y-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Field</th>
+                {RAG_FIELD_ROLES.map(role => (
+                  <th key={role} className="px-3 py-2 text-center text-xs font-medium text-gray-500">{ROLE_LABELS[role]}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {fields.map(field => (
+                <tr key={field}>
+                  <td className="px-3 py-1 text-xs font-mono text-gray-900">
+                    <button onClick={() => insertField(field)} title="Add to the template" className="hover:text-blue-600">
+                      {field}
+                    </button>
+                  </td>
+                  {RAG_FIELD_ROLES.map(role => (
+                    <td key={role} className="px-3 py-1 text-center">
+                      <input
+                        type="radio"
+                        name={`rag-role-${field}`}
+                        checked={(draft.fields[field] || 'metadata') === role}
+                        onChange={() => setRole(field, role)}
+                        className="h-3 w-3 text-blue-600 focus:ring-blue-500 border-gray-300"
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div>
+          <label htmlFor="rag-template" className="block text-xs font-medium text-gray-700">
+            Text template (empty = content fields)
+          </label>
+          <textarea
+            id="rag-template"
+            rows={3}
+            value={draft.template}
+            onChange={(e) => setDraft({ ...draft, template: e.target.value })}
+            placeholder="{description} — {quantity} {unit} @ {rate}"
+            className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-xs font-mono"
+          />
+          <p className="mt-1 text-xs text-gray-500">Click a field name to add it to the template.</p>
+          {unknownFields.length > 0 && (
+            <p className="mt-1 text-xs text-orange-700">Not fields of this dataset: {unknownFields.join(', ')}</p>
+          )}
+
+          <h4 className="mt-4 text-xs font-medium text-gray-500 uppercase mb-2">Preview</h4>
+          <div className="space-y-2">
+            {previews.map((preview, i) => (
+              <div key={i} className="bg-gray-50 border border-gray-200 rounded-md p-2">
+                <pre className="text-xs text-gray-800 whitespace-pre-wrap">
+                  {preview.text || <span className="text-gray-400">(no content text)</span>}
+                </pre>
+                <p className="mt-1 text-xs font-mono text-gray-500 break-all">{JSON.stringify(preview.metadata)}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RagProfileEditor;
@@ -0,0 +1,307 @@
+import React, { useMemo, useRef, useState } from "react";
+import { PROVENANCE_FIELD, describeProvenance } from "../lib/provenance";
+import { ROW_ID_FIELD, assignRowIds } from "../lib/datasetVersions";
+import {
+  emptyRecord,
+  findAndReplace,
+  formatCell,
+  gridColumns,
+  parseCell,
+  queryRows,
+  setCell
+} from "../lib/recordGrid";
+
+// Only the rows in view (plus a margin) are rendered
+const ROW_HEIGHT = 32;
+const VIEWPORT_HEIGHT = 384;
+const OVERSCAN_ROWS = 10;
+const COLUMN_WIDTH = 180;
+
+const NO_CHANGES = { edited: 0, added: 0, deleted: 0 };
+
+const describeChanges = ({ edited, added, deleted }) => [
+  edited > 0 && `${edited} cells edited`,
+  added > 0 && `${added} rows added`,
+  deleted > 0 && `${deleted} rows deleted`
+].filter(Boolean).join(', ');
+
+// Spreadsheet-style grid over all records of a dataset: sorting, per-column
+// filters, cell editing validated against the schema, find and replace, and
+// adding and deleting rows. Changes are kept as a draft until saved with
+// `onSave(records, message)` (resolves to whether the dataset was updated),
+// which commits them as a new version. Clicking a cell with provenance calls
+// `onInspect(record, field, rowNumber)`.
+const RecordGrid = ({ dataset, onSave, onInspect, inspectedCell }) => {
+  const [draft, setDraft] = useState(dataset.records);
+  const [changes, setChanges] = useState(NO_CHANGES);
+  const [sort, setSort] = useState(null);
+  const [filters, setFilters] = useState({});
+  const [editing, setEditing] = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [replaceOptions, setReplaceOptions] = useState({ find: '', replace: '', field: '', matchCase: false });
+  const [notice, setNotice] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [scrollTop, setScrollTop] = useState(0);
+  const scrollRef = useRef(null);
+
+  const columns = useMemo(() => gridColumns(draft, dataset.schema), [draft, dataset.schema]);
+  const rows = useMemo(() => queryRows(draft, { filters, sort }), [draft, filters, sort]);
+  const dirty = changes.edited + changes.added + changes.deleted > 0;
+
+  const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+  const lastRow = Math.min(rows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN_ROWS);
+  const width = 96 + columns.length * COLUMN_WIDTH;
+
+  const toggleSort = (field) => setSort(current => {
+    if (current?.field !== field) return { field, direction: 'asc' };
+    return current.direction === 'asc' ? { field, direction: 'desc' } : null;
+  });
+
+  const startEditing = (index, field) => {
+    setEditing({ index, field, text: formatCell(draft[index][field]), error: null });
+  };
+
+  const commitEdit = () => {
+    if (!editing) return;
+    const { index, field, text } = editing;
+    const parsed = parseCell(text, dataset.schema[field] || 'mixed');
+    if (parsed.error) {
+      setEditing({ ...editing, error: parsed.error });
+      return;
+    }
+    if (formatCell(draft[index][field]) !== text) {
+      setDraft(prev => prev.map((record, i) => (i === index ? setCell(record, field, parsed.value) : record)));
+      setChanges(prev => ({ ...prev, edited: prev.edited + 1 }));
+    }
+    setEditing(null);
+  };
+
+  const addRow = () => {
+    const [record] = assignRowIds([emptyRecord(columns)]);
+    setDraft(prev => [...prev, record]);
+    setChanges(prev => ({ ...prev, added: prev.added + 1 }));
+    // Show the new row at the end of the grid
+    setSort(null);
+    setFilters({});
+    if (columns.length > 0) setEditing({ index: draft.length, field: columns[0], text: '', error: null });
+    setTimeout(() => {
+      if (scrollRef.current) scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+    }, 0);
+  };
+
+  const deleteSelected = () => {
+    setDraft(prev => prev.filter(record => !selected.has(record[ROW_ID_FIELD])));
+    setChanges(prev => ({ ...prev, deleted: prev.deleted + selected.size }));
+    setSelected(new Set());
+    setEditing(null);
+  };
+
+  const toggleSelected = (rowId) => setSelected(prev => {
+    const next = new Set(prev);
+    if (next.has(rowId)) next.delete(rowId);
+    else next.add(rowId);
+    return next;
+  });
+
+  const replaceAll = () => {
+    try {
+      const { find, replace, field, matchCase } = replaceOptions;
+      const result = findAndReplace(draft, {
+        find,
+        replace,
+        matchCase,
+        fields: field ? [field] : columns,
+        rows,
+        schema: dataset.schema
+      });
+      setDraft(result.records);
+      setChanges(prev => ({ ...prev, edited: prev.edited + result.replaced }));
+      setNotice(`Replaced ${result.replaced} cells` +
+        (result.skipped > 0 ? `, skipped ${result.skipped} whose new value does not fit the field type` : ''));
+    } catch (e) {
+      setNotice(e instanceof Error ? e.message : String(e));
+    }
+  };
+
+  const discard = () => {
+    setDraft(dataset.records);
+    setChanges(NO_CHANGES);
+    setSelected(new Set());
+    setEditing(null);
+    setNotice(null);
+  };
+
+  const save = async () => {
+    setSaving(true);
+    const saved = await onSave(draft, `Edited records: ${describeChanges(changes)}`);
+    setSaving(false);
+    if (!saved) setNotice("The edits were not saved");
+  };
+
+  const inputClassName = "border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-xs";
+  const buttonClassName = "px-3 py-1 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50";
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h4 className="text-xs font-medium text-gray-500 uppercase">
+          Records ({rows.length === draft.length ? draft.length : `${rows.length} of ${draft.length}`})
+        </h4>
+        <div className="flex items-center gap-2">
+          {dirty && <span className="text-xs text-orange-700">Unsaved: {describeChanges(changes)}</span>}
+          <button onClick={addRow} className={buttonClassName}>Add row</button>
+          <button onClick={deleteSelected} disabled={selected.size === 0} className={buttonClassName}>
+            Delete {selected.size > 0 ? selected.size : ''} rows
+          </button>
+          <button onClick={discard} disabled={!dirty || saving} className={buttonClassName}>Discard</button>
+          <button
+            onClick={save}
+            disabled={!dirty || saving}
+            className="px-3 py-1 border border-transparent rounded-md text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save as new version'}
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-xs text-gray-700">
+        Find
+        <input
+          type="text"
+          value={replaceOptions.find}
+          onChange={(e) => setReplaceOptions({ ...replaceOptions, find: e.target.value })}
+          className={`${inputClassName} font-mono`}
+        />
+        replace with
+        <input
+          type="text"
+          value={replaceOptions.replace}
+          onChange={(e) => setReplaceOptions({ ...replaceOptions, replace: e.target.value })}
+          className={`${inputClassName} font-mono`}
+        />
+        in
+        <select
+          value={replaceOptions.field}
+          onChange={(e) => setReplaceOptions({ ...replaceOptions, field: e.target.value })}
+          className={inputClassName}
+        >
+          <option value="">all columns</option>
+          {columns.map(field => <option key={field} value={field}>{field}</option>)}
+        </select>
+        <label className="inline-flex items-center">
+          <input
+            type="checkbox"
+            checked={replaceOptions.matchCase}
+            onChange={(e) => setReplaceOptions({ ...replaceOptions, matchCase: e.target.checked })}
+            className="h-3 w-3 mr-1 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+          />
+          Match case
+        </label>
+        <button onClick={replaceAll} className={buttonClassName}>
+          Replace in {rows.length} rows
+        </button>
+        {notice && <span className="text-gray-500">{notice}</span>}
+      </div>
+
+      <div
+        ref={scrollRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        className="overflow-auto border rounded-md bg-white"
+        style={{ height: VIEWPORT_HEIGHT }}
+      >
+        <div style={{ width }}>
+          <div className="sticky top-0 z-10 flex bg-gray-50 border-b border-gray-200">
+            <div className="w-24 flex-none px-2 py-1 text-xs text-gray-400">#</div>
+            {columns.map(field => (
+              <div key={field} className="flex-none px-2 py-1 border-l border-gray-200" style={{ width: COLUMN_WIDTH }}>
+                <button
+                  onClick={() => toggleSort(field)}
+                  title={`${field} (${dataset.schema[field] || 'new'})`}
+                  className="block w-full text-left text-xs font-medium text-gray-500 truncate hover:text-gray-900"
+                >
+                  {field}
+                  {sort?.field === field && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                </button>
+                <input
+                  type="text"
+                  value={filters[field] || ''}
+                  onChange={(e) => setFilters({ ...filters, [field]: e.target.value })}
+                  placeholder="Filter"
+                  className="mt-1 w-full border-gray-300 rounded text-xs py-0.5 px-1"
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="relative" style={{ height: rows.length * ROW_HEIGHT }}>
+            {rows.slice(firstRow, lastRow).map((index, offset) => {
+              const record = draft[index];
+              const rowId = record[ROW_ID_FIELD];
+              return (
+                <div
+                  key={rowId || index}
+                  className={`absolute left-0 flex border-b border-gray-100 ${selected.has(rowId) ? 'bg-blue-50' : ''}`}
+                  style={{ top: (firstRow + offset) * ROW_HEIGHT, height: ROW_HEIGHT, width }}
+                >
+                  <label className="w-24 flex-none flex items-center px-2 text-xs text-gray-400">
+                    <input
+                      type="checkbox"
+                      checked={selected.has(rowId)}
+                      onChange={() => toggleSelected(rowId)}
+                      className="h-3 w-3 mr-2 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    />
+                    {index + 1}
+                  </label>
+                  {columns.map(field => {
+                    const provenance = record[PROVENANCE_FIELD]?.[field];
+                    const inspected = inspectedCell?.record === record && inspectedCell?.field === field;
+                    if (editing?.index === index && editing.field === field) {
+                      return (
+                        <div key={field} className="flex-none border-l border-gray-200" style={{ width: COLUMN_WIDTH }}>
+                          <input
+                            autoFocus
+                            type="text"
+                            value={editing.text}
+                            title={editing.error || undefined}
+                            onChange={(e) => setEditing({ ...editing, text: e.target.value, error: null })}
+                            onBlur={commitEdit}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter') commitEdit();
+                              if (e.key === 'Escape') setEditing(null);
+                            }}
+                            className={`w-full h-full px-2 text-xs font-mono border-2 ${editing.error ? 'border-red-500' : 'border-blue-500'}`}
+                          />
+                        </div>
+                      );
+                    }
+                    return (
+                      <div
+                        key={field}
+                        title={provenance ? describeProvenance(provenance) : undefined}
+                        onClick={() => provenance && onInspect(record, field, index + 1)}
+                        onDoubleClick={() => startEditing(index, field)}
+                        className={`flex-none flex items-center px-2 border-l border-gray-100 text-xs font-mono truncate cursor-text
+                          ${inspected ? 'bg-blue-50 text-blue-900' : field in record ? 'text-gray-700' : 'text-gray-300'}`}
+                        style={{ width: COLUMN_WIDTH }}
+                      >
+                        <span className="truncate">{formatCell(record[field])}</span>
+                      </div>
+                    );
+                  })}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+
+      {editing?.error && <p className="mt-1 text-xs text-red-600">{editing.field}: {editing.error}</p>}
+      <p className="mt-1 text-xs text-gray-500">
+        Double-click a cell to edit it{draft.some(record => record[PROVENANCE_FIELD]) ? '; click a value to inspect where it came from' : ''}.
+        {dirty && ' Exports and RAG builds use the saved version until the edits are saved.'}
+      </p>
+    </div>
+  );
+};
+
+export default RecordGrid;
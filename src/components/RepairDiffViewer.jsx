@@ -0,0 +1,188 @@
+import React, { useState, useMemo, useEffect } from "react";
+import { diffLines, applyLineDiff, diffStructure } from '../lib/jsonDiff';
+import { repairJson } from '../lib/jsonRepair';
+
+const formatValue = (value) => {
+  if (value === undefined) return '';
+  const text = JSON.stringify(value);
+  return text.length > 80 ? text.substring(0, 77) + '...' : text;
+};
+
+// Shows what the repair step changed between the original and corrected JSON
+// of an entry. Hunks can be accepted or rejected and the entry re-processed
+// from the result.
+const RepairDiffViewer = ({ entry, onReprocess }) => {
+  const [mode, setMode] = useState('lines');
+
+  const lineDiff = useMemo(
+    () => diffLines(entry.originalJson, entry.correctedJson),
+    [entry.originalJson, entry.correctedJson]
+  );
+
+  const structuralDiff = useMemo(() => {
+    if (mode !== 'structure') return [];
+
+    // The original may not parse; read it leniently to compare values
+    const before = repairJson(entry.originalJson).value;
+    let after;
+    try {
+      after = JSON.parse(entry.correctedJson);
+    } catch (e) {
+      after = repairJson(entry.correctedJson).value;
+    }
+    return diffStructure(before, after);
+  }, [mode, entry.originalJson, entry.correctedJson]);
+
+  const [acceptedHunks, setAcceptedHunks] = useState(() => new Set(lineDiff.hunks.map(hunk => hunk.id)));
+
+  // Reset the choices when the entry is re-processed
+  useEffect(() => {
+    setAcceptedHunks(new Set(lineDiff.hunks.map(hunk => hunk.id)));
+  }, [lineDiff]);
+
+  const toggleHunk = (hunkId) => {
+    setAcceptedHunks(prev => {
+      const next = new Set(prev);
+      if (next.has(hunkId)) {
+        next.delete(hunkId);
+      } else {
+        next.add(hunkId);
+      }
+      return next;
+    });
+  };
+
+  if (lineDiff.hunks.length === 0) {
+    return (
+      <p className="text-xs text-gray-500">The repair step did not change this entry.</p>
+    );
+  }
+
+  const tabClassName = (tab) => `py-2 px-1 border-b-2 font-medium text-sm ${
+    mode === tab
+      ? 'border-blue-500 text-blue-600'
+      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+  }`;
+
+  return (
+    <div className="bg-white p-3 rounded-md border border-gray-200">
+      <div className="flex justify-between items-center border-b border-gray-200 mb-3">
+        <nav className="-mb-px flex space-x-4">
+          <button onClick={() => setMode('lines')} className={tabClassName('lines')}>
+            Line Diff ({lineDiff.hunks.length} hunks)
+          </button>
+          <button onClick={() => setMode('structure')} className={tabClassName('structure')}>
+            Structural Diff
+          </button>
+        </nav>
+
+        {mode === 'lines' && (
+          <div className="flex space-x-2 pb-2">
+            <button
+              onClick={() => setAcceptedHunks(new Set(lineDiff.hunks.map(hunk => hunk.id)))}
+              className="text-xs text-blue-600 hover:text-blue-900"
+            >
+              Accept all
+            </button>
+            <button
+              onClick={() => setAcceptedHunks(new Set())}
+              className="text-xs text-blue-600 hover:text-blue-900"
+            >
+              Reject all
+            </button>
+          </div>
+        )}
+      </div>
+
+      {mode === 'lines' ? (
+        <div className="space-y-3 overflow-auto max-h-96">
+          {lineDiff.hunks.map(hunk => {
+            const accepted = acceptedHunks.has(hunk.id);
+            return (
+              <div key={hunk.id} className={`border rounded-md ${accepted ? 'border-gray-200' : 'border-gray-200 opacity-60'}`}>
+                <div className="flex justify-between items-center px-2 py-1 bg-gray-50 border-b border-gray-200">
+                  <span className="text-xs font-mono text-gray-500">
+                    @@ -{hunk.oldStart} +{hunk.newStart} @@ {hunk.removed} removed, {hunk.added} added
+                  </span>
+                  <button
+                    onClick={() => toggleHunk(hunk.id)}
+                    className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium
+                      ${accepted ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}
+                  >
+                    {accepted ? 'Accepted' : 'Rejected'}
+                  </button>
+                </div>
+                <pre className="text-xs font-mono">
+                  {hunk.lines.map((line, i) => (
+                    <div
+                      key={i}
+                      className={
+                        line.type === '+' ? 'bg-green-50 text-green-800' :
+                        line.type === '-' ? 'bg-red-50 text-red-800' :
+                        'text-gray-500'
+                      }
+                    >
+                      <span className="inline-block w-10 text-right pr-2 text-gray-400 select-none">
+                        {line.type === '+' ? line.newLine : line.oldLine}
+                      </span>
+                      {line.type} {line.text}
+                    </div>
+                  ))}
+                </pre>
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <div className="overflow-auto max-h-96">
+          {structuralDiff.length === 0 ? (
+            <p className="text-xs text-gray-500">
+              No values changed: the repair only affected syntax.
+            </p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Path</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Change</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Before</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">After</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {structuralDiff.map((change, i) => (
+                  <tr key={i}>
+                    <td className="px-3 py-1 text-xs font-mono text-gray-900">{change.path}</td>
+                    <td className="px-3 py-1 text-xs">
+                      <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium
+                        ${change.kind === 'added' ? 'bg-green-100 text-green-800' :
+                          change.kind === 'removed' ? 'bg-red-100 text-red-800' :
+                          'bg-yellow-100 text-yellow-800'}`}>
+                        {change.kind}
+                      </span>
+                    </td>
+                    <td className="px-3 py-1 text-xs font-mono text-gray-500">{formatValue(change.before)}</td>
+                    <td className="px-3 py-1 text-xs font-mono text-gray-500">{formatValue(change.after)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {mode === 'lines' && (
+        <div className="mt-3 flex justify-end">
+          <button
+            onClick={() => onReprocess(applyLineDiff(lineDiff, acceptedHunks))}
+            className="inline-flex items-center px-3 py-1.5 border border-transparent rounded-md shadow-sm text-xs font-medium text-white bg-blue-600 hover:bg-blue-700"
+          >
+            Re-process with {acceptedHunks.size} of {lineDiff.hunks.length} changes
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RepairDiffViewer;
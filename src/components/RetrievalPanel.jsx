@@ -0,0 +1,291 @@
+import React, { useMemo, useState } from "react";
+import {
+  RETRIEVAL_MODES,
+  buildBm25Index,
+  buildVectorIndex,
+  evaluateRetrieval,
+  fuseRankings,
+  highlightMatches,
+  searchBm25,
+  searchVectors
+} from "../lib/retrieval";
+
+const DEFAULT_K = 5;
+// Hybrid search fuses this many candidates of each ranking
+const HYBRID_CANDIDATES = 50;
+
+// "Test retrieval" playground of the RAG tab (see lib/retrieval): searches
+// the dataset's chunks and scores an evaluation set by recall@k.
+// `loadChunks()` resolves to the current chunks; `chunkSource` changes
+// whenever they would; `embeddings` is the embedding set of these chunks,
+// if any, and `embedQuery(text)` resolves to the vector of a query.
+// `evalSet` is [{ id, query, expected: [chunk id] }], saved with
+// `onEvalSetChange(items)`.
+const RetrievalPanel = ({ chunkSource, loadChunks, embeddings, embedQuery, evalSet, onEvalSetChange }) => {
+  const [index, setIndex] = useState(null);
+  const [building, setBuilding] = useState(false);
+  const [query, setQuery] = useState('');
+  const [k, setK] = useState(DEFAULT_K);
+  const [mode, setMode] = useState('bm25');
+  const [results, setResults] = useState(null);
+  const [evaluation, setEvaluation] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const current = index?.source === chunkSource;
+  const vectorIndex = useMemo(
+    () => (embeddings ? buildVectorIndex(embeddings.vectors, embeddings.dimensions) : null),
+    [embeddings]
+  );
+  const canUseVectors = Boolean(vectorIndex && current && vectorIndex.count === index.chunks.length);
+  const activeMode = canUseVectors ? mode : 'bm25';
+
+  const buildIndex = async () => {
+    setBuilding(true);
+    setError(null);
+    try {
+      const { chunks } = embeddings ? embeddings : await loadChunks();
+      setIndex({ source: chunkSource, chunks, bm25: buildBm25Index(chunks) });
+      setResults(null);
+      setEvaluation(null);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setBuilding(false);
+    }
+  };
+
+  // Ranked [{ index, score }] for a query in the active mode
+  const search = async (text) => {
+    if (activeMode === 'bm25') return searchBm25(index.bm25, text, k);
+    const vector = await embedQuery(text);
+    if (activeMode === 'cosine') return searchVectors(vectorIndex, vector, k);
+    return fuseRankings([
+      searchBm25(index.bm25, text, Math.max(k, HYBRID_CANDIDATES)),
+      searchVectors(vectorIndex, vector, Math.max(k, HYBRID_CANDIDATES))
+    ], k);
+  };
+
+  const runSearch = async () => {
+    if (!query.trim()) return;
+    setBusy(true);
+    setError(null);
+    try {
+      setResults({ query: query.trim(), hits: await search(query.trim()) });
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const runEvaluation = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const retrieved = {};
+      for (const item of evalSet) {
+        retrieved[item.id] = (await search(item.query)).map(hit => index.chunks[hit.index].id);
+      }
+      setEvaluation({
+        k,
+        mode: activeMode,
+        ...evaluateRetrieval(evalSet, retrieved, k, index.chunks.map(chunk => chunk.id))
+      });
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const itemFor = (text) => evalSet.find(item => item.query === text);
+
+  // Add or remove a chunk as expected for a query
+  const toggleExpected = (text, chunkId) => {
+    const item = itemFor(text);
+    if (!item) {
+      onEvalSetChange([
+        ...evalSet,
+        { id: `eval-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`, query: text, expected: [chunkId] }
+      ]);
+      return;
+    }
+    const expected = item.expected.includes(chunkId)
+      ? item.expected.filter(id => id !== chunkId)
+      : [...item.expected, chunkId];
+    onEvalSetChange(expected.length > 0
+      ? evalSet.map(other => (other === item ? { ...item, expected } : other))
+      : evalSet.filter(other => other !== item));
+  };
+
+  const itemResults = new Map((evaluation?.items || []).map(result => [result.id, result]));
+  const resultItem = results && itemFor(results.query);
+
+  return (
+    <div className="bg-white p-4 rounded-lg border border-gray-200">
+      <div className="flex justify-between items-start mb-3">
+        <div>
+          <h3 className="text-sm font-medium text-gray-900">Test Retrieval</h3>
+          <p className="text-xs text-gray-500">
+            {index
+              ? `${index.chunks.length} chunks indexed with BM25${canUseVectors ? ' and embeddings' : ''}`
+              : 'Index the chunks to search them as a retriever would.'}
+            {index && !current && ' • out of date'}
+          </p>
+        </div>
+        <button
+          onClick={buildIndex}
+          disabled={building}
+          className="px-3 py-1 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          {building ? 'Indexing...' : index ? 'Rebuild index' : 'Build index'}
+        </button>
+      </div>
+
+      {error && <p className="mb-3 text-xs text-red-600">{error}</p>}
+
+      {index && (
+        <>
+          <div className="flex flex-wrap items-end gap-2">
+            <div className="flex-1 min-w-[200px]">
+              <label htmlFor="retrieval-query" className="block text-xs font-medium text-gray-700">Query</label>
+              <input
+                id="retrieval-query"
+                type="text"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Enter') runSearch(); }}
+                placeholder="e.g. excavation in rock"
+                className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              />
+            </div>
+            <div>
+              <label htmlFor="retrieval-k" className="block text-xs font-medium text-gray-700">Top k</label>
+              <input
+                id="retrieval-k"
+                type="number"
+                min="1"
+                value={k}
+                onChange={(e) => {
+                  const value = parseInt(e.target.value, 10);
+                  if (value > 0) setK(value);
+                }}
+                className="mt-1 block w-20 border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              />
+            </div>
+            <div>
+              <label htmlFor="retrieval-mode" className="block text-xs font-medium text-gray-700">Ranking</label>
+              <select
+                id="retrieval-mode"
+                value={activeMode}
+                onChange={(e) => setMode(e.target.value)}
+                disabled={!canUseVectors}
+                title={canUseVectors ? undefined : 'Generate embeddings for these chunks to rank by cosine similarity'}
+                className="mt-1 block border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              >
+                {Object.entries(RETRIEVAL_MODES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <button
+              onClick={runSearch}
+              disabled={busy || !query.trim()}
+              className="px-3 py-2 border border-transparent rounded-md text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              Search
+            </button>
+          </div>
+
+          {results && (
+            <div className="mt-3 space-y-2 max-h-96 overflow-y-auto">
+              {results.hits.length === 0 && <p className="text-xs text-gray-500">No chunk matches this query.</p>}
+              {results.hits.map((hit, rank) => {
+                const chunk = index.chunks[hit.index];
+                const expected = resultItem?.expected.includes(chunk.id);
+                return (
+                  <div key={chunk.id} className={`border rounded-md p-2 ${expected ? 'bg-green-50 border-green-200' : 'bg-gray-50 border-gray-200'}`}>
+                    <div className="flex justify-between items-center text-xs text-gray-500 mb-1">
+                      <span>
+                        #{rank + 1} • score {hit.score.toFixed(activeMode === 'bm25' ? 2 : 4)} • <span className="font-mono">{chunk.id}</span>
+                      </span>
+                      <button
+                        onClick={() => toggleExpected(results.query, chunk.id)}
+                        className={`px-2 py-0.5 rounded text-xs font-medium ${expected ? 'text-green-800 bg-green-100 hover:bg-green-200' : 'text-blue-700 hover:bg-blue-50'}`}
+                      >
+                        {expected ? 'Expected ✓' : 'Mark expected'}
+                      </button>
+                    </div>
+                    <pre className="text-xs text-gray-800 whitespace-pre-wrap">
+                      {highlightMatches(chunk.text, results.query).map((segment, i) => (
+                        segment.match ? <mark key={i} className="bg-yellow-200">{segment.text}</mark> : segment.text
+                      ))}
+                    </pre>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          <div className="mt-4 border-t border-gray-200 pt-3">
+            <div className="flex justify-between items-center mb-2">
+              <h4 className="text-xs font-medium text-gray-500 uppercase">
+                Evaluation set ({evalSet.length} {evalSet.length === 1 ? 'query' : 'queries'})
+              </h4>
+              <button
+                onClick={runEvaluation}
+                disabled={busy || evalSet.length === 0}
+                className="px-3 py-1 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                Evaluate recall@{k}
+              </button>
+            </div>
+            {evalSet.length === 0 && (
+              <p className="text-xs text-gray-500">Mark the chunks a query should find to add it to the evaluation set.</p>
+            )}
+            {evaluation && (
+              <p className="text-sm text-gray-800 mb-2">
+                Recall@{evaluation.k} ({RETRIEVAL_MODES[evaluation.mode]}):{' '}
+                <span className="font-medium">{(evaluation.recall * 100).toFixed(1)}%</span>
+              </p>
+            )}
+            <ul className="divide-y divide-gray-200">
+              {evalSet.map(item => {
+                const result = itemResults.get(item.id);
+                return (
+                  <li key={item.id} className="py-1 flex items-center justify-between text-xs">
+                    <button onClick={() => setQuery(item.query)} className="text-left text-gray-800 hover:text-blue-600 truncate">
+                      {item.query}
+                    </button>
+                    <span className="flex items-center space-x-3 flex-shrink-0 ml-2">
+                      {result?.missing.length > 0 && (
+                        <span className="text-orange-700" title={result.missing.join(', ')}>
+                          {result.missing.length} expected not in current chunks
+                        </span>
+                      )}
+                      {result && (
+                        <span className={result.recall === 1 ? 'text-green-700' : 'text-gray-700'}>
+                          {result.hits.length}/{item.expected.length} found
+                        </span>
+                      )}
+                      {!result && <span className="text-gray-500">{item.expected.length} expected</span>}
+                      <button
+                        onClick={() => onEvalSetChange(evalSet.filter(other => other !== item))}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        Remove
+                      </button>
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RetrievalPanel;
@@ -0,0 +1,217 @@
+import React, { useState, useMemo } from "react";
+import { parseRange, sheetToRecords } from '../lib/spreadsheet';
+
+const PREVIEW_ROWS = 5;
+
+const formatPreviewValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return text.length > 40 ? text.substring(0, 37) + '...' : text;
+};
+
+// Choose the sheets, ranges and header rows of a workbook to import.
+// `sheets` comes from describeWorkbook(); `onImport(selections, options)`
+// receives [{ sheetName, range, headerRow, mergedCells }] with 0-based
+// header rows, and { aiRestructure }.
+const SpreadsheetImportDialog = ({ fileName, workbook, sheets, onImport, onCancel }) => {
+  const [choices, setChoices] = useState(() => Object.fromEntries(sheets.map(sheet => [sheet.name, {
+    include: sheet.range !== null,
+    range: sheet.range || '',
+    headerRow: sheet.headerRow === null ? '' : String(sheet.headerRow + 1),
+    mergedCells: 'vertical'
+  }])));
+  const [activeSheet, setActiveSheet] = useState(() => (sheets.find(sheet => sheet.range) || sheets[0])?.name);
+  const [aiRestructure, setAiRestructure] = useState(false);
+
+  const updateChoice = (sheetName, field, value) => {
+    setChoices(prev => ({ ...prev, [sheetName]: { ...prev[sheetName], [field]: value } }));
+  };
+
+  // Header rows are entered as 1-based sheet row numbers
+  const toSelection = (sheetName) => {
+    const choice = choices[sheetName];
+    const headerRow = parseInt(choice.headerRow, 10);
+    return {
+      sheetName,
+      range: choice.range.trim(),
+      headerRow: Number.isNaN(headerRow) ? null : headerRow - 1,
+      mergedCells: choice.mergedCells
+    };
+  };
+
+  const preview = useMemo(() => {
+    if (!activeSheet || !choices[activeSheet]?.range) return null;
+    const { range, headerRow, mergedCells } = toSelection(activeSheet);
+    try {
+      return sheetToRecords(workbook.Sheets[activeSheet], { range, headerRow, mergedCells, limit: PREVIEW_ROWS });
+    } catch (e) {
+      return { error: e instanceof Error ? e.message : String(e) };
+    }
+  }, [workbook, activeSheet, choices]);
+
+  const invalidSheets = sheets
+    .filter(sheet => choices[sheet.name].include && !parseRange(choices[sheet.name].range))
+    .map(sheet => sheet.name);
+  const selectedCount = sheets.filter(sheet => choices[sheet.name].include).length;
+
+  const inputClassName = "mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm";
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900 bg-opacity-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-full overflow-auto">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Import {fileName}</h2>
+          <p className="text-sm text-gray-500">Choose the sheets and cell ranges to import. Each sheet becomes one entry.</p>
+        </div>
+
+        <div className="px-6 py-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+          <ul className="space-y-1">
+            {sheets.map(sheet => (
+              <li
+                key={sheet.name}
+                className={`flex items-center justify-between px-2 py-1 rounded-md cursor-pointer ${
+                  activeSheet === sheet.name ? 'bg-blue-50' : 'hover:bg-gray-50'
+                }`}
+                onClick={() => setActiveSheet(sheet.name)}
+              >
+                <label className="flex items-center text-sm text-gray-700" onClick={(e) => e.stopPropagation()}>
+                  <input
+                    type="checkbox"
+                    checked={choices[sheet.name].include}
+                    disabled={sheet.range === null}
+                    onChange={(e) => updateChoice(sheet.name, 'include', e.target.checked)}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <span className="ml-2">{sheet.name}</span>
+                </label>
+                <span className="text-xs text-gray-400">
+                  {sheet.range === null ? 'empty' : `${sheet.rowCount} × ${sheet.columnCount}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          <div className="md:col-span-2 space-y-3">
+            {activeSheet && choices[activeSheet] && (
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <label htmlFor="sheet-range" className="block text-xs font-medium text-gray-700">
+                    Range
+                  </label>
+                  <input
+                    id="sheet-range"
+                    type="text"
+                    value={choices[activeSheet].range}
+                    onChange={(e) => updateChoice(activeSheet, 'range', e.target.value)}
+                    placeholder="A1:H200"
+                    className={inputClassName}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="sheet-header-row" className="block text-xs font-medium text-gray-700">
+                    Header row (blank for none)
+                  </label>
+                  <input
+                    id="sheet-header-row"
+                    type="number"
+                    min="1"
+                    value={choices[activeSheet].headerRow}
+                    onChange={(e) => updateChoice(activeSheet, 'headerRow', e.target.value)}
+                    className={inputClassName}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="sheet-merged-cells" className="block text-xs font-medium text-gray-700">
+                    Merged cells
+                  </label>
+                  <select
+                    id="sheet-merged-cells"
+                    value={choices[activeSheet].mergedCells}
+                    onChange={(e) => updateChoice(activeSheet, 'mergedCells', e.target.value)}
+                    className={inputClassName}
+                  >
+                    <option value="vertical">Repeat value down merged rows</option>
+                    <option value="fill">Repeat value in every cell</option>
+                    <option value="first">Keep value in first cell only</option>
+                  </select>
+                </div>
+              </div>
+            )}
+
+            <div className="bg-gray-50 rounded-md border border-gray-200 p-2 overflow-auto max-h-72">
+              {!preview ? (
+                <p className="text-xs text-gray-500">This sheet is empty.</p>
+              ) : preview.error ? (
+                <p className="text-xs text-red-700">{preview.error}</p>
+              ) : preview.records.length === 0 ? (
+                <p className="text-xs text-gray-500">No data rows below the header in {preview.range}.</p>
+              ) : (
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead>
+                    <tr>
+                      {preview.columns.map(column => (
+                        <th key={column.key} className="px-2 py-1 text-left text-xs font-medium text-gray-500">
+                          {column.key}
+                          <span className="block font-normal text-gray-400">
+                            {column.type}{column.currency ? ` (${column.currency})` : ''}
+                          </span>
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {preview.records.map((record, i) => (
+                      <tr key={i}>
+                        {preview.columns.map(column => (
+                          <td key={column.key} className="px-2 py-1 text-xs text-gray-700 whitespace-nowrap">
+                            {formatPreviewValue(record[column.key])}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between">
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={aiRestructure}
+              onChange={(e) => setAiRestructure(e.target.checked)}
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            />
+            <span className="ml-2 text-sm text-gray-700">Restructure with AI after import</span>
+          </label>
+
+          <div className="flex items-center space-x-3">
+            {invalidSheets.length > 0 && (
+              <span className="text-xs text-red-700">Invalid range in {invalidSheets.join(', ')}</span>
+            )}
+            <button
+              onClick={onCancel}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => onImport(
+                sheets.filter(sheet => choices[sheet.name].include).map(sheet => toSelection(sheet.name)),
+                { aiRestructure }
+              )}
+              disabled={selectedCount === 0 || invalidSheets.length > 0}
+              className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 disabled:cursor-not-allowed"
+            >
+              Import {selectedCount} sheet{selectedCount === 1 ? '' : 's'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SpreadsheetImportDialog;
@@ -0,0 +1,163 @@
+import React, { useState } from "react";
+import { checkSchema } from '../lib/schemaValidation';
+import { profileRecords, toRecordSchema } from '../lib/schemaInference';
+
+// Attach the JSON Schema every processed entry is validated against. The
+// schema is pasted, uploaded or taken from a dataset's inferred schema.
+// `validation` is { name, schema, appliesTo: 'document' | 'records' } or null.
+const ValidationSchemaPanel = ({ validation, datasets, onChange }) => {
+  const [draft, setDraft] = useState('');
+  const [appliesTo, setAppliesTo] = useState('document');
+  const [schemaError, setSchemaError] = useState(null);
+  const [strict, setStrict] = useState(false);
+
+  const attach = (name, schema, scope) => {
+    try {
+      checkSchema(schema);
+    } catch (e) {
+      setSchemaError(e instanceof Error ? e.message : String(e));
+      return;
+    }
+    setSchemaError(null);
+    onChange({ name, schema, appliesTo: scope });
+  };
+
+  const attachText = (name, text) => {
+    let schema;
+    try {
+      schema = JSON.parse(text);
+    } catch (e) {
+      setSchemaError(`The schema is not valid JSON: ${e instanceof Error ? e.message : String(e)}`);
+      return;
+    }
+    attach(name || schema.title || 'Pasted schema', schema, appliesTo);
+  };
+
+  const handleUpload = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    file.text()
+      .then(text => attachText(file.name, text))
+      .catch(e => setSchemaError(`Error reading ${file.name}: ${e instanceof Error ? e.message : String(e)}`));
+  };
+
+  // A dataset schema describes one record
+  const attachDataset = (datasetId) => {
+    const dataset = datasets.find(d => d.id === datasetId);
+    if (!dataset) return;
+    const schema = toRecordSchema(dataset.fieldProfiles || profileRecords(dataset.records), { strict });
+    attach(`Schema of ${dataset.name}`, schema, 'records');
+  };
+
+  const inputClassName = "mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm";
+
+  return (
+    <details className="mt-6 bg-gray-50 rounded-lg border border-gray-200 p-4">
+      <summary className="text-sm font-medium text-gray-700 cursor-pointer">
+        Validation Schema ({validation ? validation.name : 'none'})
+      </summary>
+
+      <div className="mt-4 space-y-3">
+        {validation && (
+          <div className="flex items-center justify-between bg-white border border-gray-200 rounded-md px-3 py-2">
+            <p className="text-sm text-gray-700">
+              Entries are validated against <span className="font-medium">{validation.name}</span>
+              {validation.appliesTo === 'records' ? ', record by record' : ', as whole documents'}.
+            </p>
+            <button
+              onClick={() => onChange(null)}
+              className="text-xs text-red-600 hover:text-red-900"
+            >
+              Detach
+            </button>
+          </div>
+        )}
+
+        <div>
+          <label htmlFor="validation-schema-text" className="block text-xs font-medium text-gray-700">
+            Paste a JSON Schema
+          </label>
+          <textarea
+            id="validation-schema-text"
+            rows={6}
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder='{ "type": "object", "required": ["id"] }'
+            className={`${inputClassName} font-mono`}
+          />
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+          <div>
+            <label htmlFor="validation-schema-scope" className="block text-xs font-medium text-gray-700">
+              Schema describes
+            </label>
+            <select
+              id="validation-schema-scope"
+              value={appliesTo}
+              onChange={(e) => setAppliesTo(e.target.value)}
+              className={inputClassName}
+            >
+              <option value="document">The whole document</option>
+              <option value="records">One record (array items, JSONL lines, CSV rows)</option>
+            </select>
+          </div>
+          <div>
+            <button
+              onClick={() => attachText('', draft)}
+              disabled={!draft.trim()}
+              className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 disabled:cursor-not-allowed"
+            >
+              Attach Pasted Schema
+            </button>
+          </div>
+          <div>
+            <label htmlFor="validation-schema-file" className="block text-xs font-medium text-gray-700">
+              Or upload a schema file
+            </label>
+            <input
+              id="validation-schema-file"
+              type="file"
+              accept=".json"
+              onChange={handleUpload}
+              className="mt-1 block w-full text-sm text-gray-500"
+            />
+          </div>
+        </div>
+
+        {datasets.length > 0 && (
+          <div>
+            <label htmlFor="validation-schema-dataset" className="block text-xs font-medium text-gray-700">
+              Or use the inferred schema of a dataset
+            </label>
+            <select
+              id="validation-schema-dataset"
+              value=""
+              onChange={(e) => attachDataset(e.target.value)}
+              className={inputClassName}
+            >
+              <option value="">Choose a dataset...</option>
+              {datasets.map(dataset => (
+                <option key={dataset.id} value={dataset.id}>{dataset.name}</option>
+              ))}
+            </select>
+            <label className="mt-1 inline-flex items-center text-xs text-gray-600">
+              <input
+                type="checkbox"
+                checked={strict}
+                onChange={(e) => setStrict(e.target.checked)}
+                className="h-3 w-3 mr-1 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              Strict: only allow the values and ranges seen in the dataset
+            </label>
+          </div>
+        )}
+
+        {schemaError && <p className="text-xs text-red-700">{schemaError}</p>}
+      </div>
+    </details>
+  );
+};
+
+export default ValidationSchemaPanel;
@@ -0,0 +1,187 @@
+import React, { useState } from "react";
+import { VECTOR_STORES } from "../lib/vectorStores";
+
+// Export of the embedded chunks to a vector database (see lib/vectorStores):
+// a download in the store's bulk-import format or, for stores with an HTTP
+// API, a push to a running instance. `onPush()` resolves to the number of
+// chunks sent; `pushProgress` is { done, total } while pushing.
+const VectorStorePanel = ({ settings, onChange, embeddings, stale, onDownload, onPush, pushProgress }) => {
+  const [pushed, setPushed] = useState(null);
+  const store = VECTOR_STORES.find(s => s.id === settings.store) || VECTOR_STORES[0];
+  const connection = settings[store.id];
+
+  const update = (field, value) => onChange({ ...settings, [field]: value });
+  const updateConnection = (field, value) => onChange({ ...settings, [store.id]: { ...connection, [field]: value } });
+  const inputClassName = "mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm";
+
+  const push = async () => {
+    setPushed(null);
+    const count = await onPush();
+    if (count !== null) setPushed({ count, store: store.label, url: connection.url });
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg border border-gray-200">
+      <h3 className="text-sm font-medium text-gray-900 mb-1">Vector Database Export</h3>
+      <p className="text-xs text-gray-500 mb-3">
+        {embeddings
+          ? `Exports the ${embeddings.chunks.length} embedded chunks with a collection definition typed from the dataset schema.`
+          : 'Generate embeddings above to export them to a vector database.'}
+        {embeddings && stale && ' The embeddings are out of date.'}
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label htmlFor="vector-store" className="block text-xs font-medium text-gray-700">Store</label>
+          <select
+            id="vector-store"
+            value={store.id}
+            onChange={(e) => update('store', e.target.value)}
+            className={inputClassName}
+          >
+            {VECTOR_STORES.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="vector-collection" className="block text-xs font-medium text-gray-700">
+            {store.id === 'weaviate' ? 'Class' : store.id === 'pgvector' ? 'Table' : store.id === 'pinecone' ? 'Index' : 'Collection'}
+          </label>
+          <input
+            id="vector-collection"
+            type="text"
+            value={settings.collection}
+            onChange={(e) => update('collection', e.target.value)}
+            placeholder="named after the dataset"
+            className={inputClassName}
+          />
+        </div>
+        {store.canPush && (
+          <div>
+            <label htmlFor="vector-batch" className="block text-xs font-medium text-gray-700">Push batch size</label>
+            <input
+              id="vector-batch"
+              type="number"
+              min="1"
+              value={settings.batchSize}
+              onChange={(e) => {
+                const value = parseInt(e.target.value, 10);
+                if (value > 0) update('batchSize', value);
+              }}
+              className={inputClassName}
+            />
+          </div>
+        )}
+      </div>
+
+      {store.canPush && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-3">
+          <div className={['chroma', 'pinecone'].includes(store.id) ? '' : 'md:col-span-2'}>
+            <label htmlFor="vector-url" className="block text-xs font-medium text-gray-700">Endpoint URL</label>
+            <input
+              id="vector-url"
+              type="text"
+              value={connection.url}
+              onChange={(e) => updateConnection('url', e.target.value)}
+              className={`${inputClassName} font-mono`}
+            />
+          </div>
+          {store.id === 'chroma' && (
+            <div>
+              <label htmlFor="vector-database" className="block text-xs font-medium text-gray-700">Tenant / database</label>
+              <div className="flex space-x-2">
+                <input
+                  id="vector-database"
+                  type="text"
+                  value={connection.tenant}
+                  onChange={(e) => updateConnection('tenant', e.target.value)}
+                  aria-label="Tenant"
+                  className={inputClassName}
+                />
+                <input
+                  type="text"
+                  value={connection.database}
+                  onChange={(e) => updateConnection('database', e.target.value)}
+                  aria-label="Database"
+                  className={inputClassName}
+                />
+              </div>
+            </div>
+          )}
+          {store.id === 'pinecone' && (
+            <div>
+              <label htmlFor="vector-region" className="block text-xs font-medium text-gray-700">Cloud / region</label>
+              <div className="flex space-x-2">
+                <input
+                  type="text"
+                  value={connection.cloud}
+                  onChange={(e) => updateConnection('cloud', e.target.value)}
+                  aria-label="Cloud"
+                  className={inputClassName}
+                />
+                <input
+                  id="vector-region"
+                  type="text"
+                  value={connection.region}
+                  onChange={(e) => updateConnection('region', e.target.value)}
+                  aria-label="Region"
+                  className={inputClassName}
+                />
+              </div>
+            </div>
+          )}
+          <div>
+            <label htmlFor="vector-api-key" className="block text-xs font-medium text-gray-700">API key{store.id === 'pinecone' ? '' : ' (optional)'}</label>
+            <input
+              id="vector-api-key"
+              type="password"
+              value={connection.apiKey}
+              autoComplete="off"
+              onChange={(e) => updateConnection('apiKey', e.target.value)}
+              className={inputClassName}
+            />
+            <label className="mt-1 inline-flex items-center text-xs text-gray-600">
+              <input
+                type="checkbox"
+                checked={settings.rememberKeys}
+                onChange={(e) => update('rememberKeys', e.target.checked)}
+                className="h-3 w-3 mr-1 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              Remember API keys on this device
+            </label>
+          </div>
+        </div>
+      )}
+
+      <div className="mt-4 flex flex-wrap items-center gap-2">
+        <button
+          onClick={onDownload}
+          disabled={!embeddings}
+          className="px-3 py-1 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          Download {store.id === 'pgvector' ? 'SQL script' : 'bulk import'}
+        </button>
+        {store.canPush && (
+          <button
+            onClick={push}
+            disabled={!embeddings || Boolean(pushProgress)}
+            className="px-3 py-1 border border-transparent rounded-md text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {pushProgress ? `Pushing ${pushProgress.done}/${pushProgress.total}...` : `Push to ${store.label}`}
+          </button>
+        )}
+        {pushed && !pushProgress && (
+          <span className="text-xs text-green-700">
+            {pushed.count} chunks pushed to {pushed.store} at {pushed.url}
+          </span>
+        )}
+      </div>
+      {store.canPush && (
+        <p className="mt-2 text-xs text-gray-500">
+          The server must allow requests from this page (CORS), e.g. CHROMA_SERVER_CORS_ALLOW_ORIGINS for Chroma.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default VectorStorePanel;
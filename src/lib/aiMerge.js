@@ -0,0 +1,54 @@
+import { standardMergeJson } from './deepMerge';
+
+// Semantic merge of processed entries by the configured AI provider, with the
+// deterministic structural merge (see deepMerge.js) as the fallback.
+
+const mergePrompt = (entries) => {
+  let prompt = `You are a JSON merging expert. I have multiple JSON documents that I need to merge into a single cohesive dataset.
+
+    The documents represent ${entries[0].fileName.includes('BOQ') ? 'construction Bills of Quantities (BOQ)' : 'JSON data'}.
+    I want you to intelligently merge these documents by understanding their content, not just their structure.
+
+    Here are the JSON documents to merge:
+    `;
+
+  entries.forEach((entry, index) => {
+    prompt += `\nDocument ${index + 1} (${entry.fileName}):\n${entry.formattedJson.substring(0, 4000)}\n`;
+  });
+
+  prompt += `\nPlease merge these documents into a single cohesive JSON structure.
+    Think about how to handle:
+    1. Overlapping fields with different values
+    2. Arrays that should be concatenated
+    3. Nested objects that should be merged
+    4. Consistent field naming and data types
+
+    Return ONLY the merged JSON without explanations or markdown.`;
+  return prompt;
+};
+
+// Merge entries ({ fileName, formattedJson }) with the model. When the model
+// call or its JSON fails, the entries are merged structurally with
+// `mergeOptions` instead, recording the origins of the merged values in
+// `origins` (a Map) when given. Returns { value, conflicts, error } where
+// `error` is the AI failure the fallback was used for (null when the model
+// merged).
+export const mergeJsonWithAI = async (entries, llm, mergeOptions = {}, { signal, origins = null } = {}) => {
+  if (entries.length === 0) {
+    throw new Error("No entries to merge");
+  }
+
+  try {
+    const value = await llm.completeJson('merge', mergePrompt(entries), { signal });
+    if (value === null || typeof value !== 'object') {
+      throw new Error("The model did not return a JSON object or array");
+    }
+    return { value, conflicts: [], error: null };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error("AI-based merge failed:", error);
+
+    const { value, conflicts } = standardMergeJson(entries, mergeOptions, origins);
+    return { value, conflicts, error: error instanceof Error ? error.message : String(error) };
+  }
+};
@@ -0,0 +1,144 @@
+// AI analysis of construction Bills of Quantities (BOQ).
+//
+// Both steps go through the LLM client (see lib/llm) and never throw on a
+// model failure: the analysis then reports the failure and keeps the data as
+// it was, and the RAG chunks are built by simpleBoqChunking.
+
+// Ask the model what structure a BOQ document has. Returns { analysis,
+// enhancedData, structureType } where `enhancedData` is the data with
+// consistent field names.
+export const analyzeBoqStructure = async (jsonData, llm) => {
+  try {
+    const jsonStr = typeof jsonData === 'string' ? jsonData : JSON.stringify(jsonData);
+
+    const analysis = await llm.completeJson('analyzeBoq', `You are a construction BOQ (Bill of Quantities) expert. Analyze this JSON data that represents a BOQ document.
+
+${jsonStr.substring(0, 10000)}
+
+              Please:
+              1. Determine if this follows a standard BOQ structure
+              2. Identify the main elements (sections, items, quantities, rates)
+              3. Detect any structural issues or inconsistencies
+              4. Return a structured JSON response with the following fields:
+                 - "analysis": your expert analysis of the structure (text)
+                 - "structureType": the type of BOQ structure detected (string)
+                 - "enhancedData": a cleaned version of the data with consistent field names
+
+              Return ONLY your JSON response with no explanations or markdown.`);
+
+    return {
+      analysis: analysis.analysis || "No analysis provided",
+      enhancedData: analysis.enhancedData || jsonData,
+      structureType: analysis.structureType || "unknown"
+    };
+  } catch (error) {
+    console.error("BOQ analysis failed:", error);
+    return {
+      analysis: `Analysis failed: ${error instanceof Error ? error.message : String(error)}`,
+      enhancedData: jsonData,
+      structureType: "unknown"
+    };
+  }
+};
+
+// Split BOQ data into RAG chunks ([{ content, type, metadata }]) with the
+// model. An earlier result of analyzeBoqStructure can be passed to skip that
+// step.
+export const prepareBoqForRag = async (boqData, llm, analyzed = null) => {
+  try {
+    const { enhancedData, structureType } = analyzed || await analyzeBoqStructure(boqData, llm);
+
+    const prompt = `You are an expert in construction Bills of Quantities (BOQ).
+    I need to prepare this BOQ data for a RAG (Retrieval Augmented Generation) system.
+
+    The BOQ data follows a ${structureType} structure.
+
+${JSON.stringify(enhancedData).substring(0, 10000)}
+
+    Please create meaningful chunks from this BOQ that would be useful for a RAG system. Each chunk should:
+    1. Contain semantically related information
+    2. Include necessary context to be understood independently
+    3. Be sized appropriately (not too long or short)
+
+    Return a JSON array of chunks, where each chunk has:
+    - "content": the text content of the chunk
+    - "type": the type of chunk (e.g., "section", "item_group", "metadata")
+    - "metadata": additional information about the chunk
+
+    Return ONLY the JSON array of chunks without explanations or markdown.`;
+
+    const chunks = await llm.completeJson('ragChunks', prompt);
+    if (!Array.isArray(chunks)) {
+      throw new Error("The model did not return an array of chunks");
+    }
+    return chunks;
+  } catch (error) {
+    console.error("BOQ chunking failed:", error);
+    return simpleBoqChunking(boqData);
+  }
+};
+
+// Chunks without a model: a metadata chunk, then groups of 10 items of an
+// array or, for { sections: [{ code, title, items }] }, one chunk per section
+// and groups of 5 of its items
+export const simpleBoqChunking = (boqData) => {
+  const chunks = [];
+
+  chunks.push({
+    content: `Bill of Quantities: ${boqData?.title || 'Untitled BOQ'}`,
+    type: "metadata",
+    metadata: {
+      filename: boqData?.fileName || 'unknown',
+      date: boqData?.date || new Date().toISOString(),
+      chunkType: "metadata"
+    }
+  });
+
+  if (Array.isArray(boqData)) {
+    // Handle array format (common from Excel imports)
+    for (let i = 0; i < boqData.length; i += 10) {
+      const group = boqData.slice(i, i + 10);
+      chunks.push({
+        content: JSON.stringify(group),
+        type: "item_group",
+        metadata: {
+          startIndex: i,
+          endIndex: Math.min(i + 9, boqData.length - 1),
+          count: group.length,
+          chunkType: "item_group"
+        }
+      });
+    }
+  } else if (Array.isArray(boqData?.sections)) {
+    boqData.sections.forEach((section, index) => {
+      chunks.push({
+        content: `Section ${section.code || index}: ${section.title || 'Untitled Section'}`,
+        type: "section",
+        metadata: {
+          sectionCode: section.code || `S${index}`,
+          sectionIndex: index,
+          chunkType: "section"
+        }
+      });
+
+      if (section.items && section.items.length > 0) {
+        for (let i = 0; i < section.items.length; i += 5) {
+          const group = section.items.slice(i, i + 5);
+          chunks.push({
+            content: JSON.stringify(group),
+            type: "item_group",
+            metadata: {
+              sectionCode: section.code || `S${index}`,
+              startIndex: i,
+              endIndex: Math.min(i + 4, section.items.length - 1),
+              count: group.length,
+              chunkType: "item_group"
+            }
+          });
+        }
+      }
+    });
+  }
+
+  return chunks;
+};
@@ -0,0 +1,165 @@
+import { repairJson } from './jsonRepair';
+
+// Windowed AI repair for documents larger than a single prompt.
+//
+// Instead of sending (and truncating) the whole document, the broken regions
+// are located from parse error positions, each region is sent to the model
+// with some surrounding context, and the corrected excerpts are spliced back
+// into the original text. Everything outside the windows is left untouched.
+
+// Largest document (in characters) that is sent to the model in one prompt
+export const DEFAULT_WINDOW_CHARS = 12000;
+
+// Offset of the first syntax error, or -1 if the text is valid JSON
+export const locateSyntaxError = (text) => {
+  let message;
+  try {
+    JSON.parse(text);
+    return -1;
+  } catch (e) {
+    message = e instanceof Error ? e.message : String(e);
+  }
+
+  // V8: "... in JSON at position 123 (line 4 column 7)"
+  const position = /at position (\d+)/.exec(message);
+  if (position) return Math.min(Number(position[1]), text.length);
+
+  // Firefox: "... at line 4 column 7 of the JSON data"
+  const lineColumn = /line (\d+) column (\d+)/.exec(message);
+  if (lineColumn) {
+    const line = Number(lineColumn[1]);
+    let offset = 0;
+    for (let i = 1; i < line && offset !== -1; i++) {
+      offset = text.indexOf('\n', offset) + 1 || -1;
+    }
+    if (offset !== -1) return Math.min(offset + Number(lineColumn[2]) - 1, text.length);
+  }
+
+  // Engines that give no position: fall back to the repair engine's first finding
+  const { fixes } = repairJson(text);
+  return fixes.length > 0 ? fixes[0].offset : 0;
+};
+
+// Offsets of every region that needs attention: the parse error position plus
+// the places where the deterministic engine had to guess at content
+export const locateBrokenRegions = (text) => {
+  const offsets = new Set();
+  const first = locateSyntaxError(text);
+  if (first === -1) return [];
+
+  offsets.add(first);
+  repairJson(text).fixes
+    .filter(fix => fix.lossy)
+    .forEach(fix => offsets.add(fix.offset));
+
+  return Array.from(offsets).sort((a, b) => a - b);
+};
+
+// Move a window edge to a nearby line break, or failing that a comma, so the
+// excerpt does not start or end in the middle of a token
+const snapBoundary = (text, offset, direction) => {
+  const limit = direction < 0 ? Math.max(0, offset - 500) : Math.min(text.length, offset + 500);
+  const search = direction < 0
+    ? (ch) => text.lastIndexOf(ch, offset)
+    : (ch) => text.indexOf(ch, offset);
+
+  for (const ch of ['\n', ',']) {
+    const found = search(ch);
+    if (found !== -1 && (direction < 0 ? found >= limit : found <= limit)) {
+      return found + 1;
+    }
+  }
+  return direction < 0 ? Math.max(0, offset) : Math.min(text.length, offset);
+};
+
+// Build non-overlapping windows around the given error offsets
+export const buildRepairWindows = (text, offsets, { contextChars = 2000, windowChars = DEFAULT_WINDOW_CHARS } = {}) => {
+  const windows = [];
+
+  offsets.forEach(offset => {
+    const start = snapBoundary(text, Math.max(0, offset - contextChars), -1);
+    const end = snapBoundary(text, Math.min(text.length, offset + contextChars), 1);
+    const previous = windows[windows.length - 1];
+
+    if (previous && start <= previous.end && end - previous.start <= windowChars) {
+      previous.end = Math.max(previous.end, end);
+      previous.offsets.push(offset);
+    } else {
+      windows.push({ start, end: Math.min(end, start + windowChars), offsets: [offset] });
+    }
+  });
+
+  return windows;
+};
+
+const lineNumberAt = (text, offset) => {
+  let line = 1;
+  for (let i = text.indexOf('\n'); i !== -1 && i < offset; i = text.indexOf('\n', i + 1)) {
+    line++;
+  }
+  return line;
+};
+
+const buildWindowPrompt = (excerpt, startLine, endLine) => `You are a JSON repair expert. The text below is an excerpt (lines ${startLine}-${endLine}) from a much larger JSON document that contains syntax errors.
+The excerpt is NOT a complete document: it may start or end in the middle of an object or array, and that is expected.
+Fix only the syntax errors inside the excerpt (missing quotes, incorrect commas, unescaped characters, malformed values).
+Do not add or remove brackets to balance the excerpt, do not reformat it, and keep every value you do not need to fix exactly as it is.
+Return ONLY the corrected excerpt with no explanations or markdown formatting.
+
+${excerpt}`;
+
+// Repair a large document window by window.
+// `complete(prompt, { signal })` sends a prompt to the model and resolves to
+// its text. Returns { corrected, regions } where each region describes a
+// window that was replaced ({ start, end, startLine, endLine }).
+export const repairJsonInWindows = async (text, complete, {
+  contextChars = 2000,
+  windowChars = DEFAULT_WINDOW_CHARS,
+  maxRounds = 3,
+  signal
+} = {}) => {
+  let current = text;
+  const regions = [];
+  let lastFirstError = -2;
+
+  for (let round = 0; round < maxRounds; round++) {
+    const offsets = locateBrokenRegions(current);
+    if (offsets.length === 0) break;
+
+    // Stop if the previous round made no progress on the first error
+    if (offsets[0] === lastFirstError) break;
+    lastFirstError = offsets[0];
+
+    const windows = buildRepairWindows(current, offsets, { contextChars, windowChars });
+
+    // Splice from the end so earlier offsets remain valid
+    for (const window of [...windows].reverse()) {
+      if (signal?.aborted) {
+        throw new DOMException('The operation was aborted.', 'AbortError');
+      }
+
+      const excerpt = current.slice(window.start, window.end);
+      const leading = /^\s*/.exec(excerpt)[0];
+      const trailing = /\s*$/.exec(excerpt)[0];
+      const core = excerpt.slice(leading.length, excerpt.length - trailing.length);
+      if (!core) continue;
+
+      const startLine = lineNumberAt(current, window.start);
+      const endLine = startLine + (excerpt.match(/\n/g) || []).length;
+      const fixed = (await complete(buildWindowPrompt(core, startLine, endLine), { signal })).trim();
+
+      // A reply much shorter than the excerpt means the model dropped data
+      if (!fixed || fixed.length < core.length * 0.8) continue;
+
+      current = current.slice(0, window.start) + leading + fixed + trailing + current.slice(window.end);
+      regions.push({
+        start: window.start,
+        end: window.start + leading.length + fixed.length + trailing.length,
+        startLine,
+        endLine
+      });
+    }
+  }
+
+  return { corrected: current, regions };
+};
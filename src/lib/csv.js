@@ -0,0 +1,249 @@
+import Papa from 'papaparse';
+
+// CSV / TSV ingestion.
+//
+// The encoding, delimiter, quote character and presence of a header row are
+// detected from the file itself; Papa.parse does the parsing. Cells are typed
+// only where no text is lost (see typeCell). Rows that do not fit the table
+// (wrong field count, broken quotes) are kept but reported as row errors.
+
+export const CSV_EXTENSIONS = ['.csv', '.tsv', '.tab'];
+
+export const isCsvFileName = (fileName = '') =>
+  CSV_EXTENSIONS.some(extension => fileName.toLowerCase().endsWith(extension));
+
+const DELIMITER_CANDIDATES = [',', '\t', ';', '|'];
+const QUOTE_CANDIDATES = ['"', "'"];
+
+// Lines inspected for dialect and header detection
+const SAMPLE_LINES = 50;
+
+export const DELIMITER_LABELS = {
+  ',': 'comma',
+  '\t': 'tab',
+  ';': 'semicolon',
+  '|': 'pipe'
+};
+
+// Decode file bytes. A byte order mark wins; otherwise UTF-8 is tried
+// strictly and Windows-1252 (the usual spreadsheet export) is the fallback.
+export const decodeText = (buffer) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'utf-8' };
+  }
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'utf-16le' };
+  }
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'utf-16be' };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+  } catch (e) {
+    return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+  }
+};
+
+// Count delimiter occurrences per line, ignoring text inside quotes
+const countPerLine = (lines, delimiter, quoteChar) => lines.map(line => {
+  let count = 0;
+  let quoted = false;
+  for (const ch of line) {
+    if (ch === quoteChar) quoted = !quoted;
+    else if (ch === delimiter && !quoted) count++;
+  }
+  return count;
+});
+
+const sampleLines = (text) => text
+  .split(/\r\n|\n|\r/, SAMPLE_LINES + 1)
+  .slice(0, SAMPLE_LINES)
+  .filter(line => line.trim());
+
+// Quote character: the candidate that most often opens or closes a field
+const detectQuoteChar = (lines) => {
+  let best = '"';
+  let bestCount = 0;
+  QUOTE_CANDIDATES.forEach(quoteChar => {
+    const pattern = new RegExp(`(^|[,\\t;|])\\s*${quoteChar}|${quoteChar}\\s*($|[,\\t;|])`, 'g');
+    const count = lines.reduce((sum, line) => sum + (line.match(pattern) || []).length, 0);
+    if (count > bestCount) {
+      best = quoteChar;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+// { delimiter, quoteChar }: the delimiter that splits the sample lines into
+// the same, largest number of fields most consistently
+export const detectDialect = (text) => {
+  const lines = sampleLines(text);
+  const quoteChar = detectQuoteChar(lines);
+
+  let best = { delimiter: ',', score: 0 };
+  DELIMITER_CANDIDATES.forEach(delimiter => {
+    const counts = countPerLine(lines, delimiter, quoteChar);
+    const frequencies = new Map();
+    counts.forEach(count => frequencies.set(count, (frequencies.get(count) || 0) + 1));
+
+    // Most common non-zero field separator count and how many lines share it
+    let modeCount = 0;
+    let modeLines = 0;
+    frequencies.forEach((linesWithCount, count) => {
+      if (count > 0 && linesWithCount > modeLines) {
+        modeCount = count;
+        modeLines = linesWithCount;
+      }
+    });
+    if (modeCount === 0) return;
+
+    const consistency = modeLines / counts.length;
+    const score = consistency * (1 + Math.log(modeCount + 1));
+    if (score > best.score) best = { delimiter, score };
+  });
+
+  return { delimiter: best.delimiter, quoteChar };
+};
+
+const cellKind = (value) => {
+  if (value === null || value === undefined || value === '') return 'empty';
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  return 'string';
+};
+
+// Whether the first row is a header, voted column by column as in Python's
+// csv.Sniffer: a column votes for a header when its first cell differs in
+// kind (or, for text columns, clearly in length) from the cells below it
+export const inferHeader = (rows) => {
+  if (rows.length < 2) return false;
+  const [first, ...rest] = rows;
+  const sample = rest.slice(0, SAMPLE_LINES);
+
+  // A header has no empty or repeated names and no numbers
+  const names = first.map(value => (value === null ? '' : String(value).trim()));
+  if (names.some(name => !name) || new Set(names).size !== names.length) return false;
+  if (first.some(value => cellKind(value) === 'number')) return false;
+
+  let votes = 0;
+  first.forEach((value, column) => {
+    const kinds = new Set(sample.map(row => cellKind(row[column])).filter(kind => kind !== 'empty'));
+    if (kinds.size === 0) return;
+
+    if (kinds.size === 1 && !kinds.has('string')) {
+      votes += cellKind(value) === Array.from(kinds)[0] ? -1 : 1;
+      return;
+    }
+
+    const lengths = new Set(sample.map(row => String(row[column] ?? '').length));
+    if (lengths.size === 1) {
+      votes += String(value).length === Array.from(lengths)[0] ? -1 : 1;
+    }
+  });
+
+  return votes > 0;
+};
+
+// Most common row length, so one ragged row does not widen the whole table
+const modalWidth = (rows) => {
+  const frequencies = new Map();
+  let width = 0;
+  let widthRows = 0;
+  rows.forEach(row => {
+    const count = (frequencies.get(row.length) || 0) + 1;
+    frequencies.set(row.length, count);
+    if (count > widthRows || (count === widthRows && row.length > width)) {
+      width = row.length;
+      widthRows = count;
+    }
+  });
+  return width;
+};
+
+// Unique record keys from the header cells
+const buildKeys = (header, width) => {
+  const seen = new Map();
+  return Array.from({ length: width }, (value, i) => {
+    const raw = header && header[i] !== undefined && header[i] !== null ? String(header[i]).trim() : '';
+    const base = raw || `Column ${i + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base} (${count})`;
+  });
+};
+
+// Value of a cell: null when empty, a number or boolean when it converts back
+// to the same text, otherwise the text itself, so codes and amounts such as
+// "00123" or "1.10" are not changed by reading them
+const typeCell = (value) => {
+  if (value === '') return null;
+  if (value === 'true' || value === 'false') return value === 'true';
+  const number = Number(value);
+  return Number.isFinite(number) && String(number) === value ? number : value;
+};
+
+// Parse CSV/TSV text. `dialect` overrides detection ({ delimiter, quoteChar,
+// header }). Returns { records, fields, rowErrors, dialect, rowCount } where
+// row errors are { row, code, message }. Row numbers are 1-based and count
+// the header but not blank lines; a quoted field may span several lines.
+export const parseCsv = (text, dialect = {}) => {
+  const detected = detectDialect(text);
+  const delimiter = dialect.delimiter || detected.delimiter;
+  const quoteChar = dialect.quoteChar || detected.quoteChar;
+
+  const { data, errors } = Papa.parse(text, {
+    delimiter,
+    quoteChar,
+    header: false,
+    skipEmptyLines: 'greedy'
+  });
+
+  const rows = data.map(row => row.map(typeCell));
+  const header = dialect.header ?? inferHeader(rows);
+  const headerRow = header ? rows[0] : null;
+  const dataRows = header ? rows.slice(1) : rows;
+  const offset = header ? 2 : 1;
+
+  const width = headerRow ? headerRow.length : modalWidth(dataRows);
+  const fields = buildKeys(headerRow, width);
+
+  const rowErrors = errors.map(error => ({
+    row: (error.row ?? 0) + 1,
+    code: error.code,
+    message: error.message
+  }));
+
+  const records = dataRows.map((row, index) => {
+    if (row.length !== width) {
+      rowErrors.push({
+        row: index + offset,
+        code: row.length < width ? 'TooFewFields' : 'TooManyFields',
+        message: `Expected ${width} fields but found ${row.length}`
+      });
+    }
+
+    const record = {};
+    fields.forEach((field, column) => {
+      record[field] = row[column] ?? null;
+    });
+    // Keep extra values rather than dropping them
+    row.slice(width).forEach((value, i) => {
+      record[`Column ${width + i + 1}`] = value;
+    });
+    return record;
+  });
+
+  rowErrors.sort((a, b) => a.row - b.row);
+
+  return {
+    records,
+    fields,
+    rowErrors,
+    dialect: { delimiter, quoteChar, header },
+    rowCount: dataRows.length
+  };
+};
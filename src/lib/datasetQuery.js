@@ -0,0 +1,589 @@
+import { PROVENANCE_FIELD } from './provenance';
+import { ROW_ID_FIELD } from './datasetVersions';
+import { compareValues } from './recordGrid';
+
+// Queries over dataset records.
+//
+// Two languages, told apart by the first character:
+//   JSONPath  `$[?(@.section == 'Earthworks' && @.qty > 10)]`, `$..items[*]`
+//             evaluated against the array of records; supports child names,
+//             `*`, `..`, indices, slices `[start:end:step]`, unions and
+//             filters `[?(...)]`
+//   SQL-like  `SELECT unit, SUM(amount) AS total WHERE section LIKE 'earth%'
+//             GROUP BY unit ORDER BY total DESC LIMIT 10`; every clause is
+//             optional, so `qty > 10` alone filters the records (a FROM
+//             clause is allowed but ignored: queries run on one dataset)
+// Conditions in both share one grammar: comparisons (=, ==, !=, <>, <, <=, >,
+// >=, LIKE, IN (...), IS [NOT] NULL, =~ /regex/), AND/&&, OR/||, NOT/! and
+// parentheses. Fields are bare names (dotted names of flattened fields work
+// as is), `backticked names` or, in JSONPath filters, `@.path`.
+
+const KEYWORDS = new Set([
+  'SELECT', 'FROM', 'WHERE', 'GROUP', 'ORDER', 'BY', 'ASC', 'DESC', 'LIMIT', 'AS',
+  'AND', 'OR', 'NOT', 'LIKE', 'IN', 'IS', 'NULL', 'TRUE', 'FALSE'
+]);
+
+const AGGREGATES = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
+
+const OPERATORS = ['==', '!=', '<>', '<=', '>=', '=~', '&&', '||', '=', '<', '>', '!', '(', ')', ',', '*'];
+
+const IDENTIFIER_START = /[A-Za-z_$]/;
+const IDENTIFIER_PART = /[A-Za-z0-9_$.-]/;
+
+const queryError = (message, position) => new Error(`${message} at position ${position + 1}`);
+
+// Path segments after `@`: `.name`, `['name']`, `[0]`
+const readPath = (text, start) => {
+  const path = [];
+  let i = start;
+  while (i < text.length) {
+    if (text[i] === '.') {
+      const match = text.substring(i + 1).match(/^[A-Za-z0-9_$-]+/);
+      if (!match) throw queryError('Expected a field name', i + 1);
+      path.push(match[0]);
+      i += 1 + match[0].length;
+    } else if (text[i] === '[') {
+      const match = text.substring(i).match(/^\[\s*(?:'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|(-?\d+))\s*\]/);
+      if (!match) throw queryError('Expected a quoted name or an index', i);
+      path.push(match[3] !== undefined ? Number(match[3]) : (match[1] ?? match[2]).replace(/\\(.)/g, '$1'));
+      i += match[0].length;
+    } else {
+      break;
+    }
+  }
+  return { path, end: i };
+};
+
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    const position = i;
+
+    if (char === "'" || char === '"') {
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== char) {
+        if (text[i] === '\\' && i + 1 < text.length) i++;
+        value += text[i];
+        i++;
+      }
+      if (i >= text.length) throw queryError('Unterminated string', position);
+      i++;
+      tokens.push({ type: 'literal', value, position });
+      continue;
+    }
+
+    if (char === '`') {
+      const end = text.indexOf('`', i + 1);
+      if (end === -1) throw queryError('Unterminated field name', position);
+      const name = text.substring(i + 1, end);
+      tokens.push({ type: 'field', name, path: name.split('.'), position });
+      i = end + 1;
+      continue;
+    }
+
+    if (char === '@') {
+      const { path, end } = readPath(text, i + 1);
+      tokens.push({ type: 'field', name: path.join('.'), path, relative: true, position });
+      i = end;
+      continue;
+    }
+
+    if (char === '/' && tokens[tokens.length - 1]?.value === '=~') {
+      const match = text.substring(i).match(/^\/((?:[^/\\]|\\.)*)\/([gimsuy]*)/);
+      if (!match) throw queryError('Unterminated regular expression', position);
+      try {
+        tokens.push({ type: 'literal', value: new RegExp(match[1], match[2]), position });
+      } catch (e) {
+        throw queryError(`Invalid regular expression: ${e.message}`, position);
+      }
+      i += match[0].length;
+      continue;
+    }
+
+    const number = text.substring(i).match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?/);
+    if (number && !IDENTIFIER_START.test(text[i + number[0].length] || '')) {
+      tokens.push({ type: 'literal', value: Number(number[0]), position });
+      i += number[0].length;
+      continue;
+    }
+
+    if (IDENTIFIER_START.test(char)) {
+      let end = i + 1;
+      while (end < text.length && IDENTIFIER_PART.test(text[end])) end++;
+      const word = text.substring(i, end);
+      const upper = word.toUpperCase();
+      if (upper === 'TRUE' || upper === 'FALSE') tokens.push({ type: 'literal', value: upper === 'TRUE', position });
+      else if (upper === 'NULL') tokens.push({ type: 'literal', value: null, position });
+      else if (KEYWORDS.has(upper)) tokens.push({ type: 'keyword', value: upper, position });
+      else tokens.push({ type: 'field', name: word, path: word.split('.'), position });
+      i = end;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => text.startsWith(op, i));
+    if (!operator) throw queryError(`Unexpected "${char}"`, position);
+    tokens.push({ type: 'operator', value: operator, position });
+    i += operator.length;
+  }
+  tokens.push({ type: 'end', position: text.length });
+  return tokens;
+};
+
+// Recursive-descent parser over the tokens of one query
+const createParser = (tokens) => {
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const is = (type, value) => peek().type === type && (value === undefined || peek().value === value);
+  const accept = (type, value) => (is(type, value) ? next() : null);
+  const expect = (type, value, description) => {
+    if (!is(type, value)) {
+      const token = peek();
+      const found = token.type === 'end' ? 'end of query' : `"${token.value ?? token.name}"`;
+      throw queryError(`Expected ${description}, found ${found}`, token.position);
+    }
+    return next();
+  };
+
+  const parseOperand = () => {
+    if (accept('operator', '(')) {
+      const expression = parseOr();
+      expect('operator', ')', '")"');
+      return expression;
+    }
+    if (is('literal')) return { type: 'literal', value: next().value };
+    if (is('field')) return next();
+    const token = peek();
+    throw queryError(`Expected a field or a value, found ${token.type === 'end' ? 'end of query' : `"${token.value ?? token.name}"`}`, token.position);
+  };
+
+  const parseComparison = () => {
+    const left = parseOperand();
+    const operator = peek();
+
+    if (operator.type === 'operator' && ['=', '==', '!=', '<>', '<', '<=', '>', '>=', '=~'].includes(operator.value)) {
+      next();
+      return { type: 'compare', operator: operator.value, left, right: parseOperand() };
+    }
+    const negated = is('keyword', 'NOT') && ['LIKE', 'IN'].includes(tokens[index + 1].value) ? next() : null;
+    if (accept('keyword', 'LIKE')) {
+      const pattern = expect('literal', undefined, 'a LIKE pattern').value;
+      const regex = new RegExp(`^${String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.')}$`, 'is');
+      return { type: 'compare', operator: '=~', left, right: { type: 'literal', value: regex }, negated: !!negated };
+    }
+    if (accept('keyword', 'IN')) {
+      expect('operator', '(', '"(" after IN');
+      const values = [expect('literal', undefined, 'a value').value];
+      while (accept('operator', ',')) values.push(expect('literal', undefined, 'a value').value);
+      expect('operator', ')', '")"');
+      return { type: 'in', left, values, negated: !!negated };
+    }
+    if (accept('keyword', 'IS')) {
+      const isNot = !!accept('keyword', 'NOT');
+      expect('literal', null, 'NULL');
+      return { type: 'null', left, negated: isNot };
+    }
+    // A bare operand is a truthiness (or, for `@.field`, existence) test
+    return { type: 'test', operand: left };
+  };
+
+  const parseNot = () => {
+    if (accept('keyword', 'NOT') || accept('operator', '!')) return { type: 'not', operand: parseNot() };
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    while (accept('keyword', 'AND') || accept('operator', '&&')) left = { type: 'and', left, right: parseNot() };
+    return left;
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (accept('keyword', 'OR') || accept('operator', '||')) left = { type: 'or', left, right: parseAnd() };
+    return left;
+  };
+
+  return { peek, next, is, accept, expect, parseExpression: parseOr, index: () => index };
+};
+
+// Value of a field token in a record: the field itself (flattened names
+// contain dots), or the path into nested values
+const fieldValue = (record, field) => {
+  if (field.path.length === 0) return record;
+  if (record === null || typeof record !== 'object') return undefined;
+  if (!field.relative && field.name in record) return record[field.name];
+  return field.path.reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), record);
+};
+
+const asNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  return null;
+};
+
+const looseEquals = (a, b) => {
+  if (a === b) return true;
+  if (a === undefined || b === undefined || a === null || b === null) return (a ?? null) === (b ?? null);
+  const x = asNumber(a);
+  const y = asNumber(b);
+  if ((typeof a === 'number' || typeof b === 'number') && x !== null && y !== null) return x === y;
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+const compare = (operator, a, b) => {
+  if (operator === '=~') return b instanceof RegExp && a !== null && a !== undefined && b.test(String(a));
+  if (operator === '=' || operator === '==') return looseEquals(a, b);
+  if (operator === '!=' || operator === '<>') return !looseEquals(a, b);
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  const x = asNumber(a);
+  const y = asNumber(b);
+  const order = x !== null && y !== null ? x - y : String(a).localeCompare(String(b));
+  if (operator === '<') return order < 0;
+  if (operator === '<=') return order <= 0;
+  if (operator === '>') return order > 0;
+  return order >= 0;
+};
+
+const evaluate = (node, record) => {
+  switch (node.type) {
+    case 'literal': return node.value;
+    case 'field': return fieldValue(record, node);
+    case 'and': return !!evaluate(node.left, record) && !!evaluate(node.right, record);
+    case 'or': return !!evaluate(node.left, record) || !!evaluate(node.right, record);
+    case 'not': return !evaluate(node.operand, record);
+    case 'compare': return compare(node.operator, evaluate(node.left, record), evaluate(node.right, record)) !== !!node.negated;
+    case 'in': {
+      const value = evaluate(node.left, record);
+      return node.values.some(candidate => looseEquals(value, candidate)) !== node.negated;
+    }
+    case 'null': {
+      const value = evaluate(node.left, record);
+      return (value === null || value === undefined) !== node.negated;
+    }
+    case 'test': {
+      const value = evaluate(node.operand, record);
+      return node.operand.relative ? value !== undefined : !!value;
+    }
+    default: throw new Error(`Unknown expression node: ${node.type}`);
+  }
+};
+
+// --- JSONPath -------------------------------------------------------------
+
+// Text up to the `]` closing a bracket segment, skipping quoted strings and
+// nested brackets
+const bracketContent = (text, start) => {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === "'" || char === '"') {
+      i++;
+      while (i < text.length && text[i] !== char) {
+        if (text[i] === '\\') i++;
+        i++;
+      }
+    } else if (char === '[' || char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === ']') {
+      if (depth === 0) return { content: text.substring(start, i), end: i + 1 };
+      depth--;
+    }
+  }
+  throw queryError('Unterminated "["', start - 1);
+};
+
+const parseSelector = (content, position) => {
+  const trimmed = content.trim();
+  if (trimmed === '*') return { type: 'wildcard' };
+  if (trimmed.startsWith('?')) {
+    const parser = createParser(tokenize(trimmed.substring(1)));
+    const expression = parser.parseExpression();
+    parser.expect('end', undefined, 'end of filter');
+    return { type: 'filter', expression };
+  }
+  const slice = trimmed.match(/^(-?\d*)\s*:\s*(-?\d*)\s*(?::\s*(-?\d*))?$/);
+  if (slice) {
+    return {
+      type: 'slice',
+      start: slice[1] === '' ? null : Number(slice[1]),
+      end: slice[2] === '' ? null : Number(slice[2]),
+      step: slice[3] ? Number(slice[3]) : 1
+    };
+  }
+  const keys = [];
+  const pattern = /\s*(?:'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|(-?\d+))\s*(,|$)/y;
+  while (pattern.lastIndex < trimmed.length) {
+    const match = pattern.exec(trimmed);
+    if (!match) throw queryError(`Invalid selector "[${trimmed}]"`, position);
+    keys.push(match[3] !== undefined ? Number(match[3]) : (match[1] ?? match[2]).replace(/\\(.)/g, '$1'));
+    if (match[4] === '') break;
+  }
+  return { type: 'keys', keys };
+};
+
+const parseJsonPath = (text) => {
+  if (!text.startsWith('$')) throw queryError('A JSONPath starts with "$"', 0);
+  const segments = [];
+  let i = 1;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+    let descendant = false;
+    if (text.startsWith('..', i)) {
+      descendant = true;
+      i += 2;
+    } else if (text[i] === '.') {
+      i++;
+    } else if (text[i] !== '[') {
+      throw queryError(`Unexpected "${text[i]}"`, i);
+    }
+
+    let selector;
+    if (text[i] === '[') {
+      const { content, end } = bracketContent(text, i + 1);
+      selector = parseSelector(content, i);
+      i = end;
+    } else if (text[i] === '*') {
+      selector = { type: 'wildcard' };
+      i++;
+    } else {
+      const match = text.substring(i).match(/^[A-Za-z0-9_$-]+/);
+      if (!match) throw queryError('Expected a field name', i);
+      selector = { type: 'keys', keys: [match[0]] };
+      i += match[0].length;
+    }
+    segments.push({ descendant, selector });
+  }
+  return segments;
+};
+
+const children = (value) => {
+  if (Array.isArray(value)) return value;
+  if (value !== null && typeof value === 'object') return Object.values(value);
+  return [];
+};
+
+const descendants = (value, result = []) => {
+  result.push(value);
+  children(value).forEach(child => descendants(child, result));
+  return result;
+};
+
+const select = (value, selector) => {
+  switch (selector.type) {
+    case 'wildcard':
+      return children(value);
+    case 'filter':
+      return children(value).filter(child => evaluate(selector.expression, child));
+    case 'slice': {
+      if (!Array.isArray(value) || selector.step === 0) return [];
+      const length = value.length;
+      const clamp = (n, fallback) => {
+        if (n === null) return fallback;
+        return n < 0 ? Math.max(length + n, selector.step > 0 ? 0 : -1) : Math.min(n, length);
+      };
+      const result = [];
+      if (selector.step > 0) {
+        for (let i = clamp(selector.start, 0); i < clamp(selector.end, length); i += selector.step) result.push(value[i]);
+      } else {
+        for (let i = clamp(selector.start, length - 1); i > clamp(selector.end, -1); i += selector.step) result.push(value[i]);
+      }
+      return result;
+    }
+    default:
+      return selector.keys.flatMap(key => {
+        if (typeof key === 'number') {
+          if (!Array.isArray(value)) return [];
+          const index = key < 0 ? value.length + key : key;
+          return index >= 0 && index < value.length ? [value[index]] : [];
+        }
+        return value !== null && typeof value === 'object' && !Array.isArray(value) && key in value ? [value[key]] : [];
+      });
+  }
+};
+
+const runJsonPath = (records, text) => {
+  let values = [records];
+  parseJsonPath(text).forEach(({ descendant, selector }) => {
+    const scope = descendant ? values.flatMap(value => descendants(value)) : values;
+    values = scope.flatMap(value => select(value, selector));
+  });
+  // Matches that are not objects become { value } records
+  return values.map(value => (
+    value !== null && typeof value === 'object' && !Array.isArray(value) ? value : { value }
+  ));
+};
+
+// --- SQL-like ---------------------------------------------------------------
+
+const parseAlias = (parser) => (
+  parser.accept('keyword', 'AS') ? parser.expect('field', undefined, 'an alias').name : null
+);
+
+const parseSelectItem = (parser) => {
+  const field = parser.expect('field', undefined, 'a field');
+  const fn = field.name.toUpperCase();
+  if (AGGREGATES.includes(fn) && parser.accept('operator', '(')) {
+    const argument = parser.accept('operator', '*') ? null : parser.expect('field', undefined, 'a field or "*"');
+    if (!argument && fn !== 'COUNT') throw queryError(`${fn}(*) is not supported`, field.position);
+    parser.expect('operator', ')', '")"');
+    const alias = parseAlias(parser);
+    return { aggregate: fn, field: argument, name: alias || (argument ? `${fn.toLowerCase()}_${argument.name}` : 'count') };
+  }
+  return { field, name: parseAlias(parser) || field.name };
+};
+
+const parseSql = (text) => {
+  const parser = createParser(tokenize(text));
+  const query = { select: null, where: null, groupBy: [], orderBy: [], limit: null };
+
+  if (parser.accept('keyword', 'SELECT')) {
+    if (!parser.accept('operator', '*')) {
+      query.select = [parseSelectItem(parser)];
+      while (parser.accept('operator', ',')) query.select.push(parseSelectItem(parser));
+    }
+  }
+  if (parser.accept('keyword', 'FROM')) parser.expect('field', undefined, 'a dataset name');
+  // WHERE may be left out of a query that is just a condition
+  if (parser.accept('keyword', 'WHERE') || parser.is('keyword', 'NOT') || (!parser.is('keyword') && !parser.is('end'))) {
+    query.where = parser.parseExpression();
+  }
+  if (parser.accept('keyword', 'GROUP')) {
+    parser.expect('keyword', 'BY', 'BY');
+    query.groupBy.push(parser.expect('field', undefined, 'a field'));
+    while (parser.accept('operator', ',')) query.groupBy.push(parser.expect('field', undefined, 'a field'));
+  }
+  if (parser.accept('keyword', 'ORDER')) {
+    parser.expect('keyword', 'BY', 'BY');
+    do {
+      const field = parser.expect('field', undefined, 'a field');
+      let direction = 'asc';
+      if (parser.accept('keyword', 'DESC')) direction = 'desc';
+      else parser.accept('keyword', 'ASC');
+      query.orderBy.push({ field, direction });
+    } while (parser.accept('operator', ','));
+  }
+  if (parser.accept('keyword', 'LIMIT')) {
+    const limit = parser.expect('literal', undefined, 'a number');
+    if (!Number.isInteger(limit.value) || limit.value < 0) throw queryError('LIMIT takes a whole number', limit.position);
+    query.limit = limit.value;
+  }
+  parser.expect('end', undefined, 'end of query');
+  return query;
+};
+
+const aggregate = (fn, field, records) => {
+  if (fn === 'COUNT') {
+    return field ? records.filter(record => fieldValue(record, field) != null).length : records.length;
+  }
+  const values = records.map(record => fieldValue(record, field)).filter(value => value !== null && value !== undefined);
+  if (fn === 'MIN' || fn === 'MAX') {
+    if (values.length === 0) return null;
+    return values.reduce((best, value) => {
+      const order = compareValues(value, best);
+      return (fn === 'MIN' ? order < 0 : order > 0) ? value : best;
+    });
+  }
+  const numbers = values.map(asNumber).filter(value => value !== null);
+  if (numbers.length === 0) return null;
+  const sum = numbers.reduce((total, value) => total + value, 0);
+  return fn === 'SUM' ? sum : sum / numbers.length;
+};
+
+// Keep only the selected fields of a record, renamed to their aliases; the
+// row id and the provenance of kept fields stay with it
+const project = (record, select) => {
+  const result = {};
+  const provenance = record[PROVENANCE_FIELD];
+  const projectedProvenance = {};
+  select.forEach(({ field, name }) => {
+    result[name] = fieldValue(record, field);
+    if (provenance?.[field.name]) projectedProvenance[name] = provenance[field.name];
+  });
+  if (record[ROW_ID_FIELD]) result[ROW_ID_FIELD] = record[ROW_ID_FIELD];
+  if (provenance) result[PROVENANCE_FIELD] = projectedProvenance;
+  return result;
+};
+
+const sortRows = (rows, orderBy) => rows
+  .map((record, index) => ({ record, index }))
+  .sort((a, b) => {
+    for (const { field, direction } of orderBy) {
+      const order = compareValues(fieldValue(a.record, field), fieldValue(b.record, field));
+      if (order !== 0) return direction === 'desc' ? -order : order;
+    }
+    return a.index - b.index;
+  })
+  .map(({ record }) => record);
+
+// ORDER BY field of a grouped result: a selected name, or a grouped field
+// under its alias
+const resultField = (field, select) => {
+  const item = select.find(candidate => candidate.name === field.name)
+    || select.find(candidate => !candidate.aggregate && candidate.field.name === field.name);
+  if (!item) throw queryError(`Unknown field "${field.name}" in ORDER BY of a grouped query`, field.position);
+  return { ...field, name: item.name, path: [item.name], relative: false };
+};
+
+// ORDER BY field of the source records: an alias stands for its field
+const sourceField = (field, select) => {
+  const item = select?.find(candidate => candidate.name === field.name && candidate.field.name !== field.name);
+  return item ? item.field : field;
+};
+
+const runSql = (records, text) => {
+  const query = parseSql(text);
+  let rows = query.where ? records.filter(record => evaluate(query.where, record)) : records;
+
+  const grouped = query.groupBy.length > 0 || (query.select || []).some(item => item.aggregate);
+  if (grouped) {
+    const select = query.select || [
+      ...query.groupBy.map(field => ({ field, name: field.name })),
+      { aggregate: 'COUNT', field: null, name: 'count' }
+    ];
+    const groups = new Map();
+    rows.forEach(record => {
+      const key = JSON.stringify(query.groupBy.map(field => fieldValue(record, field) ?? null));
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(record);
+    });
+    rows = Array.from(groups.values()).map(group => Object.fromEntries(select.map(item => [
+      item.name,
+      item.aggregate ? aggregate(item.aggregate, item.field, group) : fieldValue(group[0], item.field) ?? null
+    ])));
+    if (query.orderBy.length > 0) {
+      rows = sortRows(rows, query.orderBy.map(({ field, direction }) => ({ field: resultField(field, select), direction })));
+    }
+  } else {
+    // Sorted before the projection, which may drop or rename the fields
+    if (query.orderBy.length > 0) {
+      rows = sortRows(rows, query.orderBy.map(({ field, direction }) => ({ field: sourceField(field, query.select), direction })));
+    }
+    if (query.select) rows = rows.map(record => project(record, query.select));
+  }
+
+  return query.limit === null ? rows : rows.slice(0, query.limit);
+};
+
+// Language of a query: 'jsonpath' or 'sql'
+export const queryLanguage = (text) => (text.trim().startsWith('$') ? 'jsonpath' : 'sql');
+
+// Run a query over records; an empty query returns them all. Throws with the
+// position of the first problem when the query cannot be read.
+export const queryRecords = (records, text) => {
+  const trimmed = text.trim();
+  if (trimmed === '') return records;
+  return queryLanguage(trimmed) === 'jsonpath' ? runJsonPath(records, trimmed) : runSql(records, trimmed);
+};
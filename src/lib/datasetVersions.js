@@ -0,0 +1,118 @@
+import { stripProvenance } from './provenance';
+
+// Dataset versions.
+//
+// A dataset is the current state of a named collection of records; every
+// change to it (merge, mapping, dedupe review, record edit, rollback) is
+// committed as a version: a full snapshot of its records and schema with a
+// changelog message and change counts. Records carry a stable `_rowId` so two
+// versions can be diffed record by record.
+
+export const ROW_ID_FIELD = '_rowId';
+
+// Records shown per list in a diff
+const MAX_DIFF_RECORDS = 200;
+
+export const VERSION_KINDS = {
+  merge: 'Merge',
+  mapping: 'Field mapping',
+  dedupe: 'Duplicate review',
+  edit: 'Record edits',
+  rollback: 'Rollback',
+  derive: 'Query result',
+  import: 'Initial version'
+};
+
+let rowCounter = 0;
+
+const nextRowId = () => {
+  rowCounter++;
+  return `row-${Date.now().toString(36)}-${rowCounter.toString(36)}-${Math.random().toString(36).substring(2, 7)}`;
+};
+
+// Give every record without a row id (or with one already used by an
+// earlier record) a new one; other records are kept as they are
+export const assignRowIds = (records) => {
+  const seen = new Set();
+  return records.map(record => {
+    const rowId = record[ROW_ID_FIELD];
+    if (rowId && !seen.has(rowId)) {
+      seen.add(rowId);
+      return record;
+    }
+    return { ...record, [ROW_ID_FIELD]: nextRowId() };
+  });
+};
+
+const versionId = (datasetId, version) => `${datasetId}-v${version}`;
+
+// Fields whose values differ between two records, metadata aside
+const changedFields = (before, after) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return Array.from(fields).filter(field => !field.startsWith('_') &&
+    JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+};
+
+// Differences between two snapshots ({ records, schema }): records added,
+// removed and changed (matched by row id) and fields added, removed or
+// retyped. Record lists are capped; the counts are not.
+export const diffSnapshots = (from, to) => {
+  const fromById = new Map(from.records.map(record => [record[ROW_ID_FIELD], record]));
+  const toIds = new Set(to.records.map(record => record[ROW_ID_FIELD]));
+
+  const added = [];
+  const changed = [];
+  to.records.forEach(record => {
+    const before = fromById.get(record[ROW_ID_FIELD]);
+    if (!before) {
+      added.push(record);
+      return;
+    }
+    const fields = changedFields(before, record);
+    if (fields.length > 0) changed.push({ rowId: record[ROW_ID_FIELD], fields, before, after: record });
+  });
+  const removed = from.records.filter(record => !toIds.has(record[ROW_ID_FIELD]));
+
+  const fromSchema = from.schema || {};
+  const toSchema = to.schema || {};
+  const schema = {
+    added: Object.keys(toSchema).filter(field => !(field in fromSchema)),
+    removed: Object.keys(fromSchema).filter(field => !(field in toSchema)),
+    changed: Object.keys(toSchema)
+      .filter(field => field in fromSchema && fromSchema[field] !== toSchema[field])
+      .map(field => ({ field, from: fromSchema[field], to: toSchema[field] }))
+  };
+
+  return {
+    counts: { added: added.length, removed: removed.length, changed: changed.length },
+    added: added.slice(0, MAX_DIFF_RECORDS).map(stripProvenance),
+    removed: removed.slice(0, MAX_DIFF_RECORDS).map(stripProvenance),
+    changed: changed.slice(0, MAX_DIFF_RECORDS).map(change => ({
+      ...change,
+      before: stripProvenance(change.before),
+      after: stripProvenance(change.after)
+    })),
+    schema
+  };
+};
+
+// Version record for the current state of a dataset: { id, datasetId,
+// version, kind, message, changes, records, fields, schema, fieldProfiles,
+// timestamp }. `changes` are the counts of diffSnapshots against the previous
+// version (everything counts as added for the first one).
+export const createVersion = (dataset, { version, kind, message, changes }) => ({
+  id: versionId(dataset.id, version),
+  datasetId: dataset.id,
+  version,
+  kind,
+  message: message || VERSION_KINDS[kind] || kind,
+  changes: changes || { added: dataset.records.length, removed: 0, changed: 0 },
+  records: dataset.records,
+  fields: dataset.fields,
+  schema: dataset.schema,
+  fieldProfiles: dataset.fieldProfiles,
+  timestamp: new Date().toISOString()
+});
+
+// Short summary of version change counts, e.g. "+3 -1 ~2"
+export const summarizeChanges = ({ added, removed, changed }) => `+${added} -${removed} ~${changed}`;
@@ -0,0 +1,178 @@
+import { ROW_ID_FIELD } from './datasetVersions';
+
+// Duplicate detection and upsert for merged dataset records.
+//
+// Records are grouped by the values of their key fields or, when no key is
+// set, by a hash of their content. Within a group, records with the same
+// content are plain duplicates and collapse into one. Records that share a key
+// but differ are conflicts, resolved by a strategy:
+//   'latest'  the record with the newest `_timestamp` wins
+//   'first'   the record seen first wins
+//   'manual'  the first record is kept for now and the conflict is queued for
+//             review (see resolveConflict)
+// Metadata fields (starting with '_') never take part in the comparison.
+
+export const DEDUPE_STRATEGIES = ['latest', 'first', 'manual'];
+
+// Conflicts listed in the report for the automatic strategies; manual
+// conflicts are all kept since each one needs a decision
+const MAX_REPORTED_CONFLICTS = 100;
+
+// Stable JSON of a value with sorted object keys
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+// 53-bit string hash (cyrb53)
+export const hashString = (text) => {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+};
+
+// Hash of a record's content without its metadata fields
+export const contentHash = (record) => {
+  const content = {};
+  Object.keys(record).forEach(field => {
+    if (!field.startsWith('_')) content[field] = record[field];
+  });
+  return hashString(stableStringify(content));
+};
+
+// Key of a record for the given key fields, or null when every key field is
+// missing or empty
+export const recordKey = (record, keyFields) => {
+  if (!keyFields || keyFields.length === 0) return contentHash(record);
+  const values = keyFields.map(field => record[field] ?? null);
+  if (values.every(value => value === null || value === '')) return null;
+  return stableStringify(values);
+};
+
+// Key fields typed as a comma-separated list
+export const parseKeyFields = (text) => text.split(',').map(field => field.trim()).filter(Boolean);
+
+const timestampOf = (record) => {
+  const time = Date.parse(record._timestamp);
+  return Number.isNaN(time) ? -Infinity : time;
+};
+
+// Index of the winning candidate; later records win timestamp ties
+const pickWinner = (candidates, strategy) => {
+  if (strategy !== 'latest') return 0;
+  return candidates.reduce((best, record, i) => (timestampOf(record) >= timestampOf(candidates[best]) ? i : best), 0);
+};
+
+// A record that replaces others keeps the row id of the dataset record it
+// replaces, so an upsert shows up as a change in the dataset's history
+const keepRowId = (record, candidates) => {
+  if (record[ROW_ID_FIELD]) return record;
+  const existing = candidates.find(candidate => candidate[ROW_ID_FIELD]);
+  return existing ? { ...record, [ROW_ID_FIELD]: existing[ROW_ID_FIELD] } : record;
+};
+
+// Deduplicate records. `keyFields` empty means content hashing. Returns
+// { records, report } where report is { mode, keyFields, strategy,
+// inputCount, outputCount, duplicateCount, conflictCount, missingKeyCount,
+// conflicts: [{ key, candidates, chosen, resolved }] }.
+export const dedupeRecords = (records, { keyFields = [], strategy = 'latest' } = {}) => {
+  const groups = new Map();
+  const order = [];
+  let missingKeyCount = 0;
+  let duplicateCount = 0;
+
+  records.forEach(record => {
+    const key = recordKey(record, keyFields);
+    if (key === null) {
+      // Records without a key cannot be matched and are kept as they are
+      missingKeyCount++;
+      order.push({ record });
+      return;
+    }
+    if (!groups.has(key)) {
+      groups.set(key, { key, candidates: [], hashes: new Set() });
+      order.push({ key });
+    }
+    const group = groups.get(key);
+    const hash = keyFields.length > 0 ? contentHash(record) : key;
+    if (group.hashes.has(hash)) {
+      duplicateCount++;
+      // Same content again: keep the newest copy's metadata for 'latest'
+      if (strategy === 'latest') {
+        const index = group.candidates.findIndex(candidate => candidate.hash === hash);
+        const replaced = group.candidates[index].record;
+        if (timestampOf(record) >= timestampOf(replaced)) {
+          // The copy keeps the row id of the dataset record it replaces
+          group.candidates[index] = { hash, record: keepRowId(record, [replaced]) };
+        }
+      }
+      return;
+    }
+    group.hashes.add(hash);
+    group.candidates.push({ hash, record });
+  });
+
+  const conflicts = [];
+  let conflictCount = 0;
+  const result = order.map(item => {
+    if (!item.key) return item.record;
+    const group = groups.get(item.key);
+    const candidates = group.candidates.map(candidate => candidate.record);
+    const chosen = pickWinner(candidates, strategy);
+    if (candidates.length > 1) {
+      conflictCount++;
+      if (strategy === 'manual' || conflicts.length < MAX_REPORTED_CONFLICTS) {
+        conflicts.push({ key: item.key, candidates, chosen, resolved: strategy !== 'manual' });
+      }
+    }
+    return keepRowId(candidates[chosen], candidates);
+  });
+
+  return {
+    records: result,
+    report: {
+      mode: keyFields.length > 0 ? 'key' : 'content',
+      keyFields,
+      strategy,
+      inputCount: records.length,
+      outputCount: result.length,
+      duplicateCount,
+      conflictCount,
+      missingKeyCount,
+      conflicts
+    }
+  };
+};
+
+// Keep candidate `choice` of a reviewed conflict: returns the dataset's
+// records with the conflicting record replaced, and the updated report
+export const resolveConflict = (records, report, key, choice) => {
+  const conflict = report.conflicts.find(c => c.key === key);
+  if (!conflict) throw new Error('Conflict not found in the dedupe report');
+  const current = conflict.candidates[conflict.chosen];
+  const index = records.findIndex(record => record === current || recordKey(record, report.keyFields) === key);
+
+  const nextRecords = records.slice();
+  if (index !== -1) {
+    // The replacement keeps the row id of the record it replaces
+    const rowId = records[index][ROW_ID_FIELD];
+    nextRecords[index] = rowId ? { ...conflict.candidates[choice], [ROW_ID_FIELD]: rowId } : conflict.candidates[choice];
+  }
+  return {
+    records: nextRecords,
+    report: {
+      ...report,
+      conflicts: report.conflicts.map(c => (c.key === key ? { ...c, chosen: choice, resolved: true } : c))
+    }
+  };
+};
@@ -0,0 +1,184 @@
+import { escapePointer } from './schemaValidation';
+
+// Deterministic structural merge of JSON documents.
+//
+// Documents are merged path by path, in order, with a strategy per path:
+//   'merge'   objects: merge their keys recursively (arrays: as 'concat')
+//   'concat'  arrays: append the items of every document
+//   'union'   arrays: items with the same key field (or, without a key, the
+//             same content) are merged into one
+//   'last'    the value of the last document that has the path wins
+//   'first'   the value of the first document that has the path wins
+// Paths are JSON Pointers with array indices written as `*` (e.g.
+// `/items/*/tags`). By default objects merge, arrays concatenate and scalars
+// take the last value. Every path where the documents hold different values
+// that cannot be combined is listed in the conflict log. On request, the
+// origin of every merged value (document and pointer) is recorded as well.
+
+export const MERGE_STRATEGIES = ['merge', 'concat', 'union', 'last', 'first'];
+
+export const DEFAULT_MERGE_OPTIONS = {
+  objects: 'merge',
+  arrays: 'concat',
+  scalars: 'last',
+  // Key field of array items for 'union'; empty unions by content
+  arrayKey: '',
+  // { [path]: { strategy, key? } }
+  rules: {}
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+// Per-path rules typed one per line as `path = strategy` or
+// `path = union:keyField`; throws on the first line it cannot read
+export const parseMergeRules = (text) => {
+  const rules = {};
+  text.split('\n').forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    const match = trimmed.match(/^(\S*)\s*=\s*([a-z]+)(?::(\S+))?$/);
+    if (!match || !MERGE_STRATEGIES.includes(match[2])) {
+      throw new Error(`Line ${i + 1}: expected "path = ${MERGE_STRATEGIES.join('|')}[:keyField]"`);
+    }
+    const path = match[1] === '/' ? '' : match[1];
+    rules[path] = match[3] ? { strategy: match[2], key: match[3] } : { strategy: match[2] };
+  });
+  return rules;
+};
+
+const setOrigin = (origins, path, { document, pointer }) => {
+  if (origins) origins.set(path, { document, pointer });
+};
+
+// Pick one value for a path whose sources disagree, logging the conflict
+const pickValue = (values, path, strategy, conflicts, origins) => {
+  const distinct = new Set(values.map(({ value }) => stableStringify(value)));
+  const chosen = strategy === 'first' ? values[0] : values[values.length - 1];
+  setOrigin(origins, path, chosen);
+  if (distinct.size > 1) {
+    conflicts.push({
+      path,
+      values: values.map(({ source, value }) => ({ source, value })),
+      strategy: strategy === 'first' ? 'first' : 'last',
+      chosen: chosen.value
+    });
+  }
+  return chosen.value;
+};
+
+// Merge the values one path holds in several documents. `values` are
+// [{ source, value, document, pointer }] in document order, where `pointer`
+// is the value's place in its document; `pattern` is the path with array
+// indices as `*`.
+const mergeValues = (values, path, pattern, options, conflicts, origins) => {
+  if (values.length === 1) {
+    setOrigin(origins, path, values[0]);
+    return values[0].value;
+  }
+
+  const rule = options.rules[pattern];
+
+  if (values.every(({ value }) => isPlainObject(value))) {
+    const strategy = rule?.strategy || options.objects;
+    if (strategy !== 'merge') return pickValue(values, path, strategy, conflicts, origins);
+
+    const result = {};
+    const keys = new Set();
+    values.forEach(({ value }) => Object.keys(value).forEach(key => keys.add(key)));
+    keys.forEach(key => {
+      const present = values.filter(({ value }) => key in value).map(({ value, pointer, ...rest }) => ({
+        ...rest,
+        value: value[key],
+        pointer: `${pointer}/${escapePointer(key)}`
+      }));
+      result[key] = mergeValues(present, `${path}/${escapePointer(key)}`, `${pattern}/${escapePointer(key)}`, options, conflicts, origins);
+    });
+    return result;
+  }
+
+  if (values.every(({ value }) => Array.isArray(value))) {
+    const strategy = rule?.strategy || options.arrays;
+    if (strategy === 'concat' || strategy === 'merge') {
+      const result = [];
+      values.forEach(({ value, document, pointer }) => value.forEach((item, i) => {
+        setOrigin(origins, `${path}/${result.length}`, { document, pointer: `${pointer}/${i}` });
+        result.push(item);
+      }));
+      return result;
+    }
+    if (strategy === 'union') {
+      return unionItems(values, path, pattern, rule?.key ?? options.arrayKey, options, conflicts, origins);
+    }
+    return pickValue(values, path, strategy, conflicts, origins);
+  }
+
+  // Scalars, or values of different kinds
+  return pickValue(values, path, rule?.strategy || options.scalars, conflicts, origins);
+};
+
+// Union of array items: items with the same key (or content) become one
+const unionItems = (values, path, pattern, key, options, conflicts, origins) => {
+  const groups = [];
+  const byKey = new Map();
+
+  values.forEach(({ value, pointer, ...rest }) => value.forEach((item, i) => {
+    const itemKey = key && isPlainObject(item) && item[key] !== undefined && item[key] !== null
+      ? `key:${stableStringify(item[key])}`
+      : `content:${stableStringify(item)}`;
+    if (!byKey.has(itemKey)) {
+      byKey.set(itemKey, groups.length);
+      groups.push([]);
+    }
+    groups[byKey.get(itemKey)].push({ ...rest, value: item, pointer: `${pointer}/${i}` });
+  }));
+
+  return groups.map((group, i) => mergeValues(group, `${path}/${i}`, `${pattern}/*`, options, conflicts, origins));
+};
+
+// Merge documents ([{ source, value }]) into one. Returns { value, conflicts }
+// where conflicts are [{ path, values: [{ source, value }], strategy, chosen }].
+// When `origins` (a Map) is given, it receives the merged paths whose values
+// came from one document: path -> { document (index), pointer }.
+export const mergeDocuments = (documents, options = {}, origins = null) => {
+  if (documents.length === 0) {
+    throw new Error("No documents to merge");
+  }
+  const merged = { ...DEFAULT_MERGE_OPTIONS, ...options, rules: { ...options.rules } };
+  const conflicts = [];
+  const value = mergeValues(
+    documents.map(({ source, value: documentValue }, document) => ({ source, value: documentValue, document, pointer: '' })),
+    '',
+    '',
+    merged,
+    conflicts,
+    origins
+  );
+  return { value, conflicts };
+};
+
+// Origin of a value in the merged document: the closest recorded ancestor's
+// origin with the rest of the path appended, or null
+export const resolveOrigin = (origins, path) => {
+  let prefix = path;
+  while (true) {
+    const origin = origins.get(prefix);
+    if (origin) return { document: origin.document, pointer: origin.pointer + path.substring(prefix.length) };
+    if (prefix === '') return null;
+    prefix = prefix.substring(0, prefix.lastIndexOf('/'));
+  }
+};
+
+// Merge processed entries by their formatted JSON, in the given order
+export const standardMergeJson = (entries, options = {}, origins = null) => mergeDocuments(
+  entries.map(entry => ({ source: entry.fileName, value: JSON.parse(entry.formattedJson) })),
+  options,
+  origins
+);
@@ -0,0 +1,154 @@
+// Sentence embeddings computed in the browser with transformers.js.
+//
+// The model is a transformers.js sentence-embedding model (e.g.
+// Xenova/all-MiniLM-L6-v2) in a local folder picked by the user:
+// config.json, tokenizer.json, tokenizer_config.json and a
+// model[_quantized|_fp16|...].onnx file, usually under onnx/. Its files are
+// handed to transformers.js from memory through a custom cache and remote
+// models are disabled, so nothing is downloaded. The ONNX runtime's
+// WebAssembly files are served by the app itself from /ort/ (`npm run
+// copy-ort` copies them there).
+//
+// Like the pipeline tasks, embedding tasks are plain functions of their
+// payload so they run in workers/embedding.worker.js or, without workers, on
+// the main thread.
+
+const REQUIRED_MODEL_FILES = ['config.json', 'tokenizer.json', 'tokenizer_config.json'];
+
+// ONNX file name suffix of each transformers.js dtype, in order of
+// preference: quantized models are smaller and faster on WebAssembly
+const MODEL_DTYPES = [
+  ['q8', '_quantized'],
+  ['fp32', ''],
+  ['int8', '_int8'],
+  ['uint8', '_uint8'],
+  ['fp16', '_fp16'],
+  ['q4', '_q4'],
+  ['q4f16', '_q4f16'],
+  ['bnb4', '_bnb4']
+];
+
+// The model is always loaded under this id; the custom cache answers for it
+const MODEL_ID = 'local-embedding-model';
+const MODEL_ROOT = '/models/';
+
+export const DEFAULT_EMBEDDING_OPTIONS = {
+  batchSize: 16,
+  pooling: 'mean',
+  normalize: true
+};
+
+export const POOLING_METHODS = ['mean', 'cls'];
+
+// A model from the files of a picked folder (a FileList or array of Files
+// with `webkitRelativePath`). Returns { name, files: { [path]: File }, dtype,
+// subfolder, size } with paths relative to the folder.
+export const indexModelFiles = (fileList) => {
+  const entries = Array.from(fileList).map(file => {
+    const parts = (file.webkitRelativePath || file.name).split('/');
+    return { folder: parts.length > 1 ? parts[0] : '', path: parts.slice(parts.length > 1 ? 1 : 0).join('/'), file };
+  });
+  if (entries.length === 0) {
+    throw new Error("The model folder is empty");
+  }
+
+  const files = Object.fromEntries(entries.map(({ path, file }) => [path, file]));
+  const missing = REQUIRED_MODEL_FILES.filter(path => !files[path]);
+  if (missing.length > 0) {
+    throw new Error(`Not a transformers.js model folder: missing ${missing.join(', ')}`);
+  }
+
+  const onnxFiles = Object.keys(files).filter(path => path.endsWith('.onnx'));
+  for (const [dtype, suffix] of MODEL_DTYPES) {
+    const path = onnxFiles.find(p => p.split('/').pop() === `model${suffix}.onnx`);
+    if (path) {
+      return {
+        name: entries[0].folder || 'model',
+        files,
+        dtype,
+        subfolder: path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '',
+        size: entries.reduce((total, { file }) => total + file.size, 0)
+      };
+    }
+  }
+  throw new Error(onnxFiles.length > 0
+    ? `No model.onnx (or quantized variant) in the model folder, only ${onnxFiles.join(', ')}`
+    : "No ONNX model file in the model folder");
+};
+
+// Loaded feature-extraction pipeline and the model it was loaded from
+let loaded = null;
+
+const modelKey = (model) => `${model.name}\n${model.dtype}\n${model.size}`;
+
+const loadExtractor = async (model, report) => {
+  if (loaded?.key === modelKey(model)) return loaded.extractor;
+
+  const { env, pipeline } = await import('@huggingface/transformers');
+  const prefix = `${MODEL_ROOT}${MODEL_ID}/`;
+  env.allowRemoteModels = false;
+  env.allowLocalModels = true;
+  env.localModelPath = MODEL_ROOT;
+  env.useBrowserCache = false;
+  env.useCustomCache = true;
+  env.customCache = {
+    match: async (request) => {
+      const name = typeof request === 'string' ? request : request.url;
+      const file = name.startsWith(prefix) ? model.files[name.slice(prefix.length)] : undefined;
+      return file ? new Response(file, { headers: { 'content-length': String(file.size) } }) : undefined;
+    },
+    put: async () => {}
+  };
+  env.backends.onnx.wasm.wasmPaths = new URL('/ort/', self.location.origin).href;
+  // Multi-threaded WebAssembly needs cross-origin isolation
+  env.backends.onnx.wasm.numThreads = 1;
+
+  report('loading model', 0);
+  const extractor = await pipeline('feature-extraction', MODEL_ID, {
+    dtype: model.dtype,
+    subfolder: model.subfolder,
+    device: 'wasm'
+  });
+  loaded = { key: modelKey(model), extractor };
+  return extractor;
+};
+
+// Embed texts with a model from indexModelFiles. Returns { vectors,
+// dimensions, count } with `vectors` one Float32Array of count × dimensions
+// values, row by row.
+const embedTexts = async ({ model, texts, options = {} }, report) => {
+  const settings = { ...DEFAULT_EMBEDDING_OPTIONS, ...options };
+  const extractor = await loadExtractor(model, report);
+  const batchSize = Math.max(1, settings.batchSize);
+  let vectors = null;
+  let dimensions = 0;
+
+  for (let start = 0; start < texts.length; start += batchSize) {
+    report('embedding', Math.round((start / texts.length) * 100));
+    const output = await extractor(texts.slice(start, start + batchSize), {
+      pooling: settings.pooling,
+      normalize: settings.normalize
+    });
+    if (!vectors) {
+      dimensions = output.dims[output.dims.length - 1];
+      vectors = new Float32Array(texts.length * dimensions);
+    }
+    vectors.set(output.data, start * dimensions);
+  }
+
+  report('done', 100);
+  return { vectors: vectors || new Float32Array(0), dimensions, count: texts.length };
+};
+
+export const EMBEDDING_TASKS = {
+  embedTexts
+};
+
+// Run an embedding task; returns a promise of its result
+export const runEmbeddingTask = (task, payload, report = () => {}) => {
+  const handler = EMBEDDING_TASKS[task];
+  if (!handler) {
+    throw new Error(`Unknown embedding task: ${task}`);
+  }
+  return handler(payload, report);
+};
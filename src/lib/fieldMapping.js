@@ -0,0 +1,226 @@
+import { coerceScalar, keyDistance } from './schemaConform';
+import { profileRecords } from './schemaInference';
+import { PROVENANCE_FIELD } from './provenance';
+
+// Column mappings for merged datasets.
+//
+// A mapping is { [sourceField]: { target, drop?, type? } }: several sources
+// with the same target are merged into one column (the first non-empty value
+// wins), a different target renames the column, `drop` removes it and `type`
+// coerces its values. Mappings can be saved as profiles and applied to later
+// merges of files with the same columns.
+
+// Column names that mean the same thing in vendor files (BOQs, price lists)
+const SYNONYMS = {
+  price: ['rate', 'cost', 'price'],
+  quantity: ['qty', 'quantity', 'quant'],
+  description: ['desc', 'description', 'descr'],
+  number: ['no', 'num', 'nr', 'number'],
+  amount: ['amount', 'amt', 'total', 'sum']
+};
+
+const CANONICAL_TOKENS = new Map(
+  Object.entries(SYNONYMS).flatMap(([canonical, words]) => words.map(word => [word, canonical]))
+);
+
+// Score above which two columns are suggested as the same column
+const SUGGESTION_THRESHOLD = 0.5;
+// Distinct values compared per column for value overlap
+const MAX_COMPARED_VALUES = 500;
+
+export const MAPPING_TYPES = ['string', 'number', 'integer', 'boolean'];
+
+// Lower-case word tokens of a column name (camelCase, snake_case, spaces,
+// dotted paths), with synonyms replaced by one canonical word
+export const nameTokens = (field) => field
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean)
+  .map(token => CANONICAL_TOKENS.get(token) || token);
+
+// Similarity of two column names between 0 and 1
+export const nameSimilarity = (a, b) => {
+  const tokensA = new Set(nameTokens(a));
+  const tokensB = new Set(nameTokens(b));
+  if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+  const shared = Array.from(tokensA).filter(token => tokensB.has(token)).length;
+  const jaccard = shared / new Set([...tokensA, ...tokensB]).size;
+
+  // Near-miss spellings of the whole name count as well
+  const distance = keyDistance(a, b);
+  const spelling = distance === null ? 0 : 1 - distance * 0.15;
+
+  // A name that is one of the other's words (rate / unit rate) is a weaker
+  // match than a full one
+  const contained = shared > 0 && (shared === tokensA.size || shared === tokensB.size) ? 0.75 : 0;
+
+  return Math.max(jaccard, spelling, contained);
+};
+
+const isNumericType = (type) => type === 'integer' || type === 'number';
+
+// Overlap of two columns' values between 0 and 1: shared distinct values for
+// text, shared range for numbers
+const valueOverlap = (valuesA, valuesB, profileA, profileB) => {
+  if (isNumericType(profileA.type) && isNumericType(profileB.type)) {
+    const low = Math.max(profileA.minimum, profileB.minimum);
+    const high = Math.min(profileA.maximum, profileB.maximum);
+    const span = Math.max(profileA.maximum, profileB.maximum) - Math.min(profileA.minimum, profileB.minimum);
+    if (span === 0) return 1;
+    return high >= low ? (high - low) / span : 0;
+  }
+
+  const setA = new Set(valuesA);
+  const setB = new Set(valuesB);
+  if (setA.size === 0 || setB.size === 0) return 0;
+  const shared = Array.from(setA).filter(value => setB.has(value)).length;
+  return shared / Math.min(setA.size, setB.size);
+};
+
+const typesCompatible = (a, b) => a === b || (isNumericType(a) && isNumericType(b));
+
+// Groups of columns that look like the same column under different names:
+// [{ fields, target, score }] where `target` is the most common of the names.
+// Columns that are filled in the same records are never grouped.
+export const suggestColumnGroups = (records, fieldProfiles = profileRecords(records)) => {
+  const fields = Object.keys(fieldProfiles).filter(field =>
+    !field.startsWith('_') && fieldProfiles[field].type !== 'null'
+  );
+
+  const samples = {};
+  const filledIn = {};
+  fields.forEach(field => {
+    samples[field] = [];
+    filledIn[field] = new Set();
+  });
+  records.forEach((record, index) => {
+    fields.forEach(field => {
+      const value = record[field];
+      if (value === null || value === undefined || value === '') return;
+      filledIn[field].add(index);
+      if (typeof value !== 'object' && samples[field].length < MAX_COMPARED_VALUES) {
+        samples[field].push(typeof value === 'string' ? value.trim().toLowerCase() : value);
+      }
+    });
+  });
+
+  // Union-find over the pairs that score above the threshold
+  const parent = new Map(fields.map(field => [field, field]));
+  const find = (field) => (parent.get(field) === field ? field : find(parent.get(field)));
+  const scores = new Map();
+
+  fields.forEach((a, i) => {
+    fields.slice(i + 1).forEach(b => {
+      const profileA = fieldProfiles[a];
+      const profileB = fieldProfiles[b];
+      if (!typesCompatible(profileA.type, profileB.type)) return;
+
+      // Columns filled side by side in the same records hold different data
+      const smaller = filledIn[a].size <= filledIn[b].size ? filledIn[a] : filledIn[b];
+      const larger = smaller === filledIn[a] ? filledIn[b] : filledIn[a];
+      const together = Array.from(smaller).filter(index => larger.has(index)).length;
+      if (smaller.size > 0 && together / smaller.size > 0.1) return;
+
+      const score = nameSimilarity(a, b) * 0.7 + valueOverlap(samples[a], samples[b], profileA, profileB) * 0.3;
+      if (score < SUGGESTION_THRESHOLD) return;
+
+      parent.set(find(b), find(a));
+      scores.set(`${a}\u0000${b}`, score);
+    });
+  });
+
+  const groups = new Map();
+  fields.forEach(field => {
+    const root = find(field);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(field);
+  });
+
+  return Array.from(groups.values())
+    .filter(group => group.length > 1)
+    .map(group => {
+      const pairScores = [];
+      scores.forEach((score, key) => {
+        const [a] = key.split('\u0000');
+        if (group.includes(a)) pairScores.push(score);
+      });
+      const target = group.reduce((best, field) => (filledIn[field].size > filledIn[best].size ? field : best), group[0]);
+      return {
+        fields: group,
+        target,
+        score: pairScores.reduce((sum, score) => sum + score, 0) / pairScores.length
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+// Apply a mapping to one record. A provenance map follows its fields.
+export const mapRecord = (record, mapping) => {
+  const result = {};
+  const provenance = record[PROVENANCE_FIELD];
+  const mappedProvenance = {};
+  Object.keys(record).forEach(field => {
+    if (field === PROVENANCE_FIELD) return;
+    const rule = mapping[field];
+    if (rule?.drop) return;
+
+    const target = rule?.target || field;
+    let value = record[field];
+    if (rule?.type && value !== null && value !== undefined && typeof value !== 'object') {
+      const coerced = coerceScalar(value, [rule.type, 'null']);
+      if (coerced) value = coerced.value;
+    }
+
+    // Merged columns: keep the first non-empty value
+    const current = result[target];
+    if (current === undefined || current === null || current === '') {
+      result[target] = value;
+      if (provenance?.[field]) {
+        mappedProvenance[target] = rule
+          ? { ...provenance[field], transforms: [...provenance[field].transforms, 'mapped'] }
+          : provenance[field];
+      }
+    }
+  });
+  if (provenance) result[PROVENANCE_FIELD] = mappedProvenance;
+  return result;
+};
+
+// Apply a mapping to records and field names
+export const applyMapping = (records, mapping) => records.map(record => mapRecord(record, mapping));
+
+export const mapFieldNames = (fields, mapping) => Array.from(new Set(
+  fields
+    .filter(field => !mapping[field]?.drop)
+    .map(field => mapping[field]?.target || field)
+));
+
+// Mapping rules of the profiles that apply to a set of fields, combined in
+// profile order (a later profile does not override an earlier rule)
+export const combineProfiles = (profiles, fields) => {
+  const available = new Set(fields);
+  const combined = {};
+  profiles.forEach(profile => {
+    Object.entries(profile.columns).forEach(([field, rule]) => {
+      if (available.has(field) && !(field in combined)) combined[field] = rule;
+    });
+  });
+  return combined;
+};
+
+// Changelog line for a mapping, e.g. "Field mapping: 2 renamed, 1 dropped"
+export const describeMapping = (mapping) => {
+  const counts = { renamed: 0, dropped: 0, retyped: 0 };
+  Object.entries(mapping).forEach(([field, rule]) => {
+    if (rule.drop) {
+      counts.dropped++;
+      return;
+    }
+    if (rule.target && rule.target !== field) counts.renamed++;
+    if (rule.type) counts.retyped++;
+  });
+  const parts = Object.entries(counts).filter(([, count]) => count > 0).map(([change, count]) => `${count} ${change}`);
+  return `Field mapping: ${parts.length > 0 ? parts.join(', ') : 'no changes'}`;
+};
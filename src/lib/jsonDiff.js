@@ -0,0 +1,246 @@
+// Line-level and structural diffs between two versions of a JSON document.
+//
+// The line diff is a Myers diff grouped into hunks that can be accepted or
+// rejected individually; applyLineDiff() rebuilds the text from the choices.
+// The structural diff compares parsed values by key path, which shows values
+// that were added, dropped or changed regardless of formatting.
+
+// Edit distance beyond which the differing middle is treated as one replacement
+const MAX_EDIT_DISTANCE = 1500;
+
+// Myers' O(ND) diff. Returns the edit script as change blocks
+// { oldStart, oldEnd, newStart, newEnd } (end exclusive).
+const computeChanges = (a, b) => {
+  // Common prefix and suffix never take part in the search
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n === 0 && m === 0) return [];
+  if (n === 0 || m === 0) {
+    return [{ oldStart: start, oldEnd: endA, newStart: start, newEnd: endB }];
+  }
+
+  const maxD = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = maxD + 1;
+  const v = new Int32Array(2 * maxD + 3);
+  const trace = [];
+  let found = false;
+
+  for (let d = 0; d <= maxD && !found; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[start + x] === b[start + y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  if (!found) {
+    return [{ oldStart: start, oldEnd: endA, newStart: start, newEnd: endB }];
+  }
+
+  // Walk the trace backwards to recover single-line edits
+  const edits = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+    }
+    if (prevK === k + 1) {
+      edits.push({ type: 'insert', oldIndex: prevX, newIndex: prevY });
+    } else {
+      edits.push({ type: 'delete', oldIndex: prevX, newIndex: prevY });
+    }
+    x = prevX;
+    y = prevY;
+  }
+  edits.reverse();
+
+  // Merge adjacent single-line edits into blocks
+  const changes = [];
+  edits.forEach(({ type, oldIndex, newIndex }) => {
+    const last = changes[changes.length - 1];
+    const oldPos = start + oldIndex;
+    const newPos = start + newIndex;
+
+    if (last && last.oldEnd === oldPos && last.newEnd === newPos) {
+      if (type === 'delete') last.oldEnd++;
+      else last.newEnd++;
+    } else {
+      changes.push({
+        oldStart: oldPos,
+        oldEnd: oldPos + (type === 'delete' ? 1 : 0),
+        newStart: newPos,
+        newEnd: newPos + (type === 'insert' ? 1 : 0)
+      });
+    }
+  });
+
+  return changes;
+};
+
+// Diff two texts line by line. Changes closer than 2 * context lines share a
+// hunk. Each hunk lists its lines as { type: ' ' | '-' | '+', text, oldLine, newLine }.
+export const diffLines = (oldText, newText, { context = 3 } = {}) => {
+  const oldLines = oldText.split('\n');
+  const newLines = newText.split('\n');
+  const changes = computeChanges(oldLines, newLines);
+  const hunks = [];
+
+  changes.forEach(change => {
+    const last = hunks[hunks.length - 1];
+    const lastChange = last?.changes[last.changes.length - 1];
+    if (lastChange && change.oldStart - lastChange.oldEnd <= context * 2) {
+      last.changes.push(change);
+    } else {
+      hunks.push({ id: `hunk-${hunks.length}`, changes: [change] });
+    }
+  });
+
+  hunks.forEach(hunk => {
+    const first = hunk.changes[0];
+    const last = hunk.changes[hunk.changes.length - 1];
+    const lines = [];
+    const pushContext = (from, to, delta) => {
+      for (let i = from; i < to; i++) {
+        lines.push({ type: ' ', text: oldLines[i], oldLine: i + 1, newLine: i + delta + 1 });
+      }
+    };
+
+    pushContext(Math.max(0, first.oldStart - context), first.oldStart, first.newStart - first.oldStart);
+    hunk.changes.forEach((change, index) => {
+      if (index > 0) {
+        const previous = hunk.changes[index - 1];
+        pushContext(previous.oldEnd, change.oldStart, change.newStart - change.oldStart);
+      }
+      for (let i = change.oldStart; i < change.oldEnd; i++) {
+        lines.push({ type: '-', text: oldLines[i], oldLine: i + 1 });
+      }
+      for (let i = change.newStart; i < change.newEnd; i++) {
+        lines.push({ type: '+', text: newLines[i], newLine: i + 1 });
+      }
+    });
+    pushContext(last.oldEnd, Math.min(oldLines.length, last.oldEnd + context), last.newEnd - last.oldEnd);
+
+    hunk.oldStart = first.oldStart + 1;
+    hunk.newStart = first.newStart + 1;
+    hunk.lines = lines;
+    hunk.added = hunk.changes.reduce((sum, c) => sum + c.newEnd - c.newStart, 0);
+    hunk.removed = hunk.changes.reduce((sum, c) => sum + c.oldEnd - c.oldStart, 0);
+  });
+
+  return { oldLines, newLines, hunks };
+};
+
+// Rebuild a text from a line diff, taking the new side of accepted hunks and
+// the old side of everything else
+export const applyLineDiff = ({ oldLines, newLines, hunks }, acceptedHunkIds) => {
+  const result = [];
+  let cursor = 0;
+
+  hunks.forEach(hunk => {
+    const accepted = acceptedHunkIds.has(hunk.id);
+    hunk.changes.forEach(change => {
+      result.push(...oldLines.slice(cursor, change.oldStart));
+      result.push(...(accepted
+        ? newLines.slice(change.newStart, change.newEnd)
+        : oldLines.slice(change.oldStart, change.oldEnd)));
+      cursor = change.oldEnd;
+    });
+  });
+  result.push(...oldLines.slice(cursor));
+
+  return result.join('\n');
+};
+
+const valueKind = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const childPath = (path, key) => {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? (path ? `${path}.${key}` : key) : `${path}[${JSON.stringify(key)}]`;
+};
+
+// Compare two parsed values and list every key path that differs as
+// { path, kind: 'added' | 'removed' | 'changed', before, after }
+export const diffStructure = (before, after, { limit = 1000 } = {}) => {
+  const changes = [];
+
+  const walk = (a, b, path) => {
+    if (changes.length >= limit) return;
+
+    const kindA = valueKind(a);
+    const kindB = valueKind(b);
+
+    if (kindA !== kindB) {
+      changes.push({ path: path || '(root)', kind: 'changed', before: a, after: b });
+      return;
+    }
+
+    if (kindA === 'array') {
+      const length = Math.max(a.length, b.length);
+      for (let i = 0; i < length; i++) {
+        if (i >= b.length) {
+          changes.push({ path: childPath(path, i), kind: 'removed', before: a[i] });
+        } else if (i >= a.length) {
+          changes.push({ path: childPath(path, i), kind: 'added', after: b[i] });
+        } else {
+          walk(a[i], b[i], childPath(path, i));
+        }
+      }
+      return;
+    }
+
+    if (kindA === 'object') {
+      const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+      keys.forEach(key => {
+        if (!(key in b)) {
+          changes.push({ path: childPath(path, key), kind: 'removed', before: a[key] });
+        } else if (!(key in a)) {
+          changes.push({ path: childPath(path, key), kind: 'added', after: b[key] });
+        } else {
+          walk(a[key], b[key], childPath(path, key));
+        }
+      });
+      return;
+    }
+
+    if (a !== b) {
+      changes.push({ path: path || '(root)', kind: 'changed', before: a, after: b });
+    }
+  };
+
+  walk(before, after, '');
+  return changes;
+};
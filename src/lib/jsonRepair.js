@@ -0,0 +1,764 @@
+import * as _ from 'lodash';
+
+// Tolerant JSON repair engine.
+//
+// The input is lexed with a forgiving tokenizer and walked by a recursive
+// descent parser that recovers from the mistakes commonly found in hand-edited
+// exports and LLM output. Every recovery is recorded as a fix with its
+// line/column, and the corrected text is produced by patching the original
+// source, so regions that needed no repair (string contents included) stay
+// byte-for-byte identical.
+
+// Fixes that may have changed the meaning of the document (dropped or invented
+// content) rather than just its syntax
+const LOSSY_FIXES = new Set([
+  'unclosed-container',
+  'unterminated-string',
+  'leading-content',
+  'trailing-content',
+  'truncated-member',
+  'missing-key',
+  'missing-value',
+  'dropped-value',
+]);
+
+const FIX_MESSAGES = {
+  'byte-order-mark': 'Removed byte order mark',
+  'comment': 'Removed comment',
+  'unquoted-key': 'Quoted property name',
+  'single-quoted-string': 'Converted quoted string to double quotes',
+  'invalid-escape': 'Escaped stray backslash in string',
+  'control-character': 'Escaped control character in string',
+  'unterminated-string': 'Closed unterminated string',
+  'number-format': 'Normalized number literal',
+  'non-finite-number': 'Replaced non-finite number with null',
+  'non-json-literal': 'Replaced non-JSON literal',
+  'bare-word': 'Quoted bare word value',
+  'trailing-comma': 'Removed trailing comma',
+  'extra-comma': 'Removed extra comma',
+  'missing-comma': 'Inserted missing comma',
+  'missing-colon': 'Inserted missing colon',
+  'missing-value': 'Inserted null for missing value',
+  'missing-key': 'Dropped value without a property name',
+  'dropped-value': 'Dropped value that cannot be a property name',
+  'truncated-member': 'Dropped property cut off by end of document',
+  'mismatched-bracket': 'Replaced mismatched closing bracket',
+  'unclosed-container': 'Closed unclosed container',
+  'unexpected-character': 'Removed unexpected character',
+  'leading-content': 'Removed text before the JSON document',
+  'trailing-content': 'Removed text after the JSON document',
+  'multiple-values': 'Wrapped multiple top-level values in an array',
+};
+
+const STRICT_NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+const LOOSE_NUMBER = /^[+-]?(0[xX][0-9a-fA-F]+|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)/;
+const WORD_CHAR = /[^\s{}[\]:,"'`/“”‘’]/;
+
+const CLOSING_QUOTES = {
+  '"': '"',
+  "'": "'",
+  '`': '`',
+  '“': '”',
+  '‘': '’',
+};
+
+const SIMPLE_ESCAPES = {
+  '"': '"',
+  '\\': '\\',
+  '/': '/',
+  'b': '\b',
+  'f': '\f',
+  'n': '\n',
+  'r': '\r',
+  't': '\t',
+};
+
+// Literal words from other languages and what they mean in JSON
+const LITERAL_WORDS = {
+  'true': { value: true, text: 'true' },
+  'false': { value: false, text: 'false' },
+  'null': { value: null, text: 'null' },
+  'True': { value: true, text: 'true', code: 'non-json-literal' },
+  'False': { value: false, text: 'false', code: 'non-json-literal' },
+  'TRUE': { value: true, text: 'true', code: 'non-json-literal' },
+  'FALSE': { value: false, text: 'false', code: 'non-json-literal' },
+  'None': { value: null, text: 'null', code: 'non-json-literal' },
+  'NULL': { value: null, text: 'null', code: 'non-json-literal' },
+  'undefined': { value: null, text: 'null', code: 'non-json-literal' },
+  'NaN': { value: null, text: 'null', code: 'non-finite-number' },
+  'Infinity': { value: null, text: 'null', code: 'non-finite-number' },
+  '+Infinity': { value: null, text: 'null', code: 'non-finite-number' },
+  '-Infinity': { value: null, text: 'null', code: 'non-finite-number' },
+  '-NaN': { value: null, text: 'null', code: 'non-finite-number' },
+};
+
+const MISSING = Symbol('missing');
+
+// Build a line/column resolver for offsets into the text
+const createLocator = (text) => {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+};
+
+// Whether the # at `i` starts a comment rather than a bare word: it must
+// follow whitespace or start the text, and not be directly followed by a
+// word where a value is expected (after a colon, or in an array)
+const isHashComment = (text, i, tokens, open) => {
+  if (i > 0 && !/\s/.test(text[i - 1])) return false;
+  const previous = tokens[tokens.length - 1]?.value;
+  const valueExpected = previous === ':'
+    || (open[open.length - 1] === '[' && (previous === '[' || previous === ','));
+  return !(valueExpected && WORD_CHAR.test(text[i + 1] || ' '));
+};
+
+// Split the text into tokens, recording comment and string fixes as it goes
+const tokenize = (text, report, edit) => {
+  const tokens = [];
+  const length = text.length;
+  // Brackets open at `i`, to tell where a value is expected
+  const open = [];
+  let i = 0;
+
+  if (text.charCodeAt(0) === 0xFEFF) {
+    report('byte-order-mark', 0);
+    edit(0, 1, '');
+    i = 1;
+  }
+
+  while (i < length) {
+    const ch = text[i];
+
+    // Whitespace, including the non-breaking spaces pasted from documents
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Line comments (// and #) and block comments. A # only starts a comment
+    // at the start of a line or after whitespace, and not when it starts a
+    // value (e.g. a colour like #fff), which is read as a bare word
+    if ((ch === '/' && text[i + 1] === '/') || (ch === '#' && isHashComment(text, i, tokens, open))) {
+      const start = i;
+      while (i < length && text[i] !== '\n') i++;
+      report('comment', start);
+      edit(start, i, '');
+      continue;
+    }
+    if (ch === '/' && text[i + 1] === '*') {
+      const start = i;
+      const close = text.indexOf('*/', i + 2);
+      i = close === -1 ? length : close + 2;
+      report('comment', start);
+      edit(start, i, '');
+      continue;
+    }
+
+    if ('{}[]:,'.includes(ch)) {
+      if (ch === '{' || ch === '[') open.push(ch);
+      if (ch === '}' || ch === ']') open.pop();
+      tokens.push({ type: 'punct', value: ch, start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    if (CLOSING_QUOTES[ch]) {
+      const token = readString(text, i, report);
+      tokens.push(token);
+      i = token.end;
+      continue;
+    }
+
+    // Numbers, including the loose forms JavaScript accepts
+    if (/[0-9]/.test(ch) || ((ch === '-' || ch === '+' || ch === '.') && /[0-9.]/.test(text[i + 1] || ''))) {
+      const match = LOOSE_NUMBER.exec(text.slice(i, i + 400));
+      if (match && match[0] !== '.' && !WORD_CHAR.test(text[i + match[0].length] || ' ')) {
+        tokens.push({ type: 'number', raw: match[0], start: i, end: i + match[0].length });
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    // Bare words: literals, unquoted keys and unquoted values
+    if (WORD_CHAR.test(ch)) {
+      const start = i;
+      while (i < length && WORD_CHAR.test(text[i])) i++;
+      tokens.push({ type: 'word', value: text.slice(start, i), start, end: i });
+      continue;
+    }
+
+    tokens.push({ type: 'junk', value: ch, start: i, end: i + 1 });
+    i++;
+  }
+
+  tokens.push({ type: 'eof', start: length, end: length });
+  return tokens;
+};
+
+// Read a quoted string starting at `start`, decoding escapes leniently
+const readString = (text, start, report) => {
+  const quote = text[start];
+  const closing = CLOSING_QUOTES[quote];
+  const length = text.length;
+  const codes = [];
+  let value = '';
+  let i = start + 1;
+  let firstNewline = -1;
+  let valueAtNewline = '';
+  let terminated = false;
+
+  while (i < length) {
+    const ch = text[i];
+
+    if (ch === closing) {
+      terminated = true;
+      i++;
+      break;
+    }
+
+    if (ch === '\\') {
+      const next = text[i + 1];
+      if (next === undefined) {
+        i++;
+        break;
+      }
+      if (SIMPLE_ESCAPES[next] !== undefined) {
+        value += SIMPLE_ESCAPES[next];
+        i += 2;
+      } else if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(i + 2, i + 6))) {
+        value += String.fromCharCode(parseInt(text.slice(i + 2, i + 6), 16));
+        i += 6;
+      } else if (next === quote || next === closing) {
+        value += next;
+        i += 2;
+      } else {
+        // Keep the backslash as a literal character rather than dropping it
+        codes.push({ code: 'invalid-escape', offset: i });
+        value += '\\';
+        i++;
+      }
+      continue;
+    }
+
+    if (ch === '\n' && firstNewline === -1) {
+      firstNewline = i;
+      valueAtNewline = value;
+    }
+    if (ch.charCodeAt(0) < 0x20) {
+      codes.push({ code: 'control-character', offset: i });
+    }
+
+    value += ch;
+    i++;
+  }
+
+  // A raw line break inside a string that is followed by something other than
+  // a separator means the quote we stopped at opened the next string
+  if (terminated && firstNewline !== -1) {
+    const following = /\S/.exec(text.slice(i, i + 200));
+    if (following && !':,}]'.includes(following[0])) {
+      terminated = false;
+    }
+  }
+
+  let end = i;
+  if (!terminated) {
+    // A string that runs to the end of the document most likely lost its
+    // closing quote on the line where it started
+    if (firstNewline !== -1) {
+      end = firstNewline;
+      value = valueAtNewline.replace(/\r$/, '');
+      if (text[end - 1] === '\r') end--;
+      const dropped = codes.findIndex(c => c.offset >= end);
+      if (dropped !== -1) codes.splice(dropped);
+    }
+    codes.push({ code: 'unterminated-string', offset: start });
+  }
+
+  if (quote !== '"') {
+    codes.unshift({ code: 'single-quoted-string', offset: start });
+  }
+
+  const seen = new Set();
+  codes.forEach(({ code, offset }) => {
+    // Report each kind of problem once per string
+    if (seen.has(code)) return;
+    seen.add(code);
+    report(code, offset);
+  });
+
+  return {
+    type: 'string',
+    value,
+    start,
+    end,
+    rewrite: codes.length > 0,
+  };
+};
+
+// Convert a loose number literal to its JSON form
+const normalizeNumber = (raw) => {
+  if (STRICT_NUMBER.test(raw)) return { value: Number(raw), text: raw, changed: false };
+
+  const unsigned = raw.replace(/^[+-]/, '');
+  const negative = raw.startsWith('-');
+  let value = /^0[xX]/.test(unsigned) ? parseInt(unsigned, 16) : Number(unsigned);
+  if (negative) value = -value;
+
+  return { value, text: Number.isFinite(value) ? String(value) : 'null', changed: true };
+};
+
+// Parse and repair a JSON document.
+// Returns { corrected, value, fixes, lossy, error }. `fixes` lists every
+// repair as { code, message, line, column, offset, lossy }.
+export const repairJson = (text) => {
+  const source = typeof text === 'string' ? text : String(text ?? '');
+  const locate = createLocator(source);
+  const fixes = [];
+  const edits = [];
+
+  const report = (code, offset) => {
+    const { line, column } = locate(offset);
+    fixes.push({
+      code,
+      message: FIX_MESSAGES[code] || code,
+      line,
+      column,
+      offset,
+      lossy: LOSSY_FIXES.has(code),
+    });
+  };
+  const edit = (start, end, replacement) => {
+    edits.push({ start, end, text: replacement, seq: edits.length });
+  };
+
+  const tokens = tokenize(source, report, edit);
+  let pos = 0;
+  let prevEnd = 0;
+  const closers = [];
+
+  const peek = (offset = 0) => tokens[Math.min(pos + offset, tokens.length - 1)];
+  const next = () => {
+    const token = tokens[pos];
+    if (token.type !== 'eof') {
+      pos++;
+      prevEnd = token.end;
+    }
+    return token;
+  };
+  const isPunct = (token, value) => token.type === 'punct' && token.value === value;
+  const startsValue = (token) =>
+    token.type === 'string' ||
+    token.type === 'number' ||
+    token.type === 'word' ||
+    isPunct(token, '{') ||
+    isPunct(token, '[');
+
+  const parseWord = () => {
+    const first = next();
+    const literal = LITERAL_WORDS[first.value];
+    if (literal) {
+      if (literal.code) {
+        report(literal.code, first.start);
+        edit(first.start, first.end, literal.text);
+      }
+      return literal.value;
+    }
+
+    // Unquoted values such as `status: in progress` run to the end of the line
+    let last = first;
+    while (
+      peek().type === 'word' &&
+      !isPunct(peek(1), ':') &&
+      /^[ \t]+$/.test(source.slice(last.end, peek().start))
+    ) {
+      last = next();
+    }
+    const value = source.slice(first.start, last.end);
+    report('bare-word', first.start);
+    edit(first.start, last.end, JSON.stringify(value));
+    return value;
+  };
+
+  const parseValue = () => {
+    const token = peek();
+
+    if (isPunct(token, '{')) return parseObject();
+    if (isPunct(token, '[')) return parseArray();
+
+    if (token.type === 'string') {
+      next();
+      if (token.rewrite) edit(token.start, token.end, JSON.stringify(token.value));
+      return token.value;
+    }
+
+    if (token.type === 'number') {
+      next();
+      const { value, text: normalized, changed } = normalizeNumber(token.raw);
+      if (changed) {
+        report(Number.isFinite(value) ? 'number-format' : 'non-finite-number', token.start);
+        edit(token.start, token.end, normalized);
+      }
+      return Number.isFinite(value) ? value : null;
+    }
+
+    if (token.type === 'word') return parseWord();
+
+    return MISSING;
+  };
+
+  // Drop stray characters that cannot start or separate anything
+  const skipJunk = () => {
+    while (peek().type === 'junk') {
+      const junk = next();
+      report('unexpected-character', junk.start);
+      edit(junk.start, junk.end, '');
+    }
+  };
+
+  // Close a container whose closing bracket is missing or mismatched.
+  // Returns true when the current token was consumed.
+  const closeContainer = (open, expected) => {
+    const token = peek();
+    const other = expected === '}' ? ']' : '}';
+
+    if (token.type === 'eof') {
+      report('unclosed-container', open.start);
+      edit(source.length, source.length, expected);
+      return false;
+    }
+
+    if (isPunct(token, other)) {
+      // The bracket belongs to an enclosing container: close this one first
+      if (closers.slice(0, -1).includes(other)) {
+        report('unclosed-container', open.start);
+        edit(prevEnd, prevEnd, expected);
+        return false;
+      }
+      next();
+      report('mismatched-bracket', token.start);
+      edit(token.start, token.end, expected);
+      return true;
+    }
+
+    return false;
+  };
+
+  const parseObject = () => {
+    const open = next();
+    const result = {};
+    let count = 0;
+    let pendingComma = null;
+    let memberStart = prevEnd;
+    closers.push('}');
+
+    while (true) {
+      skipJunk();
+      const token = peek();
+
+      if (isPunct(token, '}')) {
+        if (pendingComma) {
+          report('trailing-comma', pendingComma.start);
+          edit(pendingComma.start, pendingComma.end, '');
+        }
+        next();
+        break;
+      }
+
+      if (token.type === 'eof' || isPunct(token, ']')) {
+        if (pendingComma) {
+          report('trailing-comma', pendingComma.start);
+          edit(pendingComma.start, pendingComma.end, '');
+        }
+        closeContainer(open, '}');
+        break;
+      }
+
+      if (isPunct(token, ',')) {
+        next();
+        report('extra-comma', token.start);
+        edit(token.start, token.end, '');
+        continue;
+      }
+
+      if (count > 0 && !pendingComma) {
+        report('missing-comma', token.start);
+        edit(prevEnd, prevEnd, ',');
+      }
+      memberStart = pendingComma ? pendingComma.start : prevEnd;
+      pendingComma = null;
+
+      // Property name
+      let key;
+      const keyToken = peek();
+      if (keyToken.type === 'string') {
+        next();
+        key = keyToken.value;
+        if (keyToken.rewrite) edit(keyToken.start, keyToken.end, JSON.stringify(key));
+      } else if (keyToken.type === 'word' || keyToken.type === 'number') {
+        next();
+        key = keyToken.type === 'word' ? keyToken.value : keyToken.raw;
+        report('unquoted-key', keyToken.start);
+        edit(keyToken.start, keyToken.end, JSON.stringify(key));
+      } else if (isPunct(keyToken, ':')) {
+        // A value with no name: drop the whole member
+        next();
+        parseValue();
+        report('missing-key', keyToken.start);
+        edit(keyToken.start, prevEnd, '');
+        if (isPunct(peek(), ',')) {
+          const comma = next();
+          edit(comma.start, comma.end, '');
+        }
+        continue;
+      } else {
+        // An object or array where a property name should be
+        const valueStart = keyToken.start;
+        parseValue();
+        report('dropped-value', valueStart);
+        edit(valueStart, prevEnd, '');
+        if (isPunct(peek(), ',')) {
+          const comma = next();
+          edit(comma.start, comma.end, '');
+        }
+        continue;
+      }
+
+      // Colon
+      skipJunk();
+      const keyEnd = prevEnd;
+      if (isPunct(peek(), ':')) {
+        next();
+      } else if (startsValue(peek())) {
+        report('missing-colon', keyEnd);
+        edit(keyEnd, keyEnd, ':');
+      } else if (peek().type === 'eof') {
+        report('truncated-member', keyToken.start);
+        edit(count > 0 ? memberStart : keyToken.start, keyEnd, '');
+        closeContainer(open, '}');
+        break;
+      } else {
+        report('missing-value', keyEnd);
+        edit(keyEnd, keyEnd, ': null');
+        result[key] = null;
+        count++;
+        if (isPunct(peek(), ',')) pendingComma = next();
+        continue;
+      }
+
+      // Value
+      skipJunk();
+      const colonEnd = prevEnd;
+      let value = parseValue();
+      if (value === MISSING) {
+        report('missing-value', colonEnd);
+        edit(colonEnd, colonEnd, ' null');
+        value = null;
+      }
+
+      result[key] = value;
+      count++;
+
+      skipJunk();
+      if (isPunct(peek(), ',')) pendingComma = next();
+    }
+
+    closers.pop();
+    return result;
+  };
+
+  const parseArray = () => {
+    const open = next();
+    const result = [];
+    let pendingComma = null;
+    closers.push(']');
+
+    while (true) {
+      skipJunk();
+      const token = peek();
+
+      if (isPunct(token, ']')) {
+        if (pendingComma) {
+          report('trailing-comma', pendingComma.start);
+          edit(pendingComma.start, pendingComma.end, '');
+        }
+        next();
+        break;
+      }
+
+      if (token.type === 'eof' || isPunct(token, '}')) {
+        if (pendingComma) {
+          report('trailing-comma', pendingComma.start);
+          edit(pendingComma.start, pendingComma.end, '');
+        }
+        closeContainer(open, ']');
+        break;
+      }
+
+      if (isPunct(token, ',')) {
+        next();
+        report('extra-comma', token.start);
+        edit(token.start, token.end, '');
+        continue;
+      }
+
+      if (isPunct(token, ':')) {
+        // A key/value pair inside an array cannot be kept as-is
+        next();
+        report('unexpected-character', token.start);
+        edit(token.start, token.end, ',');
+        pendingComma = token;
+        continue;
+      }
+
+      if (result.length > 0 && !pendingComma) {
+        report('missing-comma', token.start);
+        edit(prevEnd, prevEnd, ',');
+      }
+      pendingComma = null;
+
+      result.push(parseValue());
+
+      skipJunk();
+      if (isPunct(peek(), ',')) pendingComma = next();
+    }
+
+    closers.pop();
+    return result;
+  };
+
+  // Skip prose in front of the document, e.g. "Here is the JSON:"
+  const firstValue = tokens.findIndex(token => isPunct(token, '{') || isPunct(token, '['));
+  if (firstValue > 0 && !tokens.slice(0, firstValue).some(token =>
+    token.type === 'string' || token.type === 'number' || LITERAL_WORDS[token.value]
+  )) {
+    report('leading-content', tokens[0].start);
+    edit(tokens[0].start, tokens[firstValue].start, '');
+    pos = firstValue;
+  }
+
+  if (peek().type === 'eof') {
+    return {
+      corrected: source,
+      value: undefined,
+      fixes,
+      lossy: false,
+      error: 'Document is empty',
+    };
+  }
+
+  // Top-level values; several in a row (e.g. concatenated objects) become an array
+  const values = [];
+  const valueStart = peek().start;
+  while (peek().type !== 'eof') {
+    skipJunk();
+    if (peek().type === 'eof') break;
+
+    if (values.length > 0) {
+      if (isPunct(peek(), ',') && (isPunct(peek(1), '{') || isPunct(peek(1), '['))) {
+        next();
+      } else if (isPunct(peek(), '{') || isPunct(peek(), '[')) {
+        edit(prevEnd, prevEnd, ',');
+      } else {
+        const rest = peek();
+        report('trailing-content', rest.start);
+        edit(rest.start, source.length, '');
+        break;
+      }
+    }
+
+    const value = parseValue();
+    if (value === MISSING) {
+      // Stray closing bracket or separator before any value
+      const stray = next();
+      report('unexpected-character', stray.start);
+      edit(stray.start, stray.end, '');
+      continue;
+    }
+    values.push(value);
+  }
+
+  if (values.length === 0) {
+    return {
+      corrected: source,
+      value: undefined,
+      fixes,
+      lossy: fixes.some(fix => fix.lossy),
+      error: 'No JSON value found',
+    };
+  }
+
+  let value = values[0];
+  if (values.length > 1) {
+    report('multiple-values', valueStart);
+    edit(valueStart, valueStart, '[');
+    edit(prevEnd, prevEnd, ']');
+    value = values;
+  }
+
+  let corrected = fixes.length > 0 ? applyEdits(source, edits) : source;
+
+  // The patched text must round-trip; if it does not, serialize the value instead
+  try {
+    JSON.parse(corrected);
+  } catch (e) {
+    corrected = JSON.stringify(value, null, 2);
+  }
+
+  return {
+    corrected,
+    value,
+    fixes,
+    lossy: fixes.some(fix => fix.lossy),
+  };
+};
+
+// Apply non-overlapping edits to the source, in position then creation order
+const applyEdits = (source, edits) => {
+  const sorted = [...edits].sort((a, b) => a.start - b.start || a.seq - b.seq);
+  let result = '';
+  let cursor = 0;
+
+  sorted.forEach(({ start, end, text }) => {
+    if (start < cursor) {
+      // Inside a region that an earlier edit already removed
+      if (end <= cursor) return;
+      start = cursor;
+    }
+    result += source.slice(cursor, start) + text;
+    cursor = end;
+  });
+
+  return result + source.slice(cursor);
+};
+
+// One-line summary of the fixes applied, for entry warnings
+export const summarizeFixes = (fixes) => {
+  if (fixes.length === 0) return '';
+
+  const counts = _.countBy(fixes, fix => fix.message);
+  const parts = Object.entries(counts).map(([message, count]) =>
+    count > 1 ? `${message} (${count}x)` : message
+  );
+  const lossy = fixes.some(fix => fix.lossy)
+    ? ' Some repairs may have dropped or invented content; verify the result.'
+    : '';
+
+  return `Applied ${fixes.length} repair${fixes.length === 1 ? '' : 's'}: ${parts.join(', ')}.${lossy}`;
+};
+
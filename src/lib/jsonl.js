@@ -0,0 +1,137 @@
+import { repairJson } from './jsonRepair';
+
+// JSON Lines / NDJSON ingestion.
+//
+// Files are read as a stream and split into lines, so a large export never has
+// to be held as one string before parsing starts. Every line is its own
+// record: lines that the repair engine can fix without guessing are kept (with
+// their fixes), anything else is quarantined with its line number.
+
+export const JSONL_EXTENSIONS = ['.jsonl', '.ndjson'];
+
+export const isJsonlFileName = (fileName = '') =>
+  JSONL_EXTENSIONS.some(extension => fileName.toLowerCase().endsWith(extension));
+
+// Longest line text kept in a quarantine record
+const MAX_QUARANTINE_TEXT = 2000;
+
+// Yield { text, line, progress } for every line of a File/Blob or string.
+// `progress` is the fraction of the source read so far.
+export async function* readLines(source) {
+  let lineNumber = 0;
+
+  if (typeof source === 'string') {
+    const lines = source.split(/\r?\n/);
+    for (const text of lines) {
+      lineNumber++;
+      yield { text, line: lineNumber, progress: lineNumber / lines.length };
+    }
+    return;
+  }
+
+  const reader = source.stream().pipeThrough(new TextDecoderStream()).getReader();
+  const total = source.size || 1;
+  let buffer = '';
+  let bytesRead = 0;
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    // Characters approximate bytes closely enough for a progress bar
+    bytesRead += value.length;
+    buffer += value;
+
+    let start = 0;
+    let newline = buffer.indexOf('\n');
+    while (newline !== -1) {
+      lineNumber++;
+      const text = buffer.slice(start, newline).replace(/\r$/, '');
+      yield { text, line: lineNumber, progress: Math.min(bytesRead / total, 0.99) };
+      start = newline + 1;
+      newline = buffer.indexOf('\n', start);
+    }
+    buffer = buffer.slice(start);
+  }
+
+  if (buffer.length > 0) {
+    lineNumber++;
+    yield { text: buffer.replace(/\r$/, ''), line: lineNumber, progress: 1 };
+  }
+}
+
+// Parse one line. Returns { value, corrected, fixes } for a usable line or
+// { error } when it has to be quarantined.
+export const parseJsonlLine = (text) => {
+  try {
+    return { value: JSON.parse(text), corrected: text, fixes: [] };
+  } catch (e) {
+    // Fall through to the repair engine
+  }
+
+  const { value, corrected, fixes, lossy, error } = repairJson(text);
+  if (error) return { error };
+  if (lossy) {
+    return { error: fixes.filter(fix => fix.lossy).map(fix => fix.message).join('; ') };
+  }
+  // One line holding several values cannot be mapped to a single record
+  if (fixes.some(fix => fix.code === 'multiple-values')) {
+    return { error: 'Line contains more than one JSON value' };
+  }
+  // A repaired scalar is usually stray text quoted as a bare word
+  if (typeof value !== 'object' || value === null) {
+    return { error: 'Line is not a JSON object or array' };
+  }
+  // Repairs must not spread the record over several lines
+  return { value, corrected: corrected.includes('\n') ? JSON.stringify(value) : corrected, fixes };
+};
+
+// Read a JSON Lines source. Returns { records, original, corrected, fixes,
+// quarantine, lineCount } where `original` is the text that was read,
+// `corrected` is the same text with repaired lines replaced, `fixes` carry
+// file line numbers and `quarantine` lists { line, text, error } for the
+// lines that were left out.
+export const parseJsonl = async (source, { onLine } = {}) => {
+  const records = [];
+  const originalLines = [];
+  const correctedLines = [];
+  const fixes = [];
+  const quarantine = [];
+  let lineCount = 0;
+
+  for await (const { text, line, progress } of readLines(source)) {
+    lineCount = line;
+    originalLines.push(text);
+    onLine?.(line, progress);
+
+    // Blank lines separate nothing in JSONL; keep them out of the records
+    if (!text.trim()) {
+      correctedLines.push(text);
+      continue;
+    }
+
+    const result = parseJsonlLine(text);
+    if (result.error) {
+      quarantine.push({
+        line,
+        text: text.length > MAX_QUARANTINE_TEXT ? text.substring(0, MAX_QUARANTINE_TEXT) + '...' : text,
+        error: result.error
+      });
+      correctedLines.push(text);
+      continue;
+    }
+
+    records.push(result.value);
+    correctedLines.push(result.corrected);
+    result.fixes.forEach(fix => fixes.push({ ...fix, line }));
+  }
+
+  return {
+    records,
+    original: originalLines.join('\n'),
+    corrected: correctedLines.join('\n'),
+    fixes,
+    quarantine,
+    lineCount
+  };
+};
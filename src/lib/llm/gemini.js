@@ -0,0 +1,43 @@
+import { readJsonResponse } from './response';
+
+// Google Gemini adapter (generativelanguage.googleapis.com)
+export const createGeminiProvider = ({
+  apiKey = '',
+  baseUrl = 'https://generativelanguage.googleapis.com',
+  model = 'gemini-1.5-pro-002'
+} = {}) => ({
+  id: 'gemini',
+  label: 'Google Gemini',
+  defaultModel: model,
+  
+  generate: async ({ prompt, model: taskModel, temperature, maxTokens, signal }) => {
+    if (!apiKey) {
+      throw new Error("No Gemini API key configured");
+    }
+    
+    const response = await fetch(
+      `${baseUrl.replace(/\/+$/, '')}/v1beta/models/${taskModel || model}:generateContent?key=${encodeURIComponent(apiKey)}`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        signal,
+        body: JSON.stringify({
+          contents: [{ parts: [{ text: prompt }] }],
+          generationConfig: {
+            temperature,
+            maxOutputTokens: maxTokens
+          }
+        })
+      }
+    );
+    
+    const result = await readJsonResponse('Gemini', response, body => body.error?.message);
+    
+    const text = result.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('');
+    if (!text) {
+      throw new Error(`Gemini returned no content (${result.candidates?.[0]?.finishReason || 'no candidates'})`);
+    }
+    
+    return text;
+  }
+});
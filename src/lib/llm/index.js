@@ -0,0 +1,132 @@
+import { createGeminiProvider } from './gemini';
+import { createOpenAiProvider } from './openai';
+import { createLocalProvider } from './local';
+import { createMockProvider } from './mock';
+
+// LLM provider layer.
+//
+// Every AI step in the app goes through a client created here. A provider is
+// an object `{ id, label, defaultModel, generate({ prompt, model, temperature,
+// maxTokens, signal }) }` that resolves to the raw model text; the client adds
+// per-task settings and strips markdown fences from the response.
+
+export const LLM_PROVIDERS = [
+  { id: 'gemini', label: 'Google Gemini' },
+  { id: 'openai', label: 'OpenAI-compatible' },
+  { id: 'local', label: 'Local (Ollama / llama.cpp)' },
+  { id: 'mock', label: 'Mock (offline)' },
+];
+
+// Tasks that call a model, with their default generation settings.
+// An empty model uses the provider's default model.
+export const LLM_TASKS = {
+  repair: { label: 'JSON repair', model: '', temperature: 0.1, maxTokens: 12000 },
+  detectContent: { label: 'Content detection', model: '', temperature: 0.1, maxTokens: 8000 },
+  restructureSheet: { label: 'Spreadsheet restructuring', model: '', temperature: 0.2, maxTokens: 12000 },
+  analyzeBoq: { label: 'BOQ analysis', model: '', temperature: 0.2, maxTokens: 12000 },
+  ragChunks: { label: 'BOQ RAG chunking', model: '', temperature: 0.3, maxTokens: 12000 },
+  merge: { label: 'AI merge', model: '', temperature: 0.2, maxTokens: 16000 },
+};
+
+export const DEFAULT_LLM_SETTINGS = {
+  provider: 'gemini',
+  // Save the API keys with the settings instead of for this session only
+  // (see lib/settingsStorage)
+  rememberKeys: false,
+  gemini: {
+    apiKey: import.meta.env?.VITE_GOOGLE_API_KEY || '',
+    baseUrl: 'https://generativelanguage.googleapis.com',
+    model: 'gemini-1.5-pro-002'
+  },
+  openai: {
+    apiKey: '',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini'
+  },
+  local: {
+    server: 'ollama',
+    baseUrl: 'http://localhost:11434',
+    model: 'llama3.1'
+  },
+  tasks: Object.fromEntries(
+    Object.entries(LLM_TASKS).map(([task, { model, temperature, maxTokens }]) => [
+      task,
+      { model, temperature, maxTokens }
+    ])
+  )
+};
+
+// Fill in settings saved by an older version with the current defaults
+export const normalizeLlmSettings = (saved = {}) => ({
+  ...DEFAULT_LLM_SETTINGS,
+  ...saved,
+  gemini: { ...DEFAULT_LLM_SETTINGS.gemini, ...saved.gemini },
+  openai: { ...DEFAULT_LLM_SETTINGS.openai, ...saved.openai },
+  local: { ...DEFAULT_LLM_SETTINGS.local, ...saved.local },
+  tasks: Object.fromEntries(
+    Object.keys(LLM_TASKS).map(task => [
+      task,
+      { ...DEFAULT_LLM_SETTINGS.tasks[task], ...saved.tasks?.[task] }
+    ])
+  )
+});
+
+export const createProvider = (settings) => {
+  switch (settings.provider) {
+    case 'gemini':
+      return createGeminiProvider(settings.gemini);
+    case 'openai':
+      return createOpenAiProvider(settings.openai);
+    case 'local':
+      return createLocalProvider(settings.local);
+    case 'mock':
+      return createMockProvider(settings.mock);
+    default:
+      throw new Error(`Unknown LLM provider: ${settings.provider}`);
+  }
+};
+
+// Remove the ```json fences models like to wrap their answers in
+export const stripMarkdownFences = (text) => {
+  const trimmed = text.trim();
+  const fenced = /^```[\w-]*\s*\n?([\s\S]*?)\n?```$/.exec(trimmed);
+  if (fenced) return fenced[1].trim();
+  return trimmed.replace(/```json\s+/g, '').replace(/```/g, '').trim();
+};
+
+// Create the client used by the AI steps. `provider` can be passed directly
+// (e.g. a mock) to bypass the settings.
+export const createLlmClient = (settings = DEFAULT_LLM_SETTINGS, provider) => {
+  const normalized = normalizeLlmSettings(settings);
+  const active = provider || createProvider(normalized);
+
+  const complete = async (task, prompt, { signal } = {}) => {
+    if (!LLM_TASKS[task]) {
+      throw new Error(`Unknown LLM task: ${task}`);
+    }
+
+    const { model, temperature, maxTokens } = normalized.tasks[task];
+    const text = await active.generate({
+      prompt,
+      model: model || active.defaultModel,
+      temperature: Number(temperature),
+      maxTokens: Number(maxTokens),
+      signal
+    });
+
+    return stripMarkdownFences(text);
+  };
+
+  // Like complete(), but parses the response; throws if it is not valid JSON
+  const completeJson = async (task, prompt, options) => {
+    return JSON.parse(await complete(task, prompt, options));
+  };
+
+  return {
+    providerId: active.id,
+    label: active.label,
+    provider: active,
+    complete,
+    completeJson
+  };
+};
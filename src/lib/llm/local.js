@@ -0,0 +1,48 @@
+import { readJsonResponse } from './response';
+
+// Adapter for a model served locally by Ollama or the llama.cpp HTTP server
+export const createLocalProvider = ({
+  server = 'ollama',
+  baseUrl = 'http://localhost:11434',
+  model = 'llama3.1'
+} = {}) => ({
+  id: 'local',
+  label: server === 'llamacpp' ? 'llama.cpp server' : 'Ollama',
+  defaultModel: model,
+  
+  generate: async ({ prompt, model: taskModel, temperature, maxTokens, signal }) => {
+    const root = baseUrl.replace(/\/+$/, '');
+    
+    // llama.cpp serves a single model, so no model name is sent
+    const request = server === 'llamacpp'
+      ? {
+          url: `${root}/completion`,
+          body: { prompt, temperature, n_predict: maxTokens, stream: false }
+        }
+      : {
+          url: `${root}/api/generate`,
+          body: {
+            model: taskModel || model,
+            prompt,
+            stream: false,
+            options: { temperature, num_predict: maxTokens }
+          }
+        };
+    
+    const response = await fetch(request.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      signal,
+      body: JSON.stringify(request.body)
+    });
+    
+    const result = await readJsonResponse('Local model', response, body => body.error);
+    
+    const text = server === 'llamacpp' ? result.content : result.response;
+    if (!text) {
+      throw new Error("Local model returned no content");
+    }
+    
+    return text;
+  }
+});
@@ -0,0 +1,45 @@
+import { repairJson } from '../jsonRepair';
+
+// Echo the first JSON payload found in the prompt, repaired deterministically.
+// Every prompt in the app places its document on lines of its own, so this
+// lets the whole pipeline run offline with plausible responses.
+const echoPayload = (prompt) => {
+  const lines = prompt.split('\n');
+  const first = lines.findIndex(line => /^\s*[[{]/.test(line));
+  if (first === -1) return '{}';
+  
+  const { corrected, error } = repairJson(lines.slice(first).join('\n'));
+  return error ? '{}' : corrected;
+};
+
+// Offline provider for tests and demos. `respond(prompt, request)` may return
+// a string or a promise; every call is recorded in `calls`.
+export const createMockProvider = ({ respond = echoPayload, delay = 0 } = {}) => {
+  const calls = [];
+  
+  return {
+    id: 'mock',
+    label: 'Mock (offline)',
+    defaultModel: 'mock',
+    calls,
+    
+    generate: async (request) => {
+      calls.push(request);
+      
+      if (delay > 0) {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(resolve, delay);
+          request.signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new DOMException('The operation was aborted.', 'AbortError'));
+          });
+        });
+      }
+      if (request.signal?.aborted) {
+        throw new DOMException('The operation was aborted.', 'AbortError');
+      }
+      
+      return respond(request.prompt, request);
+    }
+  };
+};
@@ -0,0 +1,41 @@
+import { readJsonResponse } from './response';
+
+// Adapter for OpenAI and any server exposing the OpenAI chat completions API
+// (Azure-compatible proxies, vLLM, LM Studio, OpenRouter, ...)
+export const createOpenAiProvider = ({
+  apiKey = '',
+  baseUrl = 'https://api.openai.com/v1',
+  model = 'gpt-4o-mini'
+} = {}) => ({
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  defaultModel: model,
+  
+  generate: async ({ prompt, model: taskModel, temperature, maxTokens, signal }) => {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+    
+    const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: "POST",
+      headers,
+      signal,
+      body: JSON.stringify({
+        model: taskModel || model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        max_tokens: maxTokens
+      })
+    });
+    
+    const result = await readJsonResponse('OpenAI-compatible', response, body => body.error?.message);
+    
+    const text = result.choices?.[0]?.message?.content;
+    if (!text) {
+      throw new Error("OpenAI-compatible endpoint returned no content");
+    }
+    
+    return text;
+  }
+});
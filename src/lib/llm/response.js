@@ -0,0 +1,24 @@
+// Read the JSON body of a provider response. The body is read as text and
+// the status checked first, so an error page that is not JSON (e.g. from a
+// proxy) still gives the status in the error. `errorMessage(body)` picks the
+// message out of a JSON error body.
+export const readJsonResponse = async (label, response, errorMessage) => {
+  const text = await response.text();
+
+  if (!response.ok) {
+    let message = text.substring(0, 200) || response.statusText;
+    try {
+      const picked = errorMessage(JSON.parse(text));
+      if (picked) message = typeof picked === 'string' ? picked : JSON.stringify(picked);
+    } catch (e) {
+      // Not JSON: keep the text
+    }
+    throw new Error(`${label} request failed (${response.status}): ${message}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${label} returned a response that is not JSON: ${text.substring(0, 200)}`);
+  }
+};
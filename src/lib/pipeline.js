@@ -0,0 +1,470 @@
+import { repairJson, summarizeFixes } from './jsonRepair';
+import { extractFieldsFromJson, formatJsonStructure, flattenObject } from './transform';
+import { parseJsonl } from './jsonl';
+import { decodeText, parseCsv, DELIMITER_LABELS } from './csv';
+import { profileRecords } from './schemaInference';
+import { validateDocument } from './schemaValidation';
+import { conformDocument } from './schemaConform';
+import { applyMapping, combineProfiles } from './fieldMapping';
+import { dedupeRecords } from './dedupe';
+import { resolveOrigin, standardMergeJson } from './deepMerge';
+import { PROVENANCE_FIELD, recordProvenance } from './provenance';
+import { diffSnapshots } from './datasetVersions';
+import { queryRecords } from './datasetQuery';
+import { chunkRecords } from './ragChunker';
+
+// Processing pipeline tasks. Each task is a plain function of its payload so
+// it can run in a worker (see workers/pipeline.worker.js) or, when workers are
+// unavailable, directly on the main thread. `report(stage, percent)` sends
+// progress updates back to the caller.
+//
+// Document tasks take an optional `validation` ({ schema, appliesTo }); the
+// parsed data is checked against it before formatting and the result carries
+// `violations` (see schemaValidation.js). With `options.conformToSchema` the
+// data is first conformed to the schema (see schemaConform.js).
+
+// Repair, parse, format and extract fields from one JSON document.
+// `repaired` skips the repair stage with a result computed elsewhere (e.g. by
+// the AI repair on the main thread).
+const processDocument = ({ text, options, repaired, validation }, report) => {
+  report('repair', 0);
+  let corrected;
+  let fixes;
+  let lossy = false;
+  let correctionError;
+
+  if (repaired) {
+    ({ corrected, fixes = [], error: correctionError } = repaired);
+  } else {
+    const result = repairJson(text);
+    if (result.error) {
+      throw new Error(`Failed to parse JSON: ${result.error}`);
+    }
+    corrected = result.corrected;
+    fixes = result.fixes;
+    lossy = result.lossy;
+    correctionError = fixes.length > 0 ? summarizeFixes(fixes) : undefined;
+  }
+
+  report('parse', 40);
+  let parsedJson;
+  try {
+    parsedJson = JSON.parse(corrected);
+  } catch (parseError) {
+    throw new Error(`Failed to parse JSON: ${parseError instanceof Error ? parseError.message : String(parseError)}`);
+  }
+
+  const conformed = conformParsed(parsedJson, validation, options, report);
+  if (conformed.fixes.length > 0) {
+    parsedJson = conformed.value;
+    corrected = JSON.stringify(parsedJson, null, 2);
+    fixes = [...fixes, ...conformed.fixes];
+    correctionError = [correctionError, summarizeFixes(conformed.fixes)].filter(Boolean).join(' ');
+  }
+
+  const violations = validation ? validateDocument(parsedJson, validation) : undefined;
+
+  report('format', 60);
+  const trimmed = [];
+  const formattedJson = options.autoFormat
+    ? formatJsonStructure(parsedJson, options, trimmed)
+    : parsedJson;
+
+  report('fields', 85);
+  const fields = extractFieldsFromJson(formattedJson, options);
+
+  report('done', 100);
+  return {
+    corrected,
+    fixes,
+    lossy,
+    error: correctionError,
+    formattedJson: JSON.stringify(formattedJson, null, 2),
+    fields,
+    violations,
+    trimmed
+  };
+};
+
+// Format a list of records and collect the union of their fields and the
+// pointers of trimmed values
+const formatRecords = (records, options, report) => {
+  report('format', 85);
+  const trimmed = [];
+  const formattedRecords = options.autoFormat
+    ? records.map((record, i) => formatJsonStructure(record, options, trimmed, `/${i}`))
+    : records;
+
+  report('fields', 95);
+  const fields = new Set();
+  formattedRecords.forEach(record => {
+    extractFieldsFromJson(record, options).forEach(field => fields.add(field));
+  });
+
+  return { formattedRecords, fields, trimmed };
+};
+
+// Conform parsed data to the attached schema when asked to. Returns
+// { value, fixes } (no fixes when nothing changed or conformance is off).
+const conformParsed = (value, validation, options, report) => {
+  if (!validation || !options.conformToSchema) return { value, fixes: [] };
+  report('conform', 50);
+  return conformDocument(value, validation);
+};
+
+// Stream a JSON Lines file (or text) record by record. Bad lines are repaired
+// or quarantined one by one; the valid records form the entry's document.
+const processJsonlDocument = async ({ file, text, options, validation }, report) => {
+  let nextReport = 0;
+  const { records, original, corrected, fixes, quarantine, lineCount } = await parseJsonl(file || text, {
+    onLine: (line, progress) => {
+      if (line >= nextReport) {
+        report(`line ${line}`, Math.round(progress * 80));
+        nextReport = line + 1000;
+      }
+    }
+  });
+
+  if (records.length === 0) {
+    throw new Error(quarantine.length > 0
+      ? `No valid lines: all ${quarantine.length} non-empty lines were quarantined (first at line ${quarantine[0].line}: ${quarantine[0].error})`
+      : 'No records found');
+  }
+
+  const conformed = conformParsed(records, validation, options, report);
+  const violations = validation ? validateDocument(conformed.value, validation) : undefined;
+  const { formattedRecords, fields, trimmed } = formatRecords(conformed.value, options, report);
+
+  const notes = [];
+  if (fixes.length > 0) {
+    notes.push(`Repaired ${new Set(fixes.map(fix => fix.line)).size} of ${lineCount} lines.`);
+  }
+  if (quarantine.length > 0) {
+    notes.push(`Quarantined ${quarantine.length} line${quarantine.length === 1 ? '' : 's'} that could not be repaired safely.`);
+  }
+  if (conformed.fixes.length > 0) {
+    notes.push(summarizeFixes(conformed.fixes));
+  }
+
+  report('done', 100);
+  return {
+    original,
+    corrected,
+    fixes: [...fixes, ...conformed.fixes],
+    lossy: false,
+    error: notes.length > 0 ? notes.join(' ') : undefined,
+    formattedJson: JSON.stringify(formattedRecords, null, 2),
+    fields: Array.from(fields),
+    violations,
+    trimmed,
+    quarantine,
+    lineCount
+  };
+};
+
+// Decode and parse a CSV/TSV file (or text) into one record per row.
+// `dialect` overrides the detected { delimiter, quoteChar, header }.
+const processCsvDocument = async ({ file, text, options, dialect, validation }, report) => {
+  report('decode', 0);
+  const decoded = file ? decodeText(await file.arrayBuffer()) : { text, encoding: 'utf-8' };
+
+  report('parse', 20);
+  const parsed = parseCsv(decoded.text, dialect);
+  if (parsed.records.length === 0) {
+    throw new Error('No rows found');
+  }
+
+  const conformed = conformParsed(parsed.records, validation, options, report);
+  const violations = validation ? validateDocument(conformed.value, validation) : undefined;
+  const { formattedRecords, fields, trimmed } = formatRecords(conformed.value, options, report);
+
+  // A clean file is not a warning; row errors are reported with the dialect
+  // that produced them
+  const notes = [];
+  if (parsed.rowErrors.length > 0) {
+    const { delimiter, header } = parsed.dialect;
+    const rows = new Set(parsed.rowErrors.map(error => error.row)).size;
+    notes.push(`${rows} row${rows === 1 ? ' has' : 's have'} errors when read as ${DELIMITER_LABELS[delimiter] || `"${delimiter}"`}-separated values ${header ? 'with' : 'without'} a header row.`);
+  }
+  if (conformed.fixes.length > 0) {
+    notes.push(summarizeFixes(conformed.fixes));
+  }
+
+  report('done', 100);
+  return {
+    original: decoded.text,
+    corrected: decoded.text,
+    fixes: conformed.fixes,
+    lossy: false,
+    error: notes.length > 0 ? notes.join(' ') : undefined,
+    formattedJson: JSON.stringify(formattedRecords, null, 2),
+    fields: Array.from(fields),
+    violations,
+    trimmed,
+    rowErrors: parsed.rowErrors,
+    dialect: { ...parsed.dialect, encoding: decoded.encoding },
+    rowCount: parsed.rowCount
+  };
+};
+
+// Flatten the formatted JSON of entries into dataset records. An array
+// document yields one record per element, anything else a single record.
+// With `options.detectSchemas` the records' field profiles are returned too.
+// `mappingProfiles` (see fieldMapping.js) are applied to the records; the
+// combined rules that matched their columns are returned as `mapping`.
+// `baseRecords` (the records of a dataset merged into) come before the new
+// records, and with `options.dedupe` ({ keyFields, strategy }) duplicates are
+// removed and the dedupe report is returned as `dedupe` (see dedupe.js).
+// With `options.trackProvenance` every record gets a provenance map built from
+// the entries' `transforms` (see provenance.js).
+const flattenEntries = ({ entries, options, mappingProfiles = [], baseRecords = [] }, report) => {
+  const records = [];
+  const failures = [];
+
+  entries.forEach((entry, index) => {
+    report('flatten', Math.round((index / entries.length) * 100));
+    try {
+      const parsedJson = JSON.parse(entry.formattedJson);
+      const items = Array.isArray(parsedJson) ? parsedJson : [parsedJson];
+
+      items.forEach((item, i) => {
+        const fieldPointers = {};
+        const record = options.flattenNested
+          ? flattenObject(item, options, '', {}, 0, fieldPointers)
+          : item;
+
+        // Add source metadata
+        record._source = entry.fileName;
+        record._timestamp = entry.timestamp;
+        if (options.trackProvenance) {
+          record[PROVENANCE_FIELD] = recordProvenance(record, {
+            entryId: entry.id,
+            source: entry.fileName,
+            itemPointer: Array.isArray(parsedJson) ? `/${i}` : '',
+            fieldPointers,
+            transforms: entry.transforms || { document: [], paths: {} }
+          });
+        }
+        records.push(record);
+      });
+    } catch (e) {
+      failures.push({ entryId: entry.id, error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  let mapped = records;
+  let mapping = {};
+  if (mappingProfiles.length > 0) {
+    report('mapping', 80);
+    const columns = new Set();
+    records.forEach(record => Object.keys(record).forEach(field => columns.add(field)));
+    mapping = combineProfiles(mappingProfiles, columns);
+    mapped = applyMapping(records, mapping);
+  }
+
+  mapped = baseRecords.concat(mapped);
+  let dedupe;
+  if (options.dedupe) {
+    report('dedupe', 85);
+    ({ records: mapped, report: dedupe } = dedupeRecords(mapped, options.dedupe));
+  }
+
+  let fieldProfiles;
+  if (options.detectSchemas && mapped.length > 0) {
+    report('schema', 90);
+    fieldProfiles = profileRecords(mapped);
+  }
+
+  report('done', 100);
+  return { records: mapped, failures, fieldProfiles, mapping, dedupe };
+};
+
+// Provenance map of a structurally merged record: each field traced through
+// the merge back to the entry and pointer its value came from
+const mergedProvenance = (record, { itemPointer, fieldPointers, entries, origins }) => {
+  const provenance = {};
+  Object.entries(recordProvenance(record, {
+    itemPointer,
+    fieldPointers,
+    transforms: { document: [], paths: {} }
+  })).forEach(([field, merged]) => {
+    const origin = resolveOrigin(origins, merged.pointer);
+    const entry = origin ? entries[origin.document] : null;
+    const transforms = entry?.transforms || { document: [], paths: {} };
+    provenance[field] = {
+      entryId: entry?.id ?? null,
+      source: entry?.fileName ?? null,
+      pointer: origin ? origin.pointer : merged.pointer,
+      transforms: [
+        ...transforms.document,
+        ...(origin ? transforms.paths[origin.pointer] || [] : []),
+        'structural-merge',
+        ...merged.transforms
+      ]
+    };
+  });
+  return provenance;
+};
+
+// Provenance map of a record merged by an AI model: the model does not say
+// where a value came from, so each field names all merged entries
+const aiMergedProvenance = (record, { itemPointer, fieldPointers, entries }) => {
+  const entryIds = entries.map(entry => entry.id ?? null);
+  const source = entries.map(entry => entry.fileName).join(', ');
+  const provenance = {};
+  Object.entries(recordProvenance(record, {
+    itemPointer,
+    fieldPointers,
+    transforms: { document: [], paths: {} }
+  })).forEach(([field, merged]) => {
+    provenance[field] = {
+      entryId: null,
+      entryIds,
+      source,
+      pointer: merged.pointer,
+      transforms: ['ai-merged', ...merged.transforms]
+    };
+  });
+  return provenance;
+};
+
+// Turn a merged document into dataset records like flattenEntries does: an
+// array gives one record per item, anything else a single record. With
+// `origins` (see deepMerge.js) fields are traced through the structural
+// merge; with `aiMerged` and provenance tracking on they are marked as
+// merged by a model.
+const mergedDocumentRecords = (merged, { entries, options, source, origins = null, aiMerged = false }, report) => {
+  report('flatten', 60);
+  const sourceEntries = entries.map(entry => entry.fileName).join(', ');
+  const timestamp = new Date().toISOString();
+  const records = (Array.isArray(merged) ? merged : [merged]).map((item, i) => {
+    const fieldPointers = {};
+    const record = options.flattenNested
+      ? flattenObject(item, options, '', {}, 0, fieldPointers)
+      : item;
+
+    // Add source metadata
+    record._source = source;
+    record._timestamp = timestamp;
+    record._sourceEntries = sourceEntries;
+    const itemPointer = Array.isArray(merged) ? `/${i}` : '';
+    if (origins) {
+      record[PROVENANCE_FIELD] = mergedProvenance(record, { itemPointer, fieldPointers, entries, origins });
+    } else if (aiMerged && options.trackProvenance) {
+      record[PROVENANCE_FIELD] = aiMergedProvenance(record, { itemPointer, fieldPointers, entries });
+    }
+    return record;
+  });
+
+  let fieldProfiles;
+  if (options.detectSchemas && records.length > 0) {
+    report('schema', 90);
+    fieldProfiles = profileRecords(records);
+  }
+
+  report('done', 100);
+  return { records, fieldProfiles };
+};
+
+// Deep-merge the formatted JSON of entries into one document (see
+// deepMerge.js) and turn it into dataset records.
+// Returns { conflicts, records, fieldProfiles }.
+const structuralMerge = ({ entries, options, mergeOptions }, report) => {
+  report('merge', 0);
+  const origins = options.trackProvenance ? new Map() : null;
+  const { value: merged, conflicts } = standardMergeJson(entries, mergeOptions, origins);
+  const { records, fieldProfiles } = mergedDocumentRecords(merged, {
+    entries,
+    options,
+    source: 'Structural merge',
+    origins
+  }, report);
+  return { conflicts, records, fieldProfiles };
+};
+
+// Turn a document merged on the main thread by the AI merge (`aiMerged`) or
+// its structural fallback (with `origins` when provenance is tracked) into
+// dataset records. Returns { records, fieldProfiles }.
+const documentRecords = ({ document, entries, options, source, origins = null, aiMerged = false }, report) => (
+  mergedDocumentRecords(document, { entries, options, source, origins, aiMerged }, report)
+);
+
+// Apply a column mapping to dataset records and profile the result
+const mapDatasetRecords = ({ records, mapping }, report) => {
+  report('mapping', 0);
+  const mapped = applyMapping(records, mapping);
+  report('schema', 60);
+  const fieldProfiles = profileRecords(mapped);
+  report('done', 100);
+  return { records: mapped, fieldProfiles };
+};
+
+// Profile edited dataset records
+const profileDataset = ({ records }, report) => {
+  report('schema', 0);
+  const fieldProfiles = profileRecords(records);
+  report('done', 100);
+  return { fieldProfiles };
+};
+
+// Run a query over dataset records (see datasetQuery.js). Returns the first
+// `limit` results (all without a limit) and their total count, with field
+// profiles of all results on request.
+const queryDataset = ({ records, query, limit = null, profile = false }, report) => {
+  report('query', 0);
+  const results = queryRecords(records, query);
+  report(profile ? 'schema' : 'done', profile ? 60 : 100);
+  return {
+    records: limit === null ? results : results.slice(0, limit),
+    count: results.length,
+    fieldProfiles: profile ? profileRecords(results) : null
+  };
+};
+
+// Chunk dataset records for RAG by their RAG profile (see ragChunker.js).
+// `dataset` is { id, name, version }; with a `limit` only the first chunks
+// are returned, along with the totals of all of them.
+const chunkDataset = ({ records, options, profile = null, dataset, limit = null }, report) => {
+  report('chunking', 0);
+  const { chunks, skipped, contextFields } = chunkRecords(records, options, dataset, profile);
+  report('done', 100);
+  return {
+    chunks: limit === null ? chunks : chunks.slice(0, limit),
+    count: chunks.length,
+    skipped,
+    contextFields,
+    totalTokens: chunks.reduce((total, chunk) => total + chunk.tokens, 0)
+  };
+};
+
+// Diff two dataset snapshots ({ records, schema }), see datasetVersions.js
+const diffVersions = ({ from, to }, report) => {
+  report('diff', 0);
+  const diff = diffSnapshots(from, to);
+  report('done', 100);
+  return diff;
+};
+
+export const PIPELINE_TASKS = {
+  process: processDocument,
+  processJsonl: processJsonlDocument,
+  processCsv: processCsvDocument,
+  flattenEntries,
+  structuralMerge,
+  documentRecords,
+  mapDatasetRecords,
+  profileDataset,
+  queryDataset,
+  chunkDataset,
+  diffVersions
+};
+
+// Run a pipeline task; returns its result or a promise of it (the worker and
+// the main-thread fallback share this entry point)
+export const runPipelineTask = (task, payload, report = () => {}) => {
+  const handler = PIPELINE_TASKS[task];
+  if (!handler) {
+    throw new Error(`Unknown pipeline task: ${task}`);
+  }
+  return handler(payload, report);
+};
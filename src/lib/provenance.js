@@ -0,0 +1,90 @@
+import { escapePointer } from './schemaValidation';
+
+// Field-level provenance of dataset records.
+//
+// With provenance tracking on, every record carries a `_provenance` map from
+// each of its fields to where the value came from:
+//   { entryId, source, pointer, transforms }
+// `pointer` is the JSON Pointer of the value in the entry's processed
+// document (for JSONL and CSV entries the document is the array of records)
+// and `transforms` lists what happened to it on the way, in order:
+//   'repaired'          the entry's text needed syntax repairs
+//   'ai-repaired'       an AI model repaired (part of) the entry's text
+//   'conformed'         the value was coerced or renamed to fit the schema
+//   'trimmed'           a long string value was cut to the length limit
+//   'flattened'         a nested value was moved to a dotted field name
+//   'structural-merge'  the value was picked by a structural merge
+//   'ai-merged'         the value was merged by an AI model; the map then has
+//                       `entryIds` (all merged entries) instead of `entryId`
+//   'mapped'            the field was renamed, merged or retyped by a mapping
+//   'edited'            the value was edited in the record grid
+// The map lives in the record so it follows it through dedupe, mappings and
+// merges; exports leave it out unless asked for.
+
+export const PROVENANCE_FIELD = '_provenance';
+
+// Fields merging adds to every dataset record: the source file name, the
+// entry's timestamp and, for merged documents, the names of all sources
+export const SOURCE_FIELDS = ['_source', '_timestamp', '_sourceEntries'];
+
+// A record without its provenance map
+export const stripProvenance = (record) => {
+  if (!record || !(PROVENANCE_FIELD in record)) return record;
+  const result = { ...record };
+  delete result[PROVENANCE_FIELD];
+  return result;
+};
+
+// Transforms an entry's processing applied: { document, paths } where
+// `document` applies to every value and `paths` maps JSON Pointers to the
+// transforms of that value. Sent with entries to the flatten tasks.
+export const entryTransforms = (entry) => {
+  const document = [];
+  const paths = {};
+  const add = (pointer, transform) => {
+    if (!paths[pointer]) paths[pointer] = [];
+    if (!paths[pointer].includes(transform)) paths[pointer].push(transform);
+  };
+
+  (entry.repairs || []).forEach(fix => {
+    if (fix.code?.startsWith('schema-')) {
+      if (fix.path !== undefined) add(fix.path, 'conformed');
+      return;
+    }
+    const transform = fix.code?.startsWith('ai-') ? 'ai-repaired' : 'repaired';
+    if (!document.includes(transform)) document.push(transform);
+  });
+  (entry.trimmed || []).forEach(pointer => add(pointer, 'trimmed'));
+
+  return { document, paths };
+};
+
+// Provenance map of one record. `fieldPointers` maps each field of the record
+// to the pointer of its value below `itemPointer` (see flattenObject); fields
+// missing from it are top-level keys of the item.
+export const recordProvenance = (record, { entryId, source, itemPointer, fieldPointers = {}, transforms }) => {
+  const provenance = {};
+  Object.keys(record).forEach(field => {
+    if (field.startsWith('_')) return;
+    const suffix = fieldPointers[field] ?? `/${escapePointer(field)}`;
+    const pointer = `${itemPointer}${suffix}`;
+    provenance[field] = {
+      entryId,
+      source,
+      pointer,
+      transforms: [
+        ...transforms.document,
+        ...(transforms.paths[pointer] || []),
+        ...(suffix.split('/').length > 2 ? ['flattened'] : [])
+      ]
+    };
+  });
+  return provenance;
+};
+
+// One-line description of a field's provenance for tooltips
+export const describeProvenance = (provenance) => {
+  if (!provenance) return 'No provenance recorded';
+  const transforms = provenance.transforms.length > 0 ? provenance.transforms.join(', ') : 'unchanged';
+  return `${provenance.source || provenance.entryId || provenance.entryIds?.join(', ')} ${provenance.pointer || '/'} (${transforms})`;
+};
@@ -0,0 +1,282 @@
+import { hashString } from './dedupe';
+import { PROVENANCE_FIELD } from './provenance';
+import { ROW_ID_FIELD } from './datasetVersions';
+import { profileRecords } from './schemaInference';
+
+// Chunking dataset records for RAG.
+//
+// Each record is turned into content text and metadata by the dataset's RAG
+// profile: { fields: { [field]: 'content' | 'metadata' | 'exclude' },
+// template }. Content fields make up the text (or, with a template such as
+// `{description} — {quantity} {unit} @ {rate}`, the rendered template does),
+// metadata fields go with the chunk and excluded fields nowhere. Without a
+// profile, long strings are content and everything else metadata.
+//
+// Texts longer than the token budget are split on paragraph boundaries, then
+// sentences, then words; consecutive chunks of one record overlap by the last
+// words of the previous chunk, up to `overlapTokens`.
+// Small records in a row that share the same context are packed into one
+// chunk. The context (dataset name and the values of the context fields,
+// e.g. the BOQ section) is prepended to every chunk. Chunk ids are hashes of
+// the dataset, the row ids and the text, so chunking the same dataset
+// version again gives the same ids.
+
+export const DEFAULT_CHUNK_OPTIONS = {
+  targetTokens: 256,
+  overlapTokens: 32,
+  // Fields whose values are prepended to chunks as their context; null
+  // picks the fields that look like section titles
+  contextFields: null,
+  includeDatasetName: true,
+  // Put consecutive small records with the same context in one chunk
+  packRecords: true
+};
+
+// Smallest token budget left for chunk text after the context
+const MIN_BODY_TOKENS = 16;
+// Without a profile, strings longer than this are content
+const CONTENT_MIN_LENGTH = 100;
+// Suggested profiles make string fields content when their values can be
+// longer than this and they are not enums
+const SUGGESTED_CONTENT_LENGTH = 40;
+
+export const RAG_FIELD_ROLES = ['content', 'metadata', 'exclude'];
+
+const CONTEXT_FIELD_PATTERN = /(^|[^a-z])(section|chapter|heading|division|category|trade)([^a-z]|$)/i;
+
+// Rough token count: about four characters per token, and at least one
+// token per word
+export const estimateTokens = (text) => {
+  if (!text) return 0;
+  const words = text.trim().split(/\s+/).filter(Boolean).length;
+  return Math.max(words, Math.ceil(text.length / 4));
+};
+
+// Fields that look like section titles, used as context by default
+export const suggestContextFields = (fields) => fields.filter(field => CONTEXT_FIELD_PATTERN.test(field));
+
+// RAG profile suggested by field profiles (see schemaInference): longer
+// free-text strings are content, the rest metadata
+export const suggestRagProfile = (fieldProfiles) => ({
+  fields: Object.fromEntries(Object.entries(fieldProfiles).map(([field, profile]) => [
+    field,
+    !field.startsWith('_') && profile.types?.string && !profile.enum && !profile.format &&
+      profile.maxLength > SUGGESTED_CONTENT_LENGTH ? 'content' : 'metadata'
+  ])),
+  template: ''
+});
+
+// The RAG profile a dataset is exported with: its own or the suggested one
+export const datasetRagProfile = (dataset) => (
+  dataset.ragProfile || suggestRagProfile(dataset.fieldProfiles || profileRecords(dataset.records))
+);
+
+const TEMPLATE_FIELD = /\{([^{}]+)\}/g;
+
+const valueText = (value) => {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Fields a text template refers to
+export const templateFields = (template) => Array.from(
+  new Set(Array.from(template.matchAll(TEMPLATE_FIELD), match => match[1].trim()))
+);
+
+// A record rendered with a text template: `{field}` is replaced by the
+// field's value (empty when missing)
+export const renderTemplate = (template, record) => template
+  .replace(TEMPLATE_FIELD, (match, field) => valueText(record[field.trim()]))
+  .replace(/[ \t]{2,}/g, ' ')
+  .trim();
+
+const fieldRole = (field, value, profile) => {
+  if (profile) return profile.fields[field] || 'metadata';
+  return !field.startsWith('_') && typeof value === 'string' && value.length > CONTENT_MIN_LENGTH
+    ? 'content'
+    : 'metadata';
+};
+
+// Content text and metadata of a record by a RAG profile (or, without one,
+// long strings as content). Several content fields are written one per
+// paragraph as `field: value`; a single one as its value alone.
+export const splitRecord = (record, profile = null) => {
+  const content = [];
+  const metadata = {};
+  Object.keys(record).forEach(field => {
+    if (field === PROVENANCE_FIELD || field === ROW_ID_FIELD) return;
+    const value = record[field];
+    const role = fieldRole(field, value, profile);
+    if (role === 'metadata') metadata[field] = value;
+    else if (role === 'content' && valueText(value).trim() !== '') content.push([field, valueText(value)]);
+  });
+
+  if (profile?.template) return { text: renderTemplate(profile.template, record), metadata };
+  const text = content.length === 1 || !profile
+    ? content.map(([, value]) => value).join('\n\n')
+    : content.map(([field, value]) => `${field}: ${value}`).join('\n\n');
+  return { text, metadata };
+};
+
+const SENTENCE_BOUNDARY = /(?<=[.!?…])\s+(?=["'“(\[]?[\p{Lu}\d])/u;
+
+// Split text into pieces of at most `budget` tokens, on paragraph, then
+// sentence, then word boundaries. Pieces are { text, paragraphStart }.
+const splitText = (text, budget) => {
+  const pieces = [];
+  text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean).forEach(paragraph => {
+    if (estimateTokens(paragraph) <= budget) {
+      pieces.push({ text: paragraph, paragraphStart: true });
+      return;
+    }
+    paragraph.split(SENTENCE_BOUNDARY).map(sentence => sentence.trim()).filter(Boolean).forEach((sentence, s) => {
+      if (estimateTokens(sentence) <= budget) {
+        pieces.push({ text: sentence, paragraphStart: s === 0 });
+        return;
+      }
+      // A sentence over the budget is cut between words
+      let words = [];
+      let length = 0;
+      let paragraphStart = s === 0;
+      const pushWords = () => {
+        pieces.push({ text: words.join(' '), paragraphStart });
+        paragraphStart = false;
+        words = [];
+        length = 0;
+      };
+      sentence.split(/\s+/).forEach(word => {
+        const next = length + word.length + (words.length > 0 ? 1 : 0);
+        if (words.length > 0 && Math.max(words.length + 1, Math.ceil(next / 4)) > budget) pushWords();
+        length += word.length + (words.length > 0 ? 1 : 0);
+        words.push(word);
+      });
+      if (words.length > 0) pushWords();
+    });
+  });
+  return pieces;
+};
+
+const contextOf = (record, options, datasetName) => {
+  const parts = options.includeDatasetName && datasetName ? [datasetName] : [];
+  options.contextFields.forEach(field => {
+    const value = record[field];
+    if (value !== null && value !== undefined && value !== '') parts.push(String(value));
+  });
+  return parts.join(' › ');
+};
+
+// The last words of a text that fit in `budget` tokens
+const tailWords = (text, budget) => {
+  const words = text.split(/\s+/).filter(Boolean);
+  let start = words.length;
+  while (start > 0 && estimateTokens(words.slice(start - 1).join(' ')) <= budget) start--;
+  return words.slice(start).join(' ');
+};
+
+const joinSegments = (segments) => segments.map((segment, i) => {
+  if (i === 0) return segment.text;
+  const sameRecord = segments[i - 1].index === segment.index;
+  return `${sameRecord && !segment.paragraphStart ? ' ' : '\n\n'}${segment.text}`;
+}).join('');
+
+// Chunk dataset records. `profile` is the dataset's RAG profile (see
+// splitRecord); `dataset` is { id, name, version } and goes into
+// every chunk's metadata. Returns { chunks, skipped } where chunks are
+// { id, text, tokens, metadata: { dataset_id, dataset_name, dataset_version,
+// context, row_ids, record_indices, records } } (`records` holds the
+// metadata of each record in the chunk), `skipped` counts the records
+// without content text and `contextFields` are the context fields used.
+export const chunkRecords = (records, options = {}, dataset = {}, profile = null) => {
+  const settings = { ...DEFAULT_CHUNK_OPTIONS, ...options };
+  if (!settings.contextFields) {
+    const fields = new Set();
+    records.forEach(record => Object.keys(record).forEach(field => fields.add(field)));
+    settings.contextFields = suggestContextFields(Array.from(fields));
+  }
+  const targetTokens = Math.max(MIN_BODY_TOKENS, settings.targetTokens);
+  const chunks = [];
+  let skipped = 0;
+
+  // Current chunk: its context and { text, index, tokens, paragraphStart }
+  // segments
+  let context = null;
+  let segments = [];
+  let tokens = 0;
+  const metadataByIndex = new Map();
+  // Chunks emitted so far per record they start in, so that chunks of one
+  // record with the same text still get different ids
+  const ordinals = new Map();
+
+  const emit = () => {
+    if (segments.length === 0) return;
+    const body = joinSegments(segments);
+    const text = context ? `${context}\n\n${body}` : body;
+    const indices = Array.from(new Set(segments.map(segment => segment.index)));
+    const rowIds = indices.map(index => records[index][ROW_ID_FIELD] ?? null);
+    const ordinal = ordinals.get(indices[0]) || 0;
+    ordinals.set(indices[0], ordinal + 1);
+    chunks.push({
+      id: `chunk-${hashString(`${dataset.id || ''}\n${rowIds.join(',')}\n${ordinal}\n${text}`)}`,
+      text,
+      tokens: estimateTokens(text),
+      metadata: {
+        dataset_id: dataset.id,
+        dataset_name: dataset.name,
+        dataset_version: dataset.version,
+        context,
+        row_ids: rowIds,
+        record_indices: indices,
+        records: indices.map(index => metadataByIndex.get(index))
+      }
+    });
+  };
+
+  records.forEach((record, index) => {
+    const { text, metadata } = splitRecord(record, profile);
+    if (!text.trim()) {
+      skipped++;
+      return;
+    }
+    metadataByIndex.set(index, metadata);
+
+    const recordContext = contextOf(record, settings, dataset.name);
+    const budget = Math.max(MIN_BODY_TOKENS, targetTokens - (recordContext ? estimateTokens(`${recordContext}\n\n`) : 0));
+    const overlap = Math.min(settings.overlapTokens, Math.floor(budget / 2));
+
+    // A new chunk for a new context, or for every record without packing
+    if (recordContext !== context || !settings.packRecords) {
+      emit();
+      context = recordContext;
+      segments = [];
+      tokens = 0;
+    }
+
+    // Pieces leave room for the overlap carried in front of them
+    const pieces = splitText(text, budget - overlap);
+    const recordTokens = pieces.reduce((total, piece) => total + estimateTokens(piece.text), 0);
+    // Records that fit a chunk alone are never split across two
+    if (segments.length > 0 && recordTokens <= budget && tokens + recordTokens > budget) {
+      emit();
+      segments = [];
+      tokens = 0;
+    }
+
+    pieces.forEach(piece => {
+      const pieceTokens = estimateTokens(piece.text);
+      if (segments.length > 0 && tokens + pieceTokens > budget) {
+        emit();
+        // Carry the last words of this record's text over as overlap
+        let start = segments.length;
+        while (start > 0 && segments[start - 1].index === index) start--;
+        const carried = tailWords(joinSegments(segments.slice(start)), overlap);
+        segments = carried ? [{ text: carried, index, tokens: estimateTokens(carried), paragraphStart: false }] : [];
+        tokens = carried ? segments[0].tokens : 0;
+      }
+      segments.push({ ...piece, index, tokens: pieceTokens });
+      tokens += pieceTokens;
+    });
+  });
+  emit();
+
+  return { chunks, skipped, contextFields: settings.contextFields };
+};
@@ -0,0 +1,149 @@
+import { coerceScalar } from './schemaConform';
+import { PROVENANCE_FIELD } from './provenance';
+import { ROW_ID_FIELD } from './datasetVersions';
+
+// Editing dataset records in the record grid.
+//
+// Cells are edited as text and parsed back against the field's schema type
+// (see schemaInference): numbers, integers and booleans must coerce
+// unambiguously, objects and arrays must be JSON of that kind, and an empty
+// cell is null unless the field is a string. Edited values keep their
+// provenance with an 'edited' transform appended.
+
+// Columns of the grid: the dataset's schema fields, then any other field
+// of the records, metadata of the grid itself left out
+export const gridColumns = (records, schema = {}) => {
+  const columns = new Set(Object.keys(schema));
+  records.forEach(record => Object.keys(record).forEach(field => columns.add(field)));
+  columns.delete(PROVENANCE_FIELD);
+  columns.delete(ROW_ID_FIELD);
+  return Array.from(columns);
+};
+
+// Text of a cell value for display and editing
+export const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Parse the text of an edited cell for a field of the given schema type.
+// Returns { value } or { error }.
+export const parseCell = (text, type) => {
+  if (type === 'string') return { value: text };
+  if (text.trim() === '') return { value: null };
+
+  if (type === 'integer' || type === 'number' || type === 'boolean') {
+    const coerced = coerceScalar(text, [type]);
+    return coerced || { error: `Expected ${type === 'integer' ? 'an integer' : `a ${type}`}` };
+  }
+
+  if (type === 'object' || type === 'array') {
+    try {
+      const value = JSON.parse(text);
+      const isArray = Array.isArray(value);
+      if (value !== null && typeof value === 'object' && isArray === (type === 'array')) return { value };
+    } catch (e) {
+      // Reported below
+    }
+    return { error: `Expected a JSON ${type}` };
+  }
+
+  // Mixed, null-only or unknown fields take JSON literals, anything else as text
+  try {
+    return { value: JSON.parse(text) };
+  } catch (e) {
+    return { value: text };
+  }
+};
+
+// A record with one field set; its provenance, if any, records the edit
+export const setCell = (record, field, value) => {
+  const result = { ...record, [field]: value };
+  const provenance = record[PROVENANCE_FIELD];
+  if (provenance?.[field] && !provenance[field].transforms.includes('edited')) {
+    result[PROVENANCE_FIELD] = {
+      ...provenance,
+      [field]: { ...provenance[field], transforms: [...provenance[field].transforms, 'edited'] }
+    };
+  }
+  return result;
+};
+
+// Sort order for cell values: empty cells last, numbers by value, anything
+// else by its text
+export const compareValues = (a, b) => {
+  const aEmpty = a === null || a === undefined || a === '';
+  const bEmpty = b === null || b === undefined || b === '';
+  if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return formatCell(a).localeCompare(formatCell(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+// Indices of the records shown by the grid: those matching every column
+// filter (case-insensitive text match), sorted by `sort` ({ field,
+// direction: 'asc' | 'desc' }) when given; ties keep record order
+export const queryRows = (records, { filters = {}, sort = null } = {}) => {
+  const activeFilters = Object.entries(filters)
+    .filter(([, text]) => text.trim() !== '')
+    .map(([field, text]) => [field, text.trim().toLowerCase()]);
+
+  const rows = [];
+  records.forEach((record, index) => {
+    if (activeFilters.every(([field, text]) => formatCell(record[field]).toLowerCase().includes(text))) {
+      rows.push(index);
+    }
+  });
+
+  if (sort) {
+    const direction = sort.direction === 'desc' ? -1 : 1;
+    rows.sort((a, b) => {
+      const order = compareValues(records[a][sort.field], records[b][sort.field]);
+      if (order === 0) return a - b;
+      // Empty cells stay last either way
+      const aEmpty = formatCell(records[a][sort.field]) === '';
+      const bEmpty = formatCell(records[b][sort.field]) === '';
+      return aEmpty !== bEmpty ? order : order * direction;
+    });
+  }
+  return rows;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Replace text in the cells of the given records (indices) and fields. Each
+// replaced cell is parsed again for its field's type; cells whose result
+// does not fit are left as they are. Returns { records, replaced, skipped }
+// with `records` a new array (unchanged records are shared).
+export const findAndReplace = (records, { find, replace, fields, rows, matchCase = false, schema = {} }) => {
+  if (!find) {
+    throw new Error("Enter the text to find");
+  }
+  const pattern = new RegExp(escapeRegExp(find), matchCase ? 'g' : 'gi');
+  const result = records.slice();
+  let replaced = 0;
+  let skipped = 0;
+
+  rows.forEach(index => {
+    let record = result[index];
+    fields.forEach(field => {
+      if (!(field in record)) return;
+      const text = formatCell(record[field]);
+      pattern.lastIndex = 0;
+      if (!pattern.test(text)) return;
+      const parsed = parseCell(text.replace(pattern, () => replace), schema[field] || typeof record[field]);
+      if (parsed.error) {
+        skipped++;
+        return;
+      }
+      record = setCell(record, field, parsed.value);
+      replaced++;
+    });
+    result[index] = record;
+  });
+
+  return { records: result, replaced, skipped };
+};
+
+// An empty record with every column set to null
+export const emptyRecord = (columns) => Object.fromEntries(columns.map(field => [field, null]));
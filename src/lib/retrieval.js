@@ -0,0 +1,152 @@
+// In-memory retrieval over RAG chunks, to check how well they retrieve
+// before exporting them.
+//
+// Chunks (see ragChunker) are indexed with BM25 over their words and, when
+// they have embeddings (see embeddings), by cosine similarity of their
+// vectors; hybrid search fuses both rankings by reciprocal rank. An
+// evaluation set is a list of { id, query, expected: [chunk id] } whose
+// recall@k says how many of the expected chunks are in the top k results.
+
+export const RETRIEVAL_MODES = {
+  bm25: 'BM25',
+  cosine: 'Cosine',
+  hybrid: 'Hybrid'
+};
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Reciprocal rank fusion constant: higher values flatten the rank weights
+const RRF_K = 60;
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Lowercase words of a text
+export const tokenize = (text) => Array.from(String(text).toLowerCase().matchAll(WORD), match => match[0]);
+
+// BM25 index of chunk texts
+export const buildBm25Index = (chunks) => {
+  const documents = chunks.map(chunk => {
+    const terms = new Map();
+    const words = tokenize(chunk.text);
+    words.forEach(word => terms.set(word, (terms.get(word) || 0) + 1));
+    return { terms, length: words.length };
+  });
+  const documentFrequency = new Map();
+  documents.forEach(({ terms }) => terms.forEach((count, term) => {
+    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }));
+  const totalLength = documents.reduce((total, doc) => total + doc.length, 0);
+  return {
+    documents,
+    documentFrequency,
+    averageLength: documents.length > 0 ? totalLength / documents.length : 0
+  };
+};
+
+// Top `k` chunks for a query as [{ index, score }], best first; chunks
+// sharing no word with the query are left out
+export const searchBm25 = (index, query, k) => {
+  const count = index.documents.length;
+  const terms = Array.from(new Set(tokenize(query)));
+  const scored = [];
+
+  index.documents.forEach((doc, i) => {
+    let score = 0;
+    terms.forEach(term => {
+      const frequency = doc.terms.get(term);
+      if (!frequency) return;
+      const df = index.documentFrequency.get(term);
+      const idf = Math.log(1 + (count - df + 0.5) / (df + 0.5));
+      const norm = BM25_K1 * (1 - BM25_B + BM25_B * (doc.length / (index.averageLength || 1)));
+      score += idf * (frequency * (BM25_K1 + 1)) / (frequency + norm);
+    });
+    if (score > 0) scored.push({ index: i, score });
+  });
+
+  return scored.sort((a, b) => b.score - a.score || a.index - b.index).slice(0, k);
+};
+
+const norm = (vectors, offset, dimensions) => {
+  let sum = 0;
+  for (let d = 0; d < dimensions; d++) sum += vectors[offset + d] * vectors[offset + d];
+  return Math.sqrt(sum);
+};
+
+// Cosine index of row-major vectors (a Float32Array of count × dimensions)
+export const buildVectorIndex = (vectors, dimensions) => {
+  const count = dimensions > 0 ? vectors.length / dimensions : 0;
+  const norms = new Float32Array(count);
+  for (let i = 0; i < count; i++) norms[i] = norm(vectors, i * dimensions, dimensions);
+  return { vectors, dimensions, norms, count };
+};
+
+// Top `k` chunks by cosine similarity to a query vector as [{ index, score }]
+export const searchVectors = (index, queryVector, k) => {
+  if (queryVector.length !== index.dimensions) {
+    throw new Error(`The query vector has ${queryVector.length} dimensions, the index ${index.dimensions}`);
+  }
+  const queryNorm = norm(queryVector, 0, index.dimensions) || 1;
+  const scored = [];
+  for (let i = 0; i < index.count; i++) {
+    const offset = i * index.dimensions;
+    let dot = 0;
+    for (let d = 0; d < index.dimensions; d++) dot += index.vectors[offset + d] * queryVector[d];
+    scored.push({ index: i, score: dot / ((index.norms[i] || 1) * queryNorm) });
+  }
+  return scored.sort((a, b) => b.score - a.score || a.index - b.index).slice(0, k);
+};
+
+// Fuse rankings ([{ index, score }] lists, best first) by reciprocal rank
+export const fuseRankings = (rankings, k) => {
+  const scores = new Map();
+  rankings.forEach(ranking => ranking.forEach(({ index }, rank) => {
+    scores.set(index, (scores.get(index) || 0) + 1 / (RRF_K + rank + 1));
+  }));
+  return Array.from(scores, ([index, score]) => ({ index, score }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, k);
+};
+
+// Text split into { text, match } segments, `match` set on the words of the
+// query, for highlighting
+export const highlightMatches = (text, query) => {
+  const terms = new Set(tokenize(query));
+  const segments = [];
+  let last = 0;
+  for (const match of text.matchAll(WORD)) {
+    if (!terms.has(match[0].toLowerCase())) continue;
+    if (match.index > last) segments.push({ text: text.slice(last, match.index), match: false });
+    segments.push({ text: match[0], match: true });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last), match: false });
+  return segments;
+};
+
+// Share of the expected chunk ids among the first k retrieved ids
+export const recallAtK = (expected, retrievedIds, k) => {
+  if (expected.length === 0) return 0;
+  const top = new Set(retrievedIds.slice(0, k));
+  return expected.filter(id => top.has(id)).length / expected.length;
+};
+
+// Recall@k of an evaluation set. `retrieved` maps item ids to the retrieved
+// chunk ids, best first; `chunkIds` are the ids of the current chunks, to
+// report expected chunks that no longer exist (after re-chunking or a new
+// dataset version). Returns { recall, items: [{ id, recall, hits, missing }] }.
+export const evaluateRetrieval = (items, retrieved, k, chunkIds) => {
+  const known = new Set(chunkIds);
+  const results = items.map(item => {
+    const top = new Set((retrieved[item.id] || []).slice(0, k));
+    return {
+      id: item.id,
+      recall: recallAtK(item.expected, retrieved[item.id] || [], k),
+      hits: item.expected.filter(id => top.has(id)),
+      missing: item.expected.filter(id => !known.has(id))
+    };
+  });
+  return {
+    recall: results.length > 0 ? results.reduce((total, result) => total + result.recall, 0) / results.length : 0,
+    items: results
+  };
+};
@@ -0,0 +1,228 @@
+import { escapePointer, jsonType, matchesType, resolveRef } from './schemaValidation';
+
+// Deterministic conformance of parsed data to a target JSON Schema.
+//
+// Before (and after) a model is asked to normalize a document, the obvious
+// mismatches are fixed locally: scalar types are coerced where the value is
+// unambiguous, keys that are near misses of a declared property are renamed
+// (e.g. `qty` -> `quantity`), and missing required properties are filled with
+// null. Each change is reported as a fix with the JSON Pointer it applies to.
+
+// Key length below which only exact (normalized) matches are renamed
+const MIN_FUZZY_KEY_LENGTH = 3;
+
+const normalizeKey = (key) => key.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (value, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Abbreviations keep the first letter and the order of the letters they
+// keep (qty -> quantity, desc -> description)
+const isAbbreviation = (short, long) => {
+  if (short.length >= long.length || short[0] !== long[0]) return false;
+  let position = 0;
+  for (const ch of short) {
+    position = long.indexOf(ch, position);
+    if (position === -1) return false;
+    position++;
+  }
+  return true;
+};
+
+// How well `key` matches `property` (lower is better), or null for no match
+export const keyDistance = (key, property) => {
+  const a = normalizeKey(key);
+  const b = normalizeKey(property);
+  if (!a || !b) return null;
+  if (a === b) return 0;
+  if (a.length < MIN_FUZZY_KEY_LENGTH || b.length < MIN_FUZZY_KEY_LENGTH) return null;
+  if (isAbbreviation(a, b) || isAbbreviation(b, a)) return 1;
+  const distance = editDistance(a, b);
+  return distance <= Math.min(2, Math.floor(Math.min(a.length, b.length) / 4)) ? 1 + distance : null;
+};
+
+// Declared property for an undeclared key when exactly one missing property
+// matches it best
+const findNearMiss = (key, candidates) => {
+  let best = null;
+  let bestDistance = Infinity;
+  let tied = false;
+  candidates.forEach(property => {
+    const distance = keyDistance(key, property);
+    if (distance === null) return;
+    if (distance < bestDistance) {
+      best = property;
+      bestDistance = distance;
+      tied = false;
+    } else if (distance === bestDistance) {
+      tied = true;
+    }
+  });
+  return tied ? null : best;
+};
+
+const allowedTypes = (schema) => {
+  if (schema.type === undefined) return null;
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+};
+
+const NUMBER_PATTERN = /^[+-]?(\d+|\d{1,3}(,\d{3})+)(\.\d+)?([eE][+-]?\d+)?$/;
+const TRUE_STRINGS = ['true', 'yes', 'y', '1'];
+const FALSE_STRINGS = ['false', 'no', 'n', '0'];
+
+// Coerce a scalar to one of the allowed types; returns { value } or null
+// when no unambiguous coercion exists
+export const coerceScalar = (value, types) => {
+  if (types.some(type => matchesType(value, type))) return { value };
+
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (text === '' && types.includes('null')) return { value: null };
+    if (NUMBER_PATTERN.test(text) && (types.includes('number') || types.includes('integer'))) {
+      const number = Number(text.replace(/,/g, ''));
+      if (types.includes('number') || Number.isInteger(number)) return { value: number };
+    }
+    if (types.includes('boolean')) {
+      if (TRUE_STRINGS.includes(text.toLowerCase())) return { value: true };
+      if (FALSE_STRINGS.includes(text.toLowerCase())) return { value: false };
+    }
+    return null;
+  }
+
+  if (typeof value === 'number') {
+    if (types.includes('string')) return { value: String(value) };
+    if (types.includes('integer') && Math.abs(value - Math.round(value)) < 1e-9) {
+      return { value: Math.round(value) };
+    }
+    if (types.includes('boolean') && (value === 0 || value === 1)) return { value: value === 1 };
+    return null;
+  }
+
+  if (typeof value === 'boolean' && types.includes('string')) return { value: String(value) };
+  return null;
+};
+
+const conformNode = (value, schema, path, root, fixes) => {
+  if (!schema || typeof schema !== 'object') return value;
+  if (schema.$ref) {
+    try {
+      return conformNode(value, resolveRef(root, schema.$ref), path, root, fixes);
+    } catch (e) {
+      return value;
+    }
+  }
+
+  const types = allowedTypes(schema);
+
+  // A lone value where a list is expected
+  if (types && types.includes('array') && value !== null && !types.some(type => matchesType(value, type))) {
+    fixes.push({ code: 'schema-wrap', message: 'Wrapped value in an array', path, lossy: false });
+    value = [value];
+  }
+
+  if (types && (value === null || typeof value !== 'object')) {
+    const coerced = coerceScalar(value, types);
+    if (coerced && coerced.value !== value) {
+      fixes.push({
+        code: 'schema-coerce',
+        message: `Coerced ${jsonType(value)} to ${jsonType(coerced.value)}`,
+        detail: `${JSON.stringify(value)} -> ${JSON.stringify(coerced.value)}`,
+        path,
+        lossy: false
+      });
+      value = coerced.value;
+    }
+  }
+
+  if (Array.isArray(value)) {
+    const prefix = schema.prefixItems || [];
+    return value.map((item, i) => conformNode(
+      item,
+      i < prefix.length ? prefix[i] : schema.items,
+      `${path}/${i}`,
+      root,
+      fixes
+    ));
+  }
+
+  if (!value || typeof value !== 'object') return value;
+
+  let result = value;
+  if (schema.properties) {
+    result = {};
+
+    // Rename undeclared keys onto declared properties the object lacks
+    const missing = Object.keys(schema.properties).filter(property => !(property in value));
+    Object.keys(value).forEach(key => {
+      let target = key;
+      if (!(key in schema.properties) && missing.length > 0) {
+        const match = findNearMiss(key, missing);
+        if (match) {
+          target = match;
+          missing.splice(missing.indexOf(match), 1);
+          fixes.push({
+            code: 'schema-rename',
+            message: 'Renamed key to match the schema',
+            detail: `${key} -> ${match}`,
+            path: `${path}/${escapePointer(match)}`,
+            lossy: true
+          });
+        }
+      }
+      result[target] = target in schema.properties
+        ? conformNode(value[key], schema.properties[target], `${path}/${escapePointer(target)}`, root, fixes)
+        : value[key];
+    });
+  }
+
+  (schema.required || []).forEach(property => {
+    if (!(property in result)) {
+      if (result === value) result = { ...value };
+      result[property] = null;
+      fixes.push({
+        code: 'schema-fill',
+        message: 'Filled missing required field with null',
+        path: `${path}/${escapePointer(property)}`,
+        lossy: true
+      });
+    }
+  });
+  return result;
+};
+
+// Conform a value to a schema. Returns { value, fixes } where fixes are
+// { code, message, detail?, path, lossy }.
+export const conformToSchema = (value, schema) => {
+  const fixes = [];
+  const conformed = conformNode(value, schema, '', schema, fixes);
+  return { value: conformed, fixes };
+};
+
+// Conform a processed document to an attached schema ({ schema, appliesTo }),
+// record by record when the schema describes one record
+export const conformDocument = (document, { schema, appliesTo = 'document' }) => {
+  if (appliesTo !== 'records' || !Array.isArray(document)) {
+    return conformToSchema(document, schema);
+  }
+
+  const fixes = [];
+  const value = document.map((record, i) => {
+    const result = conformToSchema(record, schema);
+    result.fixes.forEach(fix => fixes.push({ ...fix, path: `/${i}${fix.path}` }));
+    return result.value;
+  });
+  return { value, fixes };
+};
@@ -0,0 +1,267 @@
+import { PROVENANCE_FIELD, SOURCE_FIELDS } from './provenance';
+import { ROW_ID_FIELD } from './datasetVersions';
+
+// Field profiling and JSON Schema inference for merged datasets.
+//
+// Every field gets a profile built from all of its values: the value types
+// (integers and floats apart), string formats, low-cardinality enums, how
+// often the field is present and null, numeric and length ranges, and the
+// profiles of nested object properties and array items. Profiles are plain
+// data so they can be stored with a dataset and turned into a JSON Schema
+// (draft 2020-12) at export time.
+
+export const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+// A string field is an enum when it has at most this many distinct values...
+const MAX_ENUM_VALUES = 12;
+// ...and each value repeats on average at least this often
+const MIN_ENUM_REPEAT = 2;
+// Values longer than this are never enum members
+const MAX_ENUM_LENGTH = 64;
+
+const DATE = '\\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\\d|3[01])';
+const TIME = '([01]\\d|2[0-3]):[0-5]\\d(:[0-5]\\d(\\.\\d+)?)?';
+
+// ISO timestamps that are not strict RFC 3339 date-times (no UTC offset as in
+// spreadsheet dates, a space separator, no seconds) are exported with this
+// pattern instead of a format
+const TIMESTAMP_PATTERN = `^${DATE}[T ]${TIME}(Z|[+-]([01]\\d|2[0-3]):?[0-5]\\d)?$`;
+
+// Checked in order; the first format every value matches wins
+const STRING_FORMATS = [
+  ['date', new RegExp(`^${DATE}$`)],
+  ['date-time', new RegExp(`^${DATE}T([01]\\d|2[0-3]):[0-5]\\d:[0-5]\\d(\\.\\d+)?(Z|[+-]([01]\\d|2[0-3]):[0-5]\\d)$`, 'i')],
+  ['timestamp', new RegExp(TIMESTAMP_PATTERN, 'i')],
+  ['email', /^[^\s@]+@[^\s@]+\.[^\s@]+$/],
+  ['uri', /^[a-z][a-z0-9+.-]*:\/\/[^\s]+$/i]
+];
+
+// JSON type of a value, with integers told apart from other numbers
+export const valueType = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const detectFormat = (strings) => {
+  if (strings.length === 0) return undefined;
+  const match = STRING_FORMATS.find(([, pattern]) => strings.every(text => pattern.test(text)));
+  return match ? match[0] : undefined;
+};
+
+// Overall type of a field from the counts of its non-null value types
+const summarizeType = (types) => {
+  const names = Object.keys(types);
+  if (names.length === 0) return 'null';
+  if (names.length === 1) return names[0];
+  if (names.length === 2 && types.integer && types.number) return 'number';
+  return 'mixed';
+};
+
+// Profile of a list of values. `total` is the number of records (or parent
+// objects) the values were collected from, so missing values lower the
+// presence ratio.
+export const profileValues = (values, total = values.length) => {
+  const types = {};
+  let nullCount = 0;
+  const strings = [];
+  const numbers = [];
+  const objects = [];
+  const items = [];
+
+  values.forEach(value => {
+    const type = valueType(value);
+    if (type === 'null') {
+      nullCount++;
+      return;
+    }
+    types[type] = (types[type] || 0) + 1;
+
+    if (type === 'string') strings.push(value);
+    else if (type === 'integer' || type === 'number') numbers.push(value);
+    else if (type === 'object') objects.push(value);
+    else if (type === 'array') value.forEach(item => items.push(item));
+  });
+
+  const profile = {
+    type: summarizeType(types),
+    types,
+    count: values.length,
+    nullCount,
+    nullable: nullCount > 0,
+    presence: total > 0 ? values.length / total : 0
+  };
+
+  if (numbers.length > 0) {
+    profile.minimum = numbers.reduce((min, n) => (n < min ? n : min), numbers[0]);
+    profile.maximum = numbers.reduce((max, n) => (n > max ? n : max), numbers[0]);
+  }
+
+  if (strings.length > 0) {
+    profile.minLength = strings.reduce((min, text) => Math.min(min, text.length), Infinity);
+    profile.maxLength = strings.reduce((max, text) => Math.max(max, text.length), 0);
+
+    const format = detectFormat(strings);
+    if (format) {
+      profile.format = format;
+    } else {
+      const distinct = new Set(strings);
+      if (distinct.size <= MAX_ENUM_VALUES &&
+          strings.length >= distinct.size * MIN_ENUM_REPEAT &&
+          profile.maxLength <= MAX_ENUM_LENGTH) {
+        profile.enum = Array.from(distinct).sort();
+      }
+    }
+  }
+
+  if (objects.length > 0) {
+    profile.properties = profileRecords(objects);
+  }
+
+  if (types.array) {
+    profile.items = profileValues(items);
+  }
+
+  return profile;
+};
+
+// { [field]: profile } for a list of records; provenance maps and row ids
+// are not data and are skipped
+export const profileRecords = (records) => {
+  const valuesByField = new Map();
+  records.forEach(record => {
+    Object.keys(record).forEach(field => {
+      if (field === PROVENANCE_FIELD || field === ROW_ID_FIELD) return;
+      if (!valuesByField.has(field)) valuesByField.set(field, []);
+      valuesByField.get(field).push(record[field]);
+    });
+  });
+
+  const profiles = {};
+  valuesByField.forEach((values, field) => {
+    profiles[field] = profileValues(values, records.length);
+  });
+  return profiles;
+};
+
+// Short type label of a profile for the dataset schema table, e.g.
+// 'integer', 'string (date-time)' or 'enum'
+export const profileTypeLabel = (profile) => {
+  if (profile.enum) return 'enum';
+  if (profile.format) return `${profile.type} (${profile.format})`;
+  if (profile.type === 'array' && profile.items && profile.items.type !== 'null') {
+    return `array<${profileTypeLabel(profile.items)}>`;
+  }
+  return profile.type;
+};
+
+// JSON Schema (without $schema) for one profile. The schema only fixes the
+// types, formats and required fields, so that new data with other values
+// still validates; the observed enum and numeric range are kept under
+// `x-observed`. With `strict` they become `enum`, `minimum` and `maximum`.
+export const profileToJsonSchema = (profile, { strict = false } = {}) => {
+  const nonNullTypes = Object.keys(profile.types)
+    .filter(type => !(type === 'integer' && profile.types.number));
+  const types = profile.nullable ? [...nonNullTypes, 'null'] : nonNullTypes;
+
+  const schema = {};
+  if (types.length === 1) schema.type = types[0];
+  else if (types.length > 1) schema.type = types;
+
+  if (profile.format === 'timestamp') schema.pattern = TIMESTAMP_PATTERN;
+  else if (profile.format) schema.format = profile.format;
+
+  const observed = {};
+  if (profile.enum) observed.enum = strict && profile.nullable ? [...profile.enum, null] : profile.enum;
+  if (profile.minimum !== undefined) {
+    observed.minimum = profile.minimum;
+    observed.maximum = profile.maximum;
+  }
+  if (strict) Object.assign(schema, observed);
+  else if (Object.keys(observed).length > 0) schema['x-observed'] = observed;
+
+  if (profile.properties) {
+    Object.assign(schema, recordsToJsonSchema(profile.properties, { strict }));
+  }
+  if (profile.items && profile.items.count > 0) {
+    schema.items = profileToJsonSchema(profile.items, { strict });
+  }
+
+  return schema;
+};
+
+// Object schema for a map of field profiles; fields present in every record
+// are required
+const recordsToJsonSchema = (profiles, options) => {
+  const properties = {};
+  const required = [];
+  Object.entries(profiles).forEach(([field, profile]) => {
+    properties[field] = profileToJsonSchema(profile, options);
+    if (profile.presence === 1) required.push(field);
+  });
+
+  const schema = { properties };
+  if (required.length > 0) schema.required = required;
+  return schema;
+};
+
+// Draft 2020-12 JSON Schema describing a dataset: an array of records.
+// `strict` is passed on to profileToJsonSchema.
+export const toJsonSchema = (profiles, { title, description, strict = false } = {}) => {
+  const schema = { $schema: JSON_SCHEMA_DIALECT };
+  if (title) schema.title = title;
+  if (description) schema.description = description;
+  schema.type = 'array';
+  schema.items = { type: 'object', ...recordsToJsonSchema(profiles, { strict }) };
+  return schema;
+};
+
+// Object schema with the dotted field names of flattened records (`a.b`)
+// turned back into nested properties. A parent is required when one of its
+// children is; children with array indices (`items.0.name`) only make the
+// parent an array.
+const nestProperties = ({ properties = {}, required = [] }) => {
+  const nested = {};
+  const nestedRequired = new Set();
+  const children = new Map();
+
+  Object.entries(properties).forEach(([field, schema]) => {
+    const dot = field.indexOf('.');
+    if (dot === -1) {
+      nested[field] = schema;
+      if (required.includes(field)) nestedRequired.add(field);
+      return;
+    }
+    const parent = field.substring(0, dot);
+    if (!children.has(parent)) children.set(parent, { properties: {}, required: [] });
+    children.get(parent).properties[field.substring(dot + 1)] = schema;
+    if (required.includes(field)) {
+      children.get(parent).required.push(field.substring(dot + 1));
+      nestedRequired.add(parent);
+    }
+  });
+
+  children.forEach((child, parent) => {
+    const schema = Object.keys(child.properties).every(name => /^\d+(\.|$)/.test(name))
+      ? { type: 'array' }
+      : { type: 'object', ...nestProperties(child) };
+    // A parent that was also kept whole in some records (e.g. null)
+    nested[parent] = nested[parent] ? { anyOf: [nested[parent], schema] } : schema;
+  });
+
+  const schema = { properties: nested };
+  if (nestedRequired.size > 0) schema.required = Array.from(nestedRequired);
+  return schema;
+};
+
+// JSON Schema of one record of a dataset, for validating new entries: the
+// fields merging adds are left out and flattened field names are nested
+// again, so it describes the entries the dataset was made from.
+// `strict` is passed on to profileToJsonSchema.
+export const toRecordSchema = (profiles, { strict = false } = {}) => {
+  const dataFields = Object.fromEntries(
+    Object.entries(profiles).filter(([field]) => !SOURCE_FIELDS.includes(field))
+  );
+  return { type: 'object', ...nestProperties(recordsToJsonSchema(dataFields, { strict })) };
+};
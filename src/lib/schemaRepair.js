@@ -0,0 +1,73 @@
+import { repairJson } from './jsonRepair';
+import { conformDocument } from './schemaConform';
+import { validateDocument } from './schemaValidation';
+
+// Schema-guided AI repair.
+//
+// The model gets the document, the target schema and the current violations,
+// and is asked to return the document normalized to the schema. Its answer is
+// conformed locally (coercions, near-miss keys, required nulls), validated
+// again, and sent back with the remaining violations until the document is
+// valid or the attempts run out.
+
+// Violations quoted in one prompt
+const MAX_PROMPT_VIOLATIONS = 50;
+
+const describeScope = (appliesTo) => (appliesTo === 'records'
+  ? 'The schema describes ONE record: when the document is an array, every element must conform to it.'
+  : 'The whole document must conform to the schema.');
+
+export const buildSchemaRepairPrompt = (text, { schema, appliesTo }, violations = []) => {
+  const listed = violations.slice(0, MAX_PROMPT_VIOLATIONS)
+    .map(violation => `- ${violation.path || '/'}: ${violation.message}`)
+    .join('\n');
+  const more = violations.length > MAX_PROMPT_VIOLATIONS
+    ? `\n- ... and ${violations.length - MAX_PROMPT_VIOLATIONS} more`
+    : '';
+
+  return `You normalize JSON documents to a target JSON Schema.
+${describeScope(appliesTo)}
+Fix any JSON syntax errors, rename keys that clearly correspond to a schema property (e.g. "qty" -> "quantity"), convert values to the types the schema requires, and set missing required properties to null.
+Do not invent values and do not drop data that has a place in the schema.
+Return ONLY the corrected JSON with no explanations or markdown formatting.
+
+Target schema:
+${JSON.stringify(schema, null, 2)}
+${listed ? `\nThe current document has these schema violations (JSON Pointer: problem):\n${listed}${more}\n` : ''}
+Document:
+${text}`;
+};
+
+// Parse a model reply, tolerating syntax slips the repair engine can fix
+// without guessing
+const parseReply = (reply) => {
+  try {
+    return JSON.parse(reply);
+  } catch (e) {
+    const repaired = repairJson(reply);
+    if (repaired.error || repaired.lossy) {
+      throw new Error(`The model did not return valid JSON: ${e instanceof Error ? e.message : String(e)}`);
+    }
+    return repaired.value;
+  }
+};
+
+// Normalize `text` to `validation` ({ schema, appliesTo }) with up to
+// `attempts` model calls. `complete(prompt, { signal })` resolves to the
+// model's text. Returns { corrected, violations, attempts } where
+// `violations` are those left in `corrected` (empty when it conforms).
+export const repairToSchema = async (text, validation, complete, { attempts = 2, violations = [], signal } = {}) => {
+  let corrected = text;
+  let remaining = violations;
+  let used = 0;
+
+  while (used < attempts && (used === 0 || remaining.length > 0)) {
+    used++;
+    const reply = await complete(buildSchemaRepairPrompt(corrected, validation, remaining), { signal });
+    const conformed = conformDocument(parseReply(reply), validation);
+    corrected = JSON.stringify(conformed.value, null, 2);
+    remaining = validateDocument(conformed.value, validation);
+  }
+
+  return { corrected, violations: remaining, attempts: used };
+};
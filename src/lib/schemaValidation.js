@@ -0,0 +1,297 @@
+// JSON Schema validation (draft 2020-12 subset).
+//
+// Supported keywords: type, enum, const, properties, required,
+// additionalProperties, patternProperties, propertyNames, min/maxProperties,
+// items, prefixItems, contains, min/maxItems, uniqueItems, minimum, maximum,
+// exclusiveMinimum, exclusiveMaximum, multipleOf, min/maxLength, pattern,
+// format (date, date-time, time, email, uri, uuid, ipv4), allOf, anyOf,
+// oneOf, not, if/then/else and local $ref ("#", "#/$defs/...",
+// "#/definitions/..."). Other keywords are ignored. Violations carry the JSON
+// Pointer of the offending value.
+
+// Stop collecting after this many violations per document
+const MAX_VIOLATIONS = 500;
+
+const FORMAT_PATTERNS = {
+  date: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+  'date-time': /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d+)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d)$/i,
+  time: /^([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d+)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d)?$/i,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uri: /^[a-z][a-z0-9+.-]*:[^\s]*$/i,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  ipv4: /^((25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(25[0-5]|2[0-4]\d|1?\d?\d)$/
+};
+
+// JSON Pointer segment escaping (RFC 6901)
+export const escapePointer = (segment) => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+
+const unescapePointer = (segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~');
+
+// JSON Schema type name of a value ('integer' for whole numbers)
+export const jsonType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+export const matchesType = (value, type) => {
+  const actual = jsonType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+};
+
+const describe = (value) => {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.substring(0, 37)}...` : text;
+};
+
+// Resolve a local $ref against the root schema
+export const resolveRef = (root, ref) => {
+  if (ref === '#') return root;
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local $ref values are supported: ${ref}`);
+  }
+  return ref.substring(2).split('/').reduce((node, segment) => {
+    const key = unescapePointer(decodeURIComponent(segment));
+    if (!node || typeof node !== 'object' || !(key in node)) {
+      throw new Error(`Unresolvable $ref: ${ref}`);
+    }
+    return node[key];
+  }, root);
+};
+
+// Collect violations of `value` against `schema` into `violations`
+const validateNode = (value, schema, path, root, violations) => {
+  if (violations.length >= MAX_VIOLATIONS) return;
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    violations.push({ path, keyword: 'false', message: 'No value is allowed here' });
+    return;
+  }
+
+  const fail = (keyword, message) => violations.push({ path, keyword, message });
+
+  if (schema.$ref) {
+    validateNode(value, resolveRef(root, schema.$ref), path, root, violations);
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail('type', `Expected ${types.join(' or ')} but found ${jsonType(value)}`);
+      // Other keywords would only repeat the type mismatch
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+    fail('enum', `${describe(value)} is not one of ${schema.enum.map(describe).join(', ')}`);
+  }
+  if ('const' in schema && !deepEqual(schema.const, value)) {
+    fail('const', `Expected ${describe(schema.const)}`);
+  }
+
+  const type = jsonType(value);
+
+  if (type === 'integer' || type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `Must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `Must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail('exclusiveMinimum', `Must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail('exclusiveMaximum', `Must be < ${schema.exclusiveMaximum}`);
+    if (schema.multipleOf !== undefined) {
+      const quotient = value / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) fail('multipleOf', `Must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (type === 'string') {
+    // Length in code points, as the specification counts it
+    const length = Array.from(value).length;
+    if (schema.minLength !== undefined && length < schema.minLength) fail('minLength', `Must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && length > schema.maxLength) fail('maxLength', `Must be at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) fail('pattern', `Does not match ${schema.pattern}`);
+    if (schema.format && FORMAT_PATTERNS[schema.format] && !FORMAT_PATTERNS[schema.format].test(value)) {
+      fail('format', `Not a valid ${schema.format}`);
+    }
+  }
+
+  if (type === 'array') {
+    const prefixLength = schema.prefixItems ? schema.prefixItems.length : 0;
+    (schema.prefixItems || []).forEach((itemSchema, i) => {
+      if (i < value.length) validateNode(value[i], itemSchema, `${path}/${i}`, root, violations);
+    });
+    if (schema.items !== undefined) {
+      for (let i = prefixLength; i < value.length; i++) {
+        validateNode(value[i], schema.items, `${path}/${i}`, root, violations);
+      }
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail('minItems', `Must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('maxItems', `Must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => deepEqual(other, item)) !== i)) {
+      fail('uniqueItems', 'Items must be unique');
+    }
+    if (schema.contains !== undefined && !value.some(item => isValid(item, schema.contains, root))) {
+      fail('contains', 'No item matches the "contains" schema');
+    }
+  }
+
+  if (type === 'object') {
+    const keys = Object.keys(value);
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        violations.push({ path: `${path}/${escapePointer(key)}`, keyword: 'required', message: `Missing required property "${key}"` });
+      }
+    });
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) fail('minProperties', `Must have at least ${schema.minProperties} properties`);
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) fail('maxProperties', `Must have at most ${schema.maxProperties} properties`);
+
+    const patterns = Object.entries(schema.patternProperties || {}).map(([pattern, propertySchema]) => [new RegExp(pattern, 'u'), propertySchema]);
+    keys.forEach(key => {
+      const propertyPath = `${path}/${escapePointer(key)}`;
+      let matched = false;
+
+      if (schema.properties && key in schema.properties) {
+        matched = true;
+        validateNode(value[key], schema.properties[key], propertyPath, root, violations);
+      }
+      patterns.forEach(([pattern, propertySchema]) => {
+        if (pattern.test(key)) {
+          matched = true;
+          validateNode(value[key], propertySchema, propertyPath, root, violations);
+        }
+      });
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          violations.push({ path: propertyPath, keyword: 'additionalProperties', message: `Unexpected property "${key}"` });
+        } else {
+          validateNode(value[key], schema.additionalProperties, propertyPath, root, violations);
+        }
+      }
+      if (schema.propertyNames !== undefined && !isValid(key, schema.propertyNames, root)) {
+        violations.push({ path: propertyPath, keyword: 'propertyNames', message: `Property name "${key}" is not allowed` });
+      }
+    });
+  }
+
+  (schema.allOf || []).forEach(subschema => validateNode(value, subschema, path, root, violations));
+  if (schema.anyOf && !schema.anyOf.some(subschema => isValid(value, subschema, root))) {
+    fail('anyOf', 'Does not match any of the allowed schemas');
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(subschema => isValid(value, subschema, root)).length;
+    if (matches !== 1) {
+      fail('oneOf', matches === 0 ? 'Does not match any of the allowed schemas' : `Matches ${matches} schemas where exactly one is allowed`);
+    }
+  }
+  if (schema.not !== undefined && isValid(value, schema.not, root)) {
+    fail('not', 'Matches a schema it must not match');
+  }
+  if (schema.if !== undefined) {
+    const branch = isValid(value, schema.if, root) ? schema.then : schema.else;
+    if (branch !== undefined) validateNode(value, branch, path, root, violations);
+  }
+};
+
+const isValid = (value, schema, root) => {
+  const violations = [];
+  validateNode(value, schema, '', root, violations);
+  return violations.length === 0;
+};
+
+// Subschemas a schema applies to the same value, with the $ref that led to
+// them: following only these never moves into the data
+const sameValueSubschemas = (node, root) => {
+  const next = [];
+  if (typeof node.$ref === 'string') next.push({ schema: resolveRef(root, node.$ref), via: node.$ref });
+  ['allOf', 'anyOf', 'oneOf'].forEach(keyword => {
+    if (Array.isArray(node[keyword])) node[keyword].forEach(subschema => next.push({ schema: subschema }));
+  });
+  ['not', 'if', 'then', 'else'].forEach(keyword => {
+    if (node[keyword] !== undefined) next.push({ schema: node[keyword] });
+  });
+  return next.filter(({ schema }) => schema && typeof schema === 'object');
+};
+
+// The $refs of a cycle of schemas applied to the same value (e.g. a root
+// `{ "$ref": "#" }`), which validation would follow forever, or null
+const findRefCycle = (root) => {
+  const done = new Set();
+  const stack = [];
+  const visit = (node, via) => {
+    const index = stack.findIndex(entry => entry.node === node);
+    if (index !== -1) return [...stack.slice(index + 1).map(entry => entry.via), via].filter(Boolean);
+    if (done.has(node)) return null;
+
+    stack.push({ node, via });
+    for (const next of sameValueSubschemas(node, root)) {
+      const cycle = visit(next.schema, next.via);
+      if (cycle) return cycle;
+    }
+    stack.pop();
+    done.add(node);
+    return null;
+  };
+
+  const walk = (node) => {
+    if (!node || typeof node !== 'object') return null;
+    return visit(node, null) || Object.values(node).reduce((cycle, child) => cycle || walk(child), null);
+  };
+  return walk(root);
+};
+
+// Check that a parsed schema can be used; throws with the reason when not
+export const checkSchema = (schema) => {
+  if (schema === true || schema === false) return;
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('A JSON Schema must be an object or a boolean');
+  }
+  // Resolve every $ref and compile every pattern once up front
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (typeof node.$ref === 'string') resolveRef(schema, node.$ref);
+    if (typeof node.pattern === 'string') new RegExp(node.pattern, 'u');
+    Object.values(node).forEach(visit);
+  };
+  visit(schema);
+
+  // Reject $refs that lead back to where they started without descending
+  // into the data
+  const cycle = findRefCycle(schema);
+  if (cycle) {
+    throw new Error(`$ref cycle that never descends into the data: ${cycle.join(' -> ')}`);
+  }
+};
+
+// Violations of a value against a schema: [{ path, keyword, message }] with
+// JSON Pointer paths ('' is the document root). Empty when the value is valid.
+export const validateJson = (value, schema) => {
+  const violations = [];
+  validateNode(value, schema, '', schema, violations);
+  return violations;
+};
+
+// Validate a processed document against an attached schema
+// ({ schema, appliesTo }). With `appliesTo: 'records'` the schema describes
+// one record: every element of an array document is checked on its own and
+// any other document counts as a single record.
+export const validateDocument = (document, { schema, appliesTo = 'document' }) => {
+  if (appliesTo !== 'records') return validateJson(document, schema);
+  if (!Array.isArray(document)) return validateJson(document, schema);
+
+  const violations = [];
+  for (let i = 0; i < document.length && violations.length < MAX_VIOLATIONS; i++) {
+    validateJson(document[i], schema).forEach(violation => {
+      violations.push({ ...violation, path: `/${i}${violation.path}` });
+    });
+  }
+  return violations.slice(0, MAX_VIOLATIONS);
+};
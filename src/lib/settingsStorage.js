@@ -0,0 +1,40 @@
+// Settings that hold API keys, saved in localStorage without the keys.
+//
+// Keys live in the `apiKey` field of a settings section (e.g. `openai` of the
+// AI provider settings). Unless the settings have `rememberKeys` set, the keys
+// are kept in sessionStorage only, so they are gone when the tab is closed
+// and never written to disk.
+
+const keysStorageKey = (storageKey) => `${storageKey}.apiKeys`;
+
+const keySections = (settings) => Object.keys(settings).filter(section => (
+  settings[section] !== null && typeof settings[section] === 'object' && 'apiKey' in settings[section]
+));
+
+// Read settings saved by saveSettings, with the keys of this session
+export const loadSettings = (storageKey) => {
+  const saved = JSON.parse(localStorage.getItem(storageKey) || "{}");
+  const keys = JSON.parse(sessionStorage.getItem(keysStorageKey(storageKey)) || "{}");
+  Object.entries(keys).forEach(([section, apiKey]) => {
+    if (apiKey) saved[section] = { ...saved[section], apiKey };
+  });
+  return saved;
+};
+
+export const saveSettings = (storageKey, settings) => {
+  if (settings.rememberKeys) {
+    localStorage.setItem(storageKey, JSON.stringify(settings));
+    sessionStorage.removeItem(keysStorageKey(storageKey));
+    return;
+  }
+
+  const saved = { ...settings };
+  const keys = {};
+  keySections(settings).forEach(section => {
+    const { apiKey, ...rest } = settings[section];
+    saved[section] = rest;
+    if (apiKey) keys[section] = apiKey;
+  });
+  localStorage.setItem(storageKey, JSON.stringify(saved));
+  sessionStorage.setItem(keysStorageKey(storageKey), JSON.stringify(keys));
+};
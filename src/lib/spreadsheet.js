@@ -0,0 +1,267 @@
+import * as _ from 'lodash';
+import * as XLSX from 'xlsx';
+
+// Deterministic spreadsheet import (XLSX, XLS, ODS).
+//
+// Sheets are turned into records without a model round-trip: the header row
+// is detected from the first rows of the range, vertically merged cells are
+// filled from their top-left cell, and cell values are typed from the cell
+// type and its number format (dates become ISO strings, currencies and
+// percentages stay numbers and are reported as column types).
+
+export const SPREADSHEET_EXTENSIONS = ['.xlsx', '.xlsm', '.xls', '.ods'];
+
+export const isSpreadsheetFileName = (fileName = '') =>
+  SPREADSHEET_EXTENSIONS.some(extension => fileName.toLowerCase().endsWith(extension));
+
+// Rows inspected when looking for the header row
+const HEADER_SCAN_ROWS = 20;
+
+export const readWorkbook = (data) => XLSX.read(data, {
+  type: 'array',
+  cellDates: true,
+  cellNF: true
+});
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatDateParts = (year, month, day, hours = 0, minutes = 0, seconds = 0) => {
+  const date = `${year}-${pad(month)}-${pad(day)}`;
+  return hours || minutes || seconds
+    ? `${date}T${pad(hours)}:${pad(minutes)}:${pad(seconds)}`
+    : date;
+};
+
+// Spreadsheet dates carry no time zone; read them as wall-clock values
+const formatDate = (date) => formatDateParts(
+  date.getFullYear(), date.getMonth() + 1, date.getDate(),
+  date.getHours(), date.getMinutes(), date.getSeconds()
+);
+
+// Drop quoted literals so a "%" or "$" inside text does not count
+const withoutLiterals = (format) => format.replace(/"[^"]*"/g, '');
+
+const isPercentFormat = (format) => /%/.test(withoutLiterals(format).replace(/\\%/g, ''));
+
+const currencySymbol = (format) => {
+  // Locale currency codes look like [$€-407] or [$USD]
+  const bracket = /\[\$([^\]-]+)/.exec(format);
+  if (bracket) return bracket[1];
+  const symbol = /[$€£¥₹]/.exec(format);
+  return symbol ? symbol[0] : null;
+};
+
+// Typed value of one cell: { value, type, currency? } where type is one of
+// 'empty', 'string', 'number', 'boolean', 'date', 'currency', 'percent', 'error'
+export const readCellValue = (cell) => {
+  if (!cell || cell.t === 'z') return { value: null, type: 'empty' };
+
+  switch (cell.t) {
+    case 'd':
+      return cell.v instanceof Date && !Number.isNaN(cell.v.getTime())
+        ? { value: formatDate(cell.v), type: 'date' }
+        : { value: null, type: 'error' };
+
+    case 'n': {
+      const format = typeof cell.z === 'string' ? cell.z : '';
+      if (format && XLSX.SSF.is_date(format)) {
+        const parsed = XLSX.SSF.parse_date_code(cell.v);
+        return { value: formatDateParts(parsed.y, parsed.m, parsed.d, parsed.H, parsed.M, parsed.S), type: 'date' };
+      }
+      if (format && isPercentFormat(format)) return { value: cell.v, type: 'percent' };
+      const currency = format ? currencySymbol(format) : null;
+      if (currency) return { value: cell.v, type: 'currency', currency };
+      return { value: cell.v, type: 'number' };
+    }
+
+    case 'b':
+      return { value: Boolean(cell.v), type: 'boolean' };
+
+    case 'e':
+      return { value: null, type: 'error' };
+
+    default: {
+      const text = String(cell.v ?? '').trim();
+      return text ? { value: text, type: 'string' } : { value: null, type: 'empty' };
+    }
+  }
+};
+
+// Parse an A1 range, or return null when it is not valid
+export const parseRange = (ref) => {
+  if (!ref || !/^\$?[A-Z]+\$?\d+(:\$?[A-Z]+\$?\d+)?$/i.test(ref.trim())) return null;
+  const range = XLSX.utils.decode_range(ref.trim().toUpperCase().replace(/\$/g, ''));
+  if (range.s.r > range.e.r || range.s.c > range.e.c) return null;
+  return range;
+};
+
+export const formatRange = (range) => XLSX.utils.encode_range(range);
+
+// Typed cells of a range as rows (arrays indexed by column offset). Merged
+// areas are read as:
+//   'vertical'  the cells below the top-left one get its value (a row label
+//               merged over several rows), the other columns stay empty so a
+//               section title merged across a row is not copied into them
+//   'fill'      every cell gets the top-left value
+//   'first'     only the top-left cell keeps it
+export const readGrid = (sheet, range, { mergedCells = 'vertical', limit = Infinity } = {}) => {
+  const mergeOrigin = new Map();
+  if (mergedCells !== 'first') {
+    (sheet['!merges'] || []).forEach(merge => {
+      const lastColumn = mergedCells === 'fill' ? merge.e.c : merge.s.c;
+      for (let r = merge.s.r; r <= merge.e.r; r++) {
+        for (let c = merge.s.c; c <= lastColumn; c++) {
+          if (r !== merge.s.r || c !== merge.s.c) {
+            mergeOrigin.set(`${r}:${c}`, merge.s);
+          }
+        }
+      }
+    });
+  }
+
+  const rows = [];
+  const lastRow = Math.min(range.e.r, range.s.r + limit - 1);
+  for (let r = range.s.r; r <= lastRow; r++) {
+    const row = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const origin = mergeOrigin.get(`${r}:${c}`);
+      const address = XLSX.utils.encode_cell(origin || { r, c });
+      row.push(readCellValue(sheet[address]));
+    }
+    rows.push(row);
+  }
+  return rows;
+};
+
+const isEmptyRow = (row) => row.every(cell => cell.type === 'empty');
+
+// Index (within the grid) of the most header-like row among the first rows,
+// or -1 when no row looks like a header. A header row is mostly text, has
+// distinct values and spans most of the columns used by the rows below it.
+export const detectHeaderRow = (grid) => {
+  const scan = grid.slice(0, HEADER_SCAN_ROWS);
+  const usedColumns = new Set();
+  grid.slice(0, HEADER_SCAN_ROWS * 2).forEach(row => {
+    row.forEach((cell, c) => {
+      if (cell.type !== 'empty') usedColumns.add(c);
+    });
+  });
+  if (usedColumns.size === 0) return -1;
+
+  let best = -1;
+  let bestScore = 0;
+  scan.forEach((row, index) => {
+    const filled = row.filter(cell => cell.type !== 'empty');
+    if (filled.length < Math.min(2, usedColumns.size)) return;
+
+    const texts = filled.filter(cell => cell.type === 'string').map(cell => cell.value.toLowerCase());
+    const textRatio = texts.length / filled.length;
+    const uniqueRatio = new Set(texts).size / filled.length;
+    const widthRatio = filled.length / usedColumns.size;
+
+    // The row below a header usually holds values that are not all text
+    const next = grid.slice(index + 1).find(candidate => !isEmptyRow(candidate));
+    const nextIsData = next ? next.some(cell => cell.type !== 'string' && cell.type !== 'empty') : false;
+
+    const score = textRatio * uniqueRatio * widthRatio * (nextIsData ? 1 : 0.8);
+    if (score > bestScore) {
+      best = index;
+      bestScore = score;
+    }
+  });
+
+  return bestScore >= 0.5 ? best : -1;
+};
+
+// Unique, non-empty record keys from the header cells
+const buildColumnKeys = (headerCells, startColumn) => {
+  const seen = new Map();
+  return headerCells.map((cell, offset) => {
+    const base = cell && cell.type !== 'empty'
+      ? String(cell.value).replace(/\s+/g, ' ').trim()
+      : `Column ${XLSX.utils.encode_col(startColumn + offset)}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base} (${count})`;
+  });
+};
+
+// Most common non-empty type of a column
+const columnType = (types) => {
+  const ranked = Object.entries(_.countBy(types)).sort((a, b) => b[1] - a[1]);
+  return ranked.length > 0 ? ranked[0][0] : 'empty';
+};
+
+// Convert a sheet range to records.
+// `headerRow` is an absolute 0-based row index (null or -1 for none).
+// Returns { records, columns: [{ key, type, currency? }], range }.
+export const sheetToRecords = (sheet, {
+  range: ref = sheet['!ref'],
+  headerRow = null,
+  mergedCells = 'vertical',
+  limit = Infinity
+} = {}) => {
+  const range = parseRange(ref);
+  if (!range) {
+    throw new Error(ref ? `Invalid range: ${ref}` : 'The sheet is empty');
+  }
+
+  const hasHeader = headerRow !== null && headerRow >= range.s.r && headerRow <= range.e.r;
+  const headerOffset = hasHeader ? headerRow - range.s.r : -1;
+  const grid = readGrid(sheet, range, {
+    mergedCells,
+    limit: limit === Infinity ? Infinity : headerOffset + 1 + limit
+  });
+
+  const width = range.e.c - range.s.c + 1;
+  const keys = buildColumnKeys(
+    hasHeader ? grid[headerOffset] : Array.from({ length: width }, () => null),
+    range.s.c
+  );
+
+  const records = [];
+  const types = keys.map(() => []);
+  const currencies = keys.map(() => new Set());
+
+  grid.slice(headerOffset + 1).forEach(row => {
+    if (isEmptyRow(row)) return;
+
+    const record = {};
+    row.forEach((cell, c) => {
+      record[keys[c]] = cell.value;
+      if (cell.type !== 'empty') types[c].push(cell.type);
+      if (cell.currency) currencies[c].add(cell.currency);
+    });
+    records.push(record);
+  });
+
+  const columns = keys.map((key, c) => {
+    const column = { key, type: columnType(types[c]) };
+    if (column.type === 'currency' && currencies[c].size === 1) {
+      column.currency = Array.from(currencies[c])[0];
+    }
+    return column;
+  });
+
+  return { records, columns, range: formatRange(range) };
+};
+
+// Sheet summaries for the import dialog: { name, range, rowCount,
+// columnCount, headerRow, mergeCount }. Empty sheets have a null range.
+export const describeWorkbook = (workbook) => workbook.SheetNames.map(name => {
+  const sheet = workbook.Sheets[name];
+  const range = parseRange(sheet['!ref']);
+  if (!range) {
+    return { name, range: null, rowCount: 0, columnCount: 0, headerRow: null, mergeCount: 0 };
+  }
+
+  const headerIndex = detectHeaderRow(readGrid(sheet, range, { limit: HEADER_SCAN_ROWS * 2 }));
+  return {
+    name,
+    range: formatRange(range),
+    rowCount: range.e.r - range.s.r + 1,
+    columnCount: range.e.c - range.s.c + 1,
+    headerRow: headerIndex === -1 ? null : range.s.r + headerIndex,
+    mergeCount: (sheet['!merges'] || []).length
+  };
+});
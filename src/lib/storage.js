@@ -0,0 +1,285 @@
+// IndexedDB persistence for entries, datasets, dataset versions and the
+// processing queue.
+//
+// Entries are split in two stores: `entries` holds the small metadata shown in
+// lists, `payloads` holds the original, corrected and formatted JSON text
+// (and the BOQ analysis, see lib/boq), which is only read when an entry is
+// opened or merged. Every record is written on its own, so saving one entry
+// never rewrites the others. Queue items keep their text or File so
+// unfinished work survives a reload. Dataset versions are full snapshots,
+// read only when a dataset's history is opened.
+//
+// When IndexedDB is unavailable (e.g. some private browsing modes) the same
+// API is served from memory and `isPersistent()` reports false.
+
+const DB_NAME = 'jsonProcessor';
+const DB_VERSION = 3;
+
+// Store options and the indexes ({ name: keyPath }) created with the store
+const STORES = {
+  entries: { keyPath: 'id' },
+  payloads: { keyPath: 'id' },
+  datasets: { keyPath: 'id' },
+  queue: { keyPath: 'id' },
+  datasetVersions: { keyPath: 'id', indexes: { datasetId: 'datasetId' } }
+};
+
+// Entry fields kept in the payloads store
+export const ENTRY_PAYLOAD_FIELDS = ['originalJson', 'correctedJson', 'formattedJson', 'boq'];
+
+const LEGACY_KEYS = {
+  entries: 'jsonProcessorEntries',
+  datasets: 'jsonProcessorDatasets'
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+});
+
+// Backend on top of IndexedDB
+const createIdbBackend = (db) => ({
+  getAll: (storeName) => requestToPromise(db.transaction(storeName).objectStore(storeName).getAll()),
+
+  getMany: async (storeName, keys) => {
+    const store = db.transaction(storeName).objectStore(storeName);
+    return Promise.all(keys.map(key => requestToPromise(store.get(key))));
+  },
+
+  getByIndex: (storeName, indexName, value) => requestToPromise(
+    db.transaction(storeName).objectStore(storeName).index(indexName).getAll(value)
+  ),
+
+  getKeysByIndex: (storeName, indexName, value) => requestToPromise(
+    db.transaction(storeName).objectStore(storeName).index(indexName).getAllKeys(value)
+  ),
+
+  // `writes` is { [storeName]: { put: records[], delete: keys[] } }, applied
+  // in one transaction
+  write: (writes) => {
+    const storeNames = Object.keys(writes);
+    if (storeNames.length === 0) return Promise.resolve();
+
+    const transaction = db.transaction(storeNames, 'readwrite');
+    storeNames.forEach(storeName => {
+      const store = transaction.objectStore(storeName);
+      (writes[storeName].put || []).forEach(record => store.put(record));
+      (writes[storeName].delete || []).forEach(key => store.delete(key));
+    });
+    return transactionDone(transaction);
+  },
+
+  clear: (storeNames) => {
+    const transaction = db.transaction(storeNames, 'readwrite');
+    storeNames.forEach(storeName => transaction.objectStore(storeName).clear());
+    return transactionDone(transaction);
+  }
+});
+
+// Backend kept in memory for the current session only
+const createMemoryBackend = () => {
+  const stores = Object.fromEntries(Object.keys(STORES).map(name => [name, new Map()]));
+  const keyOf = (storeName, record) => record[STORES[storeName].keyPath];
+
+  return {
+    getAll: async (storeName) => Array.from(stores[storeName].values()),
+    getMany: async (storeName, keys) => keys.map(key => stores[storeName].get(key)),
+    getByIndex: async (storeName, indexName, value) => {
+      const keyPath = STORES[storeName].indexes[indexName];
+      return Array.from(stores[storeName].values()).filter(record => record[keyPath] === value);
+    },
+    getKeysByIndex: async (storeName, indexName, value) => {
+      const keyPath = STORES[storeName].indexes[indexName];
+      return Array.from(stores[storeName].values())
+        .filter(record => record[keyPath] === value)
+        .map(record => keyOf(storeName, record));
+    },
+    write: async (writes) => {
+      Object.entries(writes).forEach(([storeName, { put = [], delete: keys = [] }]) => {
+        put.forEach(record => stores[storeName].set(keyOf(storeName, record), record));
+        keys.forEach(key => stores[storeName].delete(key));
+      });
+    },
+    clear: async (storeNames) => {
+      storeNames.forEach(storeName => stores[storeName].clear());
+    }
+  };
+};
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    Object.entries(STORES).forEach(([storeName, { indexes = {}, ...options }]) => {
+      if (!db.objectStoreNames.contains(storeName)) {
+        const store = db.createObjectStore(storeName, options);
+        Object.entries(indexes).forEach(([indexName, keyPath]) => store.createIndex(indexName, keyPath));
+      }
+    });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error('Storage is blocked by another open tab of this app'));
+});
+
+let backendPromise = null;
+let persistent = true;
+
+const getBackend = () => {
+  if (!backendPromise) {
+    backendPromise = (typeof indexedDB === 'undefined'
+      ? Promise.reject(new Error('IndexedDB is not available'))
+      : openDatabase()
+    )
+      .then(createIdbBackend)
+      .catch(e => {
+        console.error('Failed to open IndexedDB, data will not be saved:', e);
+        persistent = false;
+        return createMemoryBackend();
+      });
+  }
+  return backendPromise;
+};
+
+// Whether data survives a reload. Only meaningful after the first call.
+export const isPersistent = () => persistent;
+
+// Split an entry into list metadata and its payload record
+export const splitEntry = (entry) => {
+  const meta = { ...entry };
+  const payload = { id: entry.id };
+  ENTRY_PAYLOAD_FIELDS.forEach(field => {
+    if (field in meta) {
+      payload[field] = meta[field];
+      delete meta[field];
+    }
+  });
+  meta.size = payload.originalJson?.length ?? meta.size ?? 0;
+  return { meta, payload };
+};
+
+// Move data saved by earlier versions in localStorage into IndexedDB, then
+// remove it from localStorage. Returns the number of migrated records.
+export const migrateFromLocalStorage = async () => {
+  if (typeof localStorage === 'undefined') return 0;
+
+  const readLegacy = (key) => {
+    const saved = localStorage.getItem(key);
+    if (!saved) return [];
+    try {
+      const parsed = JSON.parse(saved);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      console.error(`Failed to parse saved data in ${key}:`, e);
+      return [];
+    }
+  };
+
+  const legacyEntries = readLegacy(LEGACY_KEYS.entries);
+  const legacyDatasets = readLegacy(LEGACY_KEYS.datasets);
+  if (legacyEntries.length === 0 && legacyDatasets.length === 0) return 0;
+
+  const backend = await getBackend();
+  const split = legacyEntries.map(splitEntry);
+  await backend.write({
+    entries: { put: split.map(({ meta }) => meta) },
+    payloads: { put: split.map(({ payload }) => payload) },
+    datasets: { put: legacyDatasets }
+  });
+
+  // Keep the old copy when there is nowhere durable to move it
+  if (persistent) {
+    localStorage.removeItem(LEGACY_KEYS.entries);
+    localStorage.removeItem(LEGACY_KEYS.datasets);
+  }
+  return legacyEntries.length + legacyDatasets.length;
+};
+
+const byTimestampDesc = (a, b) => (b.timestamp || '').localeCompare(a.timestamp || '');
+
+// Entry metadata, newest first
+export const loadEntries = async () => {
+  const backend = await getBackend();
+  return (await backend.getAll('entries')).sort(byTimestampDesc);
+};
+
+export const loadDatasets = async () => {
+  const backend = await getBackend();
+  return (await backend.getAll('datasets')).sort(byTimestampDesc);
+};
+
+// Queue items in queue order
+export const loadQueue = async () => {
+  const backend = await getBackend();
+  return (await backend.getAll('queue')).sort((a, b) => a.position - b.position);
+};
+
+// Versions of a dataset, oldest first
+export const loadDatasetVersions = async (datasetId) => {
+  const backend = await getBackend();
+  return (await backend.getByIndex('datasetVersions', 'datasetId', datasetId))
+    .sort((a, b) => a.version - b.version);
+};
+
+export const saveDatasetVersion = async (version) => {
+  const backend = await getBackend();
+  return backend.write({ datasetVersions: { put: [version] } });
+};
+
+// Payload records ({ id, originalJson, correctedJson, formattedJson }) for
+// the given entry ids, in the same order; missing payloads are undefined
+export const loadEntryPayloads = async (ids) => {
+  const backend = await getBackend();
+  return backend.getMany('payloads', ids);
+};
+
+export const saveEntryPayload = async (payload) => {
+  const backend = await getBackend();
+  return backend.write({ payloads: { put: [payload] } });
+};
+
+// Write the difference between two versions of a record list: records whose
+// object identity changed are put, records that disappeared are deleted.
+// Deleting an entry also deletes its payload, deleting a dataset its
+// versions.
+export const syncRecords = async (storeName, previous, next) => {
+  const previousById = new Map(previous.map(record => [record.id, record]));
+  const nextIds = new Set(next.map(record => record.id));
+
+  const put = next.filter(record => previousById.get(record.id) !== record);
+  const deleted = previous.filter(record => !nextIds.has(record.id)).map(record => record.id);
+  if (put.length === 0 && deleted.length === 0) return;
+
+  const writes = { [storeName]: { put, delete: deleted } };
+  if (storeName === 'entries' && deleted.length > 0) {
+    writes.payloads = { delete: deleted };
+  }
+
+  const backend = await getBackend();
+
+  if (storeName === 'datasets' && deleted.length > 0) {
+    const versionKeys = await Promise.all(deleted.map(id => backend.getKeysByIndex('datasetVersions', 'datasetId', id)));
+    writes.datasetVersions = { delete: versionKeys.flat() };
+  }
+
+  return backend.write(writes);
+};
+
+export const clearAllData = async () => {
+  const backend = await getBackend();
+  return backend.clear(Object.keys(STORES));
+};
+
+// { usage, quota } in bytes, or null when the browser does not report it
+export const getStorageUsage = async () => {
+  if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return { usage, quota };
+};
@@ -0,0 +1,147 @@
+import { escapePointer } from './schemaValidation';
+
+// Pure JSON transformations used by the processing pipeline. They take the
+// relevant processing options explicitly so they can run inside a worker.
+
+// Inspect and extract fields from JSON
+export const extractFieldsFromJson = (json, { preserveArrays = true } = {}, prefix = '', depth = 0, maxDepth = 3) => {
+  const options = { preserveArrays };
+
+  if (depth > maxDepth) return [prefix.endsWith('.') ? prefix.slice(0, -1) : prefix];
+  if (json === null || json === undefined) return [];
+
+  const fields = [];
+
+  if (Array.isArray(json)) {
+    if (preserveArrays || json.length === 0) {
+      return [prefix.endsWith('.') ? prefix.slice(0, -1) : prefix];
+    }
+
+    // Sample the first few elements if it's a large array
+    const sampleSize = Math.min(json.length, 3);
+    const samples = json.slice(0, sampleSize);
+
+    // Extract fields from each sample and merge
+    const arrayFields = new Set();
+    samples.forEach(item => {
+      if (typeof item === 'object' && item !== null) {
+        extractFieldsFromJson(item, options, prefix, depth + 1, maxDepth).forEach(field => {
+          arrayFields.add(field);
+        });
+      } else {
+        arrayFields.add(prefix.endsWith('.') ? prefix.slice(0, -1) : prefix);
+      }
+    });
+
+    return Array.from(arrayFields);
+  } else if (typeof json === 'object') {
+    Object.keys(json).forEach(key => {
+      const fullPath = prefix + key;
+
+      if (typeof json[key] === 'object' && json[key] !== null) {
+        fields.push(...extractFieldsFromJson(json[key], options, fullPath + '.', depth + 1, maxDepth));
+      } else {
+        fields.push(fullPath);
+      }
+    });
+  } else {
+    fields.push(prefix.endsWith('.') ? prefix.slice(0, -1) : prefix);
+  }
+
+  return fields;
+};
+
+// Format JSON with consistent structure: keys ordered alphabetically and,
+// optionally, long string values trimmed. The JSON Pointers of trimmed values
+// are added to `trimmed` when it is given.
+export const formatJsonStructure = (jsonObj, { trimLongValues = true, maxValueLength = 1000 } = {}, trimmed = null, pointer = '') => {
+  const options = { trimLongValues, maxValueLength };
+
+  if (typeof jsonObj !== 'object' || jsonObj === null) return jsonObj;
+
+  // Handle arrays
+  if (Array.isArray(jsonObj)) {
+    return jsonObj.map((item, index) => formatJsonStructure(item, options, trimmed, `${pointer}/${index}`));
+  }
+
+  // Order keys alphabetically and process values
+  const orderedObj = {};
+  Object.keys(jsonObj).sort().forEach(key => {
+    let value = jsonObj[key];
+
+    // Trim long string values if option is enabled
+    if (trimLongValues &&
+        typeof value === 'string' &&
+        value.length > maxValueLength) {
+      value = value.substring(0, maxValueLength) + '...';
+      if (trimmed) trimmed.push(`${pointer}/${escapePointer(key)}`);
+    }
+
+    // Recursively format nested objects
+    if (typeof value === 'object' && value !== null) {
+      orderedObj[key] = formatJsonStructure(value, options, trimmed, `${pointer}/${escapePointer(key)}`);
+    } else {
+      orderedObj[key] = value;
+    }
+  });
+
+  return orderedObj;
+};
+
+// Flatten nested objects for easier merging. When `pointers` is given, it
+// receives the JSON Pointer (relative to `obj`) each flattened field came from.
+export const flattenObject = (obj, { maxDepth = 3, preserveArrays = true, flattenNested = true } = {}, prefix = '', result = {}, depth = 0, pointers = null, pointer = '') => {
+  const options = { maxDepth, preserveArrays, flattenNested };
+  const set = (key, value) => {
+    result[key] = value;
+    if (pointers) pointers[key] = pointer;
+  };
+
+  if (depth > maxDepth) {
+    set(prefix.slice(0, -1), JSON.stringify(obj));
+    return result;
+  }
+
+  if (typeof obj !== 'object' || obj === null) {
+    set(prefix.slice(0, -1), obj);
+    return result;
+  }
+
+  if (Array.isArray(obj)) {
+    if (preserveArrays) {
+      set(prefix.slice(0, -1), obj);
+      return result;
+    }
+
+    if (obj.length === 0) {
+      set(prefix.slice(0, -1), []);
+      return result;
+    }
+
+    // Only flatten array if it contains objects
+    if (typeof obj[0] === 'object' && obj[0] !== null) {
+      obj.forEach((item, index) => {
+        flattenObject(item, options, `${prefix}${index}.`, result, depth + 1, pointers, `${pointer}/${index}`);
+      });
+    } else {
+      set(prefix.slice(0, -1), obj);
+    }
+
+    return result;
+  }
+
+  // Process regular objects
+  Object.keys(obj).forEach(key => {
+    const newKey = prefix + key;
+    const keyPointer = `${pointer}/${escapePointer(key)}`;
+
+    if (typeof obj[key] === 'object' && obj[key] !== null && flattenNested) {
+      flattenObject(obj[key], options, newKey + '.', result, depth + 1, pointers, keyPointer);
+    } else {
+      result[newKey] = obj[key];
+      if (pointers) pointers[newKey] = keyPointer;
+    }
+  });
+
+  return result;
+};
@@ -0,0 +1,117 @@
+// Export of embedded chunks: the chunk text and metadata (see ragChunker)
+// with their vectors (see embeddings).
+//
+// An embedding set is { name, dataset: { id, version }, model: { name, dtype },
+// options (see DEFAULT_EMBEDDING_OPTIONS), chunking, ragProfile, schema (the
+// dataset's), chunks, vectors, dimensions } with `vectors` a Float32Array
+// holding one row of `dimensions` values per chunk. Vector databases are
+// exported by lib/vectorStores.
+//
+// Formats:
+//   jsonl     one { id, text, metadata, embedding } object per line
+//   columnar  one JSON object of equally long columns (id, text, metadata,
+//             embedding), laid out like a Parquet table
+//   npy       a float32 NumPy array of shape (chunks, dimensions) and a JSON
+//             manifest with the chunks in row order
+
+export const EMBEDDING_EXPORT_FORMATS = {
+  jsonl: 'JSONL',
+  columnar: 'Columnar JSON',
+  npy: 'NumPy .npy + manifest'
+};
+
+// Vector of one chunk as a plain array
+export const vectorAt = (set, index) => Array.from(
+  set.vectors.subarray(index * set.dimensions, (index + 1) * set.dimensions)
+);
+
+const baseName = (set) => `${set.name.replace(/\s+/g, '-')}-embeddings`;
+
+// What the vectors were computed from and with, for every format
+const describeSet = (set) => ({
+  name: set.name,
+  dataset_id: set.dataset.id,
+  version: set.dataset.version,
+  model: { name: set.model.name, dtype: set.model.dtype, ...set.options },
+  dimensions: set.dimensions,
+  count: set.chunks.length,
+  chunking: set.chunking,
+  rag_profile: set.ragProfile
+});
+
+// NumPy .npy (format version 1.0) of a row-major float32 matrix
+export const encodeNpy = (vectors, rows, columns) => {
+  const dictionary = `{'descr': '<f4', 'fortran_order': False, 'shape': (${rows}, ${columns}), }`;
+  // Magic, version and header length take 10 bytes; the header is padded
+  // with spaces to a multiple of 64 bytes and ends with a newline
+  const headerLength = Math.ceil((10 + dictionary.length + 1) / 64) * 64 - 10;
+  const header = `${dictionary.padEnd(headerLength - 1, ' ')}\n`;
+
+  const buffer = new ArrayBuffer(10 + headerLength + vectors.length * 4);
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  bytes.set([0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 1, 0]);
+  view.setUint16(8, headerLength, true);
+  for (let i = 0; i < header.length; i++) bytes[10 + i] = header.charCodeAt(i);
+  for (let i = 0; i < vectors.length; i++) view.setFloat32(10 + headerLength + i * 4, vectors[i], true);
+  return buffer;
+};
+
+// Files of an embedding set in a format: [{ filename, content, mimeType }]
+// with `content` a string or, for .npy, an ArrayBuffer
+export const exportEmbeddings = (set, format) => {
+  const name = baseName(set);
+
+  switch (format) {
+    case 'jsonl':
+      return [{
+        filename: `${name}.jsonl`,
+        content: set.chunks.map((chunk, i) => JSON.stringify({
+          id: chunk.id,
+          text: chunk.text,
+          metadata: chunk.metadata,
+          embedding: vectorAt(set, i)
+        })).join('\n') + '\n',
+        mimeType: 'application/x-ndjson'
+      }];
+
+    case 'columnar':
+      return [{
+        filename: `${name}.columnar.json`,
+        content: JSON.stringify({
+          ...describeSet(set),
+          columns: {
+            id: set.chunks.map(chunk => chunk.id),
+            text: set.chunks.map(chunk => chunk.text),
+            metadata: set.chunks.map(chunk => chunk.metadata),
+            embedding: set.chunks.map((chunk, i) => vectorAt(set, i))
+          }
+        }),
+        mimeType: 'application/json'
+      }];
+
+    case 'npy':
+      return [
+        {
+          filename: `${name}.npy`,
+          content: encodeNpy(set.vectors, set.chunks.length, set.dimensions),
+          mimeType: 'application/octet-stream'
+        },
+        {
+          filename: `${name}.manifest.json`,
+          content: JSON.stringify({
+            ...describeSet(set),
+            vectors_file: `${name}.npy`,
+            dtype: 'float32',
+            shape: [set.chunks.length, set.dimensions],
+            // Row i of the array is the vector of documents[i]
+            documents: set.chunks.map(chunk => ({ id: chunk.id, text: chunk.text, metadata: chunk.metadata }))
+          }, null, 2),
+          mimeType: 'application/json'
+        }
+      ];
+
+    default:
+      throw new Error(`Unsupported embedding export format: ${format}`);
+  }
+};
@@ -0,0 +1,92 @@
+import { vectorAt } from '../vectorExport';
+import {
+  batches,
+  chunkFields,
+  collectionName,
+  fileBaseName,
+  metadataFields,
+  sharedMetadata,
+  storeRequest,
+  trimUrl
+} from './common';
+
+// Chroma: a collection of ids, embeddings, documents and metadatas. Metadata
+// values can only be strings, numbers and booleans, so objects, arrays and
+// mixed fields are stored as JSON text and null values left out. Uses the
+// v2 HTTP API (Chroma 0.6 and later).
+
+const SCALAR_TYPES = ['string', 'integer', 'number', 'boolean'];
+
+const collectionDefinition = (set, collection) => ({
+  name: collectionName(set, collection),
+  metadata: {
+    'hnsw:space': 'cosine',
+    dataset_id: set.dataset.id,
+    dataset_version: set.dataset.version,
+    model: set.model.name
+  },
+  get_or_create: true
+});
+
+const chunkMetadata = (chunk, jsonFields) => {
+  const { text, ...fields } = { ...sharedMetadata(chunk), ...chunkFields(chunk) };
+  const metadata = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value === null || value === undefined) return;
+    metadata[field] = jsonFields.has(field) || typeof value === 'object' ? JSON.stringify(value) : value;
+  });
+  return metadata;
+};
+
+// Metadata fields stored as JSON text
+const jsonFieldsOf = (set) => new Set(
+  metadataFields(set).filter(field => !SCALAR_TYPES.includes(field.type)).map(field => field.name)
+);
+
+// Upsert of the chunks from `offset` on
+const upsertBody = (set, chunks, offset, jsonFields) => ({
+  ids: chunks.map(chunk => chunk.id),
+  embeddings: chunks.map((chunk, i) => vectorAt(set, offset + i)),
+  documents: chunks.map(chunk => chunk.text),
+  metadatas: chunks.map(chunk => chunkMetadata(chunk, jsonFields))
+});
+
+export const chromaStore = {
+  id: 'chroma',
+  label: 'Chroma',
+  defaultUrl: 'http://localhost:8000',
+
+  // Request bodies of POST .../collections and POST .../collections/{id}/upsert
+  files: (set, { collection }) => [{
+    filename: `${fileBaseName(set)}.chroma.json`,
+    content: JSON.stringify({
+      collection: collectionDefinition(set, collection),
+      upsert: upsertBody(set, set.chunks, 0, jsonFieldsOf(set))
+    }),
+    mimeType: 'application/json'
+  }],
+
+  push: async (set, { url, apiKey, collection, batchSize, tenant, database }, { signal, onProgress }) => {
+    const root = `${trimUrl(url)}/api/v2/tenants/${encodeURIComponent(tenant)}/databases/${encodeURIComponent(database)}/collections`;
+    const options = { headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, signal };
+
+    const { result } = await storeRequest('Chroma', root, {
+      ...options,
+      method: 'POST',
+      body: collectionDefinition(set, collection)
+    });
+
+    const jsonFields = jsonFieldsOf(set);
+    let done = 0;
+    for (const batch of batches(set.chunks, batchSize)) {
+      await storeRequest('Chroma', `${root}/${result.id}/upsert`, {
+        ...options,
+        method: 'POST',
+        body: upsertBody(set, batch, done, jsonFields)
+      });
+      done += batch.length;
+      onProgress?.(done, set.chunks.length);
+    }
+    return done;
+  }
+};
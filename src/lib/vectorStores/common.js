@@ -0,0 +1,113 @@
+import { hashString } from '../dedupe';
+import { valueType } from '../schemaInference';
+
+// Helpers shared by the vector store adapters.
+
+// Deterministic UUID of a chunk id, for stores that only take UUIDs as point
+// ids: the same chunk is upserted onto the same point every time
+export const chunkUuid = (chunkId) => {
+  const hex = [0, 1, 2, 3]
+    .map(i => (parseInt(hashString(`${i}:${chunkId}`), 36) % 0x100000000).toString(16).padStart(8, '0'))
+    .join('');
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-8${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+};
+
+// Metadata fields of the embedded records with their dataset schema type
+// (or, for fields outside the schema, the type of their values):
+// [{ name, type }] with type 'string' | 'integer' | 'number' | 'boolean' |
+// 'object' | 'array' | 'mixed'
+export const metadataFields = (set) => {
+  const types = new Map();
+  set.chunks.forEach(chunk => chunk.metadata.records.forEach(record => {
+    Object.entries(record).forEach(([field, value]) => {
+      if (value === null || value === undefined) {
+        if (!types.has(field)) types.set(field, null);
+        return;
+      }
+      const type = valueType(value);
+      const known = types.get(field);
+      if (!known) types.set(field, type);
+      else if (known !== type) types.set(field, known === 'integer' && type === 'number' ? 'number' : 'mixed');
+    });
+  }));
+  return Array.from(types, ([name, type]) => {
+    const schemaType = set.schema?.[name];
+    return { name, type: schemaType && schemaType !== 'null' ? schemaType : type || 'string' };
+  });
+};
+
+// Metadata values a chunk's records share: a chunk packing several records
+// keeps a field only when every record has the same value for it
+export const sharedMetadata = (chunk) => {
+  const [first, ...rest] = chunk.metadata.records;
+  const shared = {};
+  Object.entries(first || {}).forEach(([field, value]) => {
+    const text = JSON.stringify(value);
+    if (rest.every(record => JSON.stringify(record[field]) === text)) shared[field] = value;
+  });
+  return shared;
+};
+
+// Fields every store gets for a chunk, before its record metadata
+export const chunkFields = (chunk) => ({
+  chunk_id: chunk.id,
+  text: chunk.text,
+  dataset_id: chunk.metadata.dataset_id,
+  dataset_name: chunk.metadata.dataset_name,
+  dataset_version: chunk.metadata.dataset_version,
+  context: chunk.metadata.context,
+  row_ids: chunk.metadata.row_ids
+});
+
+// Identifier made of `allowed` characters for a field name, not clashing
+// with the names already taken (which it is added to)
+export const safeName = (name, taken, { pattern = /[^A-Za-z0-9_]/g, lowerCase = false } = {}) => {
+  let base = name.replace(pattern, '_').replace(/^_+|_+$/g, '') || 'field';
+  if (lowerCase) base = base.toLowerCase();
+  if (/^\d/.test(base)) base = `_${base}`;
+  let candidate = base;
+  for (let n = 2; taken.has(candidate); n++) candidate = `${base}_${n}`;
+  taken.add(candidate);
+  return candidate;
+};
+
+// Collection name for a dataset, unless one is set
+export const collectionName = (set, collection) => (
+  collection?.trim() || set.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'chunks'
+);
+
+export const fileBaseName = (set) => set.name.replace(/\s+/g, '-');
+
+export const batches = (items, size) => {
+  const result = [];
+  for (let i = 0; i < items.length; i += size) result.push(items.slice(i, i + size));
+  return result;
+};
+
+// JSON request to a store's HTTP API; resolves to { status, result } and
+// throws on HTTP errors other than the `allowStatus` ones
+export const storeRequest = async (label, url, { method = 'GET', body, headers = {}, signal, allowStatus = [] } = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers: { "Content-Type": "application/json", ...headers },
+    signal,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  const text = await response.text();
+  let result = text;
+  try {
+    result = text ? JSON.parse(text) : null;
+  } catch (e) {
+    // Not JSON: keep the text for the error message
+  }
+  if (!response.ok && !allowStatus.includes(response.status)) {
+    const message = result?.status?.error || result?.error?.[0]?.message || result?.error?.message || result?.error || result?.message
+      || (typeof result === 'string' && result) || response.statusText;
+    throw new Error(`${label} request failed (${response.status}): ${typeof message === 'string' ? message : JSON.stringify(message)}`);
+  }
+  return { status: response.status, result };
+};
+
+export const trimUrl = (url) => url.replace(/\/+$/, '');
@@ -0,0 +1,60 @@
+import { qdrantStore } from './qdrant';
+import { weaviateStore } from './weaviate';
+import { chromaStore } from './chroma';
+import { pgvectorStore } from './pgvector';
+import { pineconeStore } from './pinecone';
+
+// Vector database adapters.
+//
+// Each store turns an embedding set (see lib/vectorExport) into its native
+// bulk-import format, with a collection / class / index / table definition
+// derived from the dataset schema and the metadata types. A store is an
+// object `{ id, label, defaultUrl, files(set, target), push(set, target,
+// { signal, onProgress(done, total) }) }`: `files` returns [{ filename,
+// content, mimeType }] to download and `push`, when the store has an HTTP
+// API, creates the collection if needed and upserts the chunks in batches,
+// resolving to the number of chunks sent. `target` is the store's settings
+// plus { collection, batchSize }.
+
+const STORES = [qdrantStore, weaviateStore, chromaStore, pineconeStore, pgvectorStore];
+
+export const VECTOR_STORES = STORES.map(({ id, label, defaultUrl }) => ({ id, label, canPush: Boolean(defaultUrl) }));
+
+export const DEFAULT_VECTOR_STORE_SETTINGS = {
+  store: 'qdrant',
+  // Empty: named after the dataset
+  collection: '',
+  batchSize: 256,
+  // Save the API keys with the settings instead of for this session only
+  // (see lib/settingsStorage)
+  rememberKeys: false,
+  qdrant: { url: qdrantStore.defaultUrl, apiKey: '' },
+  weaviate: { url: weaviateStore.defaultUrl, apiKey: '' },
+  chroma: { url: chromaStore.defaultUrl, apiKey: '', tenant: 'default_tenant', database: 'default_database' },
+  pinecone: { url: pineconeStore.defaultUrl, apiKey: '', cloud: 'aws', region: 'us-east-1' }
+};
+
+// Fill in settings saved by an older version with the current defaults
+export const normalizeVectorStoreSettings = (saved = {}) => ({
+  ...DEFAULT_VECTOR_STORE_SETTINGS,
+  ...saved,
+  qdrant: { ...DEFAULT_VECTOR_STORE_SETTINGS.qdrant, ...saved.qdrant },
+  weaviate: { ...DEFAULT_VECTOR_STORE_SETTINGS.weaviate, ...saved.weaviate },
+  chroma: { ...DEFAULT_VECTOR_STORE_SETTINGS.chroma, ...saved.chroma },
+  pinecone: { ...DEFAULT_VECTOR_STORE_SETTINGS.pinecone, ...saved.pinecone }
+});
+
+export const getVectorStore = (id) => {
+  const store = STORES.find(s => s.id === id);
+  if (!store) {
+    throw new Error(`Unknown vector store: ${id}`);
+  }
+  return store;
+};
+
+// Settings a store is exported or pushed with
+export const storeTarget = (settings) => ({
+  ...settings[settings.store],
+  collection: settings.collection,
+  batchSize: Math.max(1, settings.batchSize)
+});
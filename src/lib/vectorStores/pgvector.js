@@ -0,0 +1,110 @@
+import { vectorAt } from '../vectorExport';
+import { chunkFields, collectionName, fileBaseName, metadataFields, safeName, sharedMetadata } from './common';
+
+// PostgreSQL with pgvector: an SQL script creating a table with a column per
+// metadata field, the full chunk metadata as jsonb and a vector column with
+// an HNSW index, then upserting the chunks. There is no HTTP endpoint to push
+// to; run the script with psql.
+
+const COLUMN_TYPES = {
+  string: 'text',
+  integer: 'bigint',
+  number: 'double precision',
+  boolean: 'boolean'
+};
+
+const ROWS_PER_INSERT = 500;
+
+const quoteIdentifier = (name) => `"${name.replace(/"/g, '""')}"`;
+
+const quoteLiteral = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+const sqlValue = (value, type) => {
+  if (value === null || value === undefined) return 'NULL';
+  if (type === 'jsonb') return `${quoteLiteral(JSON.stringify(value))}::jsonb`;
+  if (type === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (['integer', 'bigint', 'double precision'].includes(type) && typeof value === 'number' && Number.isFinite(value)) {
+    return String(value);
+  }
+  return quoteLiteral(value);
+};
+
+// Columns of the table: [{ name, source, type }]
+const tableColumns = (set) => {
+  const taken = new Set(['id', 'content', 'metadata', 'embedding']);
+  const fixed = [
+    { source: 'dataset_id', type: 'text' },
+    { source: 'dataset_version', type: 'integer' },
+    { source: 'context', type: 'text' },
+    { source: 'row_ids', type: 'jsonb' }
+  ].map(column => ({ ...column, name: safeName(column.source, taken, { lowerCase: true }) }));
+  const fixedSources = new Set([...fixed.map(column => column.source), 'chunk_id', 'text', 'dataset_name']);
+
+  return [
+    ...fixed,
+    ...metadataFields(set)
+      .filter(field => !fixedSources.has(field.name))
+      .map(field => ({
+        name: safeName(field.name, taken, { lowerCase: true }),
+        source: field.name,
+        type: COLUMN_TYPES[field.type] || 'jsonb'
+      }))
+  ];
+};
+
+const buildScript = (set, collection) => {
+  const table = quoteIdentifier(collectionName(set, collection));
+  const columns = tableColumns(set);
+  const names = ['id', 'content', ...columns.map(column => column.name), 'metadata', 'embedding'];
+
+  const lines = [
+    `-- ${set.chunks.length} chunks of "${set.name}" (version ${set.dataset.version}), ${set.model.name} embeddings`,
+    'CREATE EXTENSION IF NOT EXISTS vector;',
+    '',
+    `CREATE TABLE IF NOT EXISTS ${table} (`,
+    '  id text PRIMARY KEY,',
+    '  content text NOT NULL,',
+    ...columns.map(column => `  ${quoteIdentifier(column.name)} ${column.type},`),
+    '  metadata jsonb,',
+    `  embedding vector(${set.dimensions}) NOT NULL`,
+    ');',
+    '',
+    `CREATE INDEX IF NOT EXISTS ${quoteIdentifier(`${collectionName(set, collection)}_embedding_idx`)}`,
+    `  ON ${table} USING hnsw (embedding vector_cosine_ops);`,
+    ''
+  ];
+
+  for (let start = 0; start < set.chunks.length; start += ROWS_PER_INSERT) {
+    const rows = set.chunks.slice(start, start + ROWS_PER_INSERT).map((chunk, i) => {
+      const values = { ...sharedMetadata(chunk), ...chunkFields(chunk) };
+      return `  (${[
+        quoteLiteral(chunk.id),
+        quoteLiteral(chunk.text),
+        ...columns.map(column => sqlValue(values[column.source], column.type)),
+        sqlValue(chunk.metadata, 'jsonb'),
+        quoteLiteral(`[${vectorAt(set, start + i).join(',')}]`)
+      ].join(', ')})`;
+    });
+    lines.push(
+      `INSERT INTO ${table} (${names.map(quoteIdentifier).join(', ')}) VALUES`,
+      `${rows.join(',\n')}`,
+      `ON CONFLICT (id) DO UPDATE SET ${names.slice(1).map(name => `${quoteIdentifier(name)} = EXCLUDED.${quoteIdentifier(name)}`).join(', ')};`,
+      ''
+    );
+  }
+  return lines.join('\n');
+};
+
+export const pgvectorStore = {
+  id: 'pgvector',
+  label: 'pgvector (PostgreSQL)',
+  defaultUrl: null,
+
+  files: (set, { collection }) => [{
+    filename: `${fileBaseName(set)}.pgvector.sql`,
+    content: buildScript(set, collection),
+    mimeType: 'application/sql'
+  }],
+
+  push: null
+};
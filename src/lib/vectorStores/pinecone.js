@@ -0,0 +1,130 @@
+import { vectorAt } from '../vectorExport';
+import {
+  batches,
+  chunkFields,
+  collectionName,
+  fileBaseName,
+  metadataFields,
+  sharedMetadata,
+  storeRequest,
+  trimUrl
+} from './common';
+
+// Pinecone: a serverless index of vectors { id, values, metadata }. Metadata
+// values can only be strings, numbers, booleans and lists of strings, so
+// objects, other arrays and mixed fields are stored as JSON text and null
+// values left out. The index is created through the control plane API
+// (`url`), the vectors upserted to the host it reports.
+
+const SCALAR_TYPES = ['string', 'integer', 'number', 'boolean'];
+
+const API_VERSION = '2024-07';
+
+// Pinecone takes at most 1000 vectors per upsert
+const MAX_BATCH = 1000;
+
+// Index names are lower case letters, digits and hyphens
+const indexName = (set, collection) => (
+  collectionName(set, collection).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 45) || 'chunks'
+);
+
+const indexDefinition = (set, collection, { cloud, region }) => ({
+  name: indexName(set, collection),
+  dimension: set.dimensions,
+  metric: 'cosine',
+  spec: { serverless: { cloud, region } }
+});
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+const vectorMetadata = (chunk, jsonFields) => {
+  const metadata = {};
+  Object.entries({ ...sharedMetadata(chunk), ...chunkFields(chunk) }).forEach(([field, value]) => {
+    if (value === null || value === undefined) return;
+    metadata[field] = !isStringList(value) && (jsonFields.has(field) || typeof value === 'object')
+      ? JSON.stringify(value)
+      : value;
+  });
+  return metadata;
+};
+
+// Metadata fields stored as JSON text
+const jsonFieldsOf = (set) => new Set(
+  metadataFields(set).filter(field => !SCALAR_TYPES.includes(field.type)).map(field => field.name)
+);
+
+// Vectors of the chunks from `offset` on
+const vectors = (set, chunks, offset, jsonFields) => chunks.map((chunk, i) => ({
+  id: chunk.id,
+  values: vectorAt(set, offset + i),
+  metadata: vectorMetadata(chunk, jsonFields)
+}));
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+export const pineconeStore = {
+  id: 'pinecone',
+  label: 'Pinecone',
+  defaultUrl: 'https://api.pinecone.io',
+
+  // Request bodies of POST /indexes and of POST /vectors/upsert on the index
+  // host, in batches of at most 1000 vectors
+  files: (set, { collection, batchSize, cloud, region }) => {
+    const jsonFields = jsonFieldsOf(set);
+    return [{
+      filename: `${fileBaseName(set)}.pinecone.json`,
+      content: JSON.stringify({
+        index: indexDefinition(set, collection, { cloud, region }),
+        upserts: batches(vectors(set, set.chunks, 0, jsonFields), Math.min(batchSize, MAX_BATCH))
+          .map(batch => ({ vectors: batch }))
+      }),
+      mimeType: 'application/json'
+    }];
+  },
+
+  push: async (set, { url, apiKey, collection, batchSize, cloud, region }, { signal, onProgress }) => {
+    if (!apiKey) {
+      throw new Error("Pinecone needs an API key");
+    }
+    const definition = indexDefinition(set, collection, { cloud, region });
+    const root = `${trimUrl(url)}/indexes`;
+    const options = { headers: { 'Api-Key': apiKey, 'X-Pinecone-API-Version': API_VERSION }, signal };
+    const describe = () => storeRequest('Pinecone', `${root}/${definition.name}`, { ...options, allowStatus: [404] });
+
+    let { status, result } = await describe();
+    if (status === 404) {
+      await storeRequest('Pinecone', root, { ...options, method: 'POST', body: definition, allowStatus: [409] });
+      ({ result } = await describe());
+    }
+    if (result.dimension !== set.dimensions) {
+      throw new Error(`Pinecone index ${definition.name} has ${result.dimension} dimensions, the embeddings ${set.dimensions}`);
+    }
+    // A new index takes a few seconds to be ready for upserts
+    for (let attempt = 0; !result.status?.ready; attempt++) {
+      if (attempt === 60) {
+        throw new Error(`Pinecone index ${definition.name} is not ready (${result.status?.state || 'unknown state'})`);
+      }
+      await wait(2000, signal);
+      ({ result } = await describe());
+    }
+
+    const jsonFields = jsonFieldsOf(set);
+    let done = 0;
+    for (const batch of batches(set.chunks, Math.min(batchSize, MAX_BATCH))) {
+      await storeRequest('Pinecone', `https://${result.host}/vectors/upsert`, {
+        ...options,
+        method: 'POST',
+        body: { vectors: vectors(set, batch, done, jsonFields) }
+      });
+      done += batch.length;
+      onProgress?.(done, set.chunks.length);
+    }
+    return done;
+  }
+};
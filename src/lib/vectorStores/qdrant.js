@@ -0,0 +1,85 @@
+import { vectorAt } from '../vectorExport';
+import {
+  batches,
+  chunkFields,
+  chunkUuid,
+  collectionName,
+  fileBaseName,
+  metadataFields,
+  sharedMetadata,
+  storeRequest,
+  trimUrl
+} from './common';
+
+// Qdrant: a collection of points { id (UUID), vector, payload }. Payloads are
+// JSON, so they also carry the metadata of every record in the chunk;
+// keyword, integer, float and bool payload indexes are created for the
+// scalar metadata fields.
+
+const PAYLOAD_SCHEMAS = {
+  string: 'keyword',
+  integer: 'integer',
+  number: 'float',
+  boolean: 'bool'
+};
+
+const collectionConfig = (set) => ({
+  vectors: { size: set.dimensions, distance: 'Cosine' }
+});
+
+// Chunk fields win over record fields of the same name
+const CHUNK_FIELDS = ['chunk_id', 'text', 'dataset_id', 'dataset_name', 'dataset_version', 'context', 'row_ids'];
+
+const payloadIndexes = (set) => [
+  { field_name: 'dataset_id', field_schema: 'keyword' },
+  { field_name: 'chunk_id', field_schema: 'keyword' },
+  ...metadataFields(set)
+    .filter(field => PAYLOAD_SCHEMAS[field.type] && !CHUNK_FIELDS.includes(field.name))
+    .map(field => ({ field_name: field.name, field_schema: PAYLOAD_SCHEMAS[field.type] }))
+];
+
+const points = (set) => set.chunks.map((chunk, i) => ({
+  id: chunkUuid(chunk.id),
+  vector: vectorAt(set, i),
+  payload: { ...sharedMetadata(chunk), ...chunkFields(chunk), records: chunk.metadata.records }
+}));
+
+export const qdrantStore = {
+  id: 'qdrant',
+  label: 'Qdrant',
+  defaultUrl: 'http://localhost:6333',
+
+  // Request bodies of PUT /collections/{name}, PUT /collections/{name}/index
+  // and PUT /collections/{name}/points
+  files: (set, { collection }) => [{
+    filename: `${fileBaseName(set)}.qdrant.json`,
+    content: JSON.stringify({
+      collection_name: collectionName(set, collection),
+      collection: collectionConfig(set),
+      payload_indexes: payloadIndexes(set),
+      points: points(set)
+    }),
+    mimeType: 'application/json'
+  }],
+
+  push: async (set, { url, apiKey, collection, batchSize }, { signal, onProgress }) => {
+    const root = `${trimUrl(url)}/collections/${encodeURIComponent(collectionName(set, collection))}`;
+    const options = { headers: apiKey ? { 'api-key': apiKey } : {}, signal };
+
+    const { result } = await storeRequest('Qdrant', `${root}/exists`, options);
+    if (!result?.result?.exists) {
+      await storeRequest('Qdrant', root, { ...options, method: 'PUT', body: collectionConfig(set) });
+    }
+    for (const index of payloadIndexes(set)) {
+      await storeRequest('Qdrant', `${root}/index?wait=true`, { ...options, method: 'PUT', body: index });
+    }
+
+    let done = 0;
+    for (const batch of batches(points(set), batchSize)) {
+      await storeRequest('Qdrant', `${root}/points?wait=true`, { ...options, method: 'PUT', body: { points: batch } });
+      done += batch.length;
+      onProgress?.(done, set.chunks.length);
+    }
+    return done;
+  }
+};
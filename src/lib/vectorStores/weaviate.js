@@ -0,0 +1,133 @@
+import { vectorAt } from '../vectorExport';
+import {
+  batches,
+  chunkFields,
+  chunkUuid,
+  collectionName,
+  fileBaseName,
+  metadataFields,
+  safeName,
+  sharedMetadata,
+  storeRequest,
+  trimUrl
+} from './common';
+
+// Weaviate: a class of objects with typed properties and vectors of our
+// own (vectorizer 'none'). Property names must be GraphQL names, so fields
+// are renamed where needed; objects, arrays and mixed fields are stored as
+// JSON text.
+
+const DATA_TYPES = {
+  string: 'text',
+  integer: 'int',
+  number: 'number',
+  boolean: 'boolean'
+};
+
+// Weaviate reserves these property names
+const RESERVED = ['id', '_id', '_additional', 'vector'];
+
+// Class names start with a capital letter
+const className = (set, collection) => {
+  const name = collectionName(set, collection).replace(/[^A-Za-z0-9_]/g, '_');
+  const pascal = name.split('_').filter(Boolean).map(part => part[0].toUpperCase() + part.slice(1)).join('');
+  return /^[A-Z]/.test(pascal) ? pascal : `C${pascal}`;
+};
+
+// Properties of the class: [{ name, source, dataType }] with `source` the
+// chunk field or metadata field it is filled from
+const classProperties = (set) => {
+  const taken = new Set(RESERVED);
+  const base = [
+    { source: 'chunk_id', dataType: ['text'] },
+    { source: 'text', dataType: ['text'] },
+    { source: 'dataset_id', dataType: ['text'] },
+    { source: 'dataset_name', dataType: ['text'] },
+    { source: 'dataset_version', dataType: ['int'] },
+    { source: 'context', dataType: ['text'] },
+    { source: 'row_ids', dataType: ['text[]'] }
+  ].map(property => ({ ...property, name: safeName(property.source, taken) }));
+  const chunkSources = new Set(base.map(property => property.source));
+
+  return [
+    ...base,
+    ...metadataFields(set)
+      .filter(field => !chunkSources.has(field.name))
+      .map(field => ({
+        name: safeName(field.name, taken),
+        source: field.name,
+        dataType: [DATA_TYPES[field.type] || 'text'],
+        json: !DATA_TYPES[field.type]
+      }))
+  ];
+};
+
+const classDefinition = (set, collection, properties) => ({
+  class: className(set, collection),
+  vectorizer: 'none',
+  vectorIndexConfig: { distance: 'cosine' },
+  properties: properties.map(({ name, source, dataType }) => ({
+    name,
+    dataType,
+    description: source === name ? undefined : `Field "${source}"`
+  }))
+});
+
+const objects = (set, collection, properties) => set.chunks.map((chunk, i) => {
+  const values = { ...sharedMetadata(chunk), ...chunkFields(chunk) };
+  const result = {};
+  properties.forEach(({ name, source, json }) => {
+    const value = values[source];
+    if (value === null || value === undefined) return;
+    result[name] = json ? JSON.stringify(value) : source === 'row_ids' ? value.map(String) : value;
+  });
+  return { class: className(set, collection), id: chunkUuid(chunk.id), properties: result, vector: vectorAt(set, i) };
+});
+
+export const weaviateStore = {
+  id: 'weaviate',
+  label: 'Weaviate',
+  defaultUrl: 'http://localhost:8080',
+
+  // Request bodies of POST /v1/schema and POST /v1/batch/objects
+  files: (set, { collection }) => {
+    const properties = classProperties(set);
+    return [{
+      filename: `${fileBaseName(set)}.weaviate.json`,
+      content: JSON.stringify({
+        class: classDefinition(set, collection, properties),
+        objects: objects(set, collection, properties)
+      }),
+      mimeType: 'application/json'
+    }];
+  },
+
+  push: async (set, { url, apiKey, collection, batchSize }, { signal, onProgress }) => {
+    const root = `${trimUrl(url)}/v1`;
+    const options = { headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, signal };
+    const properties = classProperties(set);
+    const definition = classDefinition(set, collection, properties);
+
+    const { status } = await storeRequest('Weaviate', `${root}/schema/${definition.class}`, { ...options, allowStatus: [404] });
+    if (status === 404) {
+      await storeRequest('Weaviate', `${root}/schema`, { ...options, method: 'POST', body: definition });
+    }
+
+    let done = 0;
+    for (const batch of batches(objects(set, collection, properties), batchSize)) {
+      const { result } = await storeRequest('Weaviate', `${root}/batch/objects`, {
+        ...options,
+        method: 'POST',
+        body: { objects: batch }
+      });
+      // The batch succeeds as a whole; failed objects carry their errors
+      const failed = (result || []).find(item => item.result?.errors);
+      if (failed) {
+        throw new Error(`Weaviate rejected object ${failed.id}: ${failed.result.errors.error?.[0]?.message || 'unknown error'}`);
+      }
+      done += batch.length;
+      onProgress?.(done, set.chunks.length);
+    }
+    return done;
+  }
+};
@@ -0,0 +1,153 @@
+// Small pool of pipeline workers.
+//
+// Jobs wait in a FIFO queue until a worker is free. Cancelling a job that is
+// still waiting removes it from the queue; cancelling a running job terminates
+// its worker (the only way to stop synchronous work) and starts a fresh one.
+// When workers cannot be created the pool runs jobs with `fallback` on the
+// main thread instead.
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+// `createWorker()` returns a new Worker speaking the pipeline.worker protocol;
+// `fallback(task, payload, report)` runs a task on the main thread and returns
+// its result or a promise of it.
+export const createWorkerPool = ({ size = 2, createWorker, fallback }) => {
+  let maxWorkers = Math.max(1, size);
+  let nextJobId = 0;
+  const slots = [];
+  const pending = [];
+
+  const spawn = () => {
+    try {
+      const slot = { worker: createWorker(), job: null };
+      slot.worker.onmessage = (event) => handleMessage(slot, event.data);
+      slot.worker.onerror = (event) => {
+        event.preventDefault?.();
+        finish(slot, null, new Error(event.message || 'Worker failed'));
+        replace(slot);
+      };
+      slots.push(slot);
+      return slot;
+    } catch (e) {
+      console.error('Failed to start pipeline worker, processing on the main thread:', e);
+      return null;
+    }
+  };
+
+  const replace = (slot) => {
+    slot.worker.terminate();
+    slots.splice(slots.indexOf(slot), 1);
+    if (slots.length < maxWorkers && pending.length > 0) spawn();
+    dispatch();
+  };
+
+  const finish = (slot, result, error) => {
+    const { job } = slot;
+    if (!job) return;
+    slot.job = null;
+    job.signal?.removeEventListener('abort', job.onAbort);
+    if (error) job.reject(error);
+    else job.resolve(result);
+  };
+
+  const handleMessage = (slot, message) => {
+    const { job } = slot;
+    if (!job || message.id !== job.id) return;
+
+    if (message.type === 'progress') {
+      job.onProgress?.(message.stage, message.percent);
+      return;
+    }
+
+    finish(slot, message.result, message.type === 'error' ? new Error(message.message) : null);
+    dispatch();
+  };
+
+  const runOnMainThread = (job) => {
+    // Yield first so the UI can render the job as started
+    setTimeout(() => {
+      if (job.signal?.aborted) return;
+      try {
+        job.resolve(fallback(job.task, job.payload, (stage, percent) => job.onProgress?.(stage, percent)));
+      } catch (e) {
+        job.reject(e);
+      }
+    }, 0);
+  };
+
+  const dispatch = () => {
+    // Retire idle workers above the current limit
+    slots.filter(slot => !slot.job).slice(0, Math.max(0, slots.length - maxWorkers))
+      .forEach(slot => {
+        slot.worker.terminate();
+        slots.splice(slots.indexOf(slot), 1);
+      });
+
+    while (pending.length > 0) {
+      let slot = slots.find(s => !s.job);
+      if (!slot && slots.length < maxWorkers) slot = spawn();
+
+      if (!slot) {
+        if (slots.length > 0) return;
+
+        // No worker could be started at all
+        runOnMainThread(pending.shift());
+        continue;
+      }
+
+      const job = pending.shift();
+      slot.job = job;
+      slot.worker.postMessage({ id: job.id, task: job.task, payload: job.payload });
+    }
+  };
+
+  // Run a task; resolves with its result or rejects with its error (an
+  // AbortError when `signal` fires first)
+  const run = (task, payload, { signal, onProgress } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const job = { id: ++nextJobId, task, payload, signal, onProgress, resolve, reject };
+    job.onAbort = () => {
+      const index = pending.indexOf(job);
+      if (index !== -1) {
+        pending.splice(index, 1);
+        reject(abortError());
+        return;
+      }
+
+      const slot = slots.find(s => s.job === job);
+      if (slot) {
+        finish(slot, null, abortError());
+        replace(slot);
+      } else {
+        // Running on the main thread: the work cannot be interrupted, only
+        // its result dropped
+        reject(abortError());
+      }
+    };
+    signal?.addEventListener('abort', job.onAbort, { once: true });
+
+    pending.push(job);
+    dispatch();
+  });
+
+  const setSize = (nextSize) => {
+    maxWorkers = Math.max(1, nextSize);
+    dispatch();
+  };
+
+  const terminate = () => {
+    pending.splice(0).forEach(job => job.reject(abortError()));
+    slots.splice(0).forEach(slot => {
+      const { job } = slot;
+      slot.job = null;
+      job?.reject(abortError());
+      slot.worker.terminate();
+    });
+  };
+
+  return { run, setSize, terminate };
+};
@@ -0,0 +1,18 @@
+import { runEmbeddingTask } from '../lib/embeddings';
+
+// Computes embeddings off the main thread, keeping the model loaded between
+// jobs. Speaks the same protocol as pipeline.worker.js: messages are
+// { id, task, payload }; replies are { id, type: 'progress' | 'result' |
+// 'error', ... }.
+self.onmessage = async (event) => {
+  const { id, task, payload } = event.data;
+
+  try {
+    const result = await runEmbeddingTask(task, payload, (stage, percent) => {
+      self.postMessage({ id, type: 'progress', stage, percent });
+    });
+    self.postMessage({ id, type: 'result', result });
+  } catch (e) {
+    self.postMessage({ id, type: 'error', message: e instanceof Error ? e.message : String(e) });
+  }
+};
@@ -0,0 +1,16 @@
+import { runPipelineTask } from '../lib/pipeline';
+
+// Runs pipeline tasks off the main thread. Messages are { id, task, payload };
+// replies are { id, type: 'progress' | 'result' | 'error', ... }.
+self.onmessage = async (event) => {
+  const { id, task, payload } = event.data;
+
+  try {
+    const result = await runPipelineTask(task, payload, (stage, percent) => {
+      self.postMessage({ id, type: 'progress', stage, percent });
+    });
+    self.postMessage({ id, type: 'result', result });
+  } catch (e) {
+    self.postMessage({ id, type: 'error', message: e instanceof Error ? e.message : String(e) });
+  }
+};
@@ -4,6 +4,10 @@ import react from '@vitejs/plugin-react';
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The embedding worker loads transformers.js on demand
+  worker: {
+    format: 'es',
+  },
   server: {
     host: '0.0.0.0',
   }